@@ -0,0 +1,102 @@
+const AuthStore = require('utils/auth');
+const AuthGuard = require('utils/auth-guard');
+const { authOptionsFromEnv } = AuthStore;
+
+const request = (remoteAddress, headers = {}, body = {}) => ({
+  method: 'GET', path: '/api/admin', headers, body, socket: { remoteAddress }
+});
+
+// Runs one middleware and reports { status, body } or 'next'
+function run(middleware, req) {
+  return new Promise((resolve) => {
+    const res = {
+      status(code) {
+        return { json: (body) => resolve({ status: code, body }) };
+      }
+    };
+    middleware(req, res, () => resolve('next'));
+  });
+}
+
+describe('AuthGuard', () => {
+  let warn;
+
+  beforeEach(() => {
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warn.mockRestore();
+  });
+
+  test('ignores forwarding headers from callers that are not trusted proxies', async () => {
+    const guard = new AuthGuard({ auth: new AuthStore(), options: authOptionsFromEnv({ AUTH_MODE: 'ip' }) });
+    const requireAdmin = guard.requireRole('admin');
+
+    expect(await run(requireAdmin, request('192.168.1.20'))).toBe('next');
+    expect(await run(requireAdmin, request('203.0.113.9', { 'x-forwarded-for': '127.0.0.1' }))).toMatchObject({ status: 401 });
+    expect(await run(requireAdmin, request('203.0.113.9', { 'cf-connecting-ip': '192.168.1.5' }))).toMatchObject({ status: 401 });
+    // A local peer that forwards someone else's request (a reverse proxy nobody listed) is not local either
+    expect(guard.authenticate(request('127.0.0.1', { 'x-forwarded-for': '203.0.113.9' }))).toMatchObject({ role: 'viewer', via: null });
+  });
+
+  test('believes forwarding headers from AUTH_TRUSTED_PROXIES', async () => {
+    const options = authOptionsFromEnv({ AUTH_MODE: 'ip', AUTH_TRUSTED_PROXIES: '10.0.0.2' });
+    const guard = new AuthGuard({ auth: new AuthStore(), options });
+
+    expect(guard.clientIP(request('10.0.0.2', { 'x-forwarded-for': '127.0.0.1, 203.0.113.9' }))).toBe('203.0.113.9');
+    expect(guard.clientIP(request('10.0.0.2', { 'cf-connecting-ip': '192.168.1.5' }))).toBe('192.168.1.5');
+    expect(await run(guard.requireRole('admin'), request('10.0.0.2', { 'x-forwarded-for': '192.168.1.5' }))).toBe('next');
+    expect(await run(guard.requireRole('admin'), request('10.0.0.2', { 'x-forwarded-for': '203.0.113.9' }))).toMatchObject({ status: 401 });
+  });
+
+  test('rechecks the credentials of open connections', async () => {
+    const auth = new AuthStore();
+    const guard = new AuthGuard({ auth, options: authOptionsFromEnv({}) });
+    await auth.createUser('admin', 'correct horse', 'admin');
+    await auth.createUser('olga', 'correct horse', 'operator');
+    const changes = jest.fn();
+    auth.on('change', changes);
+
+    const { token: cookie } = auth.createSession('olga');
+    const viaSession = request('203.0.113.9', { cookie: `pm_session=${cookie}` });
+    const opened = guard.authenticate(viaSession);
+    expect(opened).toMatchObject({ role: 'operator', via: 'session' });
+
+    auth.setRole('olga', 'viewer');
+    expect(guard.reauthenticate(opened, viaSession)).toMatchObject({ role: 'viewer', via: 'session' });
+    auth.destroySession(cookie);
+    // Signed out: not silently downgraded to an anonymous viewer
+    expect(guard.reauthenticate(opened, viaSession)).toBeNull();
+
+    const { token, record } = auth.createToken('olga', 'grafana');
+    const viaToken = request('203.0.113.9', { authorization: `Bearer ${token}` });
+    const withToken = guard.authenticate(viaToken);
+    auth.revokeToken(record.id);
+    expect(guard.reauthenticate(withToken, viaToken)).toBeNull();
+    expect(changes).toHaveBeenCalledTimes(5);
+
+    // Anonymous viewers stay until anonymous access is turned off
+    const anonymous = request('203.0.113.9');
+    expect(guard.reauthenticate(guard.authenticate(anonymous), anonymous)).toMatchObject({ role: 'viewer', via: null });
+    guard.options = authOptionsFromEnv({ AUTH_ANONYMOUS_ROLE: 'none' });
+    expect(guard.reauthenticate({ via: null }, anonymous)).toBeNull();
+  });
+
+  test('first-run setup needs a trusted address or the setup code', async () => {
+    const auth = new AuthStore();
+    const guard = new AuthGuard({ auth, options: authOptionsFromEnv({}) });
+    const setup = guard.requireSetupAccess();
+
+    expect(await run(setup, request('203.0.113.9', { 'x-forwarded-for': '127.0.0.1' }))).toMatchObject({ status: 403 });
+    expect(await run(guard.requireRole('admin'), request('203.0.113.9', { 'x-forwarded-for': '127.0.0.1' }))).toMatchObject({ status: 401 });
+    expect(await run(setup, request('203.0.113.9', {}, { setupCode: 'wrong' }))).toMatchObject({ status: 403 });
+    expect(await run(setup, request('203.0.113.9', {}, { setupCode: guard.setupCode.replace(/^./, (c) => (c === 'a' ? 'b' : 'a')) }))).toMatchObject({ status: 403 });
+    expect(await run(setup, request('203.0.113.9', {}, { setupCode: 12 }))).toMatchObject({ status: 403 });
+    expect(await run(setup, request('203.0.113.9', {}, { setupCode: guard.setupCode }))).toBe('next');
+    expect(await run(setup, request('::ffff:127.0.0.1'))).toBe('next');
+
+    await auth.createUser('admin', 'correct horse', 'admin');
+    expect(await run(setup, request('127.0.0.1'))).toMatchObject({ status: 409 });
+  });
+});
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AuthStore = require('utils/auth');
+const { parseCookies, sessionCookie, requestCredentials, authOptionsFromEnv, verifyPassword, hasRole } = AuthStore;
+
+describe('AuthStore', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('creates accounts with hashed passwords and persists them', async () => {
+    const filePath = path.join(dir, 'auth.json');
+    const store = new AuthStore({ filePath });
+    expect(store.needsSetup).toBe(true);
+
+    await store.createUser('admin', 'correct horse');
+    await expect(store.createUser('admin', 'another one')).rejects.toMatchObject({ statusCode: 409 });
+    await expect(store.createUser('bad name', 'long enough')).rejects.toMatchObject({ statusCode: 400 });
+    await expect(store.createUser('short', 'pw')).rejects.toMatchObject({ statusCode: 400 });
+
+    const saved = fs.readFileSync(filePath, 'utf8');
+    expect(saved).not.toContain('correct horse');
+    expect(fs.statSync(filePath).mode & 0o777).toBe(0o600);
+
+    const reloaded = new AuthStore({ filePath });
+    expect(reloaded.needsSetup).toBe(false);
+    expect(await verifyPassword('correct horse', reloaded.users.get('admin').passwordHash)).toBe(true);
+    expect(await verifyPassword('wrong', reloaded.users.get('admin').passwordHash)).toBe(false);
+  });
+
+  test('logs in, throttles repeated failures and resolves sessions', async () => {
+    const store = new AuthStore();
+    await store.createUser('admin', 'correct horse');
+
+    await expect(store.login('admin', 'nope', '10.0.0.9')).rejects.toMatchObject({ statusCode: 401 });
+    await expect(store.login('ghost', 'correct horse', '10.0.0.9')).rejects.toMatchObject({ statusCode: 401 });
+    const user = await store.login('admin', 'correct horse', '10.0.0.9');
+    expect(user.username).toBe('admin');
+
+    const { token, session } = store.createSession('admin', { ip: '10.0.0.9' }, 1000);
+    expect(store.authenticate({ type: 'session', secret: token }, 2000)).toMatchObject({ via: 'session', user: { username: 'admin' } });
+    expect(store.authenticate({ type: 'session', secret: token }, session.expiresAt)).toBeNull();
+    expect(store.sessions.size).toBe(0);
+
+    for (let i = 0; i < 10; i++) {
+      await store.login('admin', 'nope', '10.0.0.7', 0).catch(() => {});
+    }
+    await expect(store.login('admin', 'correct horse', '10.0.0.7', 1000)).rejects.toMatchObject({ statusCode: 429 });
+    await expect(store.login('admin', 'correct horse', '10.0.0.7', 16 * 60 * 1000)).resolves.toMatchObject({ username: 'admin' });
+  });
+
+  test('lets only one of two concurrent setups create the first account', async () => {
+    const store = new AuthStore();
+    // The password hashes finish in either order
+    const settle = async (creates) => {
+      const results = await Promise.allSettled(creates);
+      expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(1);
+      return results.find((result) => result.status === 'rejected').reason;
+    };
+
+    expect(await settle([
+      store.createUser('alice', 'correct horse', 'admin', { firstUser: true }),
+      store.createUser('mallory', 'correct horse', 'admin', { firstUser: true })
+    ])).toMatchObject({ statusCode: 409, message: 'Setup is already complete' });
+    expect(store.listUsers()).toHaveLength(1);
+
+    expect(await settle([
+      store.createUser('bob', 'correct horse', 'viewer'),
+      store.createUser('bob', 'another horse', 'admin')
+    ])).toMatchObject({ statusCode: 409, message: 'User already exists: bob' });
+    expect(store.listUsers()).toHaveLength(2);
+  });
+
+  test('forgets expired failed logins and caps how many addresses are tracked', () => {
+    const store = new AuthStore();
+    store.recordLoginFailure('10.0.0.1', 0);
+    store.recordLoginFailure('10.0.0.2', 60 * 1000);
+    store.recordLoginFailure('10.0.0.3', 15.5 * 60 * 1000);
+    expect(Array.from(store.loginFailures.keys())).toEqual(['10.0.0.2', '10.0.0.3']);
+
+    for (let i = 0; i < 10000; i++) {
+      store.recordLoginFailure(`172.16.${i >> 8}.${i & 255}`, 16 * 60 * 1000);
+    }
+    expect(store.loginFailures.size).toBe(10000);
+    expect(store.loginFailures.has('10.0.0.3')).toBe(false);
+    expect(store.loginFailures.has('172.16.39.15')).toBe(true);
+  });
+
+  test('API tokens authenticate until revoked and are only stored hashed', async () => {
+    const store = new AuthStore({ filePath: path.join(dir, 'auth.json') });
+    await store.createUser('admin', 'correct horse');
+    const { token, record } = store.createToken('admin', 'grafana');
+
+    expect(token.startsWith('pm_')).toBe(true);
+    expect(fs.readFileSync(path.join(dir, 'auth.json'), 'utf8')).not.toContain(token);
+    expect(store.authenticate({ type: 'token', secret: token })).toMatchObject({ via: 'token', user: { username: 'admin' } });
+    expect(store.authenticate({ type: 'token', secret: 'pm_forged' })).toBeNull();
+    expect(() => store.createToken('admin', ' ')).toThrow('Token name is required');
+
+    expect(store.revokeToken(record.id)).toMatchObject({ name: 'grafana' });
+    expect(store.authenticate({ type: 'token', secret: token })).toBeNull();
+  });
+
+  test('password changes sign out other sessions; the last admin cannot be removed', async () => {
+    const store = new AuthStore();
+    await store.createUser('admin', 'correct horse', 'admin');
+    await store.createUser('guest', 'guest password');
+    const current = store.createSession('admin');
+    const other = store.createSession('admin');
+    const { token } = store.createToken('guest', 'script');
+
+    await expect(store.changePassword('admin', 'wrong', 'new password!')).rejects.toMatchObject({ statusCode: 403 });
+    await store.changePassword('admin', 'correct horse', 'new password!', current.session.id);
+    expect(store.authenticate({ type: 'session', secret: current.token })).not.toBeNull();
+    expect(store.authenticate({ type: 'session', secret: other.token })).toBeNull();
+
+    store.removeUser('guest');
+    expect(store.authenticate({ type: 'token', secret: token })).toBeNull();
+    expect(() => store.removeUser('admin')).toThrow('Cannot remove the last admin');
+  });
+
+  test('roles rank viewer < operator < admin and cap token roles', async () => {
+    expect(hasRole('admin', 'operator')).toBe(true);
+    expect(hasRole('operator', 'operator')).toBe(true);
+    expect(hasRole('viewer', 'operator')).toBe(false);
+    expect(hasRole(null, 'viewer')).toBe(false);
+
+    const store = new AuthStore();
+    await store.createUser('root', 'correct horse', 'admin');
+    const operator = await store.createUser('op', 'operator pass', 'operator');
+    expect(operator.role).toBe('operator');
+    await expect(store.createUser('x', 'long enough', 'owner')).rejects.toMatchObject({ statusCode: 400 });
+
+    const viewerToken = store.createToken('op', 'grafana', 'viewer');
+    expect(store.authenticate({ type: 'token', secret: viewerToken.token }).role).toBe('viewer');
+    expect(() => store.createToken('op', 'sneaky', 'admin')).toThrow('above your own role');
+
+    // Demoting the user also lowers tokens created with the old role
+    const ownToken = store.createToken('op', 'script');
+    store.setRole('op', 'viewer');
+    expect(store.authenticate({ type: 'token', secret: ownToken.token }).role).toBe('viewer');
+    expect(() => store.setRole('root', 'operator')).toThrow('Cannot demote the last admin');
+  });
+
+  test('accounts saved before roles existed load as admins', () => {
+    const filePath = path.join(dir, 'auth.json');
+    fs.writeFileSync(filePath, JSON.stringify({ users: [{ username: 'old', passwordHash: 'scrypt$x$y', createdAt: '2026-01-01T00:00:00.000Z' }] }));
+    expect(new AuthStore({ filePath }).listUsers()[0].role).toBe('admin');
+  });
+
+  test('reads credentials from the Authorization header or session cookie', () => {
+    expect(parseCookies('a=1; pm_session=abc%3D; b=2')).toEqual({ a: '1', pm_session: 'abc=', b: '2' });
+    expect(requestCredentials({ headers: { authorization: 'Bearer pm_x', cookie: 'pm_session=s' } })).toEqual({ type: 'token', secret: 'pm_x' });
+    expect(requestCredentials({ headers: { cookie: 'pm_session=s' } })).toEqual({ type: 'session', secret: 's' });
+    expect(requestCredentials({ headers: {} })).toBeNull();
+
+    expect(sessionCookie('abc', { maxAge: 60000, secure: true })).toBe('pm_session=abc; Path=/; HttpOnly; SameSite=Lax; Max-Age=60; Secure');
+    expect(sessionCookie(null)).toContain('Max-Age=0');
+  });
+
+  test('parses auth options from the environment', () => {
+    expect(authOptionsFromEnv({})).toEqual({ mode: 'users', trustedIPs: [], trustedProxies: [], sessionTtl: 7 * 24 * 60 * 60 * 1000, anonymousRole: 'viewer' });
+    expect(authOptionsFromEnv({ AUTH_MODE: 'IP', AUTH_TRUSTED_IPS: '203.0.113.5, 10.1.1.1', AUTH_TRUSTED_PROXIES: '127.0.0.1', AUTH_SESSION_DAYS: '1', AUTH_ANONYMOUS_ROLE: 'none' }))
+      .toEqual({ mode: 'ip', trustedIPs: ['203.0.113.5', '10.1.1.1'], trustedProxies: ['127.0.0.1'], sessionTtl: 24 * 60 * 60 * 1000, anonymousRole: null });
+    expect(() => authOptionsFromEnv({ AUTH_ANONYMOUS_ROLE: 'guest' })).toThrow('AUTH_ANONYMOUS_ROLE');
+    expect(() => authOptionsFromEnv({ AUTH_MODE: 'none' })).toThrow('AUTH_MODE');
+    expect(() => authOptionsFromEnv({ AUTH_SESSION_DAYS: '0' })).toThrow('AUTH_SESSION_DAYS');
+  });
+});
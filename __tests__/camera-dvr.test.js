@@ -0,0 +1,141 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CameraDvr = require('utils/camera-dvr');
+const { dvrOptionsFromEnv } = CameraDvr;
+
+function fakeJpeg(fill = 0) {
+  const sof0 = Buffer.from([0xFF, 0xC0, 0x00, 0x0B, 0x08, 0x00, 0xF0, 0x01, 0x40, 0x01, 0x01, 0x11, 0x00]);
+  return Buffer.concat([Buffer.from([0xFF, 0xD8]), sof0, Buffer.from([fill, 0xFF, 0xD9])]);
+}
+
+const event = (type, details = {}) => ({
+  type,
+  printer: { id: 'A1', name: 'Saturn' },
+  job: { file: 'cube.gcode' },
+  details
+});
+
+describe('CameraDvr', () => {
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'camera-dvr-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('keeps a rolling buffer at the configured frame rate', async () => {
+    const dvr = new CameraDvr({ dir, bufferMinutes: 1, fps: 1 });
+    dvr.init();
+    expect(dvr.addFrame('A1', fakeJpeg(), 0)).toBe(true);
+    expect(dvr.addFrame('A1', fakeJpeg(), 500)).toBe(false);
+    for (let t = 1000; t <= 90000; t += 1000) {
+      dvr.addFrame('A1', fakeJpeg(), t);
+    }
+
+    const [buffer] = dvr.describeBuffers();
+    expect(buffer).toMatchObject({ printerId: 'A1', frames: 61, from: new Date(30000).toISOString() });
+    // Files are written and deleted in the background
+    await dvr.flush();
+    expect(fs.readdirSync(path.join(dir, 'buffer', 'A1'))).toHaveLength(61);
+  });
+
+  test('reports buffers under the printer ID, also after a restart', async () => {
+    const dvr = new CameraDvr({ dir, fps: 1 });
+    dvr.init(0);
+    dvr.addFrame('printer 1/a', fakeJpeg(), 0);
+    await dvr.flush();
+    expect(fs.readdirSync(path.join(dir, 'buffer', 'printer_1_a'))).toHaveLength(1);
+    expect(dvr.describeBuffers()[0]).toMatchObject({ printerId: 'printer 1/a', frames: 1 });
+
+    const restarted = new CameraDvr({ dir, fps: 1 });
+    restarted.init(1000);
+    expect(restarted.describeBuffers()[0]).toMatchObject({ printerId: 'printer 1/a', frames: 1 });
+  });
+
+  test('writes frames in the background and forgets frames that could not be written', async () => {
+    const writeFileSync = jest.spyOn(fs, 'writeFileSync');
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const dvr = new CameraDvr({ dir, fps: 1 });
+    dvr.addFrame('A1', fakeJpeg(), 0);
+    expect(writeFileSync.mock.calls.filter(([file]) => String(file).endsWith('.jpg'))).toHaveLength(0);
+    await dvr.flush();
+
+    fs.rmSync(path.join(dir, 'buffer', 'A1'), { recursive: true });
+    dvr.addFrame('A1', fakeJpeg(), 1000);
+    expect(dvr.describeBuffers()[0].frames).toBe(2);
+    await dvr.flush();
+    expect(dvr.describeBuffers()[0]).toMatchObject({ frames: 1, to: new Date(0).toISOString() });
+    writeFileSync.mockRestore();
+    error.mockRestore();
+  });
+
+  test('enforces the buffer size limit', () => {
+    const frameSize = fakeJpeg().length;
+    const dvr = new CameraDvr({ dir, fps: 1, maxBufferBytes: frameSize * 3 });
+    for (let t = 0; t < 10000; t += 1000) {
+      dvr.addFrame('A1', fakeJpeg(), t);
+    }
+    expect(dvr.describeBuffers()[0]).toMatchObject({ frames: 3, bytes: frameSize * 3 });
+  });
+
+  test('saves a clip around an unexpected event', async () => {
+    const dvr = new CameraDvr({ dir, bufferMinutes: 1, fps: 1, before: 10, after: 5 });
+    for (let t = 0; t <= 30000; t += 1000) {
+      dvr.addFrame('A1', fakeJpeg(t / 1000), t);
+    }
+    const clip = dvr.handleEvent(event('job.failed'), 20000);
+    expect(clip).toMatchObject({ status: 'pending', from: new Date(10000).toISOString(), to: new Date(25000).toISOString() });
+    expect(dvr.listPending()).toHaveLength(1);
+
+    const saved = await dvr.finishClip(clip.id);
+    dvr.stop();
+    expect(saved).toMatchObject({ status: 'ready', frames: 16, width: 320, height: 240, file: 'cube.gcode' });
+    expect(fs.existsSync(dvr.videoPath(clip.id))).toBe(true);
+    expect(dvr.list().map((item) => item.id)).toEqual([clip.id]);
+  });
+
+  test('skips requested pauses and merges events into an open clip', () => {
+    const dvr = new CameraDvr({ dir, after: 60 });
+    expect(dvr.handleEvent(event('job.paused', { requested: true }), 1000)).toBeNull();
+    expect(dvr.handleEvent(event('job.completed'), 1000)).toBeNull();
+
+    const clip = dvr.handleEvent(event('job.paused', { requested: false }), 1000);
+    const merged = dvr.handleEvent(event('job.stopped', { requested: true }), 31000);
+    dvr.stop();
+    expect(merged).toBe(clip);
+    expect(clip.events.map((item) => item.type)).toEqual(['job.paused', 'job.stopped']);
+    expect(clip.to).toBe(new Date(91000).toISOString());
+  });
+
+  test('keeps frames a pending clip still needs', () => {
+    const dvr = new CameraDvr({ dir, bufferMinutes: 1, fps: 1, before: 30, after: 60 });
+    dvr.addFrame('A1', fakeJpeg(), 0);
+    dvr.saveClip('A1', { event: 'job.failed' }, 30000);
+    dvr.addFrame('A1', fakeJpeg(), 80000);
+    dvr.stop();
+    expect(dvr.describeBuffers()[0].frames).toBe(2);
+  });
+
+  test('deletes the oldest clips above the disk limit', async () => {
+    const dvr = new CameraDvr({ dir, fps: 1, before: 1, after: 0 });
+    dvr.addFrame('A1', fakeJpeg(), 0);
+    const first = await dvr.finishClip(dvr.saveClip('A1', { event: 'job.failed' }, 1000).id);
+    dvr.addFrame('A1', fakeJpeg(), 2000);
+    dvr.maxClipBytes = first.size;
+    const second = await dvr.finishClip(dvr.saveClip('A1', { event: 'job.stopped' }, 3000).id);
+    dvr.stop();
+    expect(dvr.list().map((clip) => clip.id)).toEqual([second.id]);
+    expect(dvr.remove(second.id)).toBe(true);
+    expect(dvr.get('../x')).toBeNull();
+  });
+
+  test('reads options from the environment', () => {
+    expect(dvrOptionsFromEnv({})).toBeNull();
+    expect(dvrOptionsFromEnv({ DVR_ENABLED: 'true', DVR_BUFFER_MINUTES: '5', DVR_MAX_CLIPS_MB: '10' }))
+      .toMatchObject({ bufferMinutes: 5, fps: 2, before: 120, after: 60, maxClipBytes: 10 * 1024 * 1024 });
+  });
+});
@@ -0,0 +1,47 @@
+const { FRAME_AGE_HEADER, waitForFrame, captureFrame, snapshotHeaders } = require('utils/camera-snapshot');
+
+describe('camera snapshot', () => {
+  test('resolves with the next relayed frame and unsubscribes', async () => {
+    const camera = { subscribers: new Set() };
+    const pending = waitForFrame(camera, 1000);
+    expect(camera.subscribers.size).toBe(1);
+
+    const frame = Buffer.from('jpeg');
+    camera.subscribers.forEach((subscriber) => subscriber(frame));
+    await expect(pending).resolves.toBe(frame);
+    expect(camera.subscribers.size).toBe(0);
+  });
+
+  test('resolves with null when no frame arrives in time', async () => {
+    const camera = { subscribers: new Set() };
+    await expect(waitForFrame(camera, 5)).resolves.toBeNull();
+    expect(camera.subscribers.size).toBe(0);
+  });
+
+  test('uses a recent cached frame and wakes the stream for a stale one', async () => {
+    const cached = Buffer.from('old');
+    const fresh = Buffer.from('new');
+    const camera = { latestFrame: cached, lastFrameAt: 1000, streamURL: 'http://printer/video', subscribers: new Set() };
+    const wake = jest.fn(async () => {
+      setImmediate(() => camera.subscribers.forEach((subscriber) => subscriber(fresh)));
+    });
+
+    await expect(captureFrame(camera, { maxAge: 3000, timeout: 1000, wake, now: 2000 })).resolves.toBe(cached);
+    expect(wake).not.toHaveBeenCalled();
+    await expect(captureFrame(camera, { maxAge: 3000, timeout: 1000, wake, now: 9000 })).resolves.toBe(fresh);
+    expect(wake).toHaveBeenCalledTimes(1);
+    // A stale frame is dropped when the stream cannot be woken
+    await expect(captureFrame(camera, { maxAge: 3000, timeout: 1000, now: 9000 })).resolves.toBeNull();
+  });
+
+  test('builds caching headers from the frame time', () => {
+    const lastFrameAt = Date.parse('2026-01-03T12:00:00.000Z');
+    const headers = snapshotHeaders({ lastFrameAt, framesTotal: 42 }, lastFrameAt + 1500);
+    expect(headers).toMatchObject({
+      'Content-Type': 'image/jpeg',
+      'Last-Modified': 'Sat, 03 Jan 2026 12:00:00 GMT',
+      [FRAME_AGE_HEADER]: '1500'
+    });
+    expect(headers.ETag).not.toBe(snapshotHeaders({ lastFrameAt, framesTotal: 43 }, lastFrameAt).ETag);
+  });
+});
@@ -0,0 +1,83 @@
+const CameraViewer = require('utils/camera-viewer');
+const { SocketCameraViewer, CAMERA_FRAME_MESSAGE, encodeCameraFrame, parseViewerFps } = CameraViewer;
+
+function fakeResponse() {
+  return {
+    headers: {},
+    chunks: [],
+    writableNeedDrain: false,
+    writableLength: 0,
+    destroyed: false,
+    setHeader(name, value) { this.headers[name] = value; },
+    write(chunk) { this.chunks.push(Buffer.from(chunk)); return true; }
+  };
+}
+
+describe('CameraViewer', () => {
+  test('parses the requested frame rate', () => {
+    expect(parseViewerFps(undefined, 15)).toBe(15);
+    expect(parseViewerFps('2', 15)).toBe(2);
+    expect(parseViewerFps('0.5', 15)).toBe(0.5);
+    expect(parseViewerFps('60', 15)).toBe(15);
+    expect(parseViewerFps('0', 15)).toBeNull();
+    expect(parseViewerFps('fast', 15)).toBeNull();
+  });
+
+  test('writes each frame as one multipart part at the viewer frame rate', () => {
+    const res = fakeResponse();
+    const viewer = new CameraViewer(res, { fps: 2, ip: '10.0.0.5' });
+    viewer.begin();
+    expect(res.headers['Content-Type']).toBe('multipart/x-mixed-replace; boundary=frame');
+
+    const frame = Buffer.from('jpeg-data');
+    expect(viewer.offer(frame, 0)).toBe('sent');
+    expect(viewer.offer(frame, 200)).toBe('skipped');
+    expect(viewer.offer(frame, 500)).toBe('sent');
+
+    expect(res.chunks).toHaveLength(3);
+    expect(res.chunks[1].toString()).toBe('Content-Type: image/jpeg\r\nContent-Length: 9\r\n\r\njpeg-data\r\n--frame\r\n');
+    expect(viewer.describe()).toMatchObject({ ip: '10.0.0.5', fps: 2, delivered: 2, dropped: 0 });
+  });
+
+  test('drops frames while the socket is backed up', () => {
+    const res = fakeResponse();
+    const viewer = new CameraViewer(res, { fps: 15 });
+    const frame = Buffer.from('jpeg-data');
+
+    viewer.offer(frame, 0);
+    res.writableNeedDrain = true;
+    res.writableLength = 65536;
+    expect(viewer.offer(frame, 100)).toBe('dropped');
+    expect(viewer.offer(frame, 200)).toBe('dropped');
+    res.writableNeedDrain = false;
+    expect(viewer.offer(frame, 300)).toBe('sent');
+
+    expect(viewer.describe()).toMatchObject({ delivered: 2, dropped: 2 });
+  });
+
+  test('frames the JPEG with the printer ID for WebSocket clients', () => {
+    const message = encodeCameraFrame('A1', Buffer.from('jpeg'));
+    expect(message[0]).toBe(CAMERA_FRAME_MESSAGE);
+    expect(message[1]).toBe(2);
+    expect(message.subarray(2, 4).toString()).toBe('A1');
+    expect(message.subarray(4).toString()).toBe('jpeg');
+  });
+
+  test('socket viewers drop frames while the previous one is still queued', () => {
+    const ws = { OPEN: 1, readyState: 1, bufferedAmount: 0, sent: [], send(data) { this.sent.push(data); } };
+    const viewer = new SocketCameraViewer(ws, { printerId: 'A1', fps: 5 });
+    const frame = Buffer.from('jpeg-data');
+
+    expect(viewer.offer(frame, 0)).toBe('sent');
+    expect(viewer.offer(frame, 100)).toBe('skipped');
+    ws.bufferedAmount = 9;
+    expect(viewer.offer(frame, 300)).toBe('dropped');
+    ws.bufferedAmount = 0;
+    expect(viewer.offer(frame, 400)).toBe('sent');
+    ws.readyState = 3;
+    expect(viewer.offer(frame, 800)).toBe('dropped');
+
+    expect(ws.sent[0]).toEqual(encodeCameraFrame('A1', frame));
+    expect(viewer.describe()).toMatchObject({ transport: 'websocket', delivered: 2, dropped: 2 });
+  });
+});
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Config = require('utils/config');
+const { validateConfig } = Config;
+
+describe('Config', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+    filePath = path.join(dir, 'config.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('uses defaults, then the file, then environment overrides', () => {
+    fs.writeFileSync(filePath, JSON.stringify({ port: 3001, wsUpdateInterval: 250 }));
+    const config = new Config({ filePath, env: { WS_UPDATE_INTERVAL: '500', ENABLE_DEBUG_ENDPOINTS: 'true', MAX_FPS: '' } });
+    config.load();
+
+    expect(config.get('port')).toBe(3001);
+    expect(config.get('wsUpdateInterval')).toBe(500);
+    expect(config.get('enableDebugEndpoints')).toBe(true);
+    expect(config.get('maxFps')).toBe(15);
+    expect(config.describe().settings.wsUpdateInterval).toMatchObject({ value: 500, source: 'env', env: 'WS_UPDATE_INTERVAL', live: true });
+    expect(config.describe().settings.port.source).toBe('file');
+    expect(config.describe().settings.maxFps.source).toBe('default');
+  });
+
+  test('reads pinned printers from the file or PRINTER_IPS', () => {
+    fs.writeFileSync(filePath, JSON.stringify({ printers: [{ address: '10.0.5.20', mainboardId: 'abc123', name: 'Carbon' }] }));
+    const config = new Config({ filePath, env: {} });
+    config.load();
+    expect(config.get('printers')).toEqual([{ address: '10.0.5.20', mainboardId: 'abc123', name: 'Carbon' }]);
+    // Rewriting the same list is not a change
+    fs.writeFileSync(filePath, JSON.stringify({ printers: [{ address: '10.0.5.20', mainboardId: 'abc123', name: 'Carbon' }] }));
+    config.reload();
+    expect(config.describe().settings.printers.pendingRestart).toBeUndefined();
+
+    const fromEnv = new Config({ filePath, env: { PRINTER_IPS: 'def456@10.0.5.21' } });
+    fromEnv.load();
+    expect(fromEnv.get('printers')).toEqual([{ mainboardId: 'def456', address: '10.0.5.21' }]);
+    expect(() => new Config({ filePath, env: { PRINTER_IPS: 'not a printer' } }).load()).toThrow('PRINTER_IPS entry 1 mainboardId');
+  });
+
+  test('lists every invalid setting at load', () => {
+    fs.writeFileSync(filePath, JSON.stringify({ port: 0, maxFPS: 10, disableLocalIpFilter: 'yes' }));
+    const config = new Config({ filePath, env: { STATUS_POLL_INTERVAL: 'often' } });
+
+    expect(() => config.load()).toThrow(/Invalid configuration/);
+    try {
+      config.load();
+    } catch (err) {
+      expect(err.errors).toEqual([
+        `${filePath}: port must be an integer from 1 to 65535 (got 0)`,
+        `${filePath}: unknown setting "maxFPS"`,
+        `${filePath}: disableLocalIpFilter must be true or false (got "yes")`,
+        'STATUS_POLL_INTERVAL must be an integer from 500 to 60000 (got "often")'
+      ]);
+    }
+
+    fs.writeFileSync(filePath, '{ "port": ');
+    expect(() => config.load()).toThrow('is not valid JSON');
+    expect(validateConfig([], 'x')).toEqual(['x: must be a JSON object']);
+  });
+
+  test('reloads live settings and holds the others until restart', () => {
+    const config = new Config({ filePath, env: {} });
+    config.load();
+    const onChange = jest.fn();
+    const onRestart = jest.fn();
+    config.on('change', onChange);
+    config.on('restartRequired', onRestart);
+
+    fs.writeFileSync(filePath, JSON.stringify({ port: 4000, maxFps: 5 }));
+    expect(config.reload()).toEqual(['maxFps']);
+    expect(config.get('maxFps')).toBe(5);
+    expect(config.get('port')).toBe(3000);
+    expect(config.describe().settings.port.pendingRestart).toBe(4000);
+    expect(onChange).toHaveBeenCalledWith(['maxFps']);
+    expect(onRestart).toHaveBeenCalledWith(['port']);
+
+    // A broken edit keeps the current settings
+    fs.writeFileSync(filePath, JSON.stringify({ maxFps: 500 }));
+    expect(() => config.reload()).toThrow('maxFps must be a number from 1 to 60');
+    expect(config.get('maxFps')).toBe(5);
+  });
+
+  test('updates write the file and refuse settings owned by the environment', () => {
+    const config = new Config({ filePath, env: { PORT: '8080' } });
+    config.load();
+
+    expect(config.update({ statusPollInterval: 1000, enableDebugEndpoints: true })).toEqual(['statusPollInterval', 'enableDebugEndpoints']);
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({ statusPollInterval: 1000, enableDebugEndpoints: true });
+
+    expect(config.update({ enableDebugEndpoints: null })).toEqual(['enableDebugEndpoints']);
+    expect(config.get('enableDebugEndpoints')).toBe(false);
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({ statusPollInterval: 1000 });
+
+    expect(() => config.update({ port: 9000 })).toThrow('PORT');
+    expect(() => config.update({ statusPollInterval: 10 })).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => config.update(['port'])).toThrow('Expected a JSON object');
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({ statusPollInterval: 1000 });
+  });
+});
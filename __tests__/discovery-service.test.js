@@ -0,0 +1,81 @@
+const DiscoveryService = require('utils/discovery-service');
+
+const response = (id, address, extra = {}) => ({ Id: 'x', Data: { Name: 'Carbon', MainboardID: id, MainboardIP: address, ...extra }, address, port: 3000 });
+
+describe('DiscoveryService', () => {
+  test('caches printers with first/last seen times and address changes', () => {
+    const service = new DiscoveryService({ discovery: { discover: jest.fn() }, interval: 1000 });
+    const found = jest.fn();
+    const moved = jest.fn();
+    service.on('found', found);
+    service.on('addressChanged', moved);
+
+    service.record([response('MB1', '10.0.5.20')], Date.parse('2026-01-03T12:00:00Z'));
+    service.record([response('MB1', '10.0.5.20')], Date.parse('2026-01-03T12:00:30Z'));
+    service.record([response('MB1', '10.0.5.31', { FirmwareVersion: 'V1.1' })], Date.parse('2026-01-03T12:01:00Z'));
+
+    const [entry] = service.list(Date.parse('2026-01-03T12:01:01Z'));
+    expect(entry).toMatchObject({
+      id: 'MB1',
+      name: 'Carbon',
+      address: '10.0.5.31',
+      firstSeen: '2026-01-03T12:00:00.000Z',
+      lastSeen: '2026-01-03T12:01:00.000Z',
+      seenCount: 3,
+      addressChanges: [{ from: '10.0.5.20', to: '10.0.5.31', at: '2026-01-03T12:01:00.000Z' }],
+      attributes: { FirmwareVersion: 'V1.1' },
+      proxy: false,
+      online: true
+    });
+    expect(found).toHaveBeenCalledTimes(1);
+    expect(moved).toHaveBeenCalledWith(expect.objectContaining({ id: 'MB1' }), '10.0.5.20');
+    expect(service.list(Date.parse('2026-01-03T12:05:00Z'))[0].online).toBe(false);
+  });
+
+  test('concurrent scans share one discovery run', async () => {
+    let finish;
+    const discovery = { discover: jest.fn(() => new Promise((resolve) => { finish = resolve; })) };
+    const service = new DiscoveryService({ discovery });
+    const onScan = jest.fn();
+    service.on('scan', onScan);
+
+    const first = service.scan();
+    const second = service.scan();
+    expect(first).toBe(second);
+    finish([response('MB1', '10.0.5.20')]);
+    await expect(first).resolves.toHaveLength(1);
+
+    expect(discovery.discover).toHaveBeenCalledTimes(1);
+    expect(onScan).toHaveBeenCalledTimes(1);
+    expect(service.lastScan).toMatchObject({ found: 1, error: null });
+    expect(service.pendingScan).toBeNull();
+  });
+
+  test('keeps scanning in the background until stopped', async () => {
+    jest.useFakeTimers();
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      const discovery = { discover: jest.fn().mockResolvedValueOnce([]).mockRejectedValueOnce(new Error('EPERM')).mockResolvedValue([]) };
+      const service = new DiscoveryService({ discovery, interval: 10000 });
+
+      service.start();
+      await jest.advanceTimersByTimeAsync(0);
+      expect(discovery.discover).toHaveBeenCalledTimes(1);
+      await jest.advanceTimersByTimeAsync(10000);
+      expect(discovery.discover).toHaveBeenCalledTimes(2);
+      expect(service.lastScan.error).toBe('EPERM');
+
+      // A failed scan does not stop the loop; scanIn moves the next scan forward
+      service.scanIn(1000);
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(discovery.discover).toHaveBeenCalledTimes(3);
+
+      service.stop();
+      await jest.advanceTimersByTimeAsync(60000);
+      expect(discovery.discover).toHaveBeenCalledTimes(3);
+    } finally {
+      error.mockRestore();
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isValidUploadFilename, uploadFileToPrinter, computeFileMD5 } = require('utils/file-uploader');
+
+describe('file-uploader', () => {
+  let filePath;
+
+  beforeEach(() => {
+    filePath = path.join(os.tmpdir(), `file-uploader-test-${process.pid}.gcode`);
+    fs.writeFileSync(filePath, Buffer.alloc(2500, 'G'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(filePath, { force: true });
+  });
+
+  test('isValidUploadFilename rejects paths and non-gcode files', () => {
+    expect(isValidUploadFilename('cube.gcode')).toBe(true);
+    expect(isValidUploadFilename('../cube.gcode')).toBe(false);
+    expect(isValidUploadFilename('cube.stl')).toBe(false);
+    expect(isValidUploadFilename('')).toBe(false);
+  });
+
+  test('sends the file in chunks with offsets and the whole-file MD5', async () => {
+    const requests = [];
+    const fetchImpl = jest.fn(async (url, { body }) => {
+      requests.push({ url, offset: body.get('Offset'), md5: body.get('S-File-MD5'), size: body.get('File').size });
+      return { ok: true, json: async () => ({ code: '000000', success: true }) };
+    });
+    const onProgress = jest.fn();
+
+    const result = await uploadFileToPrinter('192.168.1.100', filePath, {
+      filename: 'cube.gcode',
+      chunkSize: 1000,
+      onProgress,
+      fetchImpl
+    });
+
+    const md5 = await computeFileMD5(filePath);
+    expect(result).toMatchObject({ filename: 'cube.gcode', md5, totalSize: 2500 });
+    expect(requests.map((r) => [r.offset, r.size])).toEqual([['0', 1000], ['1000', 1000], ['2000', 500]]);
+    expect(requests.every((r) => r.md5 === md5)).toBe(true);
+    expect(requests[0].url).toBe('http://192.168.1.100:3030/uploadFile/upload');
+    expect(onProgress).toHaveBeenLastCalledWith({ bytesSent: 2500, totalSize: 2500, percent: 100 });
+  });
+
+  test('fails when the printer rejects a chunk', async () => {
+    const fetchImpl = jest.fn(async () => ({
+      ok: true,
+      json: async () => ({ code: '000003', success: false, messages: [{ field: 'md5' }] })
+    }));
+
+    await expect(
+      uploadFileToPrinter('192.168.1.100', filePath, { filename: 'cube.gcode', fetchImpl })
+    ).rejects.toThrow('Printer rejected upload at offset 0');
+  });
+});
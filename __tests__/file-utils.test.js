@@ -0,0 +1,37 @@
+const { isValidPrinterPath, normalizeFileEntry, normalizeFileList } = require('utils/file-utils');
+
+describe('file-utils', () => {
+  test('isValidPrinterPath accepts storage roots only', () => {
+    expect(isValidPrinterPath('/local/model.gcode')).toBe(true);
+    expect(isValidPrinterPath('/usb/parts/bracket.gcode')).toBe(true);
+    expect(isValidPrinterPath('/etc/passwd')).toBe(false);
+    expect(isValidPrinterPath('/local/../etc/passwd')).toBe(false);
+    expect(isValidPrinterPath(undefined)).toBe(false);
+  });
+
+  test('normalizeFileEntry maps SDCP fields', () => {
+    const entry = normalizeFileEntry(
+      { name: '/usb/parts/bracket.gcode', FileSize: 2048, storageType: 1, type: 1, Thumbnail: '/thumb/bracket.png' },
+      '192.168.1.100'
+    );
+    expect(entry).toEqual({
+      name: 'bracket.gcode',
+      path: '/usb/parts/bracket.gcode',
+      type: 'file',
+      storage: 'usb',
+      size: 2048,
+      thumbnail: 'http://192.168.1.100/thumb/bracket.png'
+    });
+  });
+
+  test('normalizeFileList puts folders first and sorts by name', () => {
+    const files = normalizeFileList([
+      { name: '/local/b.gcode', type: 1 },
+      { name: '/local/a.gcode', type: 1 },
+      { name: '/local/models', type: 0 }
+    ]);
+    expect(files.map((f) => f.name)).toEqual(['models', 'a.gcode', 'b.gcode']);
+    expect(files[0].size).toBeNull();
+    expect(normalizeFileList(undefined)).toEqual([]);
+  });
+});
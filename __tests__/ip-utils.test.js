@@ -1,4 +1,4 @@
-const { normalizeIP, isLocalIP, pickForwardedIP, getClientIP } = require('utils/ip-utils');
+const { normalizeIP, isLocalIP, pickForwardedIP, getClientIP, broadcastAddress, parseCidr, cidrHostCount, cidrHosts } = require('utils/ip-utils');
 
 describe('ip-utils', () => {
   test('normalizes IPv4-mapped IPv6', () => {
@@ -25,4 +25,17 @@ describe('ip-utils', () => {
     const req = { headers: {}, socket: { remoteAddress: '192.168.1.4' } };
     expect(getClientIP(req, req.socket, true)).toBe('192.168.1.4');
   });
+
+  test('computes broadcast addresses and CIDR hosts', () => {
+    expect(broadcastAddress('192.168.1.20', '255.255.255.0')).toBe('192.168.1.255');
+    expect(broadcastAddress('10.1.2.3', '255.255.240.0')).toBe('10.1.15.255');
+    expect(parseCidr('10.0.5.77/24')).toMatchObject({ prefix: 24, last: parseCidr('10.0.5.0/24').first + 255 });
+    expect(parseCidr('300.1.1.1/24')).toBeNull();
+    expect(parseCidr('10.0.0.1/33')).toBeNull();
+    expect(cidrHosts('10.0.5.0/30')).toEqual(['10.0.5.1', '10.0.5.2']);
+    expect(cidrHosts('10.0.5.9/32')).toEqual(['10.0.5.9']);
+    expect(cidrHosts('10.0.0.0/24')).toHaveLength(254);
+    expect(['10.0.5.0/30', '10.0.5.8/31', '10.0.5.9/32', '10.0.0.0/24'].map(cidrHostCount)).toEqual([2, 2, 1, 254]);
+    expect(cidrHostCount('bogus')).toBe(0);
+  });
 });
@@ -0,0 +1,40 @@
+const { validateJobAction } = require('utils/job-control');
+
+const statusWithJob = (jobState, connected = true) => ({
+  connected,
+  status: {
+    consolidated: jobState,
+    machine: { state: 'PRINTING', code: 1 },
+    job: { state: jobState, code: null }
+  }
+});
+
+describe('job-control', () => {
+  test('allows pausing and stopping a running print', () => {
+    expect(validateJobAction('pause', statusWithJob('PRINTING'))).toBeNull();
+    expect(validateJobAction('stop', statusWithJob('PRINTING'))).toBeNull();
+  });
+
+  test('only resumes a paused job', () => {
+    expect(validateJobAction('resume', statusWithJob('PAUSED'))).toBeNull();
+    expect(validateJobAction('resume', statusWithJob('PRINTING'))).toBe('Cannot resume a job in state PRINTING');
+  });
+
+  test('rejects pausing an idle or already paused job', () => {
+    expect(validateJobAction('pause', statusWithJob('IDLE'))).toMatch(/Cannot pause/);
+    expect(validateJobAction('pause', statusWithJob('PAUSED'))).toMatch(/Cannot pause/);
+  });
+
+  test('rejects actions when disconnected or unknown', () => {
+    expect(validateJobAction('stop', statusWithJob('PRINTING', false))).toBe('Printer is not connected');
+    expect(validateJobAction('restart', statusWithJob('PRINTING'))).toBe('Unknown job action: restart');
+  });
+
+  test('only starts a print when the printer is idle', () => {
+    const finished = statusWithJob('COMPLETE');
+    finished.status.machine.state = 'IDLE';
+    expect(validateJobAction('start', finished)).toBeNull();
+    expect(validateJobAction('start', statusWithJob('COMPLETE'))).toBe('Cannot start a job while the printer is PRINTING');
+    expect(validateJobAction('start', statusWithJob('PAUSED'))).toMatch(/Cannot start/);
+  });
+});
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JobHistory = require('utils/job-history');
+
+const statusFor = (jobState, overrides = {}) => ({
+  printerName: 'Carbon',
+  currentFile: 'cube.gcode',
+  printTime: 60,
+  remainingTime: 540,
+  layers: { total: 100, current: 10 },
+  temperatures: {
+    nozzle: { current: 210, target: 210 },
+    bed: { current: 60, target: 60 },
+    enclosure: { current: 30, target: 0 }
+  },
+  status: {
+    consolidated: jobState,
+    machine: { state: 'PRINTING', code: 1 },
+    job: { state: jobState, code: null }
+  },
+  ...overrides
+});
+
+describe('JobHistory', () => {
+  const start = new Date('2026-01-03T12:00:00Z');
+  const end = new Date('2026-01-03T12:15:00Z');
+
+  test('records a job from start to completion', () => {
+    const history = new JobHistory();
+    const ended = jest.fn();
+    history.on('jobEnded', ended);
+
+    history.observe('A1', statusFor('PREHEATING'), start);
+    history.observe('A1', statusFor('PRINTING', { temperatures: { nozzle: { current: 215 }, bed: { current: 61 }, enclosure: { current: 31 } } }), start);
+    history.observe('A1', statusFor('COMPLETE', { layers: { total: 100, current: 100 } }), end);
+
+    const { total, records } = history.query();
+    expect(total).toBe(1);
+    expect(records[0]).toMatchObject({
+      printerId: 'A1',
+      file: 'cube.gcode',
+      state: 'complete',
+      totalLayers: 100,
+      layersCompleted: 100,
+      peakTemperatures: { nozzle: 215, bed: 61, enclosure: 31 },
+      estimatedDuration: 600,
+      actualDuration: 900
+    });
+    expect(ended).toHaveBeenCalledTimes(1);
+    expect(history.getActive()).toEqual([]);
+  });
+
+  test('maps stopped and vanished jobs to final states', () => {
+    const history = new JobHistory();
+    history.observe('A1', statusFor('PRINTING'), start);
+    history.observe('A1', statusFor('STOPPED'), end);
+    history.observe('B2', statusFor('PRINTING'), start);
+    history.observe('B2', statusFor('IDLE'), end);
+
+    expect(history.query({ state: 'stopped' }).records[0].printerId).toBe('A1');
+    expect(history.query({ state: 'failed' }).records[0].printerId).toBe('B2');
+  });
+
+  test('does not start a job for idle or finished printers', () => {
+    const history = new JobHistory();
+    history.observe('A1', statusFor('IDLE'), start);
+    history.observe('A1', statusFor('COMPLETE'), start);
+    expect(history.getActive()).toEqual([]);
+    expect(history.query().total).toBe(0);
+  });
+
+  test('pages and filters records newest first', () => {
+    const history = new JobHistory();
+    for (let i = 0; i < 5; i++) {
+      const t = new Date(start.getTime() + i * 3600000);
+      history.observe('A1', statusFor('PRINTING', { currentFile: `part${i}.gcode` }), t);
+      history.observe('A1', statusFor('COMPLETE', { currentFile: `part${i}.gcode` }), t);
+    }
+
+    const page = history.query({ page: 2, pageSize: 2 });
+    expect(page.total).toBe(5);
+    expect(page.records.map((r) => r.file)).toEqual(['part2.gcode', 'part1.gcode']);
+    expect(history.query({ file: 'PART4' }).total).toBe(1);
+    expect(history.query({ from: '2026-01-03T14:00:00Z' }).total).toBe(3);
+  });
+
+  test('persists records and in-progress jobs across restarts', () => {
+    const filePath = path.join(os.tmpdir(), `job-history-test-${process.pid}.json`);
+    try {
+      const first = new JobHistory({ filePath });
+      first.observe('A1', statusFor('PRINTING', { currentFile: 'done.gcode' }), start);
+      first.observe('A1', statusFor('COMPLETE', { currentFile: 'done.gcode' }), end);
+      first.observe('A1', statusFor('PRINTING'), end);
+
+      const second = new JobHistory({ filePath });
+      expect(second.query().total).toBe(1);
+      expect(second.getActive()[0].file).toBe('cube.gcode');
+
+      second.observe('A1', statusFor('COMPLETE'), new Date('2026-01-03T12:30:00Z'));
+      expect(second.query().records[0]).toMatchObject({ file: 'cube.gcode', state: 'complete', actualDuration: 900 });
+    } finally {
+      fs.rmSync(filePath, { force: true });
+    }
+  });
+
+  test('imports printer tasks without duplicating known jobs', () => {
+    const history = new JobHistory();
+    history.observe('A1', statusFor('PRINTING'), start);
+    history.observe('A1', statusFor('COMPLETE'), end);
+
+    const tasks = [
+      // Same job the monitor recorded (started a few seconds apart)
+      { TaskId: 't1', TaskName: '/local/cube.gcode', BeginTime: start.getTime() / 1000 + 5, EndTime: end.getTime() / 1000, TaskStatus: 1 },
+      // Job that ran while the server was down
+      { TaskId: 't2', TaskName: '/local/offline.gcode', BeginTime: 1767400000, EndTime: 1767403600, TaskStatus: 3, AlreadyPrintLayer: 42 }
+    ];
+
+    expect(history.importPrinterTasks('A1', tasks, 'Carbon')).toBe(1);
+    expect(history.importPrinterTasks('A1', tasks, 'Carbon')).toBe(0);
+
+    const { total, records } = history.query();
+    expect(total).toBe(2);
+    expect(history.hasTask('A1', 't1')).toBe(true);
+    expect(records.find((r) => r.taskId === 't2')).toMatchObject({
+      file: 'offline.gcode',
+      source: 'printer',
+      state: 'stopped',
+      layersCompleted: 42,
+      actualDuration: 3600
+    });
+  });
+
+  test('attaches a task seen mid-print to the monitor record once the job ends', () => {
+    const history = new JobHistory();
+    const task = { TaskId: 't9', TaskName: 'cube.gcode', BeginTime: start.getTime() / 1000, TaskStatus: 0 };
+    history.observe('A1', statusFor('PRINTING'), start);
+    expect(history.importPrinterTasks('A1', [task])).toBe(0);
+    history.observe('A1', statusFor('COMPLETE'), end);
+    expect(history.importPrinterTasks('A1', [{ ...task, EndTime: end.getTime() / 1000, TaskStatus: 1 }])).toBe(0);
+
+    const { total, records } = history.query();
+    expect(total).toBe(1);
+    expect(records[0]).toMatchObject({ source: 'monitor', state: 'complete', taskId: 't9' });
+  });
+
+  test('takes the final state from the printer when the monitor missed the end of a job', () => {
+    const history = new JobHistory();
+    history.observe('A1', statusFor('PRINTING'), start);
+    // The printer was offline when the print finished; the monitor only saw it idle afterwards
+    history.observe('A1', statusFor('IDLE'), new Date('2026-01-03T13:00:00Z'));
+    expect(history.query().records[0]).toMatchObject({ state: 'failed', actualDuration: 3600 });
+
+    history.importPrinterTasks('A1', [
+      { TaskId: 't3', TaskName: '/local/cube.gcode', BeginTime: start.getTime() / 1000, EndTime: end.getTime() / 1000, TaskStatus: 1 }
+    ]);
+    const { total, records } = history.query();
+    expect(total).toBe(1);
+    expect(records[0]).toMatchObject({
+      source: 'monitor',
+      taskId: 't3',
+      state: 'complete',
+      endTime: end.toISOString(),
+      actualDuration: 900
+    });
+  });
+
+  test('leaves unfinished and unknown printer tasks for a later sync', () => {
+    const history = new JobHistory();
+    const task = { TaskId: 't5', TaskName: '/local/offline.gcode', BeginTime: 1767400000, TaskStatus: 0 };
+
+    expect(history.importPrinterTasks('A1', [task, { ...task, TaskId: 't6', TaskStatus: 7 }])).toBe(0);
+    expect(history.hasTask('A1', 't5')).toBe(false);
+    expect(history.hasTask('A1', 't6')).toBe(false);
+
+    expect(history.importPrinterTasks('A1', [{ ...task, EndTime: 1767403600, TaskStatus: 1 }])).toBe(1);
+    expect(history.query().records[0]).toMatchObject({ taskId: 't5', state: 'complete', actualDuration: 3600 });
+  });
+});
@@ -0,0 +1,47 @@
+const { formatMetrics, escapeLabelValue } = require('utils/metrics');
+
+describe('metrics', () => {
+  test('formats families in the Prometheus text format', () => {
+    const text = formatMetrics([
+      {
+        name: 'printer_up',
+        help: 'Whether the printer is up',
+        samples: [
+          { labels: { printer: 'Carbon', mainboard_id: 'A1' }, value: true },
+          { labels: { printer: 'Other', mainboard_id: 'B2' }, value: false }
+        ]
+      },
+      {
+        name: 'sdcp_command_duration_seconds',
+        help: 'Round-trip time',
+        type: 'summary',
+        samples: [
+          { labels: { cmd: 0 }, suffix: '_sum', value: 0.25 },
+          { labels: { cmd: 0 }, suffix: '_count', value: 5 }
+        ]
+      }
+    ]);
+
+    expect(text).toBe([
+      '# HELP elegoo_printer_up Whether the printer is up',
+      '# TYPE elegoo_printer_up gauge',
+      'elegoo_printer_up{printer="Carbon",mainboard_id="A1"} 1',
+      'elegoo_printer_up{printer="Other",mainboard_id="B2"} 0',
+      '# HELP elegoo_sdcp_command_duration_seconds Round-trip time',
+      '# TYPE elegoo_sdcp_command_duration_seconds summary',
+      'elegoo_sdcp_command_duration_seconds_sum{cmd="0"} 0.25',
+      'elegoo_sdcp_command_duration_seconds_count{cmd="0"} 5',
+      ''
+    ].join('\n'));
+  });
+
+  test('skips samples without a value and escapes label values', () => {
+    const text = formatMetrics([
+      { name: 'job_state_code', help: 'Job state', samples: [{ labels: { printer: 'A' }, value: null }] },
+      { name: 'web_clients', help: 'Clients', samples: [{ value: 3 }] }
+    ]);
+    expect(text).not.toContain('elegoo_job_state_code{');
+    expect(text).toContain('elegoo_web_clients 3\n');
+    expect(escapeLabelValue('My "Printer"\\2\n')).toBe('My \\"Printer\\"\\\\2\\n');
+  });
+});
@@ -0,0 +1,248 @@
+const EventEmitter = require('events');
+const net = require('net');
+const mqtt = require('mqtt');
+const Aedes = require('aedes');
+const MqttBridge = require('utils/mqtt-bridge');
+const { buildStatePayload, createMqttBridgeFromEnv } = MqttBridge;
+
+// Stand-in for an mqtt.js client that records what was published
+function createFakeClient() {
+  const client = new EventEmitter();
+  client.connected = false;
+  client.published = [];
+  client.subscriptions = [];
+  client.publish = jest.fn((topic, payload, options, callback) => {
+    client.published.push({ topic, payload, options });
+    if (callback) callback();
+  });
+  client.subscribe = jest.fn((topic) => client.subscriptions.push(topic));
+  client.end = jest.fn((force, options, callback) => callback && callback());
+  client.connectNow = () => {
+    client.connected = true;
+    client.emit('connect');
+  };
+  return client;
+}
+
+const printer = (overrides = {}) => ({
+  id: 'A1:B2',
+  name: 'Carbon',
+  status: {
+    connected: true,
+    printerName: 'Carbon',
+    progress: 42,
+    layers: { total: 100, current: 42 },
+    currentFile: 'cube.gcode',
+    temperatures: {
+      nozzle: { current: 210, target: 210 },
+      bed: { current: 60, target: 60 },
+      enclosure: { current: 30, target: 0 }
+    },
+    printTime: 600,
+    remainingTime: 900,
+    cameraAvailable: true,
+    status: {
+      consolidated: 'PRINTING',
+      machine: { state: 'PRINTING', code: 1 },
+      job: { state: 'PRINTING', code: 13 }
+    }
+  },
+  ...overrides
+});
+
+describe('MqttBridge', () => {
+  let client;
+  let bridge;
+
+  beforeEach(() => {
+    client = createFakeClient();
+    bridge = new MqttBridge({
+      url: 'mqtt://broker:1883',
+      topicPrefix: 'prints',
+      publishInterval: 5000,
+      cameraInterval: 10000,
+      connectImpl: jest.fn(() => client)
+    });
+    bridge.start();
+  });
+
+  const published = (topic) => client.published.filter((entry) => entry.topic === topic);
+
+  test('connects with an offline last will and announces the bridge', () => {
+    const [, options] = bridge.connectImpl.mock.calls[0];
+    expect(options.will).toEqual({ topic: 'prints/bridge/availability', payload: 'offline', retain: true, qos: 1 });
+
+    client.connectNow();
+    expect(published('prints/bridge/availability')[0]).toMatchObject({ payload: 'online', options: { retain: true } });
+    expect(client.subscriptions).toContain('homeassistant/status');
+  });
+
+  test('publishes retained state, availability and discovery for a printer', () => {
+    client.connectNow();
+    const now = Date.parse('2026-01-03T12:00:00Z');
+    bridge.setAvailability('A1:B2', true);
+    bridge.updatePrinter(printer(), now);
+
+    expect(published('prints/A1_B2/availability')[0].payload).toBe('online');
+    const state = JSON.parse(published('prints/A1_B2/state')[0].payload);
+    expect(state).toMatchObject({
+      state: 'PRINTING',
+      progress: 42,
+      nozzle_temperature: 210,
+      eta: '2026-01-03T12:15:00.000Z'
+    });
+
+    const nozzle = published('homeassistant/sensor/elegoo_A1_B2/nozzle_temperature/config')[0];
+    expect(JSON.parse(nozzle.payload)).toMatchObject({
+      unique_id: 'elegoo_A1_B2_nozzle_temperature',
+      state_topic: 'prints/A1_B2/state',
+      device_class: 'temperature',
+      unit_of_measurement: '°C',
+      availability: [{ topic: 'prints/bridge/availability' }, { topic: 'prints/A1_B2/availability' }],
+      device: { identifiers: ['elegoo_A1_B2'], name: 'Carbon', manufacturer: 'Elegoo' }
+    });
+    expect(published('homeassistant/camera/elegoo_A1_B2/camera/config')).toHaveLength(1);
+  });
+
+  test('makes the ETA sensor unavailable instead of sending a null timestamp when idle', () => {
+    client.connectNow();
+    const idle = printer();
+    idle.status = { ...idle.status, remainingTime: 0, status: { consolidated: 'IDLE', machine: { state: 'IDLE', code: 0 }, job: { state: 'IDLE', code: 0 } } };
+    bridge.updatePrinter(idle);
+
+    expect(JSON.parse(published('prints/A1_B2/state')[0].payload)).not.toHaveProperty('eta');
+    const eta = JSON.parse(published('homeassistant/sensor/elegoo_A1_B2/eta/config')[0].payload);
+    expect(eta).toMatchObject({ device_class: 'timestamp', value_template: '{{ value_json.eta }}', availability_mode: 'all' });
+    expect(eta.availability[2]).toEqual({
+      topic: 'prints/A1_B2/state',
+      value_template: "{{ 'online' if value_json.eta is defined else 'offline' }}"
+    });
+  });
+
+  test('rate-limits state updates and skips unchanged states', () => {
+    jest.useFakeTimers();
+    try {
+      client.connectNow();
+      const now = Date.now();
+      bridge.updatePrinter(printer(), now);
+      bridge.updatePrinter(printer(), now + 1000);
+      bridge.updatePrinter(printer({ status: { ...printer().status, progress: 50 } }), now + 2000);
+      expect(published('prints/A1_B2/state')).toHaveLength(1);
+
+      jest.advanceTimersByTime(5000);
+      const states = published('prints/A1_B2/state');
+      expect(states).toHaveLength(2);
+      expect(JSON.parse(states[1].payload).progress).toBe(50);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('re-sends discovery when Home Assistant comes online', () => {
+    client.connectNow();
+    bridge.updatePrinter(printer());
+    const topic = 'homeassistant/sensor/elegoo_A1_B2/progress/config';
+    expect(published(topic)).toHaveLength(1);
+
+    client.emit('message', 'homeassistant/status', Buffer.from('online'));
+    expect(published(topic)).toHaveLength(2);
+  });
+
+  test('throttles camera snapshots', () => {
+    client.connectNow();
+    const frame = Buffer.from([0xff, 0xd8]);
+    bridge.publishCameraFrame('A1:B2', frame, 1000);
+    bridge.publishCameraFrame('A1:B2', frame, 5000);
+    bridge.publishCameraFrame('A1:B2', frame, 11000);
+    expect(published('prints/A1_B2/camera')).toHaveLength(2);
+  });
+
+  test('stop publishes offline before disconnecting', async () => {
+    client.connectNow();
+    await bridge.stop();
+    const availability = published('prints/bridge/availability');
+    expect(availability[availability.length - 1].payload).toBe('offline');
+    expect(client.end).toHaveBeenCalled();
+  });
+});
+
+describe('MqttBridge with a broker', () => {
+  let broker;
+  let server;
+  let url;
+
+  // Collects the retained messages a fresh subscriber gets for `topic`
+  async function retained(topic, count) {
+    const subscriber = await mqtt.connectAsync(url);
+    const messages = {};
+    const received = new Promise((resolve) => {
+      subscriber.on('message', (name, payload) => {
+        messages[name] = payload.toString();
+        if (Object.keys(messages).length === count) resolve();
+      });
+    });
+    await subscriber.subscribeAsync(topic);
+    await received;
+    await subscriber.endAsync();
+    return messages;
+  }
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    broker = Aedes();
+    server = net.createServer(broker.handle);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `mqtt://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => broker.close(resolve));
+    await new Promise((resolve) => server.close(resolve));
+    console.log.mockRestore();
+  });
+
+  test('leaves retained state behind and goes offline through its last will', async () => {
+    const bridge = new MqttBridge({ url, topicPrefix: 'prints', cameraInterval: 0 });
+    bridge.start();
+    await new Promise((resolve) => bridge.once('connect', resolve));
+    bridge.setAvailability('A1:B2', true);
+    bridge.updatePrinter(printer());
+
+    expect(await retained('prints/#', 3)).toEqual({
+      'prints/bridge/availability': 'online',
+      'prints/A1_B2/availability': 'online',
+      'prints/A1_B2/state': expect.stringContaining('"state":"PRINTING"')
+    });
+
+    // Drop the connection without a DISCONNECT packet, like a crashed server
+    const willSent = new Promise((resolve) => {
+      broker.on('publish', (packet) => {
+        if (packet.topic === 'prints/bridge/availability' && packet.payload.toString() === 'offline') resolve();
+      });
+    });
+    bridge.client.options.reconnectPeriod = 0;
+    bridge.client.stream.destroy();
+    await willSent;
+    expect(await retained('prints/bridge/availability', 1)).toEqual({ 'prints/bridge/availability': 'offline' });
+    await bridge.stop();
+  });
+});
+
+describe('mqtt-bridge helpers', () => {
+  test('buildStatePayload leaves the ETA out when idle', () => {
+    const state = buildStatePayload({ connected: true, remainingTime: 300, status: { job: { state: 'IDLE' } } });
+    expect(state).not.toHaveProperty('eta');
+    expect(state.job_state).toBe('IDLE');
+  });
+
+  test('createMqttBridgeFromEnv is disabled without MQTT_URL', () => {
+    expect(createMqttBridgeFromEnv({})).toBeNull();
+    const bridge = createMqttBridgeFromEnv({
+      MQTT_URL: 'mqtt://localhost',
+      MQTT_USERNAME: 'ha',
+      MQTT_TOPIC_PREFIX: 'printers/',
+      MQTT_CAMERA_INTERVAL: '0'
+    });
+    expect(bridge).toMatchObject({ username: 'ha', topicPrefix: 'printers', cameraInterval: 0 });
+  });
+});
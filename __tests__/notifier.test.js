@@ -0,0 +1,127 @@
+const Notifier = require('utils/notifier');
+const { renderTemplate, isQuietTime, formatDuration, normalizeChannels } = Notifier;
+
+const event = (type, overrides = {}) => ({
+  type,
+  timestamp: '2026-01-03T12:00:00.000Z',
+  printer: { id: 'A1', name: 'Carbon', address: '192.168.1.50' },
+  job: { file: 'cube.gcode', state: 'COMPLETE', progress: 100, layer: 80, totalLayers: 80, printTime: 3930, remainingTime: 0 },
+  details: {},
+  ...overrides
+});
+const ok = () => Promise.resolve({ ok: true, status: 200 });
+const noon = new Date(2026, 0, 3, 12, 0);
+
+describe('Notifier', () => {
+  test('renders default and custom templates', () => {
+    const notifier = new Notifier({
+      templates: { 'job.started': { message: '{{job.file}} on {{printer.address}}' } }
+    });
+    expect(notifier.renderMessage(event('job.completed'))).toEqual({
+      title: 'Carbon: print finished',
+      message: 'cube.gcode finished after 1h 05m'
+    });
+    expect(notifier.renderMessage(event('job.started')).message).toBe('cube.gcode on 192.168.1.50');
+    expect(notifier.renderMessage(event('job.started'), { templates: { 'job.started': { title: 'Go {{missing.value}}' } } }).title).toBe('Go ');
+  });
+
+  test('sends to each channel type at its configured base URL', async () => {
+    const fetchImpl = jest.fn(ok);
+    const notifier = new Notifier({
+      fetchImpl,
+      channels: [
+        { type: 'discord', url: 'http://stand-in/discord' },
+        { type: 'telegram', botToken: 'T', chatId: 42, baseUrl: 'http://stand-in/tg/' },
+        { type: 'ntfy', topic: 'prints', baseUrl: 'http://stand-in/ntfy', token: 'tk' },
+        { type: 'gotify', baseUrl: 'http://stand-in/gotify', token: 'g' },
+        { type: 'http', url: 'http://stand-in/hook' }
+      ]
+    });
+
+    const results = await notifier.notify(event('job.paused'), noon);
+    expect(results.map((entry) => entry.status)).toEqual(['sent', 'sent', 'sent', 'sent', 'sent']);
+
+    const calls = Object.fromEntries(fetchImpl.mock.calls.map(([url, init]) => [url, init]));
+    expect(JSON.parse(calls['http://stand-in/discord'].body).content).toBe('**Carbon: print paused**\ncube.gcode paused at 100% (layer 80/80)');
+    expect(JSON.parse(calls['http://stand-in/tg/botT/sendMessage'].body)).toMatchObject({ chat_id: 42 });
+    expect(calls['http://stand-in/ntfy/prints'].headers).toMatchObject({ Title: 'Carbon: print paused', Authorization: 'Bearer tk' });
+    expect(calls['http://stand-in/gotify/message'].headers['X-Gotify-Key']).toBe('g');
+    expect(JSON.parse(calls['http://stand-in/hook'].body)).toMatchObject({ title: 'Carbon: print paused', image: null });
+  });
+
+  test('attaches a camera snapshot when a print finishes', async () => {
+    const fetchImpl = jest.fn(ok);
+    const frame = Buffer.from([0xff, 0xd8, 0xff, 0xd9]);
+    // The server captures the snapshot asynchronously (it may wake the camera stream)
+    const getSnapshot = jest.fn(async () => frame);
+    const notifier = new Notifier({
+      fetchImpl,
+      getSnapshot,
+      channels: [
+        { type: 'telegram', botToken: 'T', chatId: 1, baseUrl: 'http://stand-in' },
+        { type: 'ntfy', topic: 'prints', baseUrl: 'http://stand-in' },
+        { type: 'gotify', baseUrl: 'http://stand-in', token: 'g' }
+      ]
+    });
+
+    const [telegram, ntfy, gotify] = await notifier.notify(event('job.completed'), noon);
+    expect(getSnapshot).toHaveBeenCalledTimes(1);
+    expect(getSnapshot).toHaveBeenCalledWith('A1');
+    expect([telegram.snapshot, ntfy.snapshot, gotify.snapshot]).toEqual([true, true, false]);
+
+    const calls = Object.fromEntries(fetchImpl.mock.calls.map(([url, init]) => [url, init]));
+    const telegramInit = calls['http://stand-in/botT/sendPhoto'];
+    const ntfyInit = calls['http://stand-in/prints'];
+    expect(telegramInit.body.get('photo').size).toBe(4);
+    expect(ntfyInit).toMatchObject({ method: 'PUT', body: frame });
+    expect(ntfyInit.headers).toMatchObject({ Filename: 'snapshot.jpg', Message: 'cube.gcode finished after 1h 05m' });
+  });
+
+  test('skips channels in quiet hours and filters events', async () => {
+    const fetchImpl = jest.fn(ok);
+    const notifier = new Notifier({
+      fetchImpl,
+      channels: [
+        { id: 'night', type: 'http', url: 'http://a', quietHours: { start: '22:00', end: '07:00' } },
+        { id: 'done-only', type: 'http', url: 'http://b', events: ['job.completed'] }
+      ]
+    });
+
+    const results = await notifier.notify(event('job.paused'), new Date(2026, 0, 3, 23, 30));
+    expect(results).toEqual([expect.objectContaining({ channel: 'night', status: 'quiet' })]);
+    expect(fetchImpl).not.toHaveBeenCalled();
+    expect(notifier.getLog()[0]).toMatchObject({ channel: 'night', status: 'quiet' });
+  });
+
+  test('records failed deliveries', async () => {
+    const notifier = new Notifier({
+      fetchImpl: jest.fn(() => Promise.resolve({ ok: false, status: 401 })),
+      channels: [{ type: 'gotify', baseUrl: 'http://stand-in', token: 'bad' }]
+    });
+    const [result] = await notifier.notify(event('job.stopped'), noon);
+    expect(result).toMatchObject({ status: 'failed', error: 'HTTP 401' });
+  });
+});
+
+describe('notifier helpers', () => {
+  test('quiet hours wrap around midnight', () => {
+    const quiet = { start: '22:00', end: '07:00' };
+    expect(isQuietTime(quiet, new Date(2026, 0, 3, 23, 0))).toBe(true);
+    expect(isQuietTime(quiet, new Date(2026, 0, 3, 6, 59))).toBe(true);
+    expect(isQuietTime(quiet, new Date(2026, 0, 3, 7, 0))).toBe(false);
+    expect(isQuietTime({ start: '12:00', end: '13:00' }, noon)).toBe(true);
+    expect(isQuietTime(null, noon)).toBe(false);
+  });
+
+  test('formats durations and templates', () => {
+    expect(formatDuration(750)).toBe('12m 30s');
+    expect(renderTemplate('{{ a.b }}-{{c}}', { a: { b: 1 }, c: 0 })).toBe('1-0');
+  });
+
+  test('validates channel configs', () => {
+    expect(() => normalizeChannels([{ type: 'pager' }])).toThrow('unknown type pager');
+    expect(() => normalizeChannels([{ type: 'telegram', botToken: 'T' }])).toThrow('botToken and chatId');
+    expect(() => normalizeChannels([{ type: 'http', url: 'http://x', quietHours: { start: '25:00', end: '07:00' } }])).toThrow('HH:MM');
+    expect(normalizeChannels([{ type: 'ntfy', topic: 't' }])[0]).toMatchObject({ id: 'ntfy-1', events: ['*'], snapshot: true });
+  });
+});
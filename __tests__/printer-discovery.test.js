@@ -0,0 +1,36 @@
+const PrinterDiscovery = require('utils/printer-discovery');
+const { checkProbeRanges } = PrinterDiscovery;
+
+describe('PrinterDiscovery', () => {
+  test('targets each interface broadcast address and the probe ranges', () => {
+    const discovery = new PrinterDiscovery({
+      probeRanges: ['10.20.0.0/30'],
+      networkInterfaces: () => ({
+        lo: [{ address: '127.0.0.1', netmask: '255.0.0.0', family: 'IPv4', internal: true }],
+        eth0: [
+          { address: '192.168.1.20', netmask: '255.255.255.0', family: 'IPv4', internal: false },
+          { address: 'fe80::1', netmask: 'ffff:ffff:ffff:ffff::', family: 'IPv6', internal: false }
+        ],
+        'eth0.30': [{ address: '10.0.30.5', netmask: '255.255.254.0', family: 'IPv4', internal: false }]
+      })
+    });
+
+    expect(discovery.getTargets()).toEqual(['255.255.255.255', '192.168.1.255', '10.0.31.255', '10.20.0.1', '10.20.0.2']);
+  });
+
+  test('validates probe ranges', () => {
+    expect(checkProbeRanges(['10.0.5.0/24', '10.0.6.7/32'])).toBeNull();
+    expect(checkProbeRanges('10.0.5.0/24')).toBe('must be a list of CIDR ranges');
+    expect(checkProbeRanges(['10.0.5.0'])).toBe('has an invalid CIDR range ("10.0.5.0")');
+    expect(checkProbeRanges(['10.0.0.0/16'])).toContain('at most 4096');
+    expect(checkProbeRanges(['10.0.16.0/21', '10.0.24.0/21', '10.0.32.0/30'])).toBeNull();
+    expect(checkProbeRanges(['10.0.16.0/21', '10.0.24.0/21', '10.0.32.0/29'])).toBe('covers 4098 addresses, at most 4096 can be probed');
+  });
+
+  test('rejects huge probe ranges without listing their addresses', () => {
+    const started = Date.now();
+    expect(checkProbeRanges(['10.0.0.0/8'])).toBe('covers 16777214 addresses, at most 4096 can be probed');
+    expect(checkProbeRanges(['0.0.0.0/0'])).toBe('covers 4294967294 addresses, at most 4096 can be probed');
+    expect(Date.now() - started).toBeLessThan(100);
+  });
+});
@@ -0,0 +1,54 @@
+const { PRINTER_EVENTS, detectJobEvents, jobEventDetails, buildPrinterEvent } = require('utils/printer-events');
+
+describe('printer-events', () => {
+  test('detects job transitions', () => {
+    expect(detectJobEvents('IDLE', 'PREHEATING')).toEqual([PRINTER_EVENTS.JOB_STARTED]);
+    expect(detectJobEvents('PRINTING', 'PAUSED')).toEqual([PRINTER_EVENTS.JOB_PAUSED]);
+    expect(detectJobEvents('PAUSED', 'PRINTING')).toEqual([PRINTER_EVENTS.JOB_RESUMED]);
+    expect(detectJobEvents('PRINTING', 'COMPLETE')).toEqual([PRINTER_EVENTS.JOB_COMPLETED]);
+    expect(detectJobEvents('STOPPING', 'STOPPED')).toEqual([PRINTER_EVENTS.JOB_STOPPED]);
+    expect(detectJobEvents('STOPPING', 'IDLE')).toEqual([PRINTER_EVENTS.JOB_STOPPED]);
+    expect(detectJobEvents('PRINTING', 'IDLE')).toEqual([PRINTER_EVENTS.JOB_FAILED]);
+  });
+
+  test('ignores unchanged and unknown states', () => {
+    expect(detectJobEvents('PRINTING', 'PRINTING')).toEqual([]);
+    expect(detectJobEvents('PRINTING', 'LIFTING')).toEqual([]);
+    // Server started mid-print
+    expect(detectJobEvents('UNKNOWN', 'PRINTING')).toEqual([]);
+    expect(detectJobEvents(undefined, 'COMPLETE')).toEqual([]);
+  });
+
+  test('builds an event with printer and job details', () => {
+    const printer = {
+      id: 'A1',
+      address: '192.168.1.50',
+      status: {
+        printerName: 'Carbon',
+        currentFile: 'cube.gcode',
+        progress: 100,
+        layers: { total: 80, current: 80 },
+        printTime: 900,
+        remainingTime: 0,
+        status: { job: { state: 'COMPLETE' } }
+      }
+    };
+    const event = buildPrinterEvent(PRINTER_EVENTS.JOB_COMPLETED, printer, { previousState: 'PRINTING' }, new Date('2026-01-03T12:00:00Z'));
+    expect(event).toEqual({
+      type: 'job.completed',
+      timestamp: '2026-01-03T12:00:00.000Z',
+      printer: { id: 'A1', name: 'Carbon', address: '192.168.1.50' },
+      job: { file: 'cube.gcode', state: 'COMPLETE', progress: 100, layer: 80, totalLayers: 80, printTime: 900, remainingTime: 0 },
+      details: { previousState: 'PRINTING' }
+    });
+  });
+
+  test('marks job control events as requested shortly after an API request', () => {
+    const lastJobAction = { action: 'pause', at: 1000 };
+    expect(jobEventDetails('job.paused', 'PRINTING', lastJobAction, 5000)).toEqual({ previousState: 'PRINTING', requested: true });
+    expect(jobEventDetails('job.paused', 'PRINTING', lastJobAction, 120000)).toEqual({ previousState: 'PRINTING', requested: false });
+    expect(jobEventDetails('job.paused', 'PRINTING', null, 5000)).toEqual({ previousState: 'PRINTING', requested: false });
+    expect(jobEventDetails('job.stopped', 'PAUSED', lastJobAction, 5000)).toEqual({ previousState: 'PAUSED', requested: false });
+    expect(jobEventDetails('job.completed', 'PRINTING', lastJobAction, 5000)).toEqual({ previousState: 'PRINTING' });
+  });
+});
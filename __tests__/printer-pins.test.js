@@ -0,0 +1,30 @@
+const { parsePrinterPins, checkPrinterPins, pinnedPrinterId, checkPrinterIdentity } = require('utils/printer-pins');
+
+describe('printer pins', () => {
+  test('parses addresses, MainboardIDs and MainboardID@address entries', () => {
+    expect(parsePrinterPins(' 10.0.5.20, f25273b12b094c5a@10.0.6.7 ,abc123,')).toEqual([
+      { address: '10.0.5.20' },
+      { mainboardId: 'f25273b12b094c5a', address: '10.0.6.7' },
+      { mainboardId: 'abc123' }
+    ]);
+    expect(pinnedPrinterId({ address: '10.0.5.20' })).toBe('10.0.5.20');
+    expect(pinnedPrinterId({ mainboardId: 'abc123', address: '10.0.5.20' })).toBe('abc123');
+  });
+
+  test('reports invalid pins', () => {
+    expect(checkPrinterPins([{ address: '10.0.5.20', name: 'Carbon' }, { mainboardId: 'abc123' }])).toBeNull();
+    expect(checkPrinterPins('10.0.5.20')).toBe('must be a list of printers');
+    expect(checkPrinterPins([{ name: 'Carbon' }])).toBe('entry 1 needs an address or a mainboardId');
+    expect(checkPrinterPins(parsePrinterPins('192.168.1.300'))).toContain('mainboardId is not a MainboardID');
+    expect(checkPrinterPins([{ address: 'printer.lan' }])).toContain('not an IP address');
+    expect(checkPrinterPins([{ address: '10.0.5.20', port: 3030 }])).toBe('entry 1 has an unknown field "port"');
+    expect(checkPrinterPins([{ mainboardId: 'abc' }, { mainboardId: 'abc', address: '10.0.5.21' }])).toBe('entry 2 repeats abc');
+  });
+
+  test('rejects a printer whose Attributes report another MainboardID', () => {
+    expect(() => checkPrinterIdentity({ MainboardID: 'abc123' }, 'abc123', '10.0.5.20')).not.toThrow();
+    expect(() => checkPrinterIdentity({ MainboardID: 'def456' }, 'abc123', '10.0.5.20'))
+      .toThrow(expect.objectContaining({ statusCode: 409, message: 'Printer at 10.0.5.20 reports MainboardID def456, expected abc123' }));
+    expect(() => checkPrinterIdentity({}, 'abc123', '10.0.5.20')).toThrow('(none)');
+  });
+});
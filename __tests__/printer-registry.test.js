@@ -0,0 +1,50 @@
+const PrinterRegistry = require('utils/printer-registry');
+const { createDefaultPrinterStatus, resolvePrinterId } = PrinterRegistry;
+
+describe('PrinterRegistry', () => {
+  test('first added printer becomes the default', () => {
+    const registry = new PrinterRegistry();
+    registry.add('A1', { address: '192.168.1.10', name: 'Left' });
+    registry.add('B2', { address: '192.168.1.11', name: 'Right' });
+
+    expect(registry.size).toBe(2);
+    expect(registry.getDefault().id).toBe('A1');
+    expect(registry.findByAddress('192.168.1.11').id).toBe('B2');
+  });
+
+  test('add returns the existing entry and updates its address', () => {
+    const registry = new PrinterRegistry();
+    const first = registry.add('A1', { address: '192.168.1.10' });
+    const second = registry.add('A1', { address: '192.168.1.20' });
+
+    expect(second).toBe(first);
+    expect(first.address).toBe('192.168.1.20');
+  });
+
+  test('entries do not share nested status objects', () => {
+    const registry = new PrinterRegistry();
+    const a = registry.add('A1');
+    const b = registry.add('B2');
+    a.status.temperatures.bed.current = 60;
+
+    expect(b.status.temperatures.bed.current).toBe(0);
+    expect(createDefaultPrinterStatus().temperatures.bed.current).toBe(0);
+  });
+
+  test('removing the default promotes the next printer', () => {
+    const registry = new PrinterRegistry();
+    registry.add('A1');
+    registry.add('B2');
+    registry.remove('A1');
+
+    expect(registry.getDefault().id).toBe('B2');
+    registry.remove('B2');
+    expect(registry.getDefault()).toBeNull();
+  });
+
+  test('resolvePrinterId prefers the mainboard ID', () => {
+    expect(resolvePrinterId({ Id: 'x', Data: { MainboardID: 'MB1' }, address: '10.0.0.2' })).toBe('MB1');
+    expect(resolvePrinterId({ address: '10.0.0.2' })).toBe('10.0.0.2');
+    expect(resolvePrinterId('10.0.0.3')).toBe('10.0.0.3');
+  });
+});
@@ -0,0 +1,100 @@
+const PrinterSimulator = require('utils/printer-simulator');
+const { SIMULATOR_SCRIPTS, checkScript } = PrinterSimulator;
+
+const job = (extra = []) => [
+  { action: 'start', file: 'cube.gcode', layers: 10, nozzle: 200, bed: 50, seconds: 2 },
+  { action: 'heat', seconds: 10 },
+  { action: 'level', seconds: 5 },
+  { action: 'print', seconds: 20 },
+  ...extra,
+  { action: 'complete' },
+  { action: 'idle', seconds: 30 }
+];
+
+const printInfo = (simulator) => simulator.statusMessage().Status.PrintInfo;
+
+describe('PrinterSimulator', () => {
+  test('plays a job through heating, leveling, printing and completion', () => {
+    const simulator = new PrinterSimulator({ script: job(), loop: false, now: () => 1700000000000 });
+    const states = [];
+    simulator.on('change', () => states.push(printInfo(simulator).Status));
+
+    expect(simulator.statusMessage().Status.CurrentStatus).toEqual([1]);
+    expect(printInfo(simulator)).toMatchObject({ Status: 1, Filename: 'cube.gcode', TotalLayer: 10, TotalTicks: 37 });
+
+    simulator.tick(7);
+    expect(printInfo(simulator).Status).toBe(16);
+    simulator.tick(5);
+    // Heating reaches the job temperatures as it ends
+    expect(simulator.statusMessage().Status).toMatchObject({ TempOfNozzle: 200, TempTargetNozzle: 200, TempOfHotbed: 50 });
+    simulator.tick(15);
+    expect(printInfo(simulator)).toMatchObject({ Status: 3, CurrentLayer: 5, Progress: 50, CurrentTicks: 27 });
+
+    simulator.tick(10);
+    expect(simulator.statusMessage().Status.CurrentStatus).toEqual([0]);
+    expect(printInfo(simulator)).toMatchObject({ Status: 9, CurrentLayer: 10, Progress: 100 });
+    expect(simulator.statusMessage().Status.TempTargetNozzle).toBe(0);
+    expect(states).toEqual([16, 20, 3, 9]);
+    expect(simulator.handleCommand(320)).toEqual({ Ack: 0, HistoryData: [printInfo(simulator).TaskId] });
+    expect(simulator.handleCommand(321, { Id: [printInfo(simulator).TaskId] }).HistoryDetailList[0])
+      .toMatchObject({ TaskName: '/local/cube.gcode', TaskStatus: 1, AlreadyPrintLayer: 10, BeginTime: 1700000000 });
+  });
+
+  test('pauses, resumes and stops on command', () => {
+    const simulator = new PrinterSimulator({ script: job() });
+    simulator.tick(27);
+    expect(simulator.handleCommand(131)).toEqual({ Ack: 1 });
+
+    expect(simulator.handleCommand(129)).toEqual({ Ack: 0 });
+    expect(printInfo(simulator).Status).toBe(5);
+    simulator.tick(60);
+    expect(printInfo(simulator)).toMatchObject({ Status: 6, CurrentLayer: 5 });
+
+    expect(simulator.handleCommand(131)).toEqual({ Ack: 0 });
+    simulator.tick(4);
+    // The rest of the print step continues where it stopped
+    expect(printInfo(simulator)).toMatchObject({ Status: 3, CurrentLayer: 7 });
+
+    expect(simulator.handleCommand(130)).toEqual({ Ack: 0 });
+    expect(simulator.statusMessage().Status.CurrentStatus).toEqual([7]);
+    simulator.tick(2);
+    expect(printInfo(simulator).Status).toBe(8);
+    expect(simulator.history[0].TaskStatus).toBe(3);
+    expect(simulator.handleCommand(130)).toEqual({ Ack: 1 });
+  });
+
+  test('scripted failures end the job with an error', () => {
+    const simulator = new PrinterSimulator({ script: SIMULATOR_SCRIPTS.error, loop: false });
+    simulator.tick(120);
+    expect(printInfo(simulator)).toMatchObject({ Status: 0, ErrorNumber: 3, CurrentLayer: 25 });
+    expect(simulator.history[0]).toMatchObject({ TaskStatus: 2, ErrorStatusReason: 'Filament runout' });
+  });
+
+  test('starts stored files and answers file and camera commands', () => {
+    const simulator = new PrinterSimulator({ script: job(), address: '10.0.0.5', cameraPort: 3031 });
+    expect(simulator.handleCommand(128, { Filename: '/local/cube.gcode' })).toEqual({ Ack: 1 });
+    simulator.tick(37);
+    expect(simulator.handleCommand(128, { Filename: '/local/missing.gcode' })).toEqual({ Ack: 2 });
+
+    simulator.addFile('vase.gcode', 1234);
+    expect(simulator.handleCommand(258, { Url: '/local/' }).FileList)
+      .toContainEqual({ name: '/local/vase.gcode', usedSize: 1234, totalSize: 1234, storageType: 0, type: 1 });
+    expect(simulator.handleCommand(128, { Filename: '/local/vase.gcode' })).toEqual({ Ack: 0 });
+    expect(printInfo(simulator)).toMatchObject({ Status: 1, Filename: 'vase.gcode' });
+
+    expect(simulator.handleCommand(386, { Enable: 1 })).toEqual({ Ack: 0, VideoUrl: '10.0.0.5:3031/video' });
+    simulator.videoStreams = simulator.maxVideoStreams;
+    expect(simulator.handleCommand(386, { Enable: 1 })).toEqual({ Ack: 1 });
+    expect(new PrinterSimulator({ camera: false }).handleCommand(386)).toEqual({ Ack: 2 });
+  });
+
+  test('validates scripts', () => {
+    Object.values(SIMULATOR_SCRIPTS).forEach((script) => expect(checkScript(script)).toBeNull());
+    expect(checkScript([])).toBe('must be a non-empty list of steps');
+    expect(checkScript([{ action: 'heat', seconds: 5 }])).toBe('step 1 (heat) is outside a job; start one first');
+    expect(checkScript([{ action: 'start', file: 'a.gcode', layers: 5 }])).toBe('the last job never ends (complete, stop or fail)');
+    expect(checkScript([{ action: 'start', file: '../a.gcode', layers: 5 }])).toBe('step 1 file must be a .gcode file name');
+    expect(checkScript([{ action: 'idle' }])).toBe('step 1 (idle) needs seconds');
+    expect(() => new PrinterSimulator({ script: [{ action: 'jump' }] })).toThrow('Invalid simulator script: step 1 needs an action');
+  });
+});
@@ -1,4 +1,10 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
 const SDCPClient = require('utils/sdcp-client');
+const { CONNECTION_STATES, reconnectDelay } = SDCPClient;
+const { readCapture } = require('utils/sdcp-replay');
 
 describe('SDCPClient', () => {
   test('sendCommand rejects when not connected', async () => {
@@ -6,17 +12,128 @@ describe('SDCPClient', () => {
     await expect(client.sendCommand(0)).rejects.toThrow('Not connected to printer');
   });
 
-  test('requestStatus triggers reconnect after repeated failures', async () => {
+  test('failed status requests degrade the connection, then reconnect', async () => {
     const client = new SDCPClient('127.0.0.1');
+    const changes = [];
+    client.on('stateChange', ({ state, previous }) => changes.push(`${previous}>${state}`));
     client.scheduleReconnect = jest.fn();
-    client.disconnect = jest.fn();
+    client.setState(CONNECTION_STATES.CONNECTED);
+    client.sendCommand = jest.fn()
+      .mockRejectedValueOnce(new Error('Command timeout'))
+      .mockResolvedValueOnce({ Data: { Cmd: 0, Data: { Ack: 0 } } })
+      .mockRejectedValue(new Error('Command timeout'));
 
     await client.requestStatus();
+    expect(client.state).toBe('degraded');
+    expect(client.connected).toBe(true);
     await client.requestStatus();
-    await client.requestStatus();
+    expect(client.state).toBe('connected');
 
-    expect(client.disconnect).toHaveBeenCalledTimes(1);
+    await client.requestStatus();
+    await client.requestStatus();
+    await client.requestStatus();
+    expect(client.state).toBe('reconnecting');
     expect(client.scheduleReconnect).toHaveBeenCalledTimes(1);
+    // Nothing to count while the connection is down
+    await client.requestStatus();
     expect(client.statusFailureCount).toBe(0);
+
+    expect(changes).toEqual([
+      'offline>connected', 'connected>degraded', 'degraded>connected',
+      'connected>degraded', 'degraded>reconnecting'
+    ]);
+    expect(client.getConnectionInfo()).toMatchObject({
+      state: 'reconnecting', connectedAt: null, uptime: null, lastError: 'Command timeout', attempts: 0
+    });
+  });
+
+  test('reconnect delays back off exponentially up to the cap, with jitter', () => {
+    expect([1, 2, 3, 4].map((attempt) => reconnectDelay(attempt, 1000, 5000, 1))).toEqual([1000, 2000, 4000, 5000]);
+    expect(reconnectDelay(3, 1000, 5000, 0)).toBe(2000);
+    expect(reconnectDelay(20, 1000, 60000, 0.5)).toBe(45000);
+  });
+
+  test('reconnects after the printer drops the connection and stays offline after disconnect', async () => {
+    const server = new WebSocket.Server({ host: '127.0.0.1', port: 0 });
+    await new Promise((resolve) => server.on('listening', resolve));
+    const client = new SDCPClient('127.0.0.1', { reconnectBaseDelay: 10 });
+    client.wsPort = server.address().port;
+    client.wsPath = '/';
+    const states = [];
+    const reached = (state) => new Promise((resolve) => {
+      client.on('stateChange', (change) => change.state === state && resolve());
+    });
+    client.on('stateChange', ({ state }) => states.push(state));
+
+    await client.connect();
+    expect(client.getConnectionInfo()).toMatchObject({ state: 'connected', uptime: 0, attempts: 0 });
+    const reconnected = reached('connected');
+    server.clients.forEach((socket) => socket.terminate());
+    await reconnected;
+    expect(states).toEqual(['connecting', 'connected', 'reconnecting', 'connected']);
+    expect(client.stats).toMatchObject({ reconnectAttempts: 1, reconnects: 1 });
+    expect(client.getConnectionInfo().transitions.map((entry) => entry.state)).toEqual(states);
+
+    client.disconnect();
+    expect(client.state).toBe('offline');
+    await new Promise((resolve) => server.close(resolve));
+    expect(client.reconnectTimer).toBeNull();
+  });
+
+  test('job control commands reject a non-zero Ack', async () => {
+    const client = new SDCPClient('127.0.0.1');
+    client.sendCommand = jest.fn()
+      .mockResolvedValueOnce({ Data: { Cmd: 129, Data: { Ack: 0 } } })
+      .mockResolvedValueOnce({ Data: { Cmd: 131, Data: { Ack: 1 } } });
+
+    await expect(client.pausePrint()).resolves.toBeDefined();
+    await expect(client.resumePrint()).rejects.toThrow('Printer rejected command 131 (Ack 1)');
+    expect(client.sendCommand).toHaveBeenCalledWith(129, {});
+  });
+
+  test('history commands return the task lists', async () => {
+    const client = new SDCPClient('127.0.0.1');
+    client.sendCommand = jest.fn()
+      .mockResolvedValueOnce({ Data: { Cmd: 320, Data: { Ack: 0, HistoryData: ['t1', 't2'] } } })
+      .mockResolvedValueOnce({ Data: { Cmd: 321, Data: { Ack: 0, HistoryDetailList: [{ TaskId: 't1' }] } } });
+
+    await expect(client.requestHistoryList()).resolves.toEqual(['t1', 't2']);
+    await expect(client.requestTaskDetails(['t1'])).resolves.toEqual([{ TaskId: 't1' }]);
+    expect(client.sendCommand).toHaveBeenLastCalledWith(321, { Id: ['t1'] });
+  });
+
+  test('identify resolves with the attributes pushed after Cmd 1', async () => {
+    const client = new SDCPClient('127.0.0.1');
+    client.sendCommand = jest.fn(() => {
+      client.handleMessage(JSON.stringify({ Attributes: { Name: 'CC', MainboardID: 'abc123' }, Topic: 'sdcp/attributes/abc123' }));
+      return Promise.resolve({ Data: { Cmd: 1, Data: { Ack: 0 } } });
+    });
+
+    await expect(client.identify()).resolves.toMatchObject({ MainboardID: 'abc123' });
+    expect(client.sendCommand).toHaveBeenCalledWith(1);
+    expect(client.listenerCount('attributes')).toBe(0);
+
+    client.sendCommand = jest.fn().mockResolvedValue({ Data: { Cmd: 1, Data: { Ack: 0 } } });
+    await expect(client.identify(10)).rejects.toThrow('did not report its attributes');
+  });
+
+  test('captures raw messages in both directions', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sdcp-capture-'));
+    const filePath = path.join(dir, 'nested', 'capture.jsonl');
+    const client = new SDCPClient('127.0.0.1');
+    client.startCapture(filePath);
+    client.captureMessage('out', JSON.stringify({ Data: { Cmd: 0 } }));
+    client.captureMessage('in', Buffer.from('not json'));
+    await expect(client.stopCapture()).resolves.toBe(filePath);
+    // Nothing is written once stopped
+    client.captureMessage('in', '{}');
+
+    const entries = readCapture(filePath);
+    expect(entries).toEqual([
+      { at: expect.any(String), direction: 'out', message: { Data: { Cmd: 0 } } },
+      { at: expect.any(String), direction: 'in', message: 'not json' }
+    ]);
+    await expect(client.stopCapture()).resolves.toBeNull();
+    fs.rmSync(dir, { recursive: true, force: true });
   });
 });
@@ -0,0 +1,65 @@
+const path = require('path');
+const { parseCapture, readCapture, stateMessages, CaptureReplay } = require('utils/sdcp-replay');
+const { parseStatusPayload } = require('utils/status-utils');
+
+// Recorded from the printer simulator (pause script) with websocket-tester --capture
+const PAUSE_CAPTURE = path.join(__dirname, 'fixtures', 'sdcp-capture-pause.jsonl');
+
+const statusLine = (at, jobStatus) => JSON.stringify({
+  at,
+  direction: 'in',
+  message: { Status: { CurrentStatus: [1], PrintInfo: { Status: jobStatus } }, Topic: 'sdcp/status/abc' }
+});
+
+describe('SDCP replay', () => {
+  test('parses captures and reports the first bad line', () => {
+    const text = [
+      statusLine('2026-01-01T00:00:00.000Z', 3),
+      '',
+      JSON.stringify({ at: '2026-01-01T00:00:01.000Z', direction: 'out', message: { Data: { Cmd: 0 } } })
+    ].join('\n');
+    expect(parseCapture(text)).toHaveLength(2);
+    expect(() => parseCapture(`${text}\n{"at":`, 'bug.jsonl')).toThrow('bug.jsonl line 4 is not valid JSON');
+    expect(() => parseCapture('{"direction":"in"}')).toThrow('capture line 1 is not a capture entry');
+  });
+
+  test('a recorded session parses to the job states it went through', () => {
+    const messages = stateMessages(readCapture(PAUSE_CAPTURE));
+    expect(messages.every((message) => message.MainboardID === 'SIM000000000000000000000000000001')).toBe(true);
+
+    const jobStates = messages
+      .filter((message) => message.Status)
+      .map((message) => parseStatusPayload(message).status.job.state)
+      .filter((state, index, states) => state !== states[index - 1]);
+    expect(jobStates).toEqual(['PREHEATING', 'LEVELING', 'PRINTING', 'PAUSING', 'PAUSED', 'PRINTING']);
+  });
+
+  test('plays status messages with their original spacing divided by the speed', () => {
+    jest.useFakeTimers();
+    const entries = parseCapture([
+      statusLine('2026-01-01T00:00:00.000Z', 16),
+      JSON.stringify({ at: '2026-01-01T00:00:00.500Z', direction: 'out', message: { Data: { Cmd: 0 } } }),
+      statusLine('2026-01-01T00:00:10.000Z', 3),
+      statusLine('2026-01-01T00:00:30.000Z', 9)
+    ].join('\n'));
+    const replay = new CaptureReplay(entries, { speed: 10 });
+    const played = [];
+    const onEnd = jest.fn();
+    replay.on('message', (message) => played.push(message.Status.PrintInfo.Status));
+    replay.on('end', onEnd);
+
+    replay.start();
+    jest.advanceTimersByTime(0);
+    expect(played).toEqual([16]);
+    jest.advanceTimersByTime(999);
+    expect(played).toEqual([16]);
+    jest.advanceTimersByTime(1);
+    expect(played).toEqual([16, 3]);
+    jest.advanceTimersByTime(2000);
+    expect(played).toEqual([16, 3, 9]);
+    expect(onEnd).toHaveBeenCalled();
+
+    expect(() => new CaptureReplay(entries, { speed: 0 })).toThrow('Replay speed must be a positive number');
+    jest.useRealTimers();
+  });
+});
@@ -0,0 +1,80 @@
+const dgram = require('dgram');
+const http = require('http');
+const WebSocket = require('ws');
+const PrinterSimulator = require('utils/printer-simulator');
+const SimulatorServer = require('utils/simulator-server');
+const { jpegDimensions } = require('utils/mjpeg-avi');
+
+describe('SimulatorServer', () => {
+  let simulator;
+  let server;
+
+  beforeEach(async () => {
+    simulator = new PrinterSimulator({ mainboardId: 'SIMTEST', name: 'Test Carbon' });
+    server = new SimulatorServer({ simulator, host: '127.0.0.1', port: 0, cameraPort: 0, discoveryPort: 0 });
+    await server.start();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test('answers SDCP requests with a response and the pushed status or attributes', async () => {
+    const ws = new WebSocket(`ws://127.0.0.1:${server.port}/websocket`);
+    const messages = [];
+    ws.on('message', (data) => messages.push(JSON.parse(data.toString())));
+    await new Promise((resolve) => ws.on('open', resolve));
+
+    ws.send(JSON.stringify({ Id: 'a', Data: { Cmd: 0, Data: {}, RequestID: 'r1' } }));
+    ws.send(JSON.stringify({ Id: 'b', Data: { Cmd: 1, Data: {}, RequestID: 'r2' } }));
+    await new Promise((resolve) => {
+      const timer = setInterval(() => {
+        if (messages.length >= 4) resolve(clearInterval(timer));
+      }, 10);
+    });
+    ws.close();
+
+    expect(messages[0]).toMatchObject({ Id: 'a', Data: { Cmd: 0, RequestID: 'r1', Data: { Ack: 0 } }, Topic: 'sdcp/response/SIMTEST' });
+    expect(messages[1]).toMatchObject({ Topic: 'sdcp/status/SIMTEST', Status: { CurrentStatus: [1] } });
+    expect(messages[3]).toMatchObject({ Topic: 'sdcp/attributes/SIMTEST', Attributes: { Name: 'Test Carbon', MainboardID: 'SIMTEST' } });
+  });
+
+  test('answers UDP discovery', async () => {
+    const socket = dgram.createSocket('udp4');
+    const reply = new Promise((resolve) => socket.on('message', (msg) => resolve(JSON.parse(msg.toString()))));
+    socket.send('M99999', server.discoveryPort, '127.0.0.1');
+    const response = await reply;
+    socket.close();
+    expect(response.Data).toMatchObject({ Name: 'Test Carbon', MainboardID: 'SIMTEST', MainboardIP: '127.0.0.1' });
+  });
+
+  test('streams generated JPEG frames', async () => {
+    const frame = await new Promise((resolve, reject) => {
+      http.get(`http://127.0.0.1:${server.cameraPort}/video`, (res) => {
+        expect(res.headers['content-type']).toBe('multipart/x-mixed-replace; boundary=frame');
+        let buffer = Buffer.alloc(0);
+        res.on('data', (chunk) => {
+          buffer = Buffer.concat([buffer, chunk]);
+          const start = buffer.indexOf(Buffer.from([0xFF, 0xD8]));
+          const end = buffer.indexOf(Buffer.from([0xFF, 0xD9]));
+          if (start !== -1 && end !== -1) {
+            res.destroy();
+            resolve(buffer.subarray(start, end + 2));
+          }
+        });
+      }).on('error', reject);
+    });
+    expect(jpegDimensions(frame)).toEqual({ width: 320, height: 240 });
+    expect(simulator.videoStreams).toBe(1);
+  });
+
+  test('accepts file uploads', async () => {
+    const form = new FormData();
+    form.append('Offset', '0');
+    form.append('TotalSize', '5');
+    form.append('File', new Blob(['G28\n']), 'upload.gcode');
+    const response = await fetch(`http://127.0.0.1:${server.port}/uploadFile/upload`, { method: 'POST', body: form });
+    expect(await response.json()).toMatchObject({ code: '000000', success: true });
+    expect(simulator.files.get('upload.gcode')).toBe(5);
+  });
+});
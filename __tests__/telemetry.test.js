@@ -0,0 +1,61 @@
+const TelemetryBuffer = require('utils/telemetry');
+
+describe('TelemetryBuffer', () => {
+  const t0 = Date.parse('2026-01-03T12:00:00Z');
+
+  test('keeps unrounded values and carries missing channels forward', () => {
+    const telemetry = new TelemetryBuffer();
+    telemetry.record('A1', { nozzle: 24.37, nozzleTarget: 210, bed: 22.81, layer: 0 }, t0);
+    telemetry.record('A1', { nozzle: 80.15 }, t0 + 6000);
+
+    const { points, resolution } = telemetry.query('A1', { from: t0, to: t0 + 10000, resolution: 5 }, t0 + 10000);
+    expect(resolution).toBe(5);
+    expect(points).toHaveLength(2);
+    expect(points[0].nozzle).toEqual({ current: 24.37, min: 24.37, max: 24.37, target: 210 });
+    expect(points[1].nozzle.current).toBe(80.15);
+    expect(points[1].bed.current).toBe(22.81);
+    expect(points[1].enclosure.current).toBeNull();
+  });
+
+  test('downsamples to the requested resolution with mean, min and max', () => {
+    const telemetry = new TelemetryBuffer();
+    [20, 40, 60, 80].forEach((nozzle, i) => {
+      telemetry.record('A1', { nozzle, progress: i * 10 }, t0 + i * 5000);
+    });
+
+    const { points } = telemetry.query('A1', { from: t0, to: t0 + 20000, resolution: 20 }, t0 + 20000);
+    expect(points).toHaveLength(1);
+    expect(points[0]).toMatchObject({
+      samples: 4,
+      nozzle: { current: 50, min: 20, max: 80 },
+      progress: 30
+    });
+  });
+
+  test('serves older ranges from the coarse tier and drops expired data', () => {
+    const telemetry = new TelemetryBuffer();
+    const hour = 60 * 60 * 1000;
+    for (let t = 0; t <= 30 * hour; t += 30000) {
+      telemetry.record('A1', { bed: 60 }, t0 + t);
+    }
+    const now = t0 + 30 * hour;
+
+    const day = telemetry.query('A1', { from: now - 24 * hour, to: now }, now);
+    expect(day.resolution).toBeGreaterThanOrEqual(60);
+    expect(day.points.length).toBeGreaterThan(400);
+    expect(day.points[0].bed.current).toBe(60);
+
+    // The 5 s tier only reaches back two hours
+    const fine = telemetry.query('A1', { from: now - 60000, to: now, resolution: 5 }, now);
+    expect(fine.resolution).toBe(5);
+    expect(telemetry.series.get('A1').tiers[0].buckets[0].start).toBeGreaterThanOrEqual(now - 2 * hour);
+  });
+
+  test('rejects invalid ranges and resolutions', () => {
+    const telemetry = new TelemetryBuffer();
+    expect(() => telemetry.query('A1', { from: 'yesterday' })).toThrow('Invalid from/to date');
+    expect(() => telemetry.query('A1', { from: t0 + 1000, to: t0 })).toThrow('from must be before to');
+    expect(() => telemetry.query('A1', { resolution: '-5' })).toThrow('resolution must be');
+    expect(telemetry.query('unknown', {}).points).toEqual([]);
+  });
+});
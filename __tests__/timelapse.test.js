@@ -0,0 +1,163 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TimelapseRecorder = require('utils/timelapse');
+const JobHistory = require('utils/job-history');
+const { timelapseOptionsFromEnv } = TimelapseRecorder;
+const { jpegDimensions, writeMjpegAvi } = require('utils/mjpeg-avi');
+
+// Smallest JPEG-shaped buffer the AVI writer accepts: SOI, APP0, SOF0 and EOI
+function fakeJpeg(width, height, fill = 0) {
+  const app0 = Buffer.from([0xFF, 0xE0, 0x00, 0x04, fill, fill]);
+  const sof0 = Buffer.from([0xFF, 0xC0, 0x00, 0x0B, 0x08, height >> 8, height & 0xFF, width >> 8, width & 0xFF, 0x01, 0x01, 0x11, 0x00]);
+  return Buffer.concat([Buffer.from([0xFF, 0xD8]), app0, sof0, Buffer.from([0xFF, 0xD9])]);
+}
+
+const job = (id, printerId = 'A1') => ({ id, printerId, printerName: 'Saturn', file: 'cube.gcode', startTime: '2026-01-03T12:00:00.000Z' });
+
+describe('MJPEG AVI', () => {
+  let dir;
+  beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mjpeg-avi-')); });
+  afterEach(() => { fs.rmSync(dir, { recursive: true, force: true }); });
+
+  test('reads JPEG dimensions from the SOF marker', () => {
+    expect(jpegDimensions(fakeJpeg(1280, 720))).toEqual({ width: 1280, height: 720 });
+    expect(jpegDimensions(Buffer.from('not a jpeg'))).toBeNull();
+  });
+
+  test('writes a RIFF AVI with one chunk and index entry per frame', async () => {
+    const frames = [fakeJpeg(640, 480, 1), fakeJpeg(640, 480, 2)];
+    frames.push(Buffer.concat([fakeJpeg(640, 480, 3), Buffer.from([0])])); // odd length gets padded
+    const framePaths = frames.map((frame, i) => {
+      const framePath = path.join(dir, `${i}.jpg`);
+      fs.writeFileSync(framePath, frame);
+      return framePath;
+    });
+
+    const outPath = path.join(dir, 'out.avi');
+    const result = await writeMjpegAvi(outPath, framePaths, { fps: 10 });
+    const avi = fs.readFileSync(outPath);
+
+    expect(result).toEqual({ frames: 3, width: 640, height: 480, size: avi.length });
+    expect(avi.toString('ascii', 0, 4)).toBe('RIFF');
+    expect(avi.readUInt32LE(4)).toBe(avi.length - 8);
+    expect(avi.toString('ascii', 8, 12)).toBe('AVI ');
+    expect(avi.readUInt32LE(32)).toBe(100000); // µs per frame
+    expect(avi.readUInt32LE(48)).toBe(3); // total frames
+
+    const movi = avi.indexOf('movi');
+    const idx1 = avi.indexOf('idx1');
+    expect(avi.readUInt32LE(idx1 + 4)).toBe(48);
+    for (let i = 0; i < 3; i++) {
+      const entry = idx1 + 8 + i * 16;
+      const offset = avi.readUInt32LE(entry + 8);
+      const size = avi.readUInt32LE(entry + 12);
+      expect(avi.toString('ascii', movi + offset, movi + offset + 4)).toBe('00dc');
+      expect(avi.subarray(movi + offset + 8, movi + offset + 8 + size)).toEqual(frames[i]);
+    }
+  });
+});
+
+describe('TimelapseRecorder', () => {
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'timelapse-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('captures one frame per layer and assembles a video when the job ends', async () => {
+    const recorder = new TimelapseRecorder({ dir });
+    recorder.start(job('job-1'));
+    const frame = fakeJpeg(320, 240);
+
+    expect(recorder.capture('A1', { frame, layer: 1 })).toBe(true);
+    expect(recorder.capture('A1', { frame, layer: 1 })).toBe(false);
+    expect(recorder.capture('A1', { frame, layer: 2, running: false })).toBe(false);
+    expect(recorder.capture('A1', { frame: null, layer: 2 })).toBe(false);
+    expect(recorder.capture('A1', { frame, layer: 2 })).toBe(true);
+    expect(recorder.capture('B2', { frame, layer: 1 })).toBe(false);
+    expect(recorder.get('job-1')).toMatchObject({ status: 'recording', frames: 2 });
+
+    const timelapse = await recorder.finish('A1', 'complete');
+    expect(timelapse).toMatchObject({ status: 'ready', jobState: 'complete', frames: 2, width: 320, height: 240 });
+    expect(fs.existsSync(recorder.videoPath('job-1'))).toBe(true);
+    expect(fs.existsSync(recorder.thumbnailPath('job-1'))).toBe(true);
+    expect(fs.existsSync(path.join(dir, 'job-1', 'frames'))).toBe(false);
+    expect(recorder.list().map((item) => item.id)).toEqual(['job-1']);
+  });
+
+  test('captures on an interval in interval mode', () => {
+    const recorder = new TimelapseRecorder({ dir, mode: 'interval', interval: 10000 });
+    recorder.start(job('job-1'));
+    const frame = fakeJpeg(320, 240);
+    expect(recorder.capture('A1', { frame, layer: 5 }, 1000)).toBe(true);
+    expect(recorder.capture('A1', { frame, layer: 6 }, 5000)).toBe(false);
+    expect(recorder.capture('A1', { frame, layer: 6 }, 11000)).toBe(true);
+  });
+
+  test('drops jobs without frames', async () => {
+    const recorder = new TimelapseRecorder({ dir });
+    recorder.start(job('job-1'));
+    expect(await recorder.finish('A1', 'failed')).toBeNull();
+    expect(recorder.list()).toEqual([]);
+  });
+
+  test('resumes recordings after a restart', async () => {
+    const first = new TimelapseRecorder({ dir });
+    first.start(job('job-1'));
+    first.capture('A1', { frame: fakeJpeg(320, 240), layer: 1 });
+
+    const second = new TimelapseRecorder({ dir });
+    await second.init();
+    expect(second.capture('A1', { frame: fakeJpeg(320, 240), layer: 2 })).toBe(true);
+    expect(await second.finish('A1', 'complete')).toMatchObject({ status: 'ready', frames: 2 });
+  });
+
+  test('prunes finished timelapses by age and total size', async () => {
+    const recorder = new TimelapseRecorder({ dir, retentionDays: 7, maxBytes: 0 });
+    for (const [id, startedAt] of [['old', '2026-01-01T00:00:00.000Z'], ['new', '2026-01-20T00:00:00.000Z']]) {
+      recorder.start({ ...job(id), startTime: startedAt });
+      recorder.capture('A1', { frame: fakeJpeg(320, 240), layer: 1 });
+      await recorder.finish('A1', 'complete', new Date(startedAt));
+    }
+
+    // Finishing the newer job applied retention to the older one
+    expect(recorder.list().map((item) => item.id)).toEqual(['new']);
+    expect(recorder.prune(new Date('2026-01-21T00:00:00.000Z'))).toEqual([]);
+
+    const size = recorder.get('new').size;
+    recorder.maxBytes = size;
+    recorder.start({ ...job('newest'), startTime: '2026-01-21T00:00:00.000Z' });
+    recorder.capture('A1', { frame: fakeJpeg(320, 240), layer: 1 });
+    await recorder.finish('A1', 'complete', new Date('2026-01-21T01:00:00.000Z'));
+    expect(recorder.list().map((item) => item.id)).toEqual(['newest']);
+  });
+
+  test('takes the start time from the job history record', () => {
+    const history = new JobHistory();
+    const started = [];
+    history.on('jobStarted', (record) => started.push(record));
+    history.observe('A1', { currentFile: 'cube.gcode', status: { job: { state: 'PRINTING' } } }, new Date('2026-01-03T12:00:00.000Z'));
+
+    const recorder = new TimelapseRecorder({ dir });
+    recorder.start(started[0], new Date('2026-01-03T12:05:00.000Z'));
+    expect(recorder.get(started[0].id)).toMatchObject({ startedAt: '2026-01-03T12:00:00.000Z', file: 'cube.gcode' });
+  });
+
+  test('does not delete a recording in progress', () => {
+    const recorder = new TimelapseRecorder({ dir });
+    recorder.start(job('job-1'));
+    expect(recorder.remove('job-1')).toBe(false);
+    expect(recorder.get('../etc')).toBeNull();
+  });
+
+  test('reads options from the environment', () => {
+    expect(timelapseOptionsFromEnv({ TIMELAPSE_MODE: 'off' })).toBeNull();
+    expect(timelapseOptionsFromEnv({ TIMELAPSE_MODE: 'interval', TIMELAPSE_INTERVAL: '10', TIMELAPSE_MAX_MB: '100' }))
+      .toMatchObject({ mode: 'interval', interval: 10000, fps: 24, retentionDays: 30, maxBytes: 100 * 1024 * 1024 });
+  });
+});
@@ -206,4 +206,63 @@ describe('UI and Client Tests', () => {
         updateUI(payload);
         expect(document.getElementById('cameraOverlay').style.display).toBe('flex');
     });
+
+    test('socket camera mode subscribes and pauses by unsubscribing', () => {
+        connectWebSocket();
+        ws.readyState = WebSocket.OPEN = 1;
+        setCameraTransport('websocket');
+        expect(localStorage.setItem).toHaveBeenCalledWith('CameraTransport', 'websocket');
+
+        settings.pauseOnIdle = true;
+        const printer = {
+            connected: true,
+            cameraAvailable: true,
+            status: { consolidated: 'PRINTING', machine: { state: 'PRINTING', code: 1 }, job: { state: 'PRINTING', code: 3 } }
+        };
+        handleStatusMessage({ type: 'status', printerId: 'A1', data: { printer } });
+        expect(document.getElementById('cameraCanvas').style.display).toBe('block');
+        expect(document.getElementById('cameraFeed').style.display).toBe('none');
+        expect(JSON.parse(ws.send.mock.calls[0][0])).toEqual({ type: 'camera_subscribe', printerId: 'A1', fps: 10 });
+
+        printer.status = { consolidated: 'IDLE', machine: { state: 'IDLE', code: 0 }, job: { state: 'IDLE', code: 0 } };
+        handleStatusMessage({ type: 'status', printerId: 'A1', data: { printer } });
+        expect(JSON.parse(ws.send.mock.calls[1][0])).toEqual({ type: 'camera_unsubscribe' });
+        expect(document.getElementById('cameraOverlay').style.display).toBe('flex');
+        expect(ws.send).toHaveBeenCalledTimes(2);
+    });
+
+    test('status messages for other printers do not replace the active printer', () => {
+        handleStatusMessage({ type: 'status', printerId: 'A1', data: { printer: { connected: true, printerName: 'Left' } } });
+        handleStatusMessage({ type: 'status', printerId: 'B2', data: { printer: { connected: true, printerName: 'Right' } } });
+
+        expect(document.getElementById('printerName').textContent).toBe('Left');
+        expect(document.getElementById('printerSelect').options.length).toBe(2);
+
+        selectPrinter('B2');
+        expect(document.getElementById('printerName').textContent).toBe('Right');
+        expect(cameraStreamPath()).toBe('/api/printers/B2/camera');
+    });
+
+    test('renderFiles lists folders and files with sizes', () => {
+        renderFiles([
+            { name: 'models', path: '/local/models', type: 'folder', size: null, thumbnail: null },
+            { name: 'cube.gcode', path: '/local/cube.gcode', type: 'file', size: 2048, thumbnail: null }
+        ]);
+
+        const rows = document.querySelectorAll('#filesList li');
+        expect(rows.length).toBe(2);
+        expect(rows[0].textContent).toContain('models');
+        expect(rows[1].querySelector('.file-size').textContent).toBe('2.0 KB');
+        expect(formatBytes(512)).toBe('512 B');
+    });
+
+    test('upload progress renders for the active printer only', () => {
+        handleStatusMessage({ type: 'status', printerId: 'A1', data: { printer: { connected: false } } });
+        handleUploadProgress({ type: 'upload_progress', printerId: 'B2', data: { filename: 'x.gcode', phase: 'uploading', percent: 10 } });
+        expect(document.getElementById('uploadProgress').style.display).toBe('none');
+
+        handleUploadProgress({ type: 'upload_progress', printerId: 'A1', data: { filename: 'cube.gcode', phase: 'uploading', percent: 40 } });
+        expect(document.getElementById('uploadProgressFill').style.width).toBe('40%');
+        expect(document.getElementById('uploadProgressText').textContent).toBe('cube.gcode: Uploading to printer… 40%');
+    });
 });
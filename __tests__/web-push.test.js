@@ -0,0 +1,123 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebPushService = require('utils/web-push');
+const { isValidSubscription, normalizePushEvents, MAX_SUBSCRIPTIONS_PER_USER } = WebPushService;
+
+const keys = { publicKey: 'BPUBLIC', privateKey: 'private' };
+const subscription = (name) => ({
+  endpoint: `https://push.example.com/${name}`,
+  keys: { p256dh: `p256dh-${name}`, auth: `auth-${name}` }
+});
+const event = (type) => ({ type, timestamp: '2026-01-03T12:00:00.000Z', printer: { id: 'A1', name: 'Saturn' }, job: {}, details: {} });
+
+function fakeWebPush() {
+  return {
+    generateVAPIDKeys: jest.fn(() => ({ ...keys })),
+    sendNotification: jest.fn().mockResolvedValue({ statusCode: 201 })
+  };
+}
+
+describe('WebPushService', () => {
+  test('generates VAPID keys when none are configured', () => {
+    const webPushImpl = fakeWebPush();
+    const service = new WebPushService({ webPushImpl });
+    expect(webPushImpl.generateVAPIDKeys).toHaveBeenCalledTimes(1);
+    expect(service.publicKey).toBe('BPUBLIC');
+
+    const configured = new WebPushService({ webPushImpl, vapidKeys: { publicKey: 'BOTHER', privateKey: 'x' } });
+    expect(configured.publicKey).toBe('BOTHER');
+    expect(webPushImpl.generateVAPIDKeys).toHaveBeenCalledTimes(1);
+  });
+
+  test('pushes only to subscriptions that chose the event', async () => {
+    const webPushImpl = fakeWebPush();
+    const service = new WebPushService({
+      webPushImpl,
+      renderMessage: (e) => ({ title: e.printer.name, message: `${e.type} happened` })
+    });
+    service.subscribe(subscription('a'), ['complete', 'error']);
+    service.subscribe(subscription('b'), ['paused']);
+
+    expect(await service.notify(event('job.failed'))).toEqual({ sent: 1, failed: 0, removed: 0 });
+    const [target, payload, options] = webPushImpl.sendNotification.mock.calls[0];
+    expect(target.endpoint).toBe('https://push.example.com/a');
+    expect(JSON.parse(payload)).toMatchObject({ title: 'Saturn', body: 'job.failed happened', tag: 'A1:job.failed' });
+    expect(options.vapidDetails).toMatchObject({ publicKey: 'BPUBLIC', privateKey: 'private' });
+
+    expect(await service.notify(event('job.started'))).toEqual({ sent: 0, failed: 0, removed: 0 });
+  });
+
+  test('drops subscriptions the push service reports as gone', async () => {
+    const webPushImpl = fakeWebPush();
+    webPushImpl.sendNotification
+      .mockRejectedValueOnce(Object.assign(new Error('Gone'), { statusCode: 410 }))
+      .mockRejectedValueOnce(Object.assign(new Error('Server error'), { statusCode: 500 }));
+    const service = new WebPushService({ webPushImpl });
+    service.subscribe(subscription('a'), ['complete']);
+    service.subscribe(subscription('b'), ['complete']);
+
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(await service.notify(event('job.completed'))).toEqual({ sent: 0, failed: 1, removed: 1 });
+    warn.mockRestore();
+    expect(service.size).toBe(1);
+    expect(service.getSubscription('https://push.example.com/b')).not.toBeNull();
+  });
+
+  test('keeps keys and subscriptions across restarts', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'web-push-'));
+    const filePath = path.join(dir, 'web-push.json');
+    const webPushImpl = fakeWebPush();
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const first = new WebPushService({ filePath, webPushImpl });
+    first.subscribe(subscription('a'), ['paused', 'bogus'], { owner: 'olga', userAgent: 'Firefox' });
+    const second = new WebPushService({ filePath, webPushImpl });
+    log.mockRestore();
+
+    expect(webPushImpl.generateVAPIDKeys).toHaveBeenCalledTimes(1);
+    expect(second.publicKey).toBe('BPUBLIC');
+    expect(second.getSubscription('https://push.example.com/a', 'olga')).toMatchObject({ events: ['paused'], owner: 'olga', userAgent: 'Firefox' });
+
+    expect(second.unsubscribe('https://push.example.com/a', 'olga')).toBe(true);
+    expect(second.unsubscribe('https://push.example.com/a', 'olga')).toBe(false);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('rejects invalid subscriptions', () => {
+    const service = new WebPushService({ webPushImpl: fakeWebPush() });
+    expect(() => service.subscribe({ endpoint: 'https://push.example.com/x' }, ['complete'])).toThrow('Invalid push subscription');
+    expect(isValidSubscription({ endpoint: 'http://insecure/x', keys: { p256dh: 'a', auth: 'b' } })).toBe(false);
+    expect(isValidSubscription(subscription('ok'))).toBe(true);
+    expect(normalizePushEvents(undefined)).toEqual(['complete']);
+    expect(normalizePushEvents(['error', 'error', 'nope'])).toEqual(['error']);
+  });
+
+  test('sends a test notification to one subscription', async () => {
+    const webPushImpl = fakeWebPush();
+    const service = new WebPushService({ webPushImpl });
+    service.subscribe(subscription('a'), [], { owner: 'olga' });
+    await service.sendTest('https://push.example.com/a', 'olga');
+    expect(JSON.parse(webPushImpl.sendNotification.mock.calls[0][1])).toMatchObject({ type: 'test' });
+    await expect(service.sendTest('https://push.example.com/none', 'olga')).rejects.toThrow('Unknown push subscription');
+    // Only the owner can test or remove a subscription
+    await expect(service.sendTest('https://push.example.com/a', 'mallory')).rejects.toThrow('Unknown push subscription');
+    expect(service.unsubscribe('https://push.example.com/a', 'mallory')).toBe(false);
+    expect(webPushImpl.sendNotification).toHaveBeenCalledTimes(1);
+  });
+
+  test('caps subscriptions per user and drops them with the account', () => {
+    const service = new WebPushService({ webPushImpl: fakeWebPush() });
+    for (let i = 0; i < MAX_SUBSCRIPTIONS_PER_USER; i++) {
+      service.subscribe(subscription(`olga-${i}`), ['complete'], { owner: 'olga' });
+    }
+    expect(() => service.subscribe(subscription('olga-extra'), ['complete'], { owner: 'olga' }))
+      .toThrow(expect.objectContaining({ statusCode: 409 }));
+    // Updating an existing subscription and other users are not affected
+    expect(service.subscribe(subscription('olga-0'), ['error'], { owner: 'olga' }).events).toEqual(['error']);
+    service.subscribe(subscription('ivan'), ['complete'], { owner: 'ivan' });
+
+    expect(service.removeOwner('olga')).toBe(MAX_SUBSCRIPTIONS_PER_USER);
+    expect(service.size).toBe(1);
+  });
+});
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebhookDispatcher = require('utils/webhooks');
+const { signPayload, loadWebhookTargets, SIGNATURE_HEADER } = WebhookDispatcher;
+
+const event = { type: 'job.completed', timestamp: '2026-01-03T12:00:00.000Z', printer: { id: 'A1' }, job: {}, details: {} };
+const response = (status) => ({ ok: status >= 200 && status < 300, status });
+
+describe('WebhookDispatcher', () => {
+  test('posts signed JSON to targets subscribed to the event', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue(response(204));
+    const dispatcher = new WebhookDispatcher({
+      fetchImpl,
+      targets: [
+        { id: 'ha', url: 'http://ha.local/hook', secret: 's3cret', events: ['job.completed'] },
+        { id: 'other', url: 'http://other.local/hook', events: ['job.started'] }
+      ]
+    });
+
+    const [delivery] = await dispatcher.dispatch(event);
+    expect(delivery).toMatchObject({ target: 'ha', status: 'delivered', attempts: 1, responseStatus: 204 });
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+
+    const [url, request] = fetchImpl.mock.calls[0];
+    expect(url).toBe('http://ha.local/hook');
+    expect(JSON.parse(request.body)).toMatchObject({ type: 'job.completed', printer: { id: 'A1' } });
+    expect(request.headers[SIGNATURE_HEADER]).toBe(signPayload('s3cret', request.body));
+    expect(request.headers['X-Elegoo-Event']).toBe('job.completed');
+  });
+
+  test('retries failures with backoff and logs the outcome', async () => {
+    const fetchImpl = jest.fn()
+      .mockRejectedValueOnce(new Error('ECONNREFUSED'))
+      .mockResolvedValueOnce(response(503))
+      .mockResolvedValueOnce(response(200));
+    const dispatcher = new WebhookDispatcher({ fetchImpl, retryDelay: 1, targets: [{ url: 'http://x.local/' }] });
+
+    const [delivery] = await dispatcher.dispatch(event);
+    expect(delivery).toMatchObject({ status: 'delivered', attempts: 3, error: null });
+    expect(dispatcher.getDeliveries()[0]).toBe(delivery);
+  });
+
+  test('gives up on client errors and after the last attempt', async () => {
+    const dispatcher = new WebhookDispatcher({
+      retryDelay: 1,
+      maxAttempts: 2,
+      fetchImpl: jest.fn((url) => Promise.resolve(response(url.includes('bad') ? 400 : 500))),
+      targets: [{ id: 'bad', url: 'http://bad.local/' }, { id: 'down', url: 'http://down.local/' }]
+    });
+
+    const [bad, down] = await dispatcher.dispatch(event);
+    expect(bad).toMatchObject({ status: 'failed', attempts: 1, error: 'HTTP 400' });
+    expect(down).toMatchObject({ status: 'failed', attempts: 2, error: 'HTTP 500' });
+  });
+
+  test('rejects invalid targets and hides secrets', () => {
+    expect(() => new WebhookDispatcher({ targets: [{ url: 'ftp://x' }] })).toThrow('http(s) url');
+    expect(() => new WebhookDispatcher({ targets: [{ url: 'http://x', events: ['job.exploded'] }] })).toThrow('unknown events');
+
+    const dispatcher = new WebhookDispatcher({ targets: [{ url: 'http://x', secret: 'abc' }] });
+    expect(dispatcher.describeTargets()).toEqual([{ id: 'webhook-1', url: 'http://x', events: ['*'], signed: true }]);
+  });
+
+  test('loads targets from a JSON file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+    const file = path.join(dir, 'webhooks.json');
+    expect(loadWebhookTargets(file)).toEqual([]);
+    fs.writeFileSync(file, JSON.stringify([{ url: 'https://example.com/hook', events: ['job.stopped'] }]));
+    expect(loadWebhookTargets(file)[0]).toMatchObject({ url: 'https://example.com/hook', events: ['job.stopped'] });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
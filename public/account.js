@@ -0,0 +1,167 @@
+// Account page: first-run setup, sign-in, password, API tokens and users (/api/auth)
+
+const ACCOUNT_ROLES = ['viewer', 'operator', 'admin'];
+
+async function authRequest(path, options = {}) {
+    const response = await fetch(path, {
+        ...options,
+        headers: options.body ? { 'Content-Type': 'application/json' } : undefined
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.success) {
+        throw new Error(result.error || `Request failed (${response.status})`);
+    }
+    return result;
+}
+
+function showAccountMessage(text, isError = false) {
+    const message = document.getElementById('accountMessage');
+    message.textContent = text;
+    message.classList.toggle('account-message-error', isError);
+    message.style.display = text ? 'block' : 'none';
+}
+
+function formValues(form) {
+    return Object.fromEntries(new FormData(form).entries());
+}
+
+function showCard(id) {
+    ['setupCard', 'loginCard', 'accountPanel'].forEach((cardId) => {
+        document.getElementById(cardId).style.display = cardId === id ? '' : 'none';
+    });
+}
+
+function createListRow(label, detail, onRemove, control = null) {
+    const row = document.createElement('li');
+    const text = document.createElement('span');
+    text.textContent = label;
+    const meta = document.createElement('span');
+    meta.className = 'account-meta';
+    meta.textContent = detail;
+    text.appendChild(meta);
+    row.appendChild(text);
+    if (control) row.appendChild(control);
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'file-btn file-btn-danger';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', onRemove);
+    row.appendChild(remove);
+    return row;
+}
+
+function formatAccountDate(value) {
+    return value ? new Date(value).toLocaleString() : 'never';
+}
+
+function createRoleSelect(user) {
+    const select = document.createElement('select');
+    select.className = 'account-role';
+    select.title = `Role of ${user.username}`;
+    ACCOUNT_ROLES.forEach((role) => select.add(new Option(role, role, false, role === user.role)));
+    select.addEventListener('change', async () => {
+        try {
+            await authRequest(`/api/auth/users/${encodeURIComponent(user.username)}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ role: select.value })
+            });
+            showAccountMessage(`${user.username} is now ${select.value}.`);
+        } catch (err) {
+            select.value = user.role;
+            showAccountMessage(err.message, true);
+        }
+    });
+    return select;
+}
+
+async function loadTokens(currentUser) {
+    const { tokens } = await authRequest('/api/auth/tokens');
+    document.getElementById('tokenList').replaceChildren(...tokens.map((token) => createListRow(
+        token.name,
+        `${token.username !== currentUser.username ? ` · ${token.username}` : ''} · ${token.role} · …${token.hint} · created ${formatAccountDate(token.createdAt)} · last used ${formatAccountDate(token.lastUsedAt)}`,
+        () => removeAccountItem(`/api/auth/tokens/${encodeURIComponent(token.id)}`, `Revoke the token "${token.name}"?`)
+    )));
+}
+
+async function loadUsers() {
+    const { users } = await authRequest('/api/auth/users');
+    document.getElementById('userList').replaceChildren(...users.map((user) => createListRow(
+        user.username,
+        ` · last sign-in ${formatAccountDate(user.lastLoginAt)}`,
+        () => removeAccountItem(`/api/auth/users/${encodeURIComponent(user.username)}`, `Remove the user ${user.username}?`),
+        createRoleSelect(user)
+    )));
+}
+
+async function removeAccountItem(path, question) {
+    if (!window.confirm(question)) return;
+    try {
+        await authRequest(path, { method: 'DELETE' });
+        await refreshAccount();
+    } catch (err) {
+        showAccountMessage(err.message, true);
+    }
+}
+
+async function refreshAccount() {
+    const status = await authRequest('/api/auth/status');
+    document.body.dataset.role = status.role || '';
+    if (status.setupRequired) {
+        showCard('setupCard');
+    } else if (!status.user) {
+        showCard('loginCard');
+    } else {
+        document.getElementById('accountUsername').textContent = status.user.username;
+        document.getElementById('accountRole').textContent = `(${status.role})`;
+        showCard('accountPanel');
+        await Promise.all([loadTokens(status.user), status.role === 'admin' ? loadUsers() : null]);
+    }
+}
+
+// Submit a form as JSON, then refresh the page state
+function handleAccountForm(formId, path, { validate, onSuccess } = {}) {
+    const form = document.getElementById(formId);
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const values = formValues(form);
+        try {
+            if (validate) validate(values);
+            const result = await authRequest(path, { method: 'POST', body: JSON.stringify(values) });
+            form.reset();
+            showAccountMessage('');
+            if (onSuccess) onSuccess(result);
+            await refreshAccount();
+        } catch (err) {
+            showAccountMessage(err.message, true);
+        }
+    });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    handleAccountForm('setupForm', '/api/auth/setup', {
+        validate: (values) => {
+            if (values.password !== values.confirm) throw new Error('Passwords do not match');
+        }
+    });
+    handleAccountForm('loginForm', '/api/auth/login');
+    handleAccountForm('passwordForm', '/api/auth/password', {
+        onSuccess: () => showAccountMessage('Password changed. Other sessions were signed out.')
+    });
+    handleAccountForm('tokenForm', '/api/auth/tokens', {
+        onSuccess: (result) => {
+            const newToken = document.getElementById('newToken');
+            newToken.textContent = result.token;
+            newToken.style.display = 'block';
+        }
+    });
+    handleAccountForm('userForm', '/api/auth/users');
+
+    document.getElementById('logoutBtn').addEventListener('click', async () => {
+        await authRequest('/api/auth/logout', { method: 'POST' }).catch(() => {});
+        document.getElementById('newToken').style.display = 'none';
+        refreshAccount().catch((err) => showAccountMessage(err.message, true));
+    });
+
+    refreshAccount().catch((err) => showAccountMessage(`Failed to load account: ${err.message}`, true));
+});
@@ -3,11 +3,40 @@ let ws = null;
 let reconnectInterval = null;
 let cameraInitialized = false;
 let snapshotTaken = false;
+let cameraTransport = loadCameraTransport();
+// Socket camera subscription: printer ID ('' for the server default) or null when unsubscribed
+let cameraWanted = null;
+let cameraSubscription = null;
+let pendingCameraFrame = null;
+let cameraFrameDrawing = false;
 let lastPrinterState = null;
 let frozenETA = null;
 let frozenETAState = null;
 let lastPayload = null;
 let toastIdCounter = 0;
+// Latest status payload per printer ID, in the order the server announced them (default first)
+const knownPrinters = new Map();
+let selectedPrinterId = loadSelectedPrinter();
+
+// Job states each job control may be used from (mirrors utils/job-control.js)
+const RUNNING_JOB_STATES = ['PRINTING', 'HOMING', 'DROPPING', 'LIFTING', 'PREHEATING', 'LEVELING'];
+const JOB_ACTION_STATES = {
+    pause: RUNNING_JOB_STATES,
+    resume: ['PAUSED'],
+    stop: [...RUNNING_JOB_STATES, 'PAUSING', 'PAUSED']
+};
+const JOB_ACTION_LABELS = {
+    pause: 'Pause',
+    resume: 'Resume',
+    stop: 'Stop'
+};
+
+// SDCP storage roots shown in the files panel
+const STORAGE_ROOTS = {
+    local: '/local/',
+    usb: '/usb/'
+};
+let filesState = { storage: 'local', path: STORAGE_ROOTS.local, loadedFor: null };
 
 // Settings object
 const defaultSettings = {
@@ -29,6 +58,19 @@ function formatDuration(seconds) {
     return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
 }
 
+// Format a byte count as a human readable size
+function formatBytes(bytes) {
+    if (!Number.isFinite(bytes) || bytes < 0) return '-';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit += 1;
+    }
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
 // Format Date to clock time
 function formatClockTime(date) {
     if (!(date instanceof Date) || isNaN(date)) return '-';
@@ -62,6 +104,100 @@ function saveSettings() {
     }
 }
 
+function loadSelectedPrinter() {
+    try {
+        return localStorage.getItem('SelectedPrinter') || null;
+    } catch (err) {
+        return null;
+    }
+}
+
+function saveSelectedPrinter() {
+    try {
+        if (selectedPrinterId) {
+            localStorage.setItem('SelectedPrinter', selectedPrinterId);
+        }
+    } catch (err) {
+        console.error('Failed to save selected printer:', err);
+    }
+}
+
+// ---------------- PRINTER SELECTION ----------------
+
+// Selected printer if the server knows it, otherwise the server's default (first announced)
+function getActivePrinterId() {
+    if (selectedPrinterId && knownPrinters.has(selectedPrinterId)) return selectedPrinterId;
+    const first = knownPrinters.keys().next();
+    return first.done ? null : first.value;
+}
+
+function cameraStreamPath() {
+    const printerId = getActivePrinterId();
+    return printerId ? `/api/printers/${encodeURIComponent(printerId)}/camera` : '/api/camera';
+}
+
+function handleStatusMessage(message) {
+    const printerId = message.printerId || null;
+    if (printerId) {
+        const isNew = !knownPrinters.has(printerId);
+        knownPrinters.set(printerId, message.data);
+        if (isNew) renderPrinterSelect();
+    }
+
+    // Only render the printer currently on screen
+    if (printerId && printerId !== getActivePrinterId()) return;
+    lastPayload = message.data;
+    updateUI(message.data);
+
+    // Load the file list once per printer as soon as it is connected
+    if (message.data?.printer?.connected && filesState.loadedFor !== (printerId || '_')) {
+        filesState.loadedFor = printerId || '_';
+        loadFiles(STORAGE_ROOTS[filesState.storage]);
+    }
+}
+
+function renderPrinterSelect() {
+    const select = document.getElementById('printerSelect');
+    if (!select) return;
+
+    select.innerHTML = '';
+    knownPrinters.forEach((payload, printerId) => {
+        const option = document.createElement('option');
+        option.value = printerId;
+        option.textContent = payload?.printer?.printerName && payload.printer.printerName !== 'Unknown'
+            ? payload.printer.printerName
+            : printerId;
+        select.appendChild(option);
+    });
+    select.value = getActivePrinterId() || '';
+    select.style.display = knownPrinters.size > 1 ? '' : 'none';
+}
+
+function selectPrinter(printerId) {
+    if (!knownPrinters.has(printerId) || printerId === getActivePrinterId()) return;
+    selectedPrinterId = printerId;
+    saveSelectedPrinter();
+
+    // Point the camera at the newly selected printer
+    cameraInitialized = false;
+    snapshotTaken = false;
+    clearCameraCanvas();
+    frozenETA = null;
+    frozenETAState = null;
+
+    lastPayload = knownPrinters.get(printerId);
+    updateUI(lastPayload);
+
+    filesState.loadedFor = printerId;
+    loadFiles(STORAGE_ROOTS[filesState.storage]);
+}
+
+function initPrinterSelect() {
+    const select = document.getElementById('printerSelect');
+    if (!select) return;
+    select.addEventListener('change', () => selectPrinter(select.value));
+}
+
 // ---------------- WEBSOCKET ----------------
 
 function connectWebSocket() {
@@ -69,18 +205,29 @@ function connectWebSocket() {
     const wsUrl = `${protocol}//${window.location.host}`;
 
     ws = new WebSocket(wsUrl);
+    ws.binaryType = 'arraybuffer';
 
     ws.onopen = () => {
         console.log('Connected to server');
         clearReconnectInterval();
+        // Subscriptions do not survive a reconnect
+        cameraSubscription = null;
+        syncCameraSubscription();
     };
 
     ws.onmessage = (event) => {
+        if (event.data instanceof ArrayBuffer) {
+            handleCameraFrame(event.data);
+            return;
+        }
         try {
             const message = JSON.parse(event.data);
             if (message.type === 'status') {
-                lastPayload = message.data;
-                updateUI(message.data);
+                handleStatusMessage(message);
+            } else if (message.type === 'upload_progress') {
+                handleUploadProgress(message);
+            } else if (message.type === 'camera_error') {
+                console.error('Camera subscription failed:', message.error);
             } else if (message.type === 'server_restarting') {
                 showToast({
                     title: 'Server restarting…',
@@ -94,8 +241,19 @@ function connectWebSocket() {
         }
     };
 
-    ws.onclose = () => {
+    ws.onclose = (event) => {
         console.log('Disconnected from server');
+        cameraSubscription = null;
+        // Closed for lack of permission: retrying will not help until the user signs in
+        if (event?.code === 1008) {
+            showToast({
+                title: 'Sign in required',
+                body: 'This monitor requires an account to view printers.',
+                hint: 'Open Account in the header to sign in.',
+                duration: 10000
+            });
+            return;
+        }
         scheduleReconnect();
     };
 }
@@ -268,9 +426,12 @@ function updateUI(payload) {
     document.getElementById('enclosureTemp').textContent = Math.round(temps.enclosure.current || 0);
     document.getElementById('enclosureTarget').textContent = Math.round(temps.enclosure.target || 0);
 
-    // ---------------- CAMERA LOGIC (UNCHANGED) ----------------
+    updateJobControls(printer);
+
+    // ---------------- CAMERA LOGIC ----------------
 
     const cameraFeed = document.getElementById('cameraFeed');
+    const cameraCanvas = document.getElementById('cameraCanvas');
     const cameraPlaceholder = document.getElementById('cameraPlaceholder');
     const cameraOverlay = document.getElementById('cameraOverlay');
     const cameraPlaceholderLabel = cameraPlaceholder.querySelector('span') || cameraPlaceholder;
@@ -278,10 +439,16 @@ function updateUI(payload) {
     // Use job state for camera idle detection - check if either machine or job is idle
     lastPrinterState = jobState;
 
-    if (printer.cameraAvailable) {
+    if (printer.cameraAvailable && cameraTransport === 'websocket') {
+        const isIdle = jobState === "IDLE" || machineState === "IDLE";
+        updateSocketCamera(isIdle && settings.pauseOnIdle);
+        cameraCanvas.style.display = 'block';
+        cameraFeed.style.display = 'none';
+        cameraPlaceholder.style.display = 'none';
+    } else if (printer.cameraAvailable) {
         const isIdle = jobState === "IDLE" || machineState === "IDLE";
         if (!cameraInitialized) {
-            cameraFeed.src = '/api/camera';
+            cameraFeed.src = cameraStreamPath();
             cameraInitialized = true;
 
             cameraFeed.onload = function () {
@@ -301,16 +468,19 @@ function updateUI(payload) {
             cameraOverlay.style.display = 'flex';
         } else {
             // Only reset src if we have a snapshot taken or if it's not set to the stream
-            if (snapshotTaken || !cameraFeed.src.includes('/api/camera')) {
+            if (snapshotTaken || !cameraFeed.src.includes(cameraStreamPath())) {
                 snapshotTaken = false;
-                cameraFeed.src = '/api/camera';
+                cameraFeed.src = cameraStreamPath();
             }
             cameraOverlay.style.display = 'none';
         }
         cameraFeed.style.display = 'block';
+        cameraCanvas.style.display = 'none';
         cameraPlaceholder.style.display = 'none';
     } else {
+        setCameraSubscription(null);
         cameraFeed.style.display = 'none';
+        cameraCanvas.style.display = 'none';
         cameraPlaceholder.style.display = 'flex';
         cameraOverlay.style.display = 'none';
         cameraInitialized = false;
@@ -321,6 +491,273 @@ function updateUI(payload) {
     }
 }
 
+// ---------------- JOB CONTROL ----------------
+
+function updateJobControls(printer) {
+    const jobState = printer?.status?.job?.state || 'UNKNOWN';
+    Object.keys(JOB_ACTION_STATES).forEach((action) => {
+        const btn = document.querySelector(`.job-btn[data-action="${action}"]`);
+        if (!btn) return;
+        btn.disabled = !printer?.connected || !JOB_ACTION_STATES[action].includes(jobState);
+    });
+}
+
+function jobActionPath(action) {
+    const printerId = getActivePrinterId();
+    return printerId
+        ? `/api/printers/${encodeURIComponent(printerId)}/job/${action}`
+        : `/api/job/${action}`;
+}
+
+async function sendJobAction(action) {
+    const label = JOB_ACTION_LABELS[action] || action;
+    const printerName = lastPayload?.printer?.printerName || 'the printer';
+    if (!window.confirm(`${label} the current print on ${printerName}?`)) return;
+
+    try {
+        const response = await fetch(jobActionPath(action), { method: 'POST' });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `Request failed (${response.status})`);
+        }
+        showToast({ title: `${label} sent`, body: `${label} command sent to ${printerName}.`, duration: 5000 });
+    } catch (err) {
+        showToast({ title: `${label} failed`, body: err.message, duration: 8000 });
+    }
+}
+
+function initJobControls() {
+    document.querySelectorAll('.job-btn').forEach((btn) => {
+        btn.addEventListener('click', () => sendJobAction(btn.dataset.action));
+    });
+}
+
+// ---------------- FILES ----------------
+
+function filesApiPath(suffix = '') {
+    const printerId = getActivePrinterId();
+    return printerId
+        ? `/api/printers/${encodeURIComponent(printerId)}/files${suffix}`
+        : `/api/files${suffix}`;
+}
+
+function setFilesMessage(text) {
+    const list = document.getElementById('filesList');
+    if (!list) return;
+    list.innerHTML = '';
+    const item = document.createElement('li');
+    item.className = 'files-empty';
+    item.textContent = text;
+    list.appendChild(item);
+}
+
+async function loadFiles(path = filesState.path) {
+    filesState.path = path;
+    const pathElem = document.getElementById('filesPath');
+    if (pathElem) pathElem.textContent = path;
+    setFilesMessage('Loading…');
+
+    try {
+        const query = `?storage=${filesState.storage}&path=${encodeURIComponent(path)}`;
+        const response = await fetch(filesApiPath(query));
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `Request failed (${response.status})`);
+        }
+        renderFiles(result.files);
+    } catch (err) {
+        setFilesMessage(`Could not load files: ${err.message}`);
+    }
+}
+
+function renderFiles(files) {
+    const list = document.getElementById('filesList');
+    if (!list) return;
+    list.innerHTML = '';
+
+    const root = STORAGE_ROOTS[filesState.storage];
+    if (filesState.path !== root) {
+        const parent = filesState.path.replace(/[^/]+\/?$/, '');
+        const up = document.createElement('li');
+        const upName = document.createElement('span');
+        upName.className = 'file-name file-folder';
+        upName.textContent = '⬑ ..';
+        upName.onclick = () => loadFiles(parent.length >= root.length ? parent : root);
+        up.appendChild(upName);
+        list.appendChild(up);
+    }
+
+    if (!files || files.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'files-empty';
+        empty.textContent = 'No files';
+        list.appendChild(empty);
+        return;
+    }
+
+    files.forEach((file) => {
+        const item = document.createElement('li');
+
+        if (file.thumbnail) {
+            const thumb = document.createElement('img');
+            thumb.className = 'file-thumb';
+            thumb.src = file.thumbnail;
+            thumb.alt = '';
+            item.appendChild(thumb);
+        }
+
+        const name = document.createElement('span');
+        name.className = 'file-name';
+        name.textContent = file.type === 'folder' ? `📁 ${file.name}` : file.name;
+        name.title = file.path;
+        item.appendChild(name);
+
+        if (file.type === 'folder') {
+            name.classList.add('file-folder');
+            name.onclick = () => loadFiles(file.path.endsWith('/') ? file.path : `${file.path}/`);
+        } else {
+            const size = document.createElement('span');
+            size.className = 'file-size';
+            size.textContent = formatBytes(file.size);
+            item.appendChild(size);
+
+            const printBtn = document.createElement('button');
+            printBtn.className = 'file-btn requires-operator';
+            printBtn.textContent = 'Print';
+            printBtn.onclick = () => printFile(file);
+            item.appendChild(printBtn);
+        }
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'file-btn file-btn-danger requires-operator';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.onclick = () => deleteFile(file);
+        item.appendChild(deleteBtn);
+
+        list.appendChild(item);
+    });
+}
+
+async function printFile(file) {
+    const printerName = lastPayload?.printer?.printerName || 'the printer';
+    if (!window.confirm(`Start printing ${file.name} on ${printerName}?`)) return;
+
+    try {
+        const response = await fetch(filesApiPath('/print'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ path: file.path })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `Request failed (${response.status})`);
+        }
+        showToast({ title: 'Print started', body: `${file.name} sent to ${printerName}.`, duration: 5000 });
+    } catch (err) {
+        showToast({ title: 'Print failed', body: err.message, duration: 8000 });
+    }
+}
+
+async function deleteFile(file) {
+    if (!window.confirm(`Delete ${file.name}? This cannot be undone.`)) return;
+
+    try {
+        const query = `?path=${encodeURIComponent(file.path)}${file.type === 'folder' ? '&type=folder' : ''}`;
+        const response = await fetch(filesApiPath(query), { method: 'DELETE' });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `Request failed (${response.status})`);
+        }
+        loadFiles();
+    } catch (err) {
+        showToast({ title: 'Delete failed', body: err.message, duration: 8000 });
+    }
+}
+
+// ---------------- UPLOAD ----------------
+
+const UPLOAD_PHASE_LABELS = {
+    receiving: 'Sending to server…',
+    uploading: 'Uploading to printer…',
+    complete: 'Upload complete',
+    failed: 'Upload failed'
+};
+
+function handleUploadProgress(message) {
+    if (message.printerId && message.printerId !== getActivePrinterId()) return;
+    const upload = message.data || {};
+    const container = document.getElementById('uploadProgress');
+    const fill = document.getElementById('uploadProgressFill');
+    const text = document.getElementById('uploadProgressText');
+    if (!container || !fill || !text) return;
+
+    const percent = upload.phase === 'uploading' || upload.phase === 'complete' ? upload.percent || 0 : 0;
+    container.style.display = 'block';
+    container.classList.toggle('failed', upload.phase === 'failed');
+    fill.style.width = `${upload.phase === 'failed' ? 100 : percent}%`;
+    const label = UPLOAD_PHASE_LABELS[upload.phase] || upload.phase;
+    text.textContent = upload.phase === 'uploading'
+        ? `${upload.filename}: ${label} ${percent}%`
+        : `${upload.filename}: ${label}${upload.error ? ` (${upload.error})` : ''}`;
+}
+
+async function uploadSelectedFile() {
+    const input = document.getElementById('uploadInput');
+    const printAfter = document.getElementById('uploadPrintAfter')?.checked;
+    const file = input?.files?.[0];
+    if (!file) {
+        showToast({ title: 'No file selected', body: 'Choose a .gcode file to upload.', duration: 5000 });
+        return;
+    }
+
+    const uploadBtn = document.getElementById('uploadBtn');
+    if (uploadBtn) uploadBtn.disabled = true;
+    try {
+        const query = `?filename=${encodeURIComponent(file.name)}${printAfter ? '&print=1' : ''}`;
+        const response = await fetch(filesApiPath(`/upload${query}`), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: file
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `Request failed (${response.status})`);
+        }
+        const body = result.started
+            ? `${file.name} uploaded and printing.`
+            : `${file.name} uploaded.${result.startError ? ` Not started: ${result.startError}` : ''}`;
+        showToast({ title: 'Upload complete', body, duration: 8000 });
+        input.value = '';
+        loadFiles(STORAGE_ROOTS.local);
+    } catch (err) {
+        showToast({ title: 'Upload failed', body: err.message, duration: 8000 });
+    } finally {
+        if (uploadBtn) uploadBtn.disabled = false;
+    }
+}
+
+function initFilesPanel() {
+    document.querySelectorAll('.files-tab[data-storage]').forEach((tab) => {
+        tab.addEventListener('click', () => {
+            filesState.storage = tab.dataset.storage;
+            document.querySelectorAll('.files-tab[data-storage]').forEach((other) => {
+                other.classList.toggle('active', other === tab);
+            });
+            loadFiles(STORAGE_ROOTS[filesState.storage]);
+        });
+    });
+
+    const refreshBtn = document.getElementById('filesRefreshBtn');
+    if (refreshBtn) {
+        refreshBtn.addEventListener('click', () => loadFiles());
+    }
+
+    const uploadBtn = document.getElementById('uploadBtn');
+    if (uploadBtn) {
+        uploadBtn.addEventListener('click', uploadSelectedFile);
+    }
+}
+
 // ---------------- CAMERA TOGGLE ----------------
 
 function toggleCameraStream() {
@@ -330,6 +767,11 @@ function toggleCameraStream() {
 
     if (!isIdle) return;
 
+    if (cameraTransport === 'websocket') {
+        updateSocketCamera(settings.pauseOnIdle);
+        return;
+    }
+
     if (settings.pauseOnIdle) {
         if (cameraFeed.style.display === 'block') {
             if (!snapshotTaken) {
@@ -346,12 +788,150 @@ function toggleCameraStream() {
     } else {
         snapshotTaken = false;
         if (cameraFeed.style.display === 'block') {
-            cameraFeed.src = '/api/camera';
+            cameraFeed.src = cameraStreamPath();
         }
         cameraOverlay.style.display = 'none';
     }
 }
 
+// ---------------- CAMERA OVER WEBSOCKET ----------------
+
+// Opt-in alternative to the MJPEG <img>: frames arrive as binary messages on the
+// status socket, so pausing is an unsubscribe that leaves the last frame on the canvas
+const CAMERA_FRAME_MESSAGE = 0x01; // mirrors utils/camera-viewer.js
+const CAMERA_SOCKET_FPS = 10;
+
+function loadCameraTransport() {
+    try {
+        return localStorage.getItem('CameraTransport') === 'websocket' ? 'websocket' : 'mjpeg';
+    } catch (err) {
+        return 'mjpeg';
+    }
+}
+
+function saveCameraTransport() {
+    try {
+        localStorage.setItem('CameraTransport', cameraTransport);
+    } catch (err) {
+        console.error('Failed to save camera transport:', err);
+    }
+}
+
+function updateSocketCamera(paused) {
+    setCameraSubscription(paused ? null : (getActivePrinterId() || ''));
+    document.getElementById('cameraOverlay').style.display = paused ? 'flex' : 'none';
+}
+
+function setCameraSubscription(printerId) {
+    cameraWanted = printerId;
+    syncCameraSubscription();
+}
+
+// Send whatever (un)subscribe brings the server in line with cameraWanted
+function syncCameraSubscription() {
+    if (!ws || ws.readyState !== WebSocket.OPEN || cameraWanted === cameraSubscription) return;
+    if (cameraWanted === null) {
+        ws.send(JSON.stringify({ type: 'camera_unsubscribe' }));
+    } else {
+        ws.send(JSON.stringify({ type: 'camera_subscribe', printerId: cameraWanted || undefined, fps: CAMERA_SOCKET_FPS }));
+    }
+    cameraSubscription = cameraWanted;
+}
+
+// Binary message: [0x01][printer ID length][printer ID][JPEG]
+function handleCameraFrame(buffer) {
+    const bytes = new Uint8Array(buffer);
+    if (bytes.length < 2 || bytes[0] !== CAMERA_FRAME_MESSAGE) return;
+    const idLength = bytes[1];
+    const printerId = new TextDecoder().decode(bytes.subarray(2, 2 + idLength));
+    // Ignore frames still in flight from an earlier subscription
+    if (cameraSubscription === null || (cameraSubscription && printerId !== cameraSubscription)) return;
+
+    pendingCameraFrame = new Blob([bytes.subarray(2 + idLength)], { type: 'image/jpeg' });
+    if (!cameraFrameDrawing) drawCameraFrame();
+}
+
+// Decode one frame at a time; frames arriving meanwhile replace the pending one
+function drawCameraFrame() {
+    const blob = pendingCameraFrame;
+    pendingCameraFrame = null;
+    if (!blob) {
+        cameraFrameDrawing = false;
+        return;
+    }
+    cameraFrameDrawing = true;
+    createImageBitmap(blob)
+        .then((bitmap) => {
+            const canvas = document.getElementById('cameraCanvas');
+            if (canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+                canvas.width = bitmap.width;
+                canvas.height = bitmap.height;
+            }
+            canvas.getContext('2d').drawImage(bitmap, 0, 0);
+            bitmap.close();
+        })
+        .catch((err) => console.error('Failed to draw camera frame:', err))
+        .finally(drawCameraFrame);
+}
+
+function clearCameraCanvas() {
+    const canvas = document.getElementById('cameraCanvas');
+    // Resizing a canvas clears it
+    if (canvas) canvas.width = canvas.width;
+}
+
+function setCameraTransport(transport) {
+    cameraTransport = transport;
+    saveCameraTransport();
+
+    const cameraFeed = document.getElementById('cameraFeed');
+    if (transport === 'websocket') {
+        // Drop the MJPEG connection
+        cameraFeed.removeAttribute('src');
+        cameraFeed.onload = null;
+    } else {
+        setCameraSubscription(null);
+        clearCameraCanvas();
+    }
+    cameraInitialized = false;
+    snapshotTaken = false;
+    if (lastPayload) updateUI(lastPayload);
+}
+
+function initCameraTransportButton() {
+    const btn = document.getElementById('cameraTransportBtn');
+    if (!btn) return;
+
+    btn.classList.toggle('active', cameraTransport === 'websocket');
+    btn.addEventListener('click', () => {
+        setCameraTransport(cameraTransport === 'websocket' ? 'mjpeg' : 'websocket');
+        btn.classList.toggle('active', cameraTransport === 'websocket');
+    });
+}
+
+// ---------------- ACCOUNT ----------------
+
+// Header link shows who is signed in, or prompts for first-run setup. The role goes on
+// <body data-role> (and signed-in users on data-user) so the stylesheet hides controls
+// the user cannot use.
+async function initAccountLink() {
+    const link = document.getElementById('accountLink');
+    if (!link || typeof fetch !== 'function') return;
+    try {
+        const response = await fetch('/api/auth/status');
+        const status = await response.json();
+        document.body.dataset.role = status.role || '';
+        if (status.user) document.body.dataset.user = status.user.username;
+        if (status.setupRequired) {
+            link.textContent = 'Set up accounts';
+        } else {
+            link.textContent = status.user ? status.user.username : 'Sign in';
+        }
+    } catch (err) {
+        console.error('Failed to load account status:', err);
+    }
+}
+
 // ---------------- INIT ----------------
 
 function initPauseOnIdleButton() {
@@ -370,6 +950,151 @@ function initPauseOnIdleButton() {
     });
 }
 
+// ---------------- PUSH NOTIFICATIONS ----------------
+
+function pushSupported() {
+    return 'serviceWorker' in navigator && typeof window.PushManager !== 'undefined' && typeof window.Notification !== 'undefined';
+}
+
+function loadPushEvents() {
+    try {
+        const stored = JSON.parse(localStorage.getItem('PushEvents'));
+        if (Array.isArray(stored)) return stored;
+    } catch (err) {
+        console.error('Failed to load push events:', err);
+    }
+    return ['complete'];
+}
+
+function savePushEvents(events) {
+    try {
+        localStorage.setItem('PushEvents', JSON.stringify(events));
+    } catch (err) {
+        console.error('Failed to save push events:', err);
+    }
+}
+
+// VAPID keys are URL-safe base64; PushManager wants the raw bytes
+function urlBase64ToUint8Array(base64String) {
+    const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+    const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+    const raw = window.atob(base64);
+    return Uint8Array.from(raw, (char) => char.charCodeAt(0));
+}
+
+async function pushRequest(path, method, body) {
+    const response = await fetch(path, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+        throw new Error(result.error || `Request failed (${response.status})`);
+    }
+    return result;
+}
+
+async function getPushSubscription() {
+    const registration = await navigator.serviceWorker.getRegistration('/');
+    return registration ? registration.pushManager.getSubscription() : null;
+}
+
+// Subscribe this browser (or update its event choices)
+async function enablePush(events) {
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+        throw new Error('Notifications are blocked for this site');
+    }
+    const registration = await navigator.serviceWorker.register('/sw.js');
+    let subscription = await registration.pushManager.getSubscription();
+    if (!subscription) {
+        const { publicKey } = await pushRequest('/api/push/public-key', 'GET');
+        subscription = await registration.pushManager.subscribe({
+            userVisibleOnly: true,
+            applicationServerKey: urlBase64ToUint8Array(publicKey)
+        });
+    }
+    await pushRequest('/api/push/subscriptions', 'POST', { subscription: subscription.toJSON(), events });
+}
+
+async function disablePush() {
+    const subscription = await getPushSubscription();
+    if (!subscription) return;
+    try {
+        await pushRequest('/api/push/subscriptions', 'DELETE', { endpoint: subscription.endpoint });
+    } catch (err) {
+        // The server may already have dropped it; unsubscribing locally is what matters
+        console.warn('Failed to remove push subscription:', err.message);
+    }
+    await subscription.unsubscribe();
+}
+
+function initPushControls() {
+    const control = document.getElementById('pushControl');
+    if (!control || !pushSupported()) return;
+    control.style.display = '';
+
+    const btn = document.getElementById('pushNotifyBtn');
+    const panel = document.getElementById('pushPanel');
+    const checkboxes = Array.from(panel.querySelectorAll('.push-event'));
+    const selected = loadPushEvents();
+    checkboxes.forEach((box) => { box.checked = selected.includes(box.value); });
+
+    const setActive = (active) => btn.classList.toggle('active', active);
+    getPushSubscription()
+        .then((subscription) => setActive(Boolean(subscription) && Notification.permission === 'granted'))
+        .catch(() => setActive(false));
+
+    btn.addEventListener('click', async () => {
+        if (btn.classList.contains('active')) {
+            panel.style.display = panel.style.display === 'none' ? 'flex' : 'none';
+            return;
+        }
+        try {
+            await enablePush(loadPushEvents());
+            setActive(true);
+            panel.style.display = 'flex';
+            showToast({ title: 'Notifications on', body: 'Choose which events notify this browser.', duration: 5000 });
+        } catch (err) {
+            showToast({ title: 'Notifications unavailable', body: err.message, duration: 8000 });
+        }
+    });
+
+    checkboxes.forEach((box) => {
+        box.addEventListener('change', async () => {
+            const events = checkboxes.filter((item) => item.checked).map((item) => item.value);
+            savePushEvents(events);
+            if (!btn.classList.contains('active')) return;
+            try {
+                await enablePush(events);
+            } catch (err) {
+                showToast({ title: 'Failed to update notifications', body: err.message, duration: 8000 });
+            }
+        });
+    });
+
+    document.getElementById('pushTestBtn').addEventListener('click', async () => {
+        try {
+            const subscription = await getPushSubscription();
+            if (!subscription) throw new Error('This browser is not subscribed');
+            await pushRequest('/api/push/test', 'POST', { endpoint: subscription.endpoint });
+        } catch (err) {
+            showToast({ title: 'Test notification failed', body: err.message, duration: 8000 });
+        }
+    });
+
+    document.getElementById('pushDisableBtn').addEventListener('click', async () => {
+        try {
+            await disablePush();
+        } catch (err) {
+            showToast({ title: 'Failed to turn off notifications', body: err.message, duration: 8000 });
+        }
+        setActive(false);
+        panel.style.display = 'none';
+    });
+}
+
 function showToast({ title, body, hint, duration = 15000 }) {
     const container = document.getElementById('toastContainer');
     if (!container) return;
@@ -421,6 +1146,12 @@ function dismissToast(card, container) {
 document.addEventListener('DOMContentLoaded', () => {
     console.log('Elegoo Print Monitor starting...');
     initPauseOnIdleButton();
+    initCameraTransportButton();
+    initPushControls();
+    initPrinterSelect();
+    initJobControls();
+    initFilesPanel();
+    initAccountLink();
     connectWebSocket();
 
     // Update UI every second to keep clock and other elements fresh
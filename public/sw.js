@@ -0,0 +1,28 @@
+// Service worker for browser push notifications (see /api/push)
+
+self.addEventListener('push', (event) => {
+    let data = {};
+    try {
+        data = event.data ? event.data.json() : {};
+    } catch (err) {
+        data = { body: event.data ? event.data.text() : '' };
+    }
+
+    event.waitUntil(self.registration.showNotification(data.title || 'Elegoo Print Monitor', {
+        body: data.body || '',
+        tag: data.tag,
+        icon: '/Favicon.png',
+        timestamp: data.timestamp ? Date.parse(data.timestamp) : Date.now(),
+        data
+    }));
+});
+
+// Focus an open monitor tab, or open one
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+        const existing = windows.find((client) => new URL(client.url).pathname === '/');
+        if (existing) return existing.focus();
+        return self.clients.openWindow('/');
+    }));
+});
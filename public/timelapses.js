@@ -0,0 +1,118 @@
+// Timelapse gallery: lists recorded jobs from /api/timelapses
+
+const TIMELAPSE_STATUS_LABELS = {
+    recording: 'Recording…',
+    assembling: 'Assembling…',
+    failed: 'Failed'
+};
+
+function formatTimelapseSize(bytes) {
+    if (!Number.isFinite(bytes) || bytes <= 0) return '-';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+function createTimelapseCard(timelapse) {
+    const card = document.createElement('div');
+    card.className = 'timelapse-item';
+
+    if (timelapse.status === 'ready') {
+        const thumb = document.createElement('img');
+        thumb.className = 'timelapse-thumb';
+        thumb.loading = 'lazy';
+        thumb.alt = timelapse.file || 'Timelapse';
+        thumb.src = `/api/timelapses/${encodeURIComponent(timelapse.id)}/thumbnail`;
+        card.appendChild(thumb);
+    } else {
+        const placeholder = document.createElement('div');
+        placeholder.className = 'timelapse-thumb timelapse-thumb-empty';
+        placeholder.textContent = TIMELAPSE_STATUS_LABELS[timelapse.status] || timelapse.status;
+        card.appendChild(placeholder);
+    }
+
+    const title = document.createElement('div');
+    title.className = 'timelapse-title';
+    title.textContent = timelapse.file || 'Unknown file';
+    card.appendChild(title);
+
+    const meta = document.createElement('div');
+    meta.className = 'timelapse-meta';
+    const started = new Date(timelapse.startedAt).toLocaleString();
+    const state = timelapse.jobState ? ` · ${timelapse.jobState}` : '';
+    meta.textContent = `${timelapse.printerName || timelapse.printerId} · ${started}${state} · ${timelapse.frames} frames · ${formatTimelapseSize(timelapse.size)}`;
+    card.appendChild(meta);
+
+    const actions = document.createElement('div');
+    actions.className = 'timelapse-actions';
+    if (timelapse.status === 'ready') {
+        const download = document.createElement('a');
+        download.className = 'file-btn';
+        download.href = `/api/timelapses/${encodeURIComponent(timelapse.id)}/video`;
+        download.textContent = 'Download';
+        actions.appendChild(download);
+    }
+    if (['ready', 'failed'].includes(timelapse.status)) {
+        const remove = document.createElement('button');
+        remove.className = 'file-btn file-btn-danger requires-operator';
+        remove.textContent = 'Delete';
+        remove.addEventListener('click', () => deleteTimelapse(timelapse));
+        actions.appendChild(remove);
+    }
+    card.appendChild(actions);
+    return card;
+}
+
+async function loadTimelapses() {
+    const grid = document.getElementById('timelapseGrid');
+    const empty = document.getElementById('timelapseEmpty');
+    try {
+        const response = await fetch('/api/timelapses');
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `Request failed (${response.status})`);
+        }
+        grid.replaceChildren(...result.timelapses.map(createTimelapseCard));
+        empty.style.display = result.timelapses.length ? 'none' : 'block';
+        empty.textContent = 'No timelapses yet. One is recorded for every print.';
+    } catch (err) {
+        empty.style.display = 'block';
+        empty.textContent = `Failed to load timelapses: ${err.message}`;
+    }
+}
+
+async function deleteTimelapse(timelapse) {
+    if (!window.confirm(`Delete the timelapse of ${timelapse.file || 'this print'}?`)) return;
+    try {
+        const response = await fetch(`/api/timelapses/${encodeURIComponent(timelapse.id)}`, { method: 'DELETE' });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `Request failed (${response.status})`);
+        }
+    } catch (err) {
+        window.alert(`Delete failed: ${err.message}`);
+    }
+    loadTimelapses();
+}
+
+// Deleting needs the operator role; the stylesheet hides the buttons by <body data-role>
+async function loadRole() {
+    try {
+        const status = await (await fetch('/api/auth/status')).json();
+        document.body.dataset.role = status.role || '';
+    } catch (err) {
+        console.error('Failed to load account status:', err);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    loadRole();
+    loadTimelapses();
+    // Pick up recordings that finish while the page is open
+    setInterval(loadTimelapses, 30000);
+});
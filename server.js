@@ -1,82 +1,120 @@
 
 require('module-alias/register');
 
-const DEBUG_DISABLE_LOCAL_IP_FILTER =
-  !('DEBUG_DISABLE_LOCAL_IP_FILTER' in process.env) ||
-  process.env.DEBUG_DISABLE_LOCAL_IP_FILTER === '' ||
-  process.env.DEBUG_DISABLE_LOCAL_IP_FILTER === 'true';
-const ENABLE_DEBUG_ENDPOINTS = process.env.ENABLE_DEBUG_ENDPOINTS === 'true';
 const express = require('express');
 const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
 const WebSocket = require('ws');
+const { v4: uuidv4 } = require('uuid');
 require('utils/logger');
-const { getClientIP, isLocalIP } = require('utils/ip-utils');
+const { getClientIP, normalizeIP } = require('utils/ip-utils');
 const { parseStatusPayload } = require('utils/status-utils');
+const { JOB_ACTIONS, RUNNING_JOB_STATES, validateJobAction } = require('utils/job-control');
+const { isValidPrinterPath, getStorageRoot, normalizeFileList, STORAGE_ROOTS } = require('utils/file-utils');
+const { isValidUploadFilename, uploadFileToPrinter } = require('utils/file-uploader');
+const JobHistory = require('utils/job-history');
+const TelemetryBuffer = require('utils/telemetry');
+const { METRICS_CONTENT_TYPE, formatMetrics } = require('utils/metrics');
+const { createMqttBridgeFromEnv } = require('utils/mqtt-bridge');
+const { PRINTER_EVENTS, detectJobEvents, jobEventDetails, buildPrinterEvent } = require('utils/printer-events');
+const WebhookDispatcher = require('utils/webhooks');
+const { loadWebhookTargets } = WebhookDispatcher;
+const Notifier = require('utils/notifier');
+const { loadNotificationConfig } = Notifier;
+const WebPushService = require('utils/web-push');
+const { PUSH_EVENT_GROUPS } = WebPushService;
+const { captureFrame, snapshotHeaders } = require('utils/camera-snapshot');
+const CameraViewer = require('utils/camera-viewer');
+const { SocketCameraViewer, parseViewerFps } = CameraViewer;
+const TimelapseRecorder = require('utils/timelapse');
+const { timelapseOptionsFromEnv } = TimelapseRecorder;
+const CameraDvr = require('utils/camera-dvr');
+const { dvrOptionsFromEnv } = CameraDvr;
 const UserStats = require('utils/user-stats');
+const AuthStore = require('utils/auth');
+const { sessionCookie, requestCredentials, parseCookies, authOptionsFromEnv, hasRole, SESSION_COOKIE } = AuthStore;
+const AuthGuard = require('utils/auth-guard');
+const Config = require('utils/config');
 
 const PrinterDiscovery = require('utils/printer-discovery');
+const DiscoveryService = require('utils/discovery-service');
 const SDCPClient = require('utils/sdcp-client');
+const { CONNECTION_STATES, reconnectDelay } = SDCPClient;
+const { readCapture, CaptureReplay } = require('utils/sdcp-replay');
+const PrinterRegistry = require('utils/printer-registry');
+const { createDefaultPrinterStatus, resolvePrinterId } = PrinterRegistry;
+const { pinnedPrinterId, checkPrinterIdentity } = require('utils/printer-pins');
 
 const app = express();
 const server = http.createServer(app);
 const wss = new WebSocket.Server({ server });
 
-const MAX_FPS = 15;
-const PORT = process.env.PORT || 3000;
-const STATUS_POLL_INTERVAL = 2000;
-const WS_UPDATE_INTERVAL = (() => {
-  const value = Number.parseInt(process.env.WS_UPDATE_INTERVAL, 10);
-  return Number.isFinite(value) && value > 0 ? value : 1000;
-})();
-const CAMERA_MAX_START_FAILURES = 3;
+// Directory for persistent data (job history, etc.)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+// Server settings (see utils/config.js); environment variables override the file
+const CONFIG_FILE = process.env.CONFIG_FILE || path.join(DATA_DIR, 'config.json');
+const config = new Config({ filePath: CONFIG_FILE });
+try {
+  config.load();
+} catch (err) {
+  console.error(`[Config] ${err.message}`);
+  process.exit(1);
+}
+// JSON array of webhook targets: [{ id, url, secret, events }]
+const WEBHOOKS_FILE = process.env.WEBHOOKS_FILE || path.join(DATA_DIR, 'webhooks.json');
+// Notification channels and templates: { channels: [...], templates: {...} }
+const NOTIFICATIONS_FILE = process.env.NOTIFICATIONS_FILE || path.join(DATA_DIR, 'notifications.json');
+// One folder per recorded job timelapse
+const TIMELAPSE_DIR = process.env.TIMELAPSE_DIR || path.join(DATA_DIR, 'timelapses');
+// Rolling camera buffer and event clips (DVR_ENABLED=true)
+const DVR_DIR = process.env.DVR_DIR || path.join(DATA_DIR, 'dvr');
+// SDCP message captures (sdcpCapture setting), one JSONL file per printer connection
+const CAPTURE_DIR = process.env.CAPTURE_DIR || path.join(DATA_DIR, 'captures');
+// Replay a capture instead of connecting to printers: REPLAY_FILE=capture.jsonl [REPLAY_SPEED=10]
+const REPLAY_FILE = process.env.REPLAY_FILE || null;
+const REPLAY_SPEED = Number(process.env.REPLAY_SPEED || 1);
+const HISTORY_SYNC_INTERVAL = 30 * 60 * 1000;
+// Task details requested per Cmd 321 call when importing printer history
+const HISTORY_DETAIL_BATCH = 20;
+const UPLOAD_MAX_BYTES = 1024 * 1024 * 1024;
+// How long to wait for the printer to leave FILE_TRANSFERRING before starting an uploaded file
+const UPLOAD_START_TIMEOUT = 30000;
+// Window (ms) over which the relayed camera frame rate is averaged
+const CAMERA_FPS_WINDOW = 5000;
+// Delay before restarting a failed camera stream; once the camera is reported unavailable
+// (cameraMaxStartFailures) the delay doubles with every further failure, up to the cap
+const CAMERA_RETRY_DELAY = 5000;
+const CAMERA_RETRY_MAX_DELAY = 5 * 60 * 1000;
+// How long a snapshot request waits for the first frame of a woken stream
+const CAMERA_SNAPSHOT_TIMEOUT = 5000;
+// Older camera frames are not attached to notifications; the stream is woken for a new one
+const NOTIFY_SNAPSHOT_MAX_AGE = 3000;
+// Older camera frames are not used for timelapses (the stream has stalled)
+const TIMELAPSE_FRAME_MAX_AGE = 10000;
 const CAMERA_ACK_ERRORS = {
   1: 'Exceeded maximum simultaneous streaming limit',
   2: 'Camera does not exist',
   3: 'Unknown error'
 };
 
-// Store printer data
-let printerClient = null;
-let defaultPrinterStatus = {
-  connected: false,
-  printerName: 'Unknown',
-  state: 'Disconnected',
-  progress: 0,
-  layerProgress: 0,
-  temperatures: {
-    bed: { current: 0, target: 0 },
-    nozzle: { current: 0, target: 0 },
-    enclosure: { current: 0, target: 0 }
-  },
-  currentFile: '',
-  printTime: 0,
-  remainingTime: 0,
-  calculatedTime: null,
-  cameraAvailable: false,
-  cameraError: null,
-  lastUpdate: null,
-  customState: 0,
-  layers: {
-    total: 0,
-    finished: 0
-  },
-  // Status object containing machine and job states
-  status: {
-    consolidated: 'UNKNOWN',
-    machine: { state: 'UNKNOWN', code: null },
-    job: { state: 'UNKNOWN', code: null }
-  },
-  status_code: null,
-  prev_status: null
-};
-let printerStatus = { ...defaultPrinterStatus };
-let reconnectSetupInProgress = false;
-let reconnectSetupNeeded = false;
+// Store printer data, one entry per printer
+const printers = new PrinterRegistry();
+// Background discovery; its cache backs /api/discover and every scan feeds autoConnect
+const discoveryService = new DiscoveryService({
+  discovery: new PrinterDiscovery({ probeRanges: config.get('discoveryProbeRanges') }),
+  interval: config.get('discoveryInterval')
+});
 /**
  * Set custom status codes based on printer info
  * @param {object} info - Raw printer info/status
  */
-function setCustomState(info) {
+function setCustomState(printer, info) {
   if (!info || !info.Status) {
     return;
   }
@@ -89,186 +127,1201 @@ function setCustomState(info) {
     }
   }
   // Add more custom state code logic here as needed
-  printerStatus.customState = code;
+  printer.status.customState = code;
 }
 
 // WebSocket clients
 const webClients = new Set();
 
-// Camera stream
-let cameraStreamURL = null;
-let printerStream = null;
-const cameraSubscribers = new Set(); // Clients subscribed to camera stream
-let latestFrame = null;
-const cameraContentType = 'image/jpeg';
-let cameraStartFailure = { lastError: null, count: 0 };
-
 const userStats = new UserStats();
+const jobHistory = new JobHistory({ filePath: path.join(DATA_DIR, 'job-history.json') });
+const telemetry = new TelemetryBuffer();
+// Printer and job events (see utils/printer-events); integrations listen for 'event'
+const printerEvents = new EventEmitter();
+
+const webhooks = (() => {
+  try {
+    const targets = loadWebhookTargets(WEBHOOKS_FILE);
+    if (targets.length) console.log(`[Webhook] ${targets.length} target(s) loaded from ${WEBHOOKS_FILE}`);
+    return new WebhookDispatcher({ targets });
+  } catch (err) {
+    console.error(`[Webhook] Ignoring invalid ${WEBHOOKS_FILE}:`, err.message);
+    return new WebhookDispatcher();
+  }
+})();
+printerEvents.on('event', (event) => {
+  webhooks.dispatch(event).catch((err) => {
+    console.error('[Webhook] Dispatch failed:', err.message);
+  });
+});
+
+const notifier = (() => {
+  // Snapshots come from the camera relay: a recent frame, or the next one from the woken stream
+  const getSnapshot = (printerId) => {
+    const printer = printers.get(printerId);
+    if (!printer) return null;
+    return captureFrame(printer.camera, {
+      maxAge: NOTIFY_SNAPSHOT_MAX_AGE,
+      timeout: CAMERA_SNAPSHOT_TIMEOUT,
+      wake: printer.status.connected ? () => wakeCameraStream(printer) : null
+    });
+  };
+  try {
+    const { channels, templates } = loadNotificationConfig(NOTIFICATIONS_FILE);
+    if (channels.length) console.log(`[Notify] ${channels.length} channel(s) loaded from ${NOTIFICATIONS_FILE}`);
+    return new Notifier({ channels, templates, getSnapshot });
+  } catch (err) {
+    console.error(`[Notify] Ignoring invalid ${NOTIFICATIONS_FILE}:`, err.message);
+    return new Notifier({ getSnapshot });
+  }
+})();
+printerEvents.on('event', (event) => {
+  notifier.notify(event).catch((err) => {
+    console.error('[Notify] Notification failed:', err.message);
+  });
+});
+
+/**
+ * Publish a printer/job event to every integration
+ * @param {object} printer - Registry entry
+ * @param {string} type - Event type (PRINTER_EVENTS)
+ * @param {object} details - Event-specific fields
+ */
+function emitPrinterEvent(printer, type, details = {}) {
+  console.log(`[Event] ${type} on ${printer.id}`);
+  printerEvents.emit('event', buildPrinterEvent(type, printer, details));
+}
+
+// Browser push notifications; VAPID keys are generated into DATA_DIR unless given
+const webPush = new WebPushService({
+  filePath: path.join(DATA_DIR, 'web-push.json'),
+  subject: process.env.VAPID_SUBJECT || undefined,
+  vapidKeys: { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY },
+  renderMessage: (event) => notifier.renderMessage(event)
+});
+printerEvents.on('event', (event) => {
+  webPush.notify(event).catch((err) => {
+    console.error('[Push] Notification failed:', err.message);
+  });
+});
+
+// Optional MQTT / Home Assistant bridge (enabled by MQTT_URL)
+const mqttBridge = createMqttBridgeFromEnv();
+if (mqttBridge) {
+  mqttBridge.start();
+}
+
+// Per-job timelapses (TIMELAPSE_MODE=off turns them off)
+const timelapses = (() => {
+  const options = timelapseOptionsFromEnv();
+  if (!options) return null;
+  try {
+    return new TimelapseRecorder({ dir: TIMELAPSE_DIR, ...options });
+  } catch (err) {
+    console.error('[Timelapse] Disabled:', err.message);
+    return null;
+  }
+})();
+if (timelapses) {
+  timelapses.init().catch((err) => {
+    console.error('[Timelapse] Failed to load timelapses:', err.message);
+  });
+}
+
+// DVR: rolling camera buffer with clips around failed, stopped or unexpectedly paused jobs
+const dvr = (() => {
+  const options = dvrOptionsFromEnv();
+  if (!options) return null;
+  try {
+    const recorder = new CameraDvr({ dir: DVR_DIR, ...options });
+    recorder.init();
+    console.log(`[DVR] Buffering ${options.bufferMinutes} minute(s) of camera frames per printer`);
+    return recorder;
+  } catch (err) {
+    console.error('[DVR] Disabled:', err.message);
+    return null;
+  }
+})();
+if (dvr) {
+  printerEvents.on('event', (event) => {
+    dvr.handleEvent(event);
+  });
+}
+
+// Local accounts, sessions and API tokens; the IP rule covers the time before the first account
+const authOptions = (() => {
+  try {
+    return authOptionsFromEnv();
+  } catch (err) {
+    console.error(`[Auth] ${err.message}; using the defaults`);
+    return authOptionsFromEnv({});
+  }
+})();
+const auth = new AuthStore({ filePath: path.join(DATA_DIR, 'auth.json'), sessionTtl: authOptions.sessionTtl });
+const authGuard = new AuthGuard({ auth, options: authOptions });
+if (authGuard.setupCode) {
+  console.log(`[Auth] No accounts yet. Open /account.html to create the first one (setup code: ${authGuard.setupCode})`);
+}
+setInterval(() => {
+  if (auth.pruneSessions() > 0) auth.save();
+}, 60 * 60 * 1000).unref();
+
+jobHistory.on('jobStarted', (record) => {
+  console.log(`[History] Job started on ${record.printerId}: ${record.file}`);
+  if (timelapses) {
+    try {
+      timelapses.start(record);
+    } catch (err) {
+      console.error(`[Timelapse] Failed to start recording on ${record.printerId}:`, err.message);
+    }
+  }
+});
+jobHistory.on('jobEnded', (record) => {
+  console.log(`[History] Job ${record.state} on ${record.printerId}: ${record.file} (${record.actualDuration}s)`);
+  if (timelapses) {
+    timelapses.finish(record.printerId, record.state).catch((err) => {
+      console.error(`[Timelapse] Failed to finish recording on ${record.printerId}:`, err.message);
+    });
+  }
+  // Pick up the printer's own record of the job once it has written it
+  const printer = printers.get(record.printerId);
+  if (printer) {
+    setTimeout(() => {
+      syncPrinterHistory(printer).catch((err) => {
+        console.warn(`[History] Sync with ${printer.id} failed:`, err.message);
+      });
+    }, 10000);
+  }
+});
+
+/**
+ * Import the printer's own task history (Cmd 320/321) into the job history.
+ * Only tasks that are not yet known are fetched in detail.
+ * @returns {Promise<number>} Number of new records
+ */
+async function syncPrinterHistory(printer) {
+  if (!printer.client || !printer.status.connected) return 0;
+
+  const taskIds = await printer.client.requestHistoryList();
+  const unknownIds = taskIds.filter((taskId) => !jobHistory.hasTask(printer.id, taskId));
+  let added = 0;
+  for (let i = 0; i < unknownIds.length; i += HISTORY_DETAIL_BATCH) {
+    const tasks = await printer.client.requestTaskDetails(unknownIds.slice(i, i + HISTORY_DETAIL_BATCH));
+    added += jobHistory.importPrinterTasks(printer.id, tasks, printer.status.printerName);
+  }
+  if (added > 0) {
+    console.log(`[History] Imported ${added} job(s) from ${printer.id}`);
+  }
+  return added;
+}
+
+setInterval(() => {
+  printers.list().forEach((printer) => {
+    syncPrinterHistory(printer).catch((err) => {
+      console.warn(`[History] Sync with ${printer.id} failed:`, err.message);
+    });
+  });
+}, HISTORY_SYNC_INTERVAL);
 
 const resolveClientIP = (req, socket) =>
-  getClientIP(req, socket, DEBUG_DISABLE_LOCAL_IP_FILTER);
+  getClientIP(req, socket, config.get('disableLocalIpFilter'));
 
 function updateUserStatsAndBroadcast() {
-  printerStatus.users = userStats.getSnapshot();
-  // Notify connected web clients of updated stats
-  broadcastToClients({ type: 'status', data: buildStatusPayload() });
+  const users = userStats.getSnapshot();
+  // Notify connected web clients of updated stats for every printer
+  printers.list().forEach((printer) => {
+    printer.status.users = users;
+    broadcastStatus(printer);
+  });
 }
 
-function resetCameraFailureTracker() {
-  cameraStartFailure = { lastError: null, count: 0 };
+function resetCameraFailureTracker(printer) {
+  printer.camera.startFailure = { lastError: null, count: 0 };
 }
 
-function handleCameraStartFailure(errMessage) {
+function handleCameraStartFailure(printer, errMessage) {
   const message = errMessage || 'Unknown camera error';
-  if (cameraStartFailure.lastError === message) {
-    cameraStartFailure.count += 1;
+  const failure = printer.camera.startFailure;
+  if (failure.lastError === message) {
+    failure.count += 1;
   } else {
-    cameraStartFailure = { lastError: message, count: 1 };
+    printer.camera.startFailure = { lastError: message, count: 1 };
+  }
+
+  const { count } = printer.camera.startFailure;
+  if (count === 1) {
+    emitPrinterEvent(printer, PRINTER_EVENTS.CAMERA_FAILED, { error: message });
+  }
+  if (count === config.get('cameraMaxStartFailures')) {
+    // Only this printer's camera is affected; the relay keeps retrying with backoff
+    console.error(`Camera for ${printer.id} failed to start ${count} times with the same error; reporting it unavailable. Error: ${message}`);
+    printer.status.cameraAvailable = false;
+    printer.status.cameraError = message;
+    broadcastStatus(printer);
+  }
+}
+
+/**
+ * Delay before the next camera start after a failure
+ */
+function cameraRetryDelay(printer) {
+  const beyondLimit = printer.camera.startFailure.count - config.get('cameraMaxStartFailures');
+  return beyondLimit < 0
+    ? CAMERA_RETRY_DELAY
+    : reconnectDelay(beyondLimit + 2, CAMERA_RETRY_DELAY, CAMERA_RETRY_MAX_DELAY);
+}
+
+
+
+// Set printer status to disconnected and broadcast
+function setDisconnectedStatus(printer) {
+  if (
+    printer.status.connected === false &&
+    printer.status.state === 'Disconnected'
+  ) return;
+  if (printer.status.connected) {
+    emitPrinterEvent(printer, PRINTER_EVENTS.PRINTER_DISCONNECTED);
+  }
+  printer.status = createDefaultPrinterStatus({
+    printerName: printer.name || 'Unknown',
+    lastUpdate: new Date().toISOString()
+  });
+  broadcastStatus(printer);
+}
+
+function buildStatusPayload(printer) {
+  const status = printer ? printer.status : createDefaultPrinterStatus();
+  status.users = status.users || userStats.getSnapshot();
+  return {
+    printerId: printer ? printer.id : null,
+    printer: status,
+    users: userStats.getSnapshot()
+  };
+}
+
+function broadcastStatus(printer) {
+  broadcastToClients({ type: 'status', printerId: printer.id, data: buildStatusPayload(printer) });
+  if (mqttBridge) {
+    mqttBridge.updatePrinter(printer);
+  }
+}
+
+/**
+ * Summarise a printer entry for listings
+ */
+function describePrinter(printer) {
+  return {
+    id: printer.id,
+    address: printer.address,
+    name: printer.status.printerName,
+    connected: printer.status.connected,
+    connection: printer.client ? printer.client.getConnectionInfo() : null,
+    state: printer.status.state,
+    status: printer.status.status,
+    cameraAvailable: printer.status.cameraAvailable,
+    lastUpdate: printer.status.lastUpdate,
+    isDefault: printers.defaultId === printer.id
+  };
+}
+
+/**
+ * Express param handler: resolve :id to a registry entry or 404
+ */
+function requirePrinter(req, res, next) {
+  const printer = printers.get(req.params.id);
+  if (!printer) {
+    return res.status(404).json({ success: false, error: `Unknown printer: ${req.params.id}` });
+  }
+  req.printer = printer;
+  next();
+}
+
+/**
+ * Resolve the default printer for the legacy single-printer endpoints or 503
+ */
+function requireDefaultPrinter(req, res, next) {
+  const printer = printers.getDefault();
+  if (!printer) {
+    return res.status(503).json({ success: false, error: 'No printer configured' });
   }
+  req.printer = printer;
+  next();
+}
 
-  if (cameraStartFailure.count >= CAMERA_MAX_START_FAILURES) {
-    console.error(`Camera failed to start ${cameraStartFailure.count} times with the same error; exiting to restart. Error: ${message}`);
-    broadcastToClients({ type: 'server_restarting', data: { reason: message } });
-    // Give the broadcast a moment to flush before exiting so PM2 can restart us
-    setTimeout(() => process.exit(1), 1000);
+/**
+ * Reject the request with 503 unless req.printer has a live SDCP connection
+ */
+function requireConnected(req, res, next) {
+  if (!req.printer.client || !req.printer.status.connected) {
+    return res.status(503).json({ success: false, error: 'Printer is not connected' });
   }
+  next();
 }
 
+const authenticateRequest = (req, socket = req.socket) => authGuard.authenticate(req, socket);
+const requireRole = (role) => authGuard.requireRole(role);
+const requireUser = authGuard.requireUser();
+
+// Serve static files
+app.use(express.static('public'));
+
+// API endpoint to get current printer status (alias for the default printer)
+app.get('/api/status', requireRole('viewer'), (req, res) => {
+  const printer = printers.getDefault();
+  // Ensure latest user stats are present
+  if (printer) {
+    printer.status.users = userStats.getSnapshot();
+  }
+  res.json(buildStatusPayload(printer));
+});
 
+// API endpoint to list all known printers
+app.get('/api/printers', requireRole('viewer'), (req, res) => {
+  res.json({
+    success: true,
+    defaultId: printers.defaultId,
+    printers: printers.list().map(describePrinter)
+  });
+});
+
+app.get('/api/printers/:id/status', requireRole('viewer'), requirePrinter, (req, res) => {
+  req.printer.status.users = userStats.getSnapshot();
+  res.json(buildStatusPayload(req.printer));
+});
+
+// API endpoint to discover printers
+app.get('/api/discover', requireRole('admin'), async (req, res) => {
+  try {
+    // ?refresh=1 waits for a fresh scan instead of answering from the cache
+    if (req.query.refresh === '1' || req.query.refresh === 'true') {
+      await discoveryService.scan();
+    }
+    res.json({
+      success: true,
+      printers: discoveryService.list(),
+      lastScan: discoveryService.lastScan,
+      scanning: Boolean(discoveryService.pendingScan),
+      interval: discoveryService.interval
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+function handleCameraRequest(req, res) {
+  const { camera } = req.printer;
+  const fps = parseViewerFps(req.query.fps, config.get('maxFps'));
+  if (fps === null) {
+    return res.status(400).json({ success: false, error: 'fps must be a positive number' });
+  }
+
+  // Track IP and counters
+  let cameraClientIP = 'unknown';
+  const userAgent = req.headers['user-agent'] || 'Unknown';
+  try {
+    cameraClientIP = resolveClientIP(req, req.socket);
+    userStats.addCameraClient(cameraClientIP, userAgent);
+  } catch (_) {}
+  updateUserStatsAndBroadcast();
+
+  // Each viewer gets frames at its own rate and drops them while its socket is backed up
+  const viewer = new CameraViewer(res, { fps, ip: cameraClientIP, userAgent });
+  const subscriber = (frameBuffer) => {
+    try {
+      viewer.offer(frameBuffer);
+    } catch (err) {
+      camera.subscribers.delete(subscriber);
+    }
+  };
+  viewer.begin();
+  camera.viewers.add(viewer);
+  camera.subscribers.add(subscriber);
+
+  // Send latest frame immediately if we have one
+  if (camera.latestFrame) {
+    subscriber(camera.latestFrame);
+  }
+
+  // Handle client disconnect
+  let closed = false;
+  const cleanup = () => {
+    if (closed) return;
+    closed = true;
+    camera.subscribers.delete(subscriber);
+    camera.viewers.delete(viewer);
+    userStats.removeCameraClient(cameraClientIP);
+    updateUserStatsAndBroadcast();
+  };
+
+  req.on('close', cleanup);
+  req.on('error', cleanup);
+  res.on('error', cleanup);
+}
+
+app.get('/api/camera', requireRole('viewer'), requireDefaultPrinter, handleCameraRequest);
+app.get('/api/printers/:id/camera', requireRole('viewer'), requirePrinter, handleCameraRequest);
+
+/**
+ * Start the camera relay on demand if it is not running (and not already
+ * being retried after a failure)
+ */
+function wakeCameraStream(printer) {
+  const { camera } = printer;
+  if (camera.stream || camera.wake || camera.startFailure.count > 0) return camera.wake;
+  if (!printer.client || !printer.status.connected) return null;
+
+  console.log(`Waking camera stream for ${printer.id}`);
+  camera.wake = (async () => {
+    if (!camera.streamURL) {
+      await setupCameraURL(printer);
+    }
+    if (camera.streamURL && !camera.stream) {
+      await startCameraStreaming(printer);
+    }
+  })().finally(() => {
+    camera.wake = null;
+  });
+  return camera.wake;
+}
+
+// Latest camera frame as a single JPEG, for tools that cannot show an MJPEG stream
+async function handleCameraSnapshot(req, res) {
+  const { printer } = req;
+  const { camera } = printer;
+
+  let frame = camera.latestFrame;
+  if (!frame) {
+    if (!printer.status.connected) {
+      return res.status(503).json({ success: false, error: 'Printer not connected' });
+    }
+    frame = await captureFrame(camera, { timeout: CAMERA_SNAPSHOT_TIMEOUT, wake: () => wakeCameraStream(printer) });
+    if (!frame) {
+      const reason = printer.status.cameraError || (camera.streamURL ? 'No camera frame received in time' : 'Camera not available');
+      return res.status(camera.streamURL ? 504 : 503).json({ success: false, error: reason });
+    }
+  } else if (!camera.stream) {
+    // Serve the cached frame now and bring the relay back for the next request
+    wakeCameraStream(printer);
+  }
+
+  res.set(snapshotHeaders(camera));
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.send(frame);
+}
+
+app.get('/api/camera/snapshot.jpg', requireRole('viewer'), requireDefaultPrinter, handleCameraSnapshot);
+app.get('/api/printers/:id/camera/snapshot.jpg', requireRole('viewer'), requirePrinter, handleCameraSnapshot);
+
+/**
+ * Send a job control command (pause/resume/stop) to req.printer after checking the job state
+ */
+async function handleJobAction(req, res) {
+  const { action } = req.params;
+  const { printer } = req;
+
+  const rejection = validateJobAction(action, printer.status);
+  if (rejection) {
+    return res.status(409).json({ success: false, error: rejection });
+  }
+
+  try {
+    await printer.client[JOB_ACTIONS[action].method]();
+    console.log(`[Job] ${action} sent to ${printer.id}`);
+    // Lets the resulting job event tell a requested pause from an unexpected one
+    printer.lastJobAction = { action, at: Date.now() };
+    // Refresh status right away so clients see the transition
+    printer.client.requestStatus();
+    res.json({ success: true, action, printerId: printer.id });
+  } catch (err) {
+    console.error(`[Job] ${action} failed for ${printer.id}:`, err.message);
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+app.post('/api/job/:action(pause|resume|stop)', requireRole('operator'), requireDefaultPrinter, requireConnected, handleJobAction);
+app.post('/api/printers/:id/job/:action(pause|resume|stop)', requireRole('operator'), requirePrinter, requireConnected, handleJobAction);
+
+// List files on internal storage (?storage=local) or USB (?storage=usb), optionally in a sub folder (?path=)
+async function handleListFiles(req, res) {
+  const { printer } = req;
+  const storage = req.query.storage === 'usb' ? 'usb' : 'local';
+  const folder = req.query.path || getStorageRoot(storage);
+  if (!isValidPrinterPath(folder)) {
+    return res.status(400).json({ success: false, error: `Invalid path: ${folder}` });
+  }
+
+  try {
+    const fileList = await printer.client.listFiles(folder);
+    res.json({
+      success: true,
+      printerId: printer.id,
+      storage,
+      path: folder,
+      files: normalizeFileList(fileList, printer.address)
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+// Delete one file (?path=) or folder (?path=&type=folder)
+async function handleDeleteFile(req, res) {
+  const { printer } = req;
+  const filePath = req.query.path;
+  const isFolder = req.query.type === 'folder';
+  if (!isValidPrinterPath(filePath)) {
+    return res.status(400).json({ success: false, error: `Invalid path: ${filePath}` });
+  }
+
+  // Don't pull the file out from under a running or paused job
+  const jobState = printer.status.status?.job?.state;
+  const fileInUse = printer.status.currentFile && filePath.endsWith(printer.status.currentFile);
+  if (!isFolder && fileInUse && !['IDLE', 'STOPPED', 'COMPLETE', 'UNKNOWN'].includes(jobState)) {
+    return res.status(409).json({ success: false, error: 'Cannot delete the file that is currently printing' });
+  }
+
+  try {
+    await printer.client.deleteFiles(isFolder ? [] : [filePath], isFolder ? [filePath] : []);
+    console.log(`[Files] Deleted ${filePath} on ${printer.id}`);
+    res.json({ success: true, printerId: printer.id, path: filePath });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+// Start printing a stored file, body: { path }
+async function handleStartPrint(req, res) {
+  const { printer } = req;
+  const filePath = req.body?.path;
+  if (!isValidPrinterPath(filePath)) {
+    return res.status(400).json({ success: false, error: `Invalid path: ${filePath}` });
+  }
+
+  const rejection = validateJobAction('start', printer.status);
+  if (rejection) {
+    return res.status(409).json({ success: false, error: rejection });
+  }
+
+  try {
+    await printer.client.startPrint(filePath);
+    console.log(`[Job] start ${filePath} sent to ${printer.id}`);
+    printer.client.requestStatus();
+    res.json({ success: true, action: 'start', printerId: printer.id, path: filePath });
+  } catch (err) {
+    console.error(`[Job] start failed for ${printer.id}:`, err.message);
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+app.get('/api/files', requireRole('viewer'), requireDefaultPrinter, requireConnected, handleListFiles);
+app.delete('/api/files', requireRole('operator'), requireDefaultPrinter, requireConnected, handleDeleteFile);
+app.post('/api/files/print', requireRole('operator'), express.json(), requireDefaultPrinter, requireConnected, handleStartPrint);
+app.get('/api/printers/:id/files', requireRole('viewer'), requirePrinter, requireConnected, handleListFiles);
+app.delete('/api/printers/:id/files', requireRole('operator'), requirePrinter, requireConnected, handleDeleteFile);
+app.post('/api/printers/:id/files/print', requireRole('operator'), express.json(), requirePrinter, requireConnected, handleStartPrint);
+
+function broadcastUploadProgress(printer, upload) {
+  broadcastToClients({ type: 'upload_progress', printerId: printer.id, data: { ...upload } });
+}
+
+/**
+ * Write the request body to a temp file, hashing and counting it on the way
+ * @returns {Promise<object>} { size, md5 }
+ */
+async function receiveUpload(req, destPath, onData) {
+  const hash = crypto.createHash('md5');
+  let size = 0;
+  const meter = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > UPLOAD_MAX_BYTES) {
+        callback(Object.assign(new Error('Upload exceeds maximum size'), { statusCode: 413 }));
+        return;
+      }
+      hash.update(chunk);
+      onData(size);
+      callback(null, chunk);
+    }
+  });
+  await pipeline(req, meter, fs.createWriteStream(destPath));
+  return { size, md5: hash.digest('hex') };
+}
+
+/**
+ * Resolve once the printer has left FILE_TRANSFERRING (or the timeout passes)
+ */
+function waitForFileTransferEnd(printer, timeout = UPLOAD_START_TIMEOUT) {
+  return new Promise((resolve) => {
+    const deadline = Date.now() + timeout;
+    const check = () => {
+      const machineState = printer.status.status?.machine?.state;
+      if (machineState !== 'FILE_TRANSFERRING' || Date.now() >= deadline) {
+        resolve();
+        return;
+      }
+      setTimeout(check, 500);
+    };
+    check();
+  });
+}
+
+/**
+ * Receive a G-code file (raw request body) and relay it to the printer's upload service.
+ * Query: filename (required), print=1 to start printing once the transfer completes.
+ * Header X-File-MD5 (optional) is checked against the received bytes.
+ * Progress is broadcast over the WebSocket as `upload_progress` messages.
+ */
+async function handleUpload(req, res) {
+  const { printer } = req;
+  const filename = req.query.filename || req.headers['x-filename'];
+  const startAfterUpload = req.query.print === '1' || req.query.print === 'true';
+
+  if (!isValidUploadFilename(filename)) {
+    return res.status(400).json({ success: false, error: `Invalid filename: ${filename}` });
+  }
+  if (printer.upload) {
+    return res.status(409).json({ success: false, error: 'An upload to this printer is already in progress' });
+  }
+  if (printer.status.status?.machine?.state === 'FILE_TRANSFERRING') {
+    return res.status(409).json({ success: false, error: 'Printer is already receiving a file' });
+  }
+
+  const upload = {
+    id: uuidv4(),
+    filename,
+    phase: 'receiving',
+    bytesSent: 0,
+    bytesReceived: 0,
+    totalSize: Number.parseInt(req.headers['content-length'], 10) || null,
+    percent: 0,
+    startPrint: startAfterUpload,
+    error: null
+  };
+  printer.upload = upload;
+  const tempPath = path.join(os.tmpdir(), `print-monitor-upload-${upload.id}`);
+  broadcastUploadProgress(printer, upload);
+
+  try {
+    const received = await receiveUpload(req, tempPath, (bytes) => {
+      upload.bytesReceived = bytes;
+    });
+    const expectedMD5 = req.headers['x-file-md5'];
+    if (expectedMD5 && expectedMD5.toLowerCase() !== received.md5) {
+      throw Object.assign(new Error(`MD5 mismatch: expected ${expectedMD5}, received ${received.md5}`), { statusCode: 400 });
+    }
+
+    upload.phase = 'uploading';
+    upload.totalSize = received.size;
+    console.log(`[Upload] Sending ${filename} (${received.size} bytes, md5 ${received.md5}) to ${printer.id}`);
+    await uploadFileToPrinter(printer.address, tempPath, {
+      filename,
+      md5: received.md5,
+      onProgress: (progress) => {
+        Object.assign(upload, progress);
+        broadcastUploadProgress(printer, upload);
+      }
+    });
+
+    upload.phase = 'complete';
+    broadcastUploadProgress(printer, upload);
+    console.log(`[Upload] ${filename} transferred to ${printer.id}`);
+
+    let started = false;
+    let startError = null;
+    if (startAfterUpload) {
+      await waitForFileTransferEnd(printer);
+      startError = validateJobAction('start', printer.status);
+      if (!startError) {
+        try {
+          await printer.client.startPrint(`${STORAGE_ROOTS.local}${filename}`);
+          printer.client.requestStatus();
+          started = true;
+        } catch (err) {
+          startError = err.message;
+        }
+      }
+      if (startError) {
+        console.warn(`[Upload] Not starting ${filename} on ${printer.id}: ${startError}`);
+      }
+    }
+
+    res.json({
+      success: true,
+      printerId: printer.id,
+      filename,
+      path: `${STORAGE_ROOTS.local}${filename}`,
+      md5: received.md5,
+      size: received.size,
+      started,
+      startError
+    });
+  } catch (err) {
+    console.error(`[Upload] ${filename} to ${printer.id} failed:`, err.message);
+    upload.phase = 'failed';
+    upload.error = err.message;
+    broadcastUploadProgress(printer, upload);
+    res.status(err.statusCode || 500).json({ success: false, error: err.message });
+  } finally {
+    printer.upload = null;
+    fs.promises.rm(tempPath, { force: true }).catch(() => {});
+  }
+}
+
+app.post('/api/files/upload', requireRole('operator'), requireDefaultPrinter, requireConnected, handleUpload);
+app.post('/api/printers/:id/files/upload', requireRole('operator'), requirePrinter, requireConnected, handleUpload);
+
+// Job history: ?page=&pageSize=&printerId=&state=complete|stopped|failed&file=&from=&to=
+app.get('/api/history', requireRole('viewer'), (req, res) => {
+  res.json({ success: true, ...jobHistory.query(req.query) });
+});
+
+/**
+ * Serve the telemetry time series of one printer
+ */
+function handleTelemetry(req, res) {
+  const printer = req.printer;
+  try {
+    const series = telemetry.query(printer.id, req.query);
+    res.json({ success: true, printerId: printer.id, ...series });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+}
+
+app.get('/api/telemetry', requireRole('viewer'), (req, res, next) => {
+  if (!req.query.printerId) return requireDefaultPrinter(req, res, next);
+  req.printer = printers.get(req.query.printerId);
+  if (!req.printer) {
+    return res.status(404).json({ success: false, error: `Unknown printer: ${req.query.printerId}` });
+  }
+  next();
+}, handleTelemetry);
+app.get('/api/printers/:id/telemetry', requireRole('viewer'), requirePrinter, handleTelemetry);
+
+// Web Push: public key for PushManager.subscribe() and the event choices
+app.get('/api/push/public-key', requireRole('viewer'), (req, res) => {
+  res.json({ success: true, publicKey: webPush.publicKey, events: Object.keys(PUSH_EVENT_GROUPS) });
+});
+
+// Register or update a browser subscription: { subscription, events }. Subscriptions
+// belong to a signed-in user so anonymous callers cannot make the server push anywhere.
+app.post('/api/push/subscriptions', requireUser, express.json(), (req, res) => {
+  try {
+    const record = webPush.subscribe(req.body?.subscription, req.body?.events, {
+      owner: req.auth.user.username,
+      userAgent: req.headers['user-agent']
+    });
+    res.json({ success: true, events: record.events });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ success: false, error: err.message });
+  }
+});
+
+// Remove one of the caller's browser subscriptions: { endpoint }
+app.delete('/api/push/subscriptions', requireUser, express.json(), (req, res) => {
+  const removed = webPush.unsubscribe(req.body?.endpoint, req.auth.user.username);
+  if (!removed) {
+    return res.status(404).json({ success: false, error: 'Unknown push subscription' });
+  }
+  res.json({ success: true });
+});
+
+// Send a test push to one of the caller's subscriptions: { endpoint }
+app.post('/api/push/test', requireUser, express.json(), async (req, res) => {
+  try {
+    await webPush.sendTest(req.body?.endpoint, req.auth.user.username);
+    res.json({ success: true });
+  } catch (err) {
+    const status = err.message === 'Unknown push subscription' ? 404 : 502;
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * Collect the metric families served on /metrics
+ */
+function buildMetricFamilies() {
+  const list = printers.list();
+  const now = Date.now();
+  const labelsFor = (printer, extra = {}) => ({
+    printer: printer.status.printerName,
+    mainboard_id: printer.client?.mainboardID || printer.id,
+    ...extra
+  });
+  const perPrinter = (name, help, value, type = 'gauge') => ({
+    name,
+    help,
+    type,
+    samples: list.map((printer) => ({ labels: labelsFor(printer), value: value(printer) }))
+  });
+  const perSensor = (name, help, channelSuffix) => ({
+    name,
+    help,
+    type: 'gauge',
+    // The telemetry keeps the last reading after a disconnect; it is not a live temperature
+    samples: list.filter((printer) => printer.status.connected).flatMap((printer) => {
+      const latest = telemetry.latest(printer.id);
+      return ['bed', 'nozzle', 'enclosure'].map((sensor) => ({
+        labels: labelsFor(printer, { sensor }),
+        value: latest[`${sensor}${channelSuffix}`]
+      }));
+    })
+  });
+  // One sample (or several, e.g. summary _sum/_count) per printer and SDCP command
+  const commandSamples = (toSamples) => list.flatMap((printer) => {
+    if (!printer.client) return [];
+    return Array.from(printer.client.stats.commands.entries()).flatMap(([cmd, stats]) =>
+      toSamples(stats).map((sample) => ({ ...sample, labels: labelsFor(printer, { cmd }) }))
+    );
+  });
+  const perCommand = (name, help, value) => ({
+    name,
+    help,
+    type: 'counter',
+    samples: commandSamples((stats) => [{ value: value(stats) }])
+  });
+  const users = userStats.getSnapshot();
+
+  return [
+    perPrinter('printer_up', 'Whether the SDCP connection to the printer is up', (p) => p.status.connected),
+    perSensor('temperature_celsius', 'Current temperature as reported by the printer', ''),
+    perSensor('target_temperature_celsius', 'Target temperature', 'Target'),
+    perPrinter('print_progress_percent', 'Print progress reported by the printer', (p) => p.status.progress),
+    perPrinter('print_layer', 'Current print layer', (p) => p.status.layers?.current || 0),
+    perPrinter('print_layers_total', 'Total layers of the current print', (p) => p.status.layers?.total || 0),
+    perPrinter('machine_state_code', 'SDCP machine state code (CurrentStatus)', (p) => p.status.status?.machine?.code),
+    perPrinter('job_state_code', 'SDCP print job state code (PrintInfo.Status)', (p) => p.status.status?.job?.code),
+    perPrinter('camera_frames_per_second', 'Camera frames relayed per second', (p) =>
+      p.camera.lastFrameAt && now - p.camera.lastFrameAt < CAMERA_FPS_WINDOW * 2 ? p.camera.frameRate : 0
+    ),
+    perPrinter('camera_frames_total', 'Camera frames relayed', (p) => p.camera.framesTotal, 'counter'),
+    perPrinter('camera_subscribers', 'Clients watching the camera relay', (p) => p.camera.subscribers.size),
+    perCommand('sdcp_commands_total', 'SDCP commands sent', (stats) => stats.sent),
+    perCommand('sdcp_command_timeouts_total', 'SDCP commands that timed out', (stats) => stats.timeouts),
+    perCommand('sdcp_command_failures_total', 'SDCP commands that could not be sent', (stats) => stats.failures),
+    {
+      name: 'sdcp_command_duration_seconds',
+      help: 'SDCP command round-trip time',
+      type: 'summary',
+      samples: commandSamples((stats) => [
+        { suffix: '_sum', value: stats.latencySum },
+        { suffix: '_count', value: stats.latencyCount }
+      ])
+    },
+    perPrinter('sdcp_reconnect_attempts_total', 'SDCP reconnect attempts', (p) => p.client?.stats.reconnectAttempts || 0, 'counter'),
+    perPrinter('sdcp_reconnects_total', 'Successful SDCP reconnects', (p) => p.client?.stats.reconnects || 0, 'counter'),
+    { name: 'web_clients', help: 'Connected dashboard WebSocket clients', samples: [{ value: users.webClients }] },
+    { name: 'camera_clients', help: 'Connected camera viewers', samples: [{ value: users.cameraClients }] },
+    { name: 'web_connections_total', help: 'Dashboard WebSocket connections since start', type: 'counter', samples: [{ value: users.totalWebConnections }] },
+    { name: 'camera_connections_total', help: 'Camera connections since start', type: 'counter', samples: [{ value: users.totalCameraConnections }] },
+    { name: 'unique_web_ips', help: 'Distinct IPs with a dashboard open', samples: [{ value: users.activeUniqueWebIPs }] },
+    { name: 'unique_camera_ips', help: 'Distinct IPs watching the camera', samples: [{ value: users.activeUniqueCameraIPs }] }
+  ];
+}
+
+// Prometheus scrape endpoint (text exposition format)
+app.get('/metrics', requireRole('viewer'), (req, res) => {
+  res.setHeader('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(formatMetrics(buildMetricFamilies()));
+});
+
+// Import the printers' own task history now instead of waiting for the periodic sync
+app.post('/api/history/sync', requireRole('operator'), async (req, res) => {
+  const imported = {};
+  const errors = {};
+  for (const printer of printers.list()) {
+    try {
+      imported[printer.id] = await syncPrinterHistory(printer);
+    } catch (err) {
+      errors[printer.id] = err.message;
+    }
+  }
+  res.json({ success: Object.keys(errors).length === 0, imported, errors });
+});
+
+app.get('/api/history/active', requireRole('viewer'), (req, res) => {
+  res.json({ success: true, records: jobHistory.getActive() });
+});
+
+app.get('/api/history/:jobId', requireRole('viewer'), (req, res) => {
+  const record = jobHistory.get(req.params.jobId);
+  if (!record) {
+    return res.status(404).json({ success: false, error: `Unknown job: ${req.params.jobId}` });
+  }
+  res.json({ success: true, record });
+});
+
+function requireTimelapses(req, res, next) {
+  if (!timelapses) {
+    return res.status(503).json({ success: false, error: 'Timelapses are disabled (TIMELAPSE_MODE=off)' });
+  }
+  next();
+}
+
+function requireTimelapse(req, res, next) {
+  const timelapse = timelapses.get(req.params.id);
+  if (!timelapse) {
+    return res.status(404).json({ success: false, error: `Unknown timelapse: ${req.params.id}` });
+  }
+  req.timelapse = timelapse;
+  next();
+}
+
+// Timelapses, newest first (optional ?printerId=)
+app.get('/api/timelapses', requireRole('viewer'), requireTimelapses, (req, res) => {
+  res.json({ success: true, mode: timelapses.mode, timelapses: timelapses.list({ printerId: req.query.printerId }) });
+});
+
+app.get('/api/timelapses/:id', requireRole('viewer'), requireTimelapses, requireTimelapse, (req, res) => {
+  res.json({ success: true, timelapse: req.timelapse });
+});
+
+app.get('/api/timelapses/:id/video', requireRole('viewer'), requireTimelapses, requireTimelapse, (req, res) => {
+  const videoPath = timelapses.videoPath(req.timelapse.id);
+  if (!videoPath) {
+    return res.status(409).json({ success: false, error: `Timelapse is ${req.timelapse.status}` });
+  }
+  const base = path.basename(req.timelapse.file || 'timelapse', path.extname(req.timelapse.file || ''))
+    .replace(/[^\w.-]+/g, '_');
+  const date = (req.timelapse.startedAt || '').slice(0, 10);
+  res.download(videoPath, `${base}-${date}.avi`);
+});
+
+app.get('/api/timelapses/:id/thumbnail', requireRole('viewer'), requireTimelapses, requireTimelapse, (req, res) => {
+  const thumbnailPath = timelapses.thumbnailPath(req.timelapse.id);
+  if (!thumbnailPath) {
+    return res.status(404).json({ success: false, error: 'No thumbnail yet' });
+  }
+  res.sendFile(thumbnailPath);
+});
+
+app.delete('/api/timelapses/:id', requireRole('operator'), requireTimelapses, requireTimelapse, (req, res) => {
+  if (!timelapses.remove(req.timelapse.id)) {
+    return res.status(409).json({ success: false, error: `Timelapse is ${req.timelapse.status}` });
+  }
+  res.json({ success: true });
+});
+
+function requireDvr(req, res, next) {
+  if (!dvr) {
+    return res.status(503).json({ success: false, error: 'DVR recording is disabled (set DVR_ENABLED=true)' });
+  }
+  next();
+}
+
+function requireClip(req, res, next) {
+  const clip = dvr.get(req.params.id);
+  if (!clip) {
+    return res.status(404).json({ success: false, error: `Unknown clip: ${req.params.id}` });
+  }
+  req.clip = clip;
+  next();
+}
+
+// DVR event clips, newest first (optional ?printerId=), plus clips still recording and buffer usage
+app.get('/api/dvr/clips', requireRole('viewer'), requireDvr, (req, res) => {
+  const filters = { printerId: req.query.printerId };
+  res.json({ success: true, clips: dvr.list(filters), pending: dvr.listPending(filters), buffers: dvr.describeBuffers() });
+});
+
+app.get('/api/dvr/clips/:id', requireRole('viewer'), requireDvr, requireClip, (req, res) => {
+  res.json({ success: true, clip: req.clip });
+});
+
+app.get('/api/dvr/clips/:id/video', requireRole('viewer'), requireDvr, requireClip, (req, res) => {
+  const videoPath = dvr.videoPath(req.clip.id);
+  if (!videoPath) {
+    return res.status(409).json({ success: false, error: `Clip is ${req.clip.status}` });
+  }
+  const event = req.clip.events[0].type.replace(/\./g, '-');
+  const time = req.clip.createdAt.replace(/[:.]/g, '-');
+  res.download(videoPath, `${event}-${time}.avi`);
+});
+
+app.delete('/api/dvr/clips/:id', requireRole('operator'), requireDvr, requireClip, (req, res) => {
+  if (!dvr.remove(req.clip.id)) {
+    return res.status(409).json({ success: false, error: `Clip is ${req.clip.status}` });
+  }
+  res.json({ success: true });
+});
+
+// API endpoint to connect to a specific printer
+app.post('/api/connect/:ip', requireRole('admin'), express.json(), async (req, res) => {
+  const mainboardId = req.body?.mainboardId || null;
+  const known = mainboardId && printers.has(mainboardId);
+  try {
+    const printer = await connectToPrinter(req.params.ip, null, mainboardId, mainboardId);
+    res.json({ success: true, message: 'Connected to printer', printerId: printer.id });
+  } catch (err) {
+    // Do not keep an entry for a printer that was never there
+    if (mainboardId && !known) printers.remove(mainboardId);
+    res.status(err.statusCode || 500).json({ success: false, error: err.message });
+  }
+});
 
-// Set printer status to disconnected and broadcast
-function setDisconnectedStatus() {
-  if (
-    printerStatus.connected === false &&
-    printerStatus.printerName === 'Unknown' &&
-    printerStatus.state === 'Disconnected'
-  ) return;
-  reconnectSetupNeeded = true;
-  printerStatus = {
-    ...defaultPrinterStatus,
-    lastUpdate: new Date().toISOString()
-  };
-  broadcastToClients({ type: 'status', data: buildStatusPayload() });
-}
+// --- Accounts ---
 
-function buildStatusPayload() {
-  printerStatus.users = printerStatus.users || userStats.getSnapshot();
-  return {
-    printer: printerStatus,
-    users: userStats.getSnapshot()
-  };
+function startSession(req, res, user) {
+  const { token } = auth.createSession(user.username, {
+    ip: resolveClientIP(req, req.socket),
+    userAgent: req.headers['user-agent'] || 'Unknown'
+  });
+  res.setHeader('Set-Cookie', sessionCookie(token, { maxAge: auth.sessionTtl, secure: req.secure }));
 }
 
-// Serve static files
-app.use(express.static('public'));
+app.get('/api/auth/status', (req, res) => {
+  const result = authenticateRequest(req);
+  res.json({
+    success: true,
+    mode: authOptions.mode,
+    setupRequired: auth.needsSetup,
+    user: result.user,
+    role: result.role,
+    via: result.via
+  });
+});
 
-// API endpoint to get current printer status
-app.get('/api/status', (req, res) => {
-  // Ensure latest user stats are present
-  printerStatus.users = userStats.getSnapshot();
-  res.json(buildStatusPayload());
+// First-run setup: create the first account from a trusted address or with the logged setup code
+app.post('/api/auth/setup', express.json(), authGuard.requireSetupAccess(), async (req, res) => {
+  const { username, password } = req.body || {};
+  try {
+    const user = await auth.createUser(username, password, 'admin', { firstUser: true });
+    authGuard.setupCode = null;
+    console.log(`[Auth] Created first account: ${user.username}`);
+    startSession(req, res, user);
+    res.json({ success: true, user });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ success: false, error: err.message });
+  }
 });
 
-// API endpoint to discover printers
-app.get('/api/discover', async (req, res) => {
+app.post('/api/auth/login', express.json(), async (req, res) => {
+  const { username, password } = req.body || {};
   try {
-    const discovery = new PrinterDiscovery();
-    const printers = await discovery.discover(3000);
-    res.json({ success: true, printers });
+    // Failed logins are counted per address, which must not come from a spoofable header
+    const user = await auth.login(username, password, authGuard.clientIP(req) || normalizeIP(req.socket.remoteAddress));
+    startSession(req, res, user);
+    res.json({ success: true, user });
   } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+    res.status(err.statusCode || 500).json({ success: false, error: err.message });
   }
 });
 
-app.get('/api/camera', async (req, res) => {
-  const boundary = 'frame';
-  res.setHeader('Content-Type', `multipart/x-mixed-replace; boundary=${boundary}`);
-  res.write(`--${boundary}\r\n`);
+app.post('/api/auth/logout', (req, res) => {
+  auth.destroySession(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+  res.setHeader('Set-Cookie', sessionCookie(null, { secure: req.secure }));
+  res.json({ success: true });
+});
 
-  // Subscriber writes full frames
-  const subscriber = (frameBuffer) => {
-    try {
-      res.write(`Content-Type: ${cameraContentType}\r\n`);
-      res.write(`Content-Length: ${frameBuffer.length}\r\n\r\n`);
-      res.write(frameBuffer);
-      res.write(`\r\n--${boundary}\r\n`);
-    } catch (err) {
-      cameraSubscribers.delete(subscriber);
-    }
-  };
+app.post('/api/auth/password', requireUser, express.json(), async (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+  try {
+    await auth.changePassword(req.auth.user.username, currentPassword, newPassword, req.auth.session?.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ success: false, error: err.message });
+  }
+});
 
-  cameraSubscribers.add(subscriber);
+app.get('/api/auth/users', requireRole('admin'), (req, res) => {
+  res.json({ success: true, users: auth.listUsers() });
+});
 
-  // Send latest frame immediately if we have one
-  if (latestFrame) {
-    subscriber(latestFrame);
+app.post('/api/auth/users', requireRole('admin'), express.json(), async (req, res) => {
+  const { username, password, role } = req.body || {};
+  try {
+    const user = await auth.createUser(username, password, role || undefined);
+    res.status(201).json({ success: true, user });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ success: false, error: err.message });
   }
+});
 
-  // Track IP and counters
-  let cameraClientIP = 'unknown';
+app.patch('/api/auth/users/:username', requireRole('admin'), express.json(), (req, res) => {
   try {
-    cameraClientIP = resolveClientIP(req, req.socket);
-    const userAgent = req.headers['user-agent'] || 'Unknown';
-    userStats.addCameraClient(cameraClientIP, userAgent);
-  } catch (_) {}
-  updateUserStatsAndBroadcast();
+    const user = auth.setRole(req.params.username, req.body?.role);
+    res.json({ success: true, user });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ success: false, error: err.message });
+  }
+});
 
-  // Handle client disconnect
-  const cleanup = () => {
-    cameraSubscribers.delete(subscriber);
-    userStats.removeCameraClient(cameraClientIP);
-    updateUserStatsAndBroadcast();
-  };
+app.delete('/api/auth/users/:username', requireRole('admin'), (req, res) => {
+  try {
+    auth.removeUser(req.params.username);
+    webPush.removeOwner(req.params.username);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ success: false, error: err.message });
+  }
+});
 
-  req.on('close', cleanup);
-  req.on('error', cleanup);
-  res.on('error', cleanup);
+// API tokens belong to a user; admins see every token, other callers only their own
+function visibleTokens({ user, role }) {
+  if (hasRole(role, 'admin')) return auth.listTokens();
+  return user ? auth.listTokens(user.username) : [];
+}
+
+app.get('/api/auth/tokens', requireRole('viewer'), (req, res) => {
+  res.json({ success: true, tokens: visibleTokens(req.auth) });
 });
 
-// API endpoint to serve H.264 transcoded camera stream
-// API endpoint to connect to a specific printer
-app.post('/api/connect/:ip', express.json(), async (req, res) => {
+app.post('/api/auth/tokens', requireUser, express.json(), (req, res) => {
   try {
-    await connectToPrinter(req.params.ip);
-    res.json({ success: true, message: 'Connected to printer' });
+    const { token, record } = auth.createToken(req.auth.user.username, req.body?.name, req.body?.role || null);
+    res.status(201).json({ success: true, token, record });
   } catch (err) {
-    printerStatus.connected = false;
-    res.status(500).json({ success: false, error: err.message });
+    res.status(err.statusCode || 500).json({ success: false, error: err.message });
   }
 });
 
-// Debug endpoint to trigger a controlled restart (local-only, flag-gated)
-if (ENABLE_DEBUG_ENDPOINTS) {
-  app.get('/api/debug/restart', (req, res) => {
-    const clientIP = resolveClientIP(req, req.socket);
-    if (!isLocalIP(clientIP)) {
-      return res.status(403).json({ success: false, error: 'Forbidden' });
-    }
+app.delete('/api/auth/tokens/:id', requireRole('viewer'), (req, res) => {
+  const token = visibleTokens(req.auth).find((entry) => entry.id === req.params.id);
+  if (!token) {
+    return res.status(404).json({ success: false, error: `Unknown token: ${req.params.id}` });
+  }
+  auth.revokeToken(token.id);
+  res.json({ success: true });
+});
 
-    const reason = 'Manual restart trigger via /api/debug/restart';
-    broadcastToClients({ type: 'server_restarting', data: { reason } });
-    res.json({ success: true, message: 'Restarting server now' });
-    setTimeout(() => process.exit(1), 5000);
-  });
-}
+// Debug endpoint to trigger a controlled restart (admin-only, flag-gated)
+app.get('/api/debug/restart', (req, res, next) => {
+  // Answer like an unknown route while the flag is off
+  if (!config.get('enableDebugEndpoints')) return next('route');
+  next();
+}, requireRole('admin'), (req, res) => {
+  const reason = 'Manual restart trigger via /api/debug/restart';
+  broadcastToClients({ type: 'server_restarting', data: { reason } });
+  res.json({ success: true, message: 'Restarting server now' });
+  setTimeout(() => process.exit(1), 5000);
+});
 
-// Admin endpoint - only accessible from local addresses
-app.get('/api/admin', (req, res) => {
+// Admin endpoint - admin users and tokens, or trusted addresses under the IP rule
+app.get('/api/admin', requireRole('admin'), (req, res) => {
   const clientIP = resolveClientIP(req, req.socket);
-  
-  // Verify client is local
-  if (!isLocalIP(clientIP) && clientIP !== '212.229.84.209') {
-    console.warn(`Unauthorized admin access attempt from ${clientIP}`);
-    return res.status(404).type('text/html').send('<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n<title>Error</title>\n</head>\n<body>\n<pre>Cannot GET /api/admin</pre>\n</body>\n</html>\n');
-  }
-
   const statsSnapshot = userStats.getSnapshot();
   const { webClients: webClientsList, cameraClients: cameraClientsList } = userStats.getClientLists();
+  const describeAdminPrinter = (printer) => ({
+    id: printer.id,
+    address: printer.address,
+    connected: printer.status.connected,
+    connection: printer.client ? printer.client.getConnectionInfo() : null,
+    name: printer.status.printerName,
+    state: printer.status.state,
+    cameraAvailable: printer.status.cameraAvailable,
+    cameraSubscribers: printer.camera.subscribers.size,
+    cameraViewers: Array.from(printer.camera.viewers).map((viewer) => viewer.describe()),
+    lastUpdate: printer.status.lastUpdate
+  });
+  const defaultPrinter = printers.getDefault();
 
   res.json({
     success: true,
     admin: {
       accessIP: clientIP,
+      accessUser: req.auth.user?.username || null,
       timestamp: new Date().toISOString(),
       webClients: {
         active: statsSnapshot.webClients,
@@ -282,23 +1335,219 @@ app.get('/api/admin', (req, res) => {
         uniqueIPCount: cameraClientsList.length,
         clients: cameraClientsList
       },
-      printer: {
-        connected: printerStatus.connected,
-        name: printerStatus.printerName,
-        state: printerStatus.state,
-        cameraAvailable: printerStatus.cameraAvailable,
-        lastUpdate: printerStatus.lastUpdate
+      printer: defaultPrinter ? describeAdminPrinter(defaultPrinter) : null,
+      printers: printers.list().map(describeAdminPrinter),
+      webhooks: {
+        targets: webhooks.describeTargets(),
+        deliveries: webhooks.getDeliveries()
+      },
+      notifications: {
+        channels: notifier.describeChannels(),
+        log: notifier.getLog()
+      },
+      push: {
+        subscriptions: webPush.size
+      },
+      auth: {
+        mode: authOptions.mode,
+        users: auth.users.size,
+        sessions: auth.sessions.size,
+        tokens: auth.tokens.size
       }
     }
   });
 });
 
+// Server settings; changes are written to the config file and live settings apply immediately
+app.get('/api/admin/config', requireRole('admin'), (req, res) => {
+  res.json({ success: true, config: config.describe() });
+});
+
+app.patch('/api/admin/config', requireRole('admin'), express.json(), (req, res) => {
+  try {
+    const changed = config.update(req.body);
+    res.json({ success: true, changed, config: config.describe() });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ success: false, error: err.message, errors: err.errors });
+  }
+});
+
+config.on('change', (keys) => {
+  console.log(`[Config] Applied ${keys.map((key) => `${key}=${config.get(key)}`).join(', ')}`);
+  if (keys.includes('statusPollInterval')) {
+    printers.list().forEach((printer) => {
+      if (printer.client?.pollingInterval) {
+        printer.client.startStatusPolling(config.get('statusPollInterval'));
+      }
+    });
+  }
+  if (keys.includes('reconnectMaxDelay')) {
+    printers.list().forEach((printer) => {
+      if (printer.client) printer.client.reconnectMaxDelay = config.get('reconnectMaxDelay');
+    });
+  }
+  if (keys.includes('discoveryInterval')) {
+    discoveryService.interval = config.get('discoveryInterval');
+  }
+  if (keys.includes('discoveryProbeRanges')) {
+    discoveryService.discovery.probeRanges = config.get('discoveryProbeRanges');
+  }
+  if (keys.includes('sdcpCapture')) {
+    printers.list().forEach((printer) => {
+      if (!printer.client) return;
+      if (config.get('sdcpCapture')) {
+        startPrinterCapture(printer);
+      } else {
+        printer.client.stopCapture();
+      }
+    });
+  }
+});
+config.on('restartRequired', (keys) => {
+  console.log(`[Config] Restart to apply ${keys.join(', ')}`);
+});
+config.on('invalid', (err) => {
+  console.error(`[Config] Keeping the current settings: ${err.message}`);
+});
+config.watch();
+
+function sendToClient(ws, message) {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Start sending a printer's camera frames to a dashboard WebSocket as binary
+ * messages, replacing any subscription the socket already has
+ */
+function subscribeSocketCamera(ws, { printerId, fps: requestedFps } = {}) {
+  const printer = printerId ? printers.get(printerId) : printers.getDefault();
+  if (!printer) {
+    sendToClient(ws, { type: 'camera_error', printerId: printerId || null, error: printerId ? `Unknown printer: ${printerId}` : 'No printer configured' });
+    return;
+  }
+  const fps = parseViewerFps(requestedFps ?? undefined, config.get('maxFps'));
+  if (fps === null) {
+    sendToClient(ws, { type: 'camera_error', printerId: printer.id, error: 'fps must be a positive number' });
+    return;
+  }
+
+  unsubscribeSocketCamera(ws);
+  const { camera } = printer;
+  const viewer = new SocketCameraViewer(ws, { printerId: printer.id, fps, ip: ws._clientIP, userAgent: ws._userAgent });
+  const subscriber = (frameBuffer) => {
+    try {
+      viewer.offer(frameBuffer);
+    } catch (err) {
+      camera.subscribers.delete(subscriber);
+    }
+  };
+  ws._cameraSubscription = { printer, viewer, subscriber };
+  camera.viewers.add(viewer);
+  camera.subscribers.add(subscriber);
+  try {
+    userStats.addCameraClient(ws._clientIP, ws._userAgent);
+  } catch (_) {}
+  updateUserStatsAndBroadcast();
+
+  sendToClient(ws, { type: 'camera_subscribed', printerId: printer.id, fps });
+  if (camera.latestFrame) {
+    subscriber(camera.latestFrame);
+  }
+}
+
+function unsubscribeSocketCamera(ws, { notify = false } = {}) {
+  const subscription = ws._cameraSubscription;
+  if (!subscription) return;
+  ws._cameraSubscription = null;
+  const { printer, viewer, subscriber } = subscription;
+  printer.camera.subscribers.delete(subscriber);
+  printer.camera.viewers.delete(viewer);
+  userStats.removeCameraClient(ws._clientIP);
+  updateUserStatsAndBroadcast();
+  if (notify) {
+    sendToClient(ws, { type: 'camera_unsubscribed', printerId: printer.id });
+  }
+}
+
+// Role each client message type needs (see requireRole)
+const SOCKET_MESSAGE_ROLES = {
+  camera_subscribe: 'viewer',
+  camera_unsubscribe: 'viewer'
+};
+
+/**
+ * Messages sent by dashboard clients over the status WebSocket
+ */
+function handleClientMessage(ws, data, isBinary) {
+  let message;
+  try {
+    message = isBinary ? null : JSON.parse(data.toString());
+  } catch (_) {}
+  if (!message || typeof message !== 'object') {
+    sendToClient(ws, { type: 'error', error: 'Messages must be JSON objects' });
+    return;
+  }
+
+  // Sessions also expire without anything changing in the store
+  if (!reauthenticateWebClient(ws)) return;
+  const role = SOCKET_MESSAGE_ROLES[message.type];
+  if (role && !hasRole(ws._auth.role, role)) {
+    sendToClient(ws, { type: 'error', error: `Requires the ${role} role` });
+    return;
+  }
+
+  switch (message.type) {
+    case 'camera_subscribe':
+      subscribeSocketCamera(ws, message);
+      break;
+    case 'camera_unsubscribe':
+      unsubscribeSocketCamera(ws, { notify: true });
+      break;
+    default:
+      sendToClient(ws, { type: 'error', error: `Unknown message type: ${message.type}` });
+  }
+}
+
+/**
+ * Check a dashboard socket's credentials again: a revoked session or token closes
+ * the socket, and a changed role applies at once
+ * @returns {boolean} Whether the socket is still open
+ */
+function reauthenticateWebClient(ws) {
+  if (ws.readyState !== WebSocket.OPEN) return false;
+  const result = authGuard.reauthenticate(ws._auth, ws._authRequest, ws._socket);
+  if (result) {
+    ws._auth = result;
+    return true;
+  }
+  console.log(`[WebSocket] Closing client ${ws._clientIP}: credentials revoked`);
+  unsubscribeSocketCamera(ws);
+  ws.close(1008, 'Credentials revoked');
+  return false;
+}
+
+// Sign-outs, deleted users, role changes and revoked tokens reach open sockets right away
+auth.on('change', () => {
+  webClients.forEach(reauthenticateWebClient);
+});
+
 // WebSocket connection handler for web clients
 wss.on('connection', (ws, req) => {
   const ip = resolveClientIP(req, ws._socket);
   const userAgent = req.headers['user-agent'] || 'Unknown';
+  // Credentials come from the upgrade request's cookie or Authorization header
+  ws._auth = authenticateRequest(req, ws._socket);
+  // Kept to check the credentials again later (reauthenticateWebClient)
+  ws._authRequest = { headers: req.headers, socket: req.socket };
+  if (!hasRole(ws._auth.role, 'viewer')) {
+    ws.close(1008, 'Authentication required');
+    return;
+  }
   console.log(`[WebSocket] Client connected: IP=${ip}`);
   webClients.add(ws);
+  ws._userAgent = userAgent;
   // Track IP and counters
   try {
     ws._clientIP = ip; // Store IP on WebSocket instance
@@ -306,11 +1555,22 @@ wss.on('connection', (ws, req) => {
   } catch (_) {}
   updateUserStatsAndBroadcast();
 
-  // Send current status
-  ws.send(JSON.stringify({ type: 'status', data: buildStatusPayload() }));
+  // Send current status of every printer, default printer first
+  const defaultPrinter = printers.getDefault();
+  if (!defaultPrinter) {
+    ws.send(JSON.stringify({ type: 'status', printerId: null, data: buildStatusPayload(null) }));
+  }
+  printers.list()
+    .sort((a, b) => (a === defaultPrinter ? -1 : b === defaultPrinter ? 1 : 0))
+    .forEach((printer) => {
+      ws.send(JSON.stringify({ type: 'status', printerId: printer.id, data: buildStatusPayload(printer) }));
+    });
+
+  ws.on('message', (data, isBinary) => handleClientMessage(ws, data, isBinary));
 
   const cleanup = () => {
     console.log('Web client disconnected');
+    unsubscribeSocketCamera(ws);
     webClients.delete(ws);
     userStats.removeWebClient(ip);
     updateUserStatsAndBroadcast();
@@ -324,46 +1584,52 @@ wss.on('connection', (ws, req) => {
 });
 
 
-// --- Broadcast message to all connected web clients, throttled to once per second ---
-let lastBroadcastTime = 0;
-let pendingBroadcast = null;
+// --- Broadcast message to all connected web clients, throttled per printer ---
+const broadcastThrottle = new Map(); // printerId -> { lastBroadcastTime, pendingBroadcast, data }
+function sendToAllClients(data) {
+  webClients.forEach((client) => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(data);
+    }
+  });
+}
+
 function broadcastToClients(message) {
   const now = Date.now();
   const data = JSON.stringify(message);
-  const minInterval = WS_UPDATE_INTERVAL; // milliseconds between broadcasts
+  const minInterval = config.get('wsUpdateInterval'); // milliseconds between broadcasts
 
   // High-priority messages bypass throttling
   if (message?.type === 'server_restarting') {
-    webClients.forEach((client) => {
-      if (client.readyState === WebSocket.OPEN) {
-        client.send(data);
-      }
-    });
-    lastBroadcastTime = now;
+    sendToAllClients(data);
     return;
   }
 
-  if (now - lastBroadcastTime >= minInterval) {
+  // Each message type and printer is throttled separately so one cannot starve another
+  const key = `${message?.type}:${message?.printerId || '_'}`;
+  let throttle = broadcastThrottle.get(key);
+  if (!throttle) {
+    throttle = { lastBroadcastTime: 0, pendingBroadcast: null, data: null };
+    broadcastThrottle.set(key, throttle);
+  }
+
+  if (now - throttle.lastBroadcastTime >= minInterval) {
     // Send immediately
-    webClients.forEach((client) => {
-      if (client.readyState === WebSocket.OPEN) {
-        client.send(data);
-      }
-    });
-    lastBroadcastTime = now;
-    pendingBroadcast = null;
+    if (throttle.pendingBroadcast) {
+      clearTimeout(throttle.pendingBroadcast);
+      throttle.pendingBroadcast = null;
+    }
+    sendToAllClients(data);
+    throttle.lastBroadcastTime = now;
   } else {
-    // Schedule a broadcast if not already scheduled
-    if (!pendingBroadcast) {
-      const delay = minInterval - (now - lastBroadcastTime);
-      pendingBroadcast = setTimeout(() => {
-        webClients.forEach((client) => {
-          if (client.readyState === WebSocket.OPEN) {
-            client.send(data);
-          }
-        });
-        lastBroadcastTime = Date.now();
-        pendingBroadcast = null;
+    // Always send the newest message when the scheduled broadcast fires
+    throttle.data = data;
+    if (!throttle.pendingBroadcast) {
+      const delay = minInterval - (now - throttle.lastBroadcastTime);
+      throttle.pendingBroadcast = setTimeout(() => {
+        sendToAllClients(throttle.data);
+        throttle.lastBroadcastTime = Date.now();
+        throttle.pendingBroadcast = null;
       }, delay);
     }
   }
@@ -372,12 +1638,13 @@ function broadcastToClients(message) {
 /**
  * Update printer status from SDCP data
  */
-let isFirstUpdate = true;
-
-function updatePrinterStatus(data) {
+function updatePrinterStatus(printer, data) {
+  const printerStatus = printer.status;
   if (!data) {
     // Printer is unreachable or offline
-    reconnectSetupNeeded = true;
+    if (printerStatus.connected) {
+      emitPrinterEvent(printer, PRINTER_EVENTS.PRINTER_DISCONNECTED);
+    }
     printerStatus.connected = false;
     printerStatus.state = 'Disconnected';
     printerStatus.cameraAvailable = false;
@@ -388,31 +1655,25 @@ function updatePrinterStatus(data) {
     printerStatus.job_status = null;
     printerStatus.machine_status_code = null;
     printerStatus.job_status_code = null;
-    broadcastToClients({ type: 'status', data: buildStatusPayload() });
+    broadcastStatus(printer);
     return;
   }
 
-  // If we receive data after a disconnect, treat this as a reconnection
-  if (!printerStatus.connected) {
-    const reconnectName = data.Attributes?.Name || printerStatus.printerName;
-    ensureReconnectSetup(reconnectName).catch((err) => {
-      console.error('Failed to refresh printer state after reconnection:', err.message);
-    });
-  }
-
   // Log first status update for debugging
-  if (isFirstUpdate) {
-    console.log('\n=== First Status Update from Printer ===');
+  if (printer.isFirstUpdate) {
+    console.log(`\n=== First Status Update from Printer ${printer.id} ===`);
     console.log(JSON.stringify(data, null, 2));
     console.log('========================================\n');
-    isFirstUpdate = false;
+    printer.isFirstUpdate = false;
   }
 
   printerStatus.lastUpdate = new Date().toISOString();
+  const prevJobState = printerStatus.status.job?.state;
 
   // Update based on available data
   if (data.Attributes) {
     printerStatus.printerName = data.Attributes.Name || printerStatus.printerName;
+    printer.name = printerStatus.printerName;
   }
 
   // Only update status fields if this is a real status payload (not a response/ack)
@@ -434,7 +1695,7 @@ function updatePrinterStatus(data) {
 
     // Track transitions for logging/notifications
     if (printerStatus.status.consolidated !== use_new_status) {
-      console.log(`[Status] Status changed: ${printerStatus.status.consolidated} -> ${use_new_status}`);
+      console.log(`[Status] ${printer.id} status changed: ${printerStatus.status.consolidated} -> ${use_new_status}`);
       printerStatus.prev_status = printerStatus.status.consolidated;
     }
     
@@ -483,23 +1744,52 @@ function updatePrinterStatus(data) {
     if (s.TempTargetBox !== undefined) {
       printerStatus.temperatures.enclosure.target = Math.round(s.TempTargetBox);
     }
+
+    // Raw (unrounded) values for the telemetry time series
+    telemetry.record(printer.id, {
+      bed: s.TempOfHotbed,
+      bedTarget: s.TempTargetHotbed,
+      nozzle: s.TempOfNozzle,
+      nozzleTarget: s.TempTargetNozzle,
+      enclosure: s.TempOfBox,
+      enclosureTarget: s.TempTargetBox,
+      progress: s.PrintInfo?.Progress,
+      layer: s.PrintInfo?.CurrentLayer
+    });
   }
 
   // Set custom state code
-  setCustomState(data);
+  setCustomState(printer, data);
+
+  // Record job starts/ends from real status payloads
+  if (data.Status) {
+    jobHistory.observe(printer.id, printerStatus);
+    if (timelapses) {
+      const { camera } = printer;
+      const frameFresh = camera.lastFrameAt && Date.now() - camera.lastFrameAt <= TIMELAPSE_FRAME_MAX_AGE;
+      timelapses.capture(printer.id, {
+        frame: frameFresh ? camera.latestFrame : null,
+        layer: printerStatus.layers.current,
+        running: RUNNING_JOB_STATES.includes(printerStatus.status.job?.state)
+      });
+    }
+    detectJobEvents(prevJobState, printerStatus.status.job?.state).forEach((type) => {
+      emitPrinterEvent(printer, type, jobEventDetails(type, prevJobState, printer.lastJobAction));
+    });
+  }
 
   // Broadcast update to all web clients
-  broadcastToClients({ type: 'status', data: buildStatusPayload() });
+  broadcastStatus(printer);
 }
 
 /**
  * Setup camera URL from printer response
  */
-async function setupCameraURL() {
-  if (!printerClient) return;
+async function setupCameraURL(printer) {
+  if (!printer.client) return;
 
   try {
-    const cameraResponse = await printerClient.requestCameraURL();
+    const cameraResponse = await printer.client.requestCameraURL();
     const cameraData = cameraResponse?.Data?.Data;
     
     if (!cameraData) return;
@@ -507,23 +1797,23 @@ async function setupCameraURL() {
     const { Ack: ack, VideoUrl: videoUrl } = cameraData;
     
     if (ack === 0 && videoUrl) {
-      printerStatus.cameraAvailable = true;
-      printerStatus.cameraError = null;
+      printer.status.cameraAvailable = true;
+      printer.status.cameraError = null;
       // Store the URL locally for polling, but don't send to clients
-      cameraStreamURL = `http://${videoUrl}`;
-      console.log('Camera stream enabled');
+      printer.camera.streamURL = `http://${videoUrl}`;
+      console.log(`Camera stream enabled for ${printer.id}`);
     } else {
       const reason = CAMERA_ACK_ERRORS[ack] || `Unknown error code ${ack}`;
-      console.warn('Camera not available:', reason);
-      printerStatus.cameraAvailable = false;
-      printerStatus.cameraError = reason;
-      cameraStreamURL = null;
+      console.warn(`Camera not available for ${printer.id}:`, reason);
+      printer.status.cameraAvailable = false;
+      printer.status.cameraError = reason;
+      printer.camera.streamURL = null;
     }
   } catch (err) {
     console.warn('Failed to setup camera:', err.message);
-    printerStatus.cameraAvailable = false;
-    printerStatus.cameraError = err.message;
-    cameraStreamURL = null;
+    printer.status.cameraAvailable = false;
+    printer.status.cameraError = err.message;
+    printer.camera.streamURL = null;
   }
 }
 
@@ -533,95 +1823,186 @@ async function setupCameraURL() {
  * - refresh camera availability and restart streaming
  * - broadcast the latest status to all web clients
  */
-async function onPrinterConnected(printerName = null) {
-  printerStatus.connected = true;
+async function onPrinterConnected(printer, printerName = null) {
+  printer.status.connected = true;
   if (printerName) {
-    printerStatus.printerName = printerName;
+    printer.status.printerName = printerName;
+    printer.name = printerName;
   }
   // Refresh camera availability on each (re)connect
-  await setupCameraURL();
-  await startCameraStreaming();
-  broadcastToClients({ type: 'status', data: buildStatusPayload() });
+  await setupCameraURL(printer);
+  await startCameraStreaming(printer);
+  broadcastStatus(printer);
+  // Catch up on jobs that ran while we were not connected
+  syncPrinterHistory(printer).catch((err) => {
+    console.warn(`[History] Sync with ${printer.id} failed:`, err.message);
+  });
 }
 
-async function ensureReconnectSetup(printerName = null) {
-  if (reconnectSetupInProgress) return;
-  reconnectSetupInProgress = true;
-  try {
-    await onPrinterConnected(printerName);
-    reconnectSetupNeeded = false;
-  } catch (err) {
-    reconnectSetupNeeded = true;
-    throw err;
-  } finally {
-    reconnectSetupInProgress = false;
-  }
+/**
+ * Record the SDCP messages of a printer's client to a new file in CAPTURE_DIR
+ */
+function startPrinterCapture(printer) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const name = `${printer.id.replace(/[^A-Za-z0-9_.-]/g, '_')}-${stamp}.jsonl`;
+  printer.client.startCapture(path.join(CAPTURE_DIR, name));
+}
+
+/**
+ * Feed the status and attributes messages of a capture into updatePrinterStatus,
+ * as a printer entry without a client (REPLAY_FILE)
+ * @param {Array<object>} entries - Capture entries (see utils/sdcp-replay)
+ * @param {number} speed - Playback speed
+ */
+function startReplay(entries, speed) {
+  const first = entries.find((entry) => entry.direction === 'in' && entry.message?.MainboardID);
+  const id = first ? first.message.MainboardID : 'replay';
+  const printer = printers.add(id, { name: `${id} (replay)` });
+  const replay = new CaptureReplay(entries, { speed });
+  replay.on('message', (message) => updatePrinterStatus(printer, message));
+  replay.on('end', () => console.log(`[Replay] Finished ${REPLAY_FILE}`));
+  console.log(`[Replay] Playing ${replay.entries.length} message(s) from ${REPLAY_FILE} as ${id} at ${speed}x`);
+  replay.start();
 }
 
 /**
- * Connect to a printer at the given IP address
+ * Connect to a printer at the given IP address and register it
+ * @param {string} printerIP - Printer IP address
+ * @param {string|null} printerName - Display name (from discovery)
+ * @param {string|null} printerId - Registry ID (defaults to an existing entry for the IP, else the IP)
+ * @param {string|null} expectedId - MainboardID the printer must report in its Attributes,
+ *   on every (re)connection; a different printer is disconnected
+ * @returns {Promise<object>} Printer registry entry
+ * @throws {Error} With statusCode 409 when the printer is not the expected one
  */
-async function connectToPrinter(printerIP, printerName = null) {
+async function connectToPrinter(printerIP, printerName = null, printerId = null, expectedId = null) {
+  const existing = printerId ? printers.get(printerId) : printers.findByAddress(printerIP);
+  const id = existing ? existing.id : (printerId || printerIP);
+  const printer = printers.add(id, { address: printerIP, name: printerName });
+
   // Disconnect existing connection
-  if (printerClient) {
-    printerClient.disconnect();
+  if (printer.client) {
+    printer.client.disconnect();
+    printer.client.stopCapture();
   }
 
   // Create new connection
-  printerClient = new SDCPClient(printerIP);
+  const printerClient = new SDCPClient(printerIP, { reconnectMaxDelay: config.get('reconnectMaxDelay') });
+  printer.client = printerClient;
+  if (config.get('sdcpCapture')) {
+    startPrinterCapture(printer);
+  }
+  // Events from a replaced client must not touch the entry any more
+  const isCurrent = () => printer.client === printerClient;
+  // Status is ignored until a pinned printer has proven its identity
+  let identified = !expectedId;
+  const verifyIdentity = async () => {
+    if (!expectedId) return;
+    checkPrinterIdentity(await printerClient.identify(), expectedId, printerIP);
+    identified = true;
+  };
+  const rejectPrinter = (err) => {
+    printer.client = null;
+    printerClient.disconnect();
+    printerClient.stopCapture();
+    printer.status = createDefaultPrinterStatus({
+      printerName: printer.name || 'Unknown',
+      lastUpdate: new Date().toISOString(),
+      connectionError: err.message
+    });
+    broadcastStatus(printer);
+    console.error(`[Printers] Disconnected from ${printerIP}: ${err.message}`);
+  };
   // Always re-attach status handler
-  printerClient.onStatus(updatePrinterStatus);
+  printerClient.onStatus((data) => {
+    if (isCurrent() && identified) updatePrinterStatus(printer, data);
+  });
 
-  // Listen for disconnect/error events from SDCP client
-  const handlePrinterLost = () => {
-    setDisconnectedStatus();
+  // Verify the printer and refresh its state once per connection
+  const setUpConnection = async () => {
+    await verifyIdentity();
+    printer.status.connectionError = null;
+    await onPrinterConnected(printer, printerName);
   };
-  printerClient.on('disconnect', handlePrinterLost);
-  printerClient.on('error', handlePrinterLost);
-  printerClient.on('reconnected', () => {
-    if (!reconnectSetupNeeded) return;
-    ensureReconnectSetup(printerName).catch((err) => {
-      console.error('Failed to refresh printer state after reconnection:', err.message);
-    });
+  printerClient.on('stateChange', ({ state, previous }) => {
+    // Offline only follows disconnect(), which the caller handles
+    if (!isCurrent() || state === CONNECTION_STATES.OFFLINE) return;
+    if (state === CONNECTION_STATES.RECONNECTING) {
+      // The address may belong to another printer after the reconnect
+      identified = !expectedId;
+      setDisconnectedStatus(printer);
+      if (mqttBridge) mqttBridge.setAvailability(printer.id, false);
+      return;
+    }
+    if (state !== CONNECTION_STATES.CONNECTED || previous === CONNECTION_STATES.DEGRADED) return;
+    if (mqttBridge) mqttBridge.setAvailability(printer.id, true);
+    if (previous === CONNECTION_STATES.RECONNECTING) {
+      setUpConnection().catch((err) => {
+        if (!isCurrent()) return;
+        if (err.statusCode === 409) {
+          rejectPrinter(err);
+        } else {
+          console.error('Failed to refresh printer state after reconnection:', err.message);
+        }
+      });
+    }
   });
 
-  // Try to connect and handle errors
+  // Try to connect and handle errors; the first connection is set up here, later ones by stateChange
   try {
+    printerClient.startStatusPolling(config.get('statusPollInterval'));
     await printerClient.connect();
-    printerClient.startStatusPolling(STATUS_POLL_INTERVAL);
-    await ensureReconnectSetup(printerName);
+    await setUpConnection();
   } catch (err) {
+    if (err.statusCode === 409) {
+      rejectPrinter(err);
+      throw err;
+    }
     // Printer is offline or unreachable: fully reset status and broadcast
-    printerStatus = {
-      ...defaultPrinterStatus,
-      lastUpdate: new Date().toISOString()
-    };
-    broadcastToClients({ type: 'status', data: buildStatusPayload() });
-    console.error('Failed to connect to printer:', err.message);
+    printer.status = createDefaultPrinterStatus({
+      printerName: printer.name || 'Unknown',
+      lastUpdate: new Date().toISOString(),
+      connectionError: err.message
+    });
+    broadcastStatus(printer);
+    console.error(`Failed to connect to printer ${id}:`, err.message);
   }
+  return printer;
 }
 
 /**
  * Start persistent camera stream from printer and relay to clients
  */
-async function startCameraStreaming() {
-  if (!cameraStreamURL) {
-    printerStatus.cameraAvailable = false;
-    printerStatus.cameraError = printerStatus.cameraError || 'Camera not available';
-    broadcastToClients({ type: 'status', data: buildStatusPayload() });
-    resetCameraFailureTracker();
+async function startCameraStreaming(printer) {
+  const { camera } = printer;
+  if (!camera.streamURL) {
+    printer.status.cameraAvailable = false;
+    printer.status.cameraError = printer.status.cameraError || 'Camera not available';
+    broadcastStatus(printer);
+    resetCameraFailureTracker(printer);
     return;
   }
 
+  const retryLater = () => {
+    setTimeout(() => {
+      if (camera.streamURL && !camera.stream) {
+        startCameraStreaming(printer);
+      }
+    }, cameraRetryDelay(printer));
+  };
+
   try {
-    const response = await fetch(cameraStreamURL);
+    const response = await fetch(camera.streamURL);
     
     if (!response.ok) {
       throw new Error(`Camera error ${response.status}, ${response.statusText}`);
     }
 
-    resetCameraFailureTracker();
-    printerStatus.cameraError = null;
+    const recovered = printer.status.cameraAvailable === false || Boolean(printer.status.cameraError);
+    resetCameraFailureTracker(printer);
+    printer.status.cameraAvailable = true;
+    printer.status.cameraError = null;
+    if (recovered) broadcastStatus(printer);
 
     // Extract boundary from multipart content-type header
     const contentType = response.headers.get('content-type');
@@ -632,9 +2013,8 @@ async function startCameraStreaming() {
     const reader = response.body.getReader();
     let buffer = Buffer.alloc(0);
 
-    // Throttle frame delivery to respect MAX_FPS
+    // Throttle frame delivery to respect the maxFps setting
     let lastFrameTime = 0;
-    const minFrameInterval = 1000 / MAX_FPS;
 
     const processStream = async () => {
       try {
@@ -670,12 +2050,19 @@ async function startCameraStreaming() {
 
             if (frameBuffer.length > 0) {
               const now = Date.now();
-              if (now - lastFrameTime >= minFrameInterval) {
-                latestFrame = Buffer.from(frameBuffer);
+              if (now - lastFrameTime >= 1000 / config.get('maxFps')) {
+                camera.latestFrame = Buffer.from(frameBuffer);
+                recordCameraFrame(camera, now);
+                if (dvr) {
+                  dvr.addFrame(printer.id, camera.latestFrame, now);
+                }
+                if (mqttBridge) {
+                  mqttBridge.publishCameraFrame(printer.id, camera.latestFrame, now);
+                }
                 // Broadcast frame to all subscribers
-                cameraSubscribers.forEach(subscriber => {
+                camera.subscribers.forEach(subscriber => {
                   try {
-                    subscriber(latestFrame);
+                    subscriber(camera.latestFrame);
                   } catch (err) {
                     // Subscriber cleanup handled in endpoint
                   }
@@ -690,126 +2077,173 @@ async function startCameraStreaming() {
           }
         }
       } catch (err) {
-        console.error('Camera stream error:', err.message);
-        handleCameraStartFailure(err.message);
+        console.error(`Camera stream error for ${printer.id}:`, err.message);
+        handleCameraStartFailure(printer, err.message);
         // Retry after a delay
-        setTimeout(() => {
-          if (cameraStreamURL) {
-            startCameraStreaming();
-          }
-        }, 5000);
+        retryLater();
       }
     };
 
-    printerStream = processStream();
+    const stream = processStream().finally(() => {
+      if (camera.stream === stream) camera.stream = null;
+    });
+    camera.stream = stream;
   } catch (err) {
-    console.error('Failed to start camera stream:', err.message);
-    printerStatus.cameraAvailable = false;
-    printerStatus.cameraError = err.message;
-    broadcastToClients({ type: 'status', data: buildStatusPayload() });
-    handleCameraStartFailure(err.message);
+    console.error(`Failed to start camera stream for ${printer.id}:`, err.message);
+    printer.status.cameraAvailable = false;
+    printer.status.cameraError = err.message;
+    broadcastStatus(printer);
+    handleCameraStartFailure(printer, err.message);
     // Retry after a delay
-    setTimeout(() => {
-      if (cameraStreamURL) {
-        startCameraStreaming();
-      }
-    }, 5000);
+    retryLater();
+  }
+}
+
+/**
+ * Count a relayed frame and refresh the averaged frame rate
+ */
+function recordCameraFrame(camera, now) {
+  camera.framesTotal += 1;
+  camera.lastFrameAt = now;
+  const window = camera.frameWindow;
+  if (!window.start) window.start = now;
+  window.frames += 1;
+  const elapsed = now - window.start;
+  if (elapsed >= CAMERA_FPS_WINDOW) {
+    camera.frameRate = (window.frames * 1000) / elapsed;
+    window.start = now;
+    window.frames = 0;
   }
 }
 
 /**
  * Stop camera streaming
  */
-function stopCameraStreaming() {
-  printerStream = null;
+function stopCameraStreaming(printer) {
+  printer.camera.stream = null;
 }
 
 
 /**
- * Auto-discover and connect to printers, retrying each up to 3 times before moving to the next
+ * Connect to a pinned printer at an address, verifying its MainboardID when it has one
  */
-let autoConnectState = {
-  printers: [],
-  currentIdx: 0,
-  failCount: 0
-};
+function connectPinnedPrinter(pin, address) {
+  // A rejected printer is logged by connectToPrinter; its entry keeps the error and the next run tries again
+  return connectToPrinter(address, pin.name || null, pinnedPrinterId(pin), pin.mainboardId || null).catch(() => {});
+}
 
-async function autoConnect() {
-  try {
-    // If no printers list or exhausted, rediscover
-    if (!autoConnectState.printers.length || autoConnectState.currentIdx >= autoConnectState.printers.length) {
-      console.log('Auto-discovering printers...');
-      const discovery = new PrinterDiscovery();
-      let printers = await discovery.discover(5000);
-      // Filter out proxy servers
-      printers = printers.filter(p => {
-        // Proxy flag may be in Data.Attributes.Proxy or Attributes.Proxy
-        const proxy = (p.Data && p.Data.Attributes && p.Data.Attributes.Proxy) || (p.Attributes && p.Attributes.Proxy);
-        return !proxy;
-      });
-      if (printers.length === 0) {
-        console.log('No eligible printers found on network. Retrying in 5 seconds...');
-        autoConnectState = { printers: [], currentIdx: 0, failCount: 0 };
-        setTimeout(autoConnect, 5000);
-        return;
-      }
-      autoConnectState.printers = printers;
-      autoConnectState.currentIdx = 0;
-      autoConnectState.failCount = 0;
-    }
+/**
+ * Connect printers after a discovery scan. Pinned printers (`printers` setting) with
+ * an address are connected directly. Without pins, every eligible printer the scan
+ * found is connected; with pins, the scan is only a fallback to find pinned
+ * MainboardIDs that are not connected, and nothing else is.
+ * Printers that are already registered keep their own SDCP reconnect loop; this only
+ * picks up new ones, so it runs after every scan.
+ * @param {Array} found - Discovery responses from the scan
+ */
+async function autoConnect(found = []) {
+  const pins = config.get('printers');
+  for (const pin of pins) {
+    if (!pin.address || printers.get(pinnedPrinterId(pin))?.client) continue;
+    console.log('Connecting to pinned printer at:', pin.address);
+    await connectPinnedPrinter(pin, pin.address);
+  }
+  const missing = pins.filter((pin) => pin.mainboardId && !printers.get(pin.mainboardId)?.status.connected);
 
-    const printer = autoConnectState.printers[autoConnectState.currentIdx];
-    console.log(`Trying to connect to printer ${autoConnectState.currentIdx + 1}/${autoConnectState.printers.length} at:`, printer.address);
+  // Filter out proxy servers
+  const eligible = found.filter((p) => {
+    // Proxy flag may be in Data.Attributes.Proxy or Attributes.Proxy
+    const proxy = (p.Data && p.Data.Attributes && p.Data.Attributes.Proxy) || (p.Attributes && p.Attributes.Proxy);
+    return !proxy;
+  });
 
-    try {
-      await connectToPrinter(
-        printer.address,
-        printer.Name || printer.Id || 'Elegoo Printer'
-      );
-      console.log('Connected to printer:', printerStatus.printerName);
-      // Start camera streaming
-      await startCameraStreaming();
-      // Reset fail count on success
-      autoConnectState.failCount = 0;
-    } catch (err) {
-      autoConnectState.failCount++;
-      console.error(`Auto-connect failed (${autoConnectState.failCount}/3) for ${printer.address}:`, err.message);
-      if (autoConnectState.failCount >= 3) {
-        // Move to next printer
-        autoConnectState.currentIdx++;
-        autoConnectState.failCount = 0;
-        if (autoConnectState.currentIdx >= autoConnectState.printers.length) {
-          // All tried, rediscover after delay
-          console.log('All printers failed, rediscovering in 5 seconds...');
-          autoConnectState = { printers: [], currentIdx: 0, failCount: 0 };
-          setTimeout(autoConnect, 5000);
-          return;
-        }
-      }
-      // Try again after delay (either retry or next printer)
-      setTimeout(autoConnect, 5000);
-      return;
+  for (const printer of eligible) {
+    const id = resolvePrinterId(printer);
+    if (pins.length > 0) {
+      const pin = missing.find((entry) => entry.mainboardId === id);
+      const entry = pin && printers.get(id);
+      // Skip printers that are not pinned, and addresses a reconnect loop is already trying
+      if (!pin || (entry?.client && entry.address === printer.address)) continue;
+      console.log(`Found pinned printer ${id} at:`, printer.address);
+      await connectPinnedPrinter(pin, printer.address);
+      continue;
     }
-  } catch (err) {
-    console.error('Auto-connect error:', err.message);
-    setTimeout(autoConnect, 5000);
+    const known =
+      printers.get(id) ||
+      printers.findByAddress(printer.address) ||
+      printers.list().find((entry) => entry.client?.mainboardID === id);
+    if (known && known.client) continue;
+
+    console.log(`Connecting to discovered printer ${id} at:`, printer.address);
+    await connectToPrinter(
+      printer.address,
+      printer.Data?.Name || printer.Name || printer.Id || 'Elegoo Printer',
+      known ? known.id : id
+    );
+  }
+
+  if (printers.size === 0) {
+    console.log('No eligible printers found on network. Scanning again in 5 seconds...');
+    discoveryService.scanIn(5000);
   }
 }
 
+// One auto-connect run at a time; runs queue behind each other
+let autoConnectQueue = Promise.resolve();
+function queueAutoConnect(found) {
+  autoConnectQueue = autoConnectQueue
+    .then(() => autoConnect(found))
+    .catch((err) => {
+      console.error('Auto-connect error:', err.message);
+    });
+  return autoConnectQueue;
+}
+discoveryService.on('scan', queueAutoConnect);
+
 // Start server
-server.listen(PORT, () => {
-  console.log(`Elegoo Print Monitor server running on http://localhost:${PORT}`);
-  
-  // Auto-connect to printer on startup
-  autoConnect();
+// A capture that cannot be replayed stops the server like an invalid config
+const replayEntries = (() => {
+  if (!REPLAY_FILE) return null;
+  try {
+    if (!(REPLAY_SPEED > 0)) {
+      throw new Error(`REPLAY_SPEED must be a positive number (got ${JSON.stringify(process.env.REPLAY_SPEED)})`);
+    }
+    return readCapture(REPLAY_FILE);
+  } catch (err) {
+    console.error(`[Replay] ${err.message}`);
+    process.exit(1);
+  }
+})();
+
+server.listen(config.get('port'), () => {
+  console.log(`Elegoo Print Monitor server running on http://localhost:${config.get('port')}`);
+
+  if (replayEntries) {
+    startReplay(replayEntries, REPLAY_SPEED);
+    return;
+  }
+  // Connect pinned printers right away, then keep discovering in the background
+  queueAutoConnect([]);
+  discoveryService.start();
 });
 
 // Cleanup on exit
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('\nShutting down...');
-  stopCameraStreaming();
-  if (printerClient) {
-    printerClient.disconnect();
+  printers.list().forEach((printer) => {
+    stopCameraStreaming(printer);
+    if (printer.client) {
+      printer.client.disconnect();
+    }
+  });
+  // Let captures reach the disk before exiting
+  await Promise.all(printers.list().map((printer) => printer.client?.stopCapture()));
+  discoveryService.stop();
+  if (dvr) {
+    dvr.stop();
+  }
+  if (mqttBridge) {
+    await mqttBridge.stop();
   }
   server.close();
   process.exit(0);
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const { accessClientIP, isLocalIP } = require('utils/ip-utils');
+const { hasRole, requestCredentials } = require('utils/auth');
+
+/**
+ * Decides who an HTTP request or WebSocket upgrade comes from and what it may do:
+ * credentials from the AuthStore, then the IP rule for trusted addresses, then the
+ * anonymous role. Addresses come from the socket; forwarding headers only count
+ * behind a trusted proxy (see accessClientIP).
+ */
+class AuthGuard {
+  /**
+   * @param {object} options
+   * @param {AuthStore} options.auth - Accounts, sessions and tokens
+   * @param {object} options.options - Auth settings (see authOptionsFromEnv)
+   */
+  constructor({ auth, options }) {
+    this.auth = auth;
+    this.options = options;
+    // One-time code for creating the first account from an address that is not trusted
+    this.setupCode = auth.needsSetup ? crypto.randomBytes(6).toString('hex') : null;
+  }
+
+  /**
+   * Client address for access decisions, or null when it cannot be known
+   */
+  clientIP(req, socket = req.socket) {
+    return accessClientIP(req, socket, this.options.trustedProxies);
+  }
+
+  /**
+   * Whether the caller is on a local or AUTH_TRUSTED_IPS address
+   */
+  isTrusted(req, socket = req.socket) {
+    const ip = this.clientIP(req, socket);
+    return Boolean(ip) && (isLocalIP(ip) || this.options.trustedIPs.includes(ip));
+  }
+
+  /**
+   * Identify the caller: API token, session cookie, a trusted address under the IP rule,
+   * or an anonymous caller with AUTH_ANONYMOUS_ROLE
+   * @returns {object} { user, role, via: 'token'|'session'|'ip'|null }
+   */
+  authenticate(req, socket = req.socket) {
+    const result = this.auth.authenticate(requestCredentials(req));
+    if (result) return result;
+    // The IP rule applies in 'ip' mode, and in 'users' mode until the first account exists
+    if ((this.options.mode === 'ip' || this.auth.needsSetup) && this.isTrusted(req, socket)) {
+      return { user: null, role: 'admin', via: 'ip', ip: this.clientIP(req, socket) };
+    }
+    return { user: null, role: this.options.anonymousRole, via: null };
+  }
+
+  /**
+   * Check the credentials of a long-lived connection again
+   * @param {object} previous - Earlier result of authenticate() for the connection
+   * @returns {object|null} Current result, or null when the session or token it was
+   *   opened with is gone (signed out, user deleted, token revoked) or viewing is no longer allowed
+   */
+  reauthenticate(previous, req, socket = req.socket) {
+    const result = this.authenticate(req, socket);
+    const revoked = (previous.via === 'session' || previous.via === 'token') && result.via !== previous.via;
+    return revoked || !hasRole(result.role, 'viewer') ? null : result;
+  }
+
+  /**
+   * Middleware: the caller needs at least `role` (sets req.auth).
+   * 401 for anonymous callers, 403 when the caller's role is too low.
+   */
+  requireRole(role) {
+    return (req, res, next) => {
+      const result = this.authenticate(req);
+      if (!hasRole(result.role, role)) {
+        if (!result.via) {
+          return res.status(401).json({ success: false, error: 'Authentication required' });
+        }
+        console.warn(`Forbidden ${req.method} ${req.path} for ${result.user?.username || result.ip} (${result.role})`);
+        return res.status(403).json({ success: false, error: `Requires the ${role} role` });
+      }
+      req.auth = result;
+      next();
+    };
+  }
+
+  /**
+   * Middleware: the caller must be signed in as a user (not just a trusted address)
+   */
+  requireUser() {
+    return (req, res, next) => {
+      const result = this.authenticate(req);
+      if (!result.user) {
+        return result.via
+          ? res.status(403).json({ success: false, error: 'Sign in to manage your account' })
+          : res.status(401).json({ success: false, error: 'Authentication required' });
+      }
+      req.auth = result;
+      next();
+    };
+  }
+
+  /**
+   * Whether `code` is the setup code (compared in constant time)
+   */
+  checkSetupCode(code) {
+    if (!this.setupCode || typeof code !== 'string') return false;
+    const expected = Buffer.from(this.setupCode);
+    const given = Buffer.from(code);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  /**
+   * Middleware for first-run setup (after express.json()): only while there is no
+   * account, and from a trusted address or with the setup code in the body
+   */
+  requireSetupAccess() {
+    return (req, res, next) => {
+      if (!this.auth.needsSetup) {
+        return res.status(409).json({ success: false, error: 'Setup is already complete' });
+      }
+      if (!this.isTrusted(req) && !this.checkSetupCode(req.body?.setupCode)) {
+        return res.status(403).json({ success: false, error: 'Setup needs a local address or the setup code from the server log' });
+      }
+      next();
+    };
+  }
+}
+
+module.exports = AuthGuard;
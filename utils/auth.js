@@ -0,0 +1,494 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// 'users': credentials required once the first account exists
+// 'ip': local addresses are trusted without credentials, everyone else signs in
+const AUTH_MODES = ['users', 'ip'];
+// Lowest to highest; each role can do everything the ones before it can
+const ROLES = ['viewer', 'operator', 'admin'];
+const SESSION_COOKIE = 'pm_session';
+const TOKEN_PREFIX = 'pm_';
+const DEFAULT_SESSION_TTL = 7 * 24 * 60 * 60 * 1000;
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{1,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEY_LENGTH = 64;
+// Failed logins allowed per client IP within the window
+const LOGIN_MAX_FAILURES = 10;
+const LOGIN_FAILURE_WINDOW = 15 * 60 * 1000;
+// Client IPs with failed logins tracked at once; the oldest are forgotten first
+const LOGIN_FAILURE_MAX_IPS = 10000;
+// Checked against for unknown usernames so they take as long as wrong passwords
+const DUMMY_PASSWORD_HASH = `scrypt$${Buffer.alloc(16).toString('base64')}$${Buffer.alloc(SCRYPT_KEY_LENGTH).toString('base64')}`;
+
+function authError(message, statusCode) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+/**
+ * Check whether a role includes another
+ * @param {string|null} role - Caller's role (null: no access)
+ * @param {string} required - Role the action needs
+ */
+function hasRole(role, required) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) {
+    throw authError(`Role must be one of: ${ROLES.join(', ')}`, 400);
+  }
+}
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @returns {Promise<string>} 'scrypt$<salt>$<hash>' (base64)
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Session and API tokens are stored as hashes only
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateToken(prefix = '') {
+  return `${prefix}${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+/**
+ * Parse a Cookie request header
+ * @returns {object} Cookie name -> value
+ */
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '').split(';').forEach((part) => {
+    const index = part.indexOf('=');
+    if (index < 0) return;
+    const name = part.slice(0, index).trim();
+    if (!name || name in cookies) return;
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (_) {
+      cookies[name] = part.slice(index + 1).trim();
+    }
+  });
+  return cookies;
+}
+
+/**
+ * Set-Cookie value for the session cookie (a null token clears it)
+ */
+function sessionCookie(token, { maxAge = DEFAULT_SESSION_TTL, secure = false } = {}) {
+  const parts = [
+    `${SESSION_COOKIE}=${token ? encodeURIComponent(token) : ''}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${token ? Math.floor(maxAge / 1000) : 0}`
+  ];
+  if (secure) parts.push('Secure');
+  return parts.join('; ');
+}
+
+/**
+ * Credentials carried by a request: bearer token or session cookie
+ */
+function requestCredentials(req) {
+  const header = req.headers?.authorization || '';
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  if (match) return { type: 'token', secret: match[1] };
+  const cookie = parseCookies(req.headers?.cookie)[SESSION_COOKIE];
+  if (cookie) return { type: 'session', secret: cookie };
+  return null;
+}
+
+/**
+ * Local user accounts, browser sessions and API tokens, kept in one JSON file.
+ * Emits 'change' whenever accounts, sessions or tokens change.
+ */
+class AuthStore extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {string} options.filePath - JSON file (null keeps everything in memory)
+   * @param {number} options.sessionTtl - Session lifetime (ms)
+   */
+  constructor({ filePath = null, sessionTtl = DEFAULT_SESSION_TTL } = {}) {
+    super();
+    this.filePath = filePath;
+    this.sessionTtl = sessionTtl;
+    this.users = new Map(); // username -> { username, role, passwordHash, createdAt, lastLoginAt }
+    this.sessions = new Map(); // token hash -> { id, username, createdAt, expiresAt, ip, userAgent }
+    this.tokens = new Map(); // token hash -> { id, name, username, role, hint, createdAt, lastUsedAt }
+    this.loginFailures = new Map(); // ip -> { count, resetAt }, oldest window first
+    this.load();
+  }
+
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      // Accounts from before roles existed had full access
+      (data.users || []).forEach((user) => this.users.set(user.username, { role: 'admin', ...user }));
+      (data.sessions || []).forEach(({ hash, ...session }) => this.sessions.set(hash, session));
+      (data.tokens || []).forEach(({ hash, ...token }) => this.tokens.set(hash, token));
+      this.pruneSessions();
+    } catch (err) {
+      console.error(`Failed to load accounts from ${this.filePath}:`, err.message);
+    }
+  }
+
+  save() {
+    // Every change goes through here
+    this.emit('change');
+    if (!this.filePath) return;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      const data = {
+        users: Array.from(this.users.values()),
+        sessions: Array.from(this.sessions, ([hash, session]) => ({ hash, ...session })),
+        tokens: Array.from(this.tokens, ([hash, token]) => ({ hash, ...token }))
+      };
+      // Holds password and token hashes
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+      fs.renameSync(tempPath, this.filePath);
+    } catch (err) {
+      console.error(`Failed to save accounts to ${this.filePath}:`, err.message);
+    }
+  }
+
+  /**
+   * True until the first account is created
+   */
+  get needsSetup() {
+    return this.users.size === 0;
+  }
+
+  describeUser(user) {
+    return { username: user.username, role: user.role, createdAt: user.createdAt, lastLoginAt: user.lastLoginAt || null };
+  }
+
+  get adminCount() {
+    return Array.from(this.users.values()).filter((user) => user.role === 'admin').length;
+  }
+
+  listUsers() {
+    return Array.from(this.users.values()).map((user) => this.describeUser(user));
+  }
+
+  /**
+   * Create an account
+   * @param {string} role - One of ROLES
+   * @param {object} options
+   * @param {boolean} options.firstUser - First-run setup: fails once any account exists
+   * @returns {Promise<object>} Public user record
+   */
+  async createUser(username, password, role = 'viewer', { firstUser = false } = {}) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      throw authError('Username must be 1-32 letters, digits, ".", "_" or "-"', 400);
+    }
+    checkRole(role);
+    this.checkPassword(password);
+    const checkAvailable = () => {
+      if (firstUser && !this.needsSetup) {
+        throw authError('Setup is already complete', 409);
+      }
+      if (this.users.has(username)) {
+        throw authError(`User already exists: ${username}`, 409);
+      }
+    };
+    checkAvailable();
+    const passwordHash = await hashPassword(password);
+    // Checked again: another request may have created an account while hashing
+    checkAvailable();
+    const user = {
+      username,
+      role,
+      passwordHash,
+      createdAt: new Date().toISOString(),
+      lastLoginAt: null
+    };
+    this.users.set(username, user);
+    this.save();
+    return this.describeUser(user);
+  }
+
+  checkPassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw authError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+    }
+  }
+
+  /**
+   * Delete an account with its sessions and tokens. The last admin cannot be removed.
+   */
+  removeUser(username) {
+    const user = this.users.get(username);
+    if (!user) {
+      throw authError(`Unknown user: ${username}`, 404);
+    }
+    if (user.role === 'admin' && this.adminCount === 1) {
+      throw authError('Cannot remove the last admin', 409);
+    }
+    this.users.delete(username);
+    this.revokeUserCredentials(username);
+    this.save();
+  }
+
+  /**
+   * Change a user's role. The last admin cannot be demoted.
+   * @returns {object} Public user record
+   */
+  setRole(username, role) {
+    const user = this.users.get(username);
+    if (!user) {
+      throw authError(`Unknown user: ${username}`, 404);
+    }
+    checkRole(role);
+    if (user.role === 'admin' && role !== 'admin' && this.adminCount === 1) {
+      throw authError('Cannot demote the last admin', 409);
+    }
+    user.role = role;
+    this.save();
+    return this.describeUser(user);
+  }
+
+  /**
+   * Change a password; other sessions of the user are signed out
+   * @param {string} keepSessionId - Session to keep (the one making the change)
+   */
+  async changePassword(username, currentPassword, newPassword, keepSessionId = null) {
+    const user = this.users.get(username);
+    if (!user || !(await verifyPassword(currentPassword, user.passwordHash))) {
+      throw authError('Current password is incorrect', 403);
+    }
+    this.checkPassword(newPassword);
+    user.passwordHash = await hashPassword(newPassword);
+    for (const [hash, session] of this.sessions) {
+      if (session.username === username && session.id !== keepSessionId) {
+        this.sessions.delete(hash);
+      }
+    }
+    this.save();
+  }
+
+  revokeUserCredentials(username) {
+    for (const [hash, session] of this.sessions) {
+      if (session.username === username) this.sessions.delete(hash);
+    }
+    for (const [hash, token] of this.tokens) {
+      if (token.username === username) this.tokens.delete(hash);
+    }
+  }
+
+  /**
+   * Check a username and password
+   * @param {string} ip - Client IP, for failed-login throttling
+   * @returns {Promise<object>} Public user record
+   */
+  async login(username, password, ip = 'unknown', now = Date.now()) {
+    const failures = this.loginFailures.get(ip);
+    if (failures && failures.resetAt <= now) {
+      this.loginFailures.delete(ip);
+    } else if (failures && failures.count >= LOGIN_MAX_FAILURES) {
+      throw authError('Too many failed logins, try again later', 429);
+    }
+
+    const user = this.users.get(username);
+    const valid = await verifyPassword(password, user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+    if (!user || !valid) {
+      this.recordLoginFailure(ip, now);
+      throw authError('Invalid username or password', 401);
+    }
+    this.loginFailures.delete(ip);
+    user.lastLoginAt = new Date(now).toISOString();
+    this.save();
+    return this.describeUser(user);
+  }
+
+  /**
+   * Count a failed login, dropping expired entries so the map stays bounded
+   */
+  recordLoginFailure(ip, now = Date.now()) {
+    // All windows are the same length, so expired entries are at the front
+    for (const [key, failures] of this.loginFailures) {
+      const full = this.loginFailures.size >= LOGIN_FAILURE_MAX_IPS && !this.loginFailures.has(ip);
+      if (failures.resetAt > now && !full) break;
+      this.loginFailures.delete(key);
+    }
+    const entry = this.loginFailures.get(ip) || { count: 0, resetAt: now + LOGIN_FAILURE_WINDOW };
+    entry.count += 1;
+    this.loginFailures.set(ip, entry);
+  }
+
+  /**
+   * Start a browser session
+   * @returns {{token: string, session: object}} The token goes in the cookie and is not stored
+   */
+  createSession(username, { ip = 'unknown', userAgent = 'Unknown' } = {}, now = Date.now()) {
+    const token = generateToken();
+    const session = {
+      id: crypto.randomUUID(),
+      username,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: now + this.sessionTtl,
+      ip,
+      userAgent
+    };
+    this.sessions.set(hashToken(token), session);
+    this.save();
+    return { token, session };
+  }
+
+  destroySession(token) {
+    if (token && this.sessions.delete(hashToken(token))) {
+      this.save();
+    }
+  }
+
+  pruneSessions(now = Date.now()) {
+    let pruned = 0;
+    for (const [hash, session] of this.sessions) {
+      if (session.expiresAt <= now || !this.users.has(session.username)) {
+        this.sessions.delete(hash);
+        pruned++;
+      }
+    }
+    return pruned;
+  }
+
+  /**
+   * Create an API token for scripts
+   * @param {string} role - Role of the token, at most the user's (default: the user's)
+   * @returns {{token: string, record: object}} The token is only returned here
+   */
+  createToken(username, name, role = null) {
+    const user = this.users.get(username);
+    if (!user) {
+      throw authError(`Unknown user: ${username}`, 404);
+    }
+    const tokenRole = role || user.role;
+    checkRole(tokenRole);
+    if (!hasRole(user.role, tokenRole)) {
+      throw authError(`Cannot create a token above your own role (${user.role})`, 403);
+    }
+    const label = typeof name === 'string' ? name.trim().slice(0, 64) : '';
+    if (!label) {
+      throw authError('Token name is required', 400);
+    }
+    const token = generateToken(TOKEN_PREFIX);
+    const record = {
+      id: crypto.randomUUID(),
+      name: label,
+      username,
+      role: tokenRole,
+      hint: token.slice(-4),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+    this.tokens.set(hashToken(token), record);
+    this.save();
+    return { token, record };
+  }
+
+  listTokens(username = null) {
+    return Array.from(this.tokens.values()).filter((token) => !username || token.username === username);
+  }
+
+  revokeToken(id) {
+    for (const [hash, token] of this.tokens) {
+      if (token.id === id) {
+        this.tokens.delete(hash);
+        this.save();
+        return token;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Resolve request credentials (see requestCredentials) to a user
+   * @returns {object|null} { user, role, via: 'session'|'token', session?, token? }
+   */
+  authenticate(credentials, now = Date.now()) {
+    if (!credentials) return null;
+    const hash = hashToken(credentials.secret);
+    if (credentials.type === 'token') {
+      const token = this.tokens.get(hash);
+      const user = token && this.users.get(token.username);
+      if (!user) return null;
+      // Written with the next change to the store, not on every request
+      token.lastUsedAt = new Date(now).toISOString();
+      // A token never outranks its user, even after the user is demoted
+      const tokenRole = token.role || user.role;
+      const role = hasRole(user.role, tokenRole) ? tokenRole : user.role;
+      return { user: this.describeUser(user), role, via: 'token', token };
+    }
+    const session = this.sessions.get(hash);
+    if (!session) return null;
+    const user = this.users.get(session.username);
+    if (!user || session.expiresAt <= now) {
+      this.sessions.delete(hash);
+      return null;
+    }
+    return { user: this.describeUser(user), role: user.role, via: 'session', session };
+  }
+}
+
+/**
+ * Read auth settings from the environment
+ * @returns {object} { mode, trustedIPs, trustedProxies, sessionTtl, anonymousRole }
+ */
+function authOptionsFromEnv(env = process.env) {
+  const mode = (env.AUTH_MODE || 'users').toLowerCase();
+  if (!AUTH_MODES.includes(mode)) {
+    throw new Error(`AUTH_MODE must be one of: ${AUTH_MODES.join(', ')}`);
+  }
+  const sessionDays = env.AUTH_SESSION_DAYS === undefined || env.AUTH_SESSION_DAYS === '' ? 7 : Number(env.AUTH_SESSION_DAYS);
+  if (!Number.isFinite(sessionDays) || sessionDays <= 0) {
+    throw new Error('AUTH_SESSION_DAYS must be a positive number');
+  }
+  const trustedIPs = String(env.AUTH_TRUSTED_IPS || '').split(',').map((ip) => ip.trim()).filter(Boolean);
+  // Reverse proxies whose X-Forwarded-For / CF-Connecting-IP headers are believed
+  const trustedProxies = String(env.AUTH_TRUSTED_PROXIES || '').split(',').map((ip) => ip.trim()).filter(Boolean);
+  // Role of callers without credentials; 'none' makes everything require signing in
+  const anonymous = (env.AUTH_ANONYMOUS_ROLE || 'viewer').toLowerCase();
+  if (anonymous !== 'none' && !ROLES.includes(anonymous)) {
+    throw new Error(`AUTH_ANONYMOUS_ROLE must be one of: none, ${ROLES.join(', ')}`);
+  }
+  return {
+    mode,
+    trustedIPs,
+    trustedProxies,
+    sessionTtl: sessionDays * 24 * 60 * 60 * 1000,
+    anonymousRole: anonymous === 'none' ? null : anonymous
+  };
+}
+
+module.exports = AuthStore;
+module.exports.AUTH_MODES = AUTH_MODES;
+module.exports.ROLES = ROLES;
+module.exports.hasRole = hasRole;
+module.exports.SESSION_COOKIE = SESSION_COOKIE;
+module.exports.hashPassword = hashPassword;
+module.exports.verifyPassword = verifyPassword;
+module.exports.parseCookies = parseCookies;
+module.exports.sessionCookie = sessionCookie;
+module.exports.requestCredentials = requestCredentials;
+module.exports.authOptionsFromEnv = authOptionsFromEnv;
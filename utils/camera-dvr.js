@@ -0,0 +1,409 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { writeMjpegAvi } = require('utils/mjpeg-avi');
+const { PRINTER_EVENTS } = require('utils/printer-events');
+
+// Events that save a clip; pauses requested through the API are skipped
+const CLIP_EVENTS = [PRINTER_EVENTS.JOB_FAILED, PRINTER_EVENTS.JOB_STOPPED, PRINTER_EVENTS.JOB_PAUSED];
+const BUFFER_DIR = 'buffer';
+const CLIPS_DIR = 'clips';
+const META_FILE = 'clip.json';
+const VIDEO_FILE = 'clip.avi';
+const MB = 1024 * 1024;
+
+function safeName(value) {
+  return String(value).replace(/[^\w.-]+/g, '_');
+}
+
+/**
+ * DVR-style camera recording: keeps a rolling on-disk buffer of recent frames per
+ * printer and, when something goes wrong with a job, saves the frames around the
+ * event as an MJPEG AVI clip.
+ *
+ * Buffered frames are single JPEG files named after their capture time. Frames a
+ * pending clip still needs are kept even when they fall out of the buffer window.
+ * Frames arrive on the camera relay path, so their files are written and deleted
+ * asynchronously, in order, through a queue per buffer.
+ */
+class CameraDvr {
+  /**
+   * @param {object} options
+   * @param {string} options.dir - Directory for the buffer and the clips
+   * @param {number} options.bufferMinutes - Length of the rolling buffer
+   * @param {number} options.fps - Frames per second kept in the buffer
+   * @param {number} options.before - Seconds of video before the event in a clip
+   * @param {number} options.after - Seconds of video after the event in a clip
+   * @param {number} options.maxBufferBytes - Buffer size limit per printer (0 disables)
+   * @param {number} options.maxClipBytes - Total size limit of all clips; oldest are deleted first (0 disables)
+   */
+  constructor({
+    dir,
+    bufferMinutes = 10,
+    fps = 2,
+    before = 120,
+    after = 60,
+    maxBufferBytes = 500 * MB,
+    maxClipBytes = 2048 * MB
+  } = {}) {
+    this.dir = dir;
+    this.bufferMs = bufferMinutes * 60 * 1000;
+    this.fps = fps;
+    this.before = before;
+    this.after = after;
+    this.maxBufferBytes = maxBufferBytes;
+    this.maxClipBytes = maxClipBytes;
+    this.buffers = new Map(); // safeName(printerId) -> { printerId, dir, frames: [{ time, file, size }], bytes, lastFrameAt, io }
+    this.pending = new Map(); // clip id -> { clip, timer }
+    this.pinned = new Map(); // safeName(printerId) -> start (ms) of the oldest pending clip
+  }
+
+  /**
+   * Load frames left in the buffer by a previous run and apply the clip limit
+   */
+  init(now = Date.now()) {
+    const bufferRoot = path.join(this.dir, BUFFER_DIR);
+    fs.mkdirSync(bufferRoot, { recursive: true });
+    fs.mkdirSync(path.join(this.dir, CLIPS_DIR), { recursive: true });
+    fs.readdirSync(bufferRoot, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .forEach((entry) => {
+        const dir = path.join(bufferRoot, entry.name);
+        let printerId = null;
+        try {
+          ({ printerId } = JSON.parse(fs.readFileSync(`${dir}.json`, 'utf8')));
+        } catch (err) {
+          // Buffer from an older version; the ID is filled in by the next frame
+        }
+        const buffer = this.createBuffer(dir, printerId);
+        fs.readdirSync(buffer.dir)
+          .filter((name) => /^\d+\.jpg$/.test(name))
+          .sort()
+          .forEach((name) => {
+            const file = path.join(buffer.dir, name);
+            const { size } = fs.statSync(file);
+            buffer.frames.push({ time: Number.parseInt(name, 10), file, size });
+            buffer.bytes += size;
+          });
+        this.buffers.set(entry.name, buffer);
+        this.pruneBuffer(entry.name, now);
+      });
+    this.pruneClips();
+  }
+
+  createBuffer(dir, printerId = null) {
+    return { printerId, dir, frames: [], bytes: 0, lastFrameAt: null, io: Promise.resolve() };
+  }
+
+  /**
+   * Run a file operation after the buffer's earlier ones
+   */
+  queueIO(buffer, task) {
+    buffer.io = buffer.io.then(task).catch((err) => {
+      console.error(`[DVR] Buffer I/O failed in ${buffer.dir}:`, err.message);
+    });
+    return buffer.io;
+  }
+
+  /**
+   * Resolve once every queued frame write and delete has finished
+   */
+  flush() {
+    return Promise.all(Array.from(this.buffers.values(), (buffer) => buffer.io));
+  }
+
+  getBuffer(printerId) {
+    const key = safeName(printerId);
+    if (!this.buffers.has(key)) {
+      const dir = path.join(this.dir, BUFFER_DIR, key);
+      fs.mkdirSync(dir, { recursive: true });
+      this.buffers.set(key, this.createBuffer(dir));
+    }
+    const buffer = this.buffers.get(key);
+    if (buffer.printerId !== String(printerId)) {
+      buffer.printerId = String(printerId);
+      // Directory names are safeName()d; the printer's own ID is kept next to the directory
+      fs.writeFileSync(`${buffer.dir}.json`, JSON.stringify({ printerId: buffer.printerId }));
+    }
+    return buffer;
+  }
+
+  /**
+   * Offer a relayed camera frame; kept at most `fps` times per second
+   * @returns {boolean} Whether the frame was buffered
+   */
+  addFrame(printerId, frame, now = Date.now()) {
+    const buffer = this.getBuffer(printerId);
+    if (buffer.lastFrameAt !== null && now - buffer.lastFrameAt < 1000 / this.fps) return false;
+    buffer.lastFrameAt = now;
+
+    const record = { time: now, file: path.join(buffer.dir, `${now}.jpg`), size: frame.length };
+    buffer.frames.push(record);
+    buffer.bytes += record.size;
+    this.queueIO(buffer, () => fs.promises.writeFile(record.file, frame).catch((err) => {
+      console.error(`[DVR] Failed to buffer frame for ${printerId}:`, err.message);
+      const index = buffer.frames.indexOf(record);
+      if (index !== -1) {
+        buffer.frames.splice(index, 1);
+        buffer.bytes -= record.size;
+      }
+    }));
+    this.pruneBuffer(safeName(printerId), now);
+    return true;
+  }
+
+  /**
+   * Drop frames older than the buffer window (unless a pending clip needs them),
+   * then the oldest frames above the size limit
+   */
+  pruneBuffer(key, now = Date.now()) {
+    const buffer = this.buffers.get(key);
+    if (!buffer) return;
+    const cutoff = Math.min(now - this.bufferMs, this.pinned.get(key) ?? Infinity);
+
+    let drop = 0;
+    while (drop < buffer.frames.length && buffer.frames[drop].time < cutoff) drop++;
+    let bytes = buffer.bytes - buffer.frames.slice(0, drop).reduce((sum, frame) => sum + frame.size, 0);
+    if (this.maxBufferBytes > 0) {
+      while (drop < buffer.frames.length - 1 && bytes > this.maxBufferBytes) {
+        bytes -= buffer.frames[drop].size;
+        drop++;
+      }
+    }
+
+    const dropped = buffer.frames.splice(0, drop);
+    buffer.bytes = bytes;
+    if (dropped.length > 0) {
+      this.queueIO(buffer, () => Promise.all(dropped.map((frame) => fs.promises.rm(frame.file, { force: true }))));
+    }
+  }
+
+  /**
+   * Recompute the oldest frame time the pending clips of a printer still need
+   */
+  updatePinned(printerId) {
+    const key = safeName(printerId);
+    const oldest = Array.from(this.pending.values())
+      .filter(({ clip }) => safeName(clip.printerId) === key)
+      .reduce((min, { clip }) => Math.min(min, Date.parse(clip.from)), Infinity);
+    if (oldest === Infinity) this.pinned.delete(key);
+    else this.pinned.set(key, oldest);
+  }
+
+  /**
+   * Save a clip for a printer event when it is one of CLIP_EVENTS
+   * @param {object} event - Event from buildPrinterEvent
+   * @returns {object|null} Pending clip
+   */
+  handleEvent(event, now = Date.now()) {
+    if (!CLIP_EVENTS.includes(event.type)) return null;
+    if (event.type === PRINTER_EVENTS.JOB_PAUSED && event.details?.requested) return null;
+    return this.saveClip(event.printer.id, {
+      event: event.type,
+      printerName: event.printer.name,
+      file: event.job?.file || null
+    }, now);
+  }
+
+  /**
+   * Schedule a clip from `before` seconds ago to `after` seconds from now. An event
+   * during a pending clip of the same printer extends that clip instead.
+   * @returns {object} Pending clip
+   */
+  saveClip(printerId, { event, printerName = null, file = null }, now = Date.now()) {
+    const eventRecord = { type: event, time: new Date(now).toISOString() };
+    const to = new Date(now + this.after * 1000).toISOString();
+
+    const open = Array.from(this.pending.values()).find(({ clip, timer }) => timer && clip.printerId === printerId);
+    if (open) {
+      open.clip.events.push(eventRecord);
+      open.clip.to = to;
+      this.schedule(open.clip, now);
+      return open.clip;
+    }
+
+    const clip = {
+      id: uuidv4(),
+      printerId,
+      printerName,
+      file,
+      events: [eventRecord],
+      from: new Date(now - this.before * 1000).toISOString(),
+      to,
+      status: 'pending',
+      fps: this.fps,
+      frames: 0,
+      width: null,
+      height: null,
+      size: 0,
+      createdAt: eventRecord.time
+    };
+    this.pending.set(clip.id, { clip, timer: null });
+    this.updatePinned(printerId);
+    this.schedule(clip, now);
+    console.log(`[DVR] Saving a clip of ${event} on ${printerId}`);
+    return clip;
+  }
+
+  schedule(clip, now) {
+    const entry = this.pending.get(clip.id);
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+      this.finishClip(clip.id).catch((err) => {
+        console.error(`[DVR] Clip ${clip.id} failed:`, err.message);
+      });
+    }, Math.max(0, Date.parse(clip.to) - now));
+  }
+
+  /**
+   * Write a pending clip from the buffered frames in its time range
+   * @returns {Promise<object|null>} Clip, or null when the buffer had no frames for it
+   */
+  async finishClip(id) {
+    const entry = this.pending.get(id);
+    if (!entry) return null;
+    clearTimeout(entry.timer);
+    entry.timer = null;
+    const { clip } = entry;
+
+    try {
+      const buffer = this.buffers.get(safeName(clip.printerId));
+      // The newest frames may still be on their way to disk
+      if (buffer) await buffer.io;
+      const from = Date.parse(clip.from);
+      const to = Date.parse(clip.to);
+      const frames = (buffer ? buffer.frames : []).filter((frame) => frame.time >= from && frame.time <= to);
+      if (frames.length === 0) {
+        console.warn(`[DVR] No buffered frames for the clip of ${clip.printerId}`);
+        return null;
+      }
+
+      const folder = path.join(this.dir, CLIPS_DIR, clip.id);
+      fs.mkdirSync(folder, { recursive: true });
+      const video = await writeMjpegAvi(path.join(folder, VIDEO_FILE), frames.map((frame) => frame.file), { fps: clip.fps });
+      Object.assign(clip, { status: 'ready', frames: video.frames, width: video.width, height: video.height, size: video.size });
+      fs.writeFileSync(path.join(folder, META_FILE), JSON.stringify(clip, null, 2));
+      console.log(`[DVR] Clip ${clip.id} saved: ${video.frames} frames, ${video.size} bytes`);
+      this.pruneClips();
+      return clip;
+    } finally {
+      this.pending.delete(id);
+      this.updatePinned(clip.printerId);
+    }
+  }
+
+  /**
+   * Saved clips, newest first (clips still being recorded: listPending())
+   * @param {object} filters - { printerId }
+   */
+  list(filters = {}) {
+    const clipsDir = path.join(this.dir, CLIPS_DIR);
+    if (!fs.existsSync(clipsDir)) return [];
+    return fs.readdirSync(clipsDir)
+      .map((id) => this.readClip(id))
+      .filter((clip) => clip && (!filters.printerId || clip.printerId === filters.printerId))
+      .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+  }
+
+  listPending(filters = {}) {
+    return Array.from(this.pending.values())
+      .map(({ clip }) => clip)
+      .filter((clip) => !filters.printerId || clip.printerId === filters.printerId);
+  }
+
+  readClip(id) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.dir, CLIPS_DIR, id, META_FILE), 'utf8'));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  get(id) {
+    if (!/^[\w-]+$/.test(String(id))) return null;
+    return this.pending.get(id)?.clip || this.readClip(id);
+  }
+
+  videoPath(id) {
+    const clip = this.get(id);
+    return clip && clip.status === 'ready' ? path.join(this.dir, CLIPS_DIR, id, VIDEO_FILE) : null;
+  }
+
+  /**
+   * Delete a saved clip
+   * @returns {boolean} Whether it existed (pending clips cannot be deleted)
+   */
+  remove(id) {
+    const clip = this.get(id);
+    if (!clip || clip.status !== 'ready') return false;
+    fs.rmSync(path.join(this.dir, CLIPS_DIR, id), { recursive: true, force: true });
+    return true;
+  }
+
+  /**
+   * Delete the oldest clips while all clips together exceed maxClipBytes. The
+   * newest clip is always kept.
+   * @returns {string[]} Deleted clip IDs
+   */
+  pruneClips() {
+    if (this.maxClipBytes <= 0) return [];
+    const clips = this.list();
+    let total = clips.reduce((sum, clip) => sum + (clip.size || 0), 0);
+    const removed = [];
+    for (const clip of clips.slice(1).reverse()) {
+      if (total <= this.maxClipBytes) break;
+      this.remove(clip.id);
+      total -= clip.size || 0;
+      removed.push(clip.id);
+    }
+    if (removed.length) {
+      console.log(`[DVR] Disk limit removed ${removed.length} clip(s)`);
+    }
+    return removed;
+  }
+
+  /**
+   * Buffer usage per printer
+   */
+  describeBuffers() {
+    return Array.from(this.buffers.entries()).map(([key, buffer]) => ({
+      printerId: buffer.printerId || key,
+      frames: buffer.frames.length,
+      bytes: buffer.bytes,
+      from: buffer.frames.length ? new Date(buffer.frames[0].time).toISOString() : null,
+      to: buffer.frames.length ? new Date(buffer.frames[buffer.frames.length - 1].time).toISOString() : null
+    }));
+  }
+
+  /**
+   * Cancel pending clips (shutdown)
+   */
+  stop() {
+    this.pending.forEach(({ timer }) => clearTimeout(timer));
+    this.pending.clear();
+    this.pinned.clear();
+  }
+}
+
+/**
+ * DVR options from the environment; null unless DVR_ENABLED=true
+ */
+function dvrOptionsFromEnv(env = process.env) {
+  if (env.DVR_ENABLED !== 'true') return null;
+  const number = (value, fallback) => {
+    const parsed = Number.parseFloat(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+  };
+  return {
+    bufferMinutes: number(env.DVR_BUFFER_MINUTES, 10),
+    fps: number(env.DVR_FPS, 2) || 2,
+    before: number(env.DVR_CLIP_BEFORE, 120),
+    after: number(env.DVR_CLIP_AFTER, 60),
+    maxBufferBytes: number(env.DVR_MAX_BUFFER_MB, 500) * MB,
+    maxClipBytes: number(env.DVR_MAX_CLIPS_MB, 2048) * MB
+  };
+}
+
+module.exports = CameraDvr;
+module.exports.CLIP_EVENTS = CLIP_EVENTS;
+module.exports.dvrOptionsFromEnv = dvrOptionsFromEnv;
@@ -0,0 +1,68 @@
+// Response header carrying how old the served frame is (ms)
+const FRAME_AGE_HEADER = 'X-Frame-Age-Ms';
+
+/**
+ * Resolve with the next frame the camera relay delivers
+ * @param {object} camera - Registry camera state ({ subscribers })
+ * @param {number} timeout - How long to wait (ms)
+ * @returns {Promise<Buffer|null>} Frame, or null on timeout
+ */
+function waitForFrame(camera, timeout) {
+  return new Promise((resolve) => {
+    const subscriber = (frame) => {
+      clearTimeout(timer);
+      camera.subscribers.delete(subscriber);
+      resolve(frame);
+    };
+    const timer = setTimeout(() => {
+      camera.subscribers.delete(subscriber);
+      resolve(null);
+    }, timeout);
+    camera.subscribers.add(subscriber);
+  });
+}
+
+/**
+ * The camera's latest frame if it is recent enough, otherwise the next one after waking the stream
+ * @param {object} camera - Registry camera state ({ latestFrame, lastFrameAt, streamURL, subscribers })
+ * @param {object} options
+ * @param {number} options.maxAge - Oldest usable cached frame (ms)
+ * @param {number} options.timeout - How long to wait for a new frame (ms)
+ * @param {Function|null} options.wake - Starts the camera stream; null when it cannot be woken
+ * @returns {Promise<Buffer|null>} Frame, or null when there is no recent frame
+ */
+async function captureFrame(camera, { maxAge = Infinity, timeout, wake = null, now = Date.now() }) {
+  if (camera.latestFrame && now - (camera.lastFrameAt || 0) <= maxAge) {
+    return camera.latestFrame;
+  }
+  if (!wake) return null;
+  const nextFrame = waitForFrame(camera, timeout);
+  await wake();
+  return camera.streamURL ? nextFrame : null;
+}
+
+/**
+ * Caching headers for the camera's latest frame
+ * @param {object} camera - Registry camera state ({ lastFrameAt, framesTotal })
+ * @param {number} now - Current time (ms)
+ * @returns {object} Header name -> value
+ */
+function snapshotHeaders(camera, now = Date.now()) {
+  const frameAt = camera.lastFrameAt || now;
+  return {
+    'Content-Type': 'image/jpeg',
+    // Frames change constantly; clients revalidate with the ETag
+    'Cache-Control': 'no-cache',
+    // Unique per relayed frame (frame time plus the relay's frame counter)
+    ETag: `"${frameAt.toString(36)}-${camera.framesTotal.toString(36)}"`,
+    'Last-Modified': new Date(frameAt).toUTCString(),
+    [FRAME_AGE_HEADER]: String(Math.max(0, now - frameAt))
+  };
+}
+
+module.exports = {
+  FRAME_AGE_HEADER,
+  waitForFrame,
+  captureFrame,
+  snapshotHeaders
+};
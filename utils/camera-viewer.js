@@ -0,0 +1,160 @@
+const { v4: uuidv4 } = require('uuid');
+
+const BOUNDARY = 'frame';
+// First byte of a binary WebSocket message carrying a camera frame
+const CAMERA_FRAME_MESSAGE = 0x01;
+
+/**
+ * Parse a viewer's requested frame rate
+ * @param {string} value - ?fps= query value (empty or missing means the relay maximum)
+ * @param {number} maxFps - Relay frame rate limit
+ * @returns {number|null} Frame rate, or null when the value is invalid
+ */
+function parseViewerFps(value, maxFps) {
+  if (value === undefined || value === '') return maxFps;
+  const fps = Number(value);
+  if (!Number.isFinite(fps) || fps <= 0) return null;
+  return Math.min(fps, maxFps);
+}
+
+/**
+ * One /api/camera client. Frames are written as multipart/x-mixed-replace parts at
+ * the viewer's own frame rate; while the socket has not flushed the previous frame
+ * new ones are dropped instead of piling up in memory.
+ */
+class CameraViewer {
+  /**
+   * @param {object} res - HTTP response (a writable stream)
+   * @param {object} options
+   * @param {number} options.fps - Frames per second to deliver at most
+   * @param {string} options.ip - Client IP
+   * @param {string} options.userAgent - Client user agent
+   */
+  constructor(res, { fps, ip = 'unknown', userAgent = 'Unknown' } = {}) {
+    this.id = uuidv4();
+    this.transport = 'mjpeg';
+    this.res = res;
+    this.fps = fps;
+    this.ip = ip;
+    this.userAgent = userAgent;
+    this.connectedAt = new Date().toISOString();
+    this.lastSentAt = null;
+    this.delivered = 0;
+    this.dropped = 0;
+  }
+
+  /**
+   * Start the multipart response
+   */
+  begin() {
+    this.res.setHeader('Content-Type', `multipart/x-mixed-replace; boundary=${BOUNDARY}`);
+    this.res.write(`--${BOUNDARY}\r\n`);
+  }
+
+  /**
+   * Offer a relayed frame to this viewer
+   * @param {Buffer} frame - JPEG frame
+   * @param {number} now - Current time (ms)
+   * @returns {string} 'sent', 'skipped' (above the viewer's frame rate) or 'dropped' (socket backed up)
+   */
+  offer(frame, now = Date.now()) {
+    if (this.lastSentAt !== null && now - this.lastSentAt < 1000 / this.fps) {
+      return 'skipped';
+    }
+    if (this.isBackedUp()) {
+      this.dropped += 1;
+      return 'dropped';
+    }
+    this.write(frame);
+    this.lastSentAt = now;
+    this.delivered += 1;
+    return 'sent';
+  }
+
+  // Transport hooks, overridden by SocketCameraViewer
+  isBackedUp() {
+    return this.res.writableNeedDrain || this.res.destroyed;
+  }
+
+  write(frame) {
+    // One write per frame so a part is never split by a dropped frame
+    this.res.write(Buffer.concat([
+      Buffer.from(`Content-Type: image/jpeg\r\nContent-Length: ${frame.length}\r\n\r\n`),
+      frame,
+      Buffer.from(`\r\n--${BOUNDARY}\r\n`)
+    ]));
+  }
+
+  bufferedBytes() {
+    return this.res.writableLength || 0;
+  }
+
+  /**
+   * Stats for the admin endpoint
+   */
+  describe() {
+    return {
+      id: this.id,
+      transport: this.transport,
+      ip: this.ip,
+      userAgent: this.userAgent,
+      fps: this.fps,
+      connectedAt: this.connectedAt,
+      delivered: this.delivered,
+      dropped: this.dropped,
+      bufferedBytes: this.bufferedBytes()
+    };
+  }
+}
+
+/**
+ * Wrap a JPEG frame in a binary WebSocket message:
+ * [0x01][printer ID length][printer ID (UTF-8)][JPEG bytes]
+ * @param {string} printerId - Printer the frame belongs to
+ * @param {Buffer} frame - JPEG frame
+ * @returns {Buffer} Message payload
+ */
+function encodeCameraFrame(printerId, frame) {
+  const id = Buffer.from(printerId, 'utf8');
+  if (id.length > 255) {
+    throw new Error('Printer ID too long for a camera frame header');
+  }
+  return Buffer.concat([Buffer.from([CAMERA_FRAME_MESSAGE, id.length]), id, frame]);
+}
+
+/**
+ * A dashboard WebSocket subscribed to camera frames. Same rate limit and drop
+ * policy as an MJPEG viewer; a frame still queued in the socket counts as backed up.
+ */
+class SocketCameraViewer extends CameraViewer {
+  /**
+   * @param {object} ws - Dashboard WebSocket
+   * @param {object} options - CameraViewer options plus printerId
+   */
+  constructor(ws, { printerId, ...options } = {}) {
+    super(null, options);
+    this.transport = 'websocket';
+    this.ws = ws;
+    this.printerId = printerId;
+  }
+
+  begin() {}
+
+  isBackedUp() {
+    return this.ws.readyState !== this.ws.OPEN || this.ws.bufferedAmount > 0;
+  }
+
+  write(frame) {
+    this.ws.send(encodeCameraFrame(this.printerId, frame), { binary: true });
+  }
+
+  bufferedBytes() {
+    return this.ws.bufferedAmount || 0;
+  }
+}
+
+module.exports = CameraViewer;
+module.exports.SocketCameraViewer = SocketCameraViewer;
+module.exports.CAMERA_FRAME_MESSAGE = CAMERA_FRAME_MESSAGE;
+module.exports.encodeCameraFrame = encodeCameraFrame;
+module.exports.parseViewerFps = parseViewerFps;
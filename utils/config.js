@@ -0,0 +1,336 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { parsePrinterPins, checkPrinterPins } = require('utils/printer-pins');
+const { checkProbeRanges } = require('utils/printer-discovery');
+
+// Comma-separated environment variable to a list
+const parseList = (raw) => raw.split(',').map((entry) => entry.trim()).filter(Boolean);
+
+/**
+ * Server settings. Each one can be set in the config file or overridden by its
+ * environment variable; `live` settings take effect without a restart.
+ */
+const CONFIG_SCHEMA = {
+  port: {
+    type: 'integer', default: 3000, min: 1, max: 65535, env: 'PORT', live: false,
+    description: 'HTTP and WebSocket port'
+  },
+  wsUpdateInterval: {
+    type: 'integer', default: 1000, min: 10, max: 60000, env: 'WS_UPDATE_INTERVAL', live: true,
+    description: 'Minimum milliseconds between WebSocket broadcasts of one message type per printer'
+  },
+  statusPollInterval: {
+    type: 'integer', default: 2000, min: 500, max: 60000, env: 'STATUS_POLL_INTERVAL', live: true,
+    description: 'Milliseconds between status requests to each printer'
+  },
+  maxFps: {
+    type: 'number', default: 15, min: 1, max: 60, env: 'MAX_FPS', live: true,
+    description: 'Highest camera frame rate relayed to viewers'
+  },
+  cameraMaxStartFailures: {
+    type: 'integer', default: 3, min: 1, max: 100, env: 'CAMERA_MAX_START_FAILURES', live: true,
+    description: 'Failed camera starts in a row before the camera is reported unavailable and retried with backoff'
+  },
+  disableLocalIpFilter: {
+    type: 'boolean', default: true, env: 'DEBUG_DISABLE_LOCAL_IP_FILTER', live: true,
+    description: 'Report 192.168.x.x client addresses as they are instead of looking past them'
+  },
+  enableDebugEndpoints: {
+    type: 'boolean', default: false, env: 'ENABLE_DEBUG_ENDPOINTS', live: true,
+    description: 'Enable /api/debug/restart'
+  },
+  printers: {
+    type: 'list', default: [], env: 'PRINTER_IPS', live: false,
+    check: checkPrinterPins, parse: parsePrinterPins,
+    description: 'Printers to connect to by address and/or MainboardID; discovery then only looks for missing ones'
+  },
+  discoveryInterval: {
+    type: 'integer', default: 30000, min: 5000, max: 3600000, env: 'DISCOVERY_INTERVAL', live: true,
+    description: 'Milliseconds between background discovery scans'
+  },
+  discoveryProbeRanges: {
+    type: 'list', default: [], env: 'DISCOVERY_PROBE_RANGES', live: true,
+    check: checkProbeRanges, parse: parseList,
+    description: 'IPv4 CIDR ranges to probe host by host on each scan, for networks broadcasts do not reach'
+  },
+  reconnectMaxDelay: {
+    type: 'integer', default: 60000, min: 1000, max: 3600000, env: 'RECONNECT_MAX_DELAY', live: true,
+    description: 'Longest delay between attempts to reconnect to a printer; attempts back off exponentially up to it'
+  },
+  sdcpCapture: {
+    type: 'boolean', default: false, env: 'SDCP_CAPTURE', live: true,
+    description: 'Record every SDCP message to and from each printer as JSONL in the captures folder'
+  }
+};
+
+const BOOLEAN_STRINGS = { true: true, 1: true, yes: true, false: false, 0: false, no: false };
+
+function configError(message, statusCode, errors) {
+  return Object.assign(new Error(message), { statusCode, errors });
+}
+
+/**
+ * Check one value against its schema entry
+ * @returns {string|null} Problem description, or null when the value is valid
+ */
+function checkValue(spec, value) {
+  if (spec.check) {
+    return spec.check(value);
+  }
+  if (spec.type === 'boolean') {
+    return typeof value === 'boolean' ? null : 'must be true or false';
+  }
+  const isNumber = typeof value === 'number' && Number.isFinite(value);
+  const kind = spec.type === 'integer' ? 'an integer' : 'a number';
+  if (!isNumber || (spec.type === 'integer' && !Number.isInteger(value)) || value < spec.min || value > spec.max) {
+    return `must be ${kind} from ${spec.min} to ${spec.max}`;
+  }
+  return null;
+}
+
+/**
+ * Convert an environment variable to the setting's type
+ * @returns {*} Parsed value, or the raw string when it cannot be parsed (checkValue reports it)
+ */
+function parseEnvValue(spec, raw) {
+  if (spec.parse) {
+    return spec.parse(raw);
+  }
+  const text = raw.trim().toLowerCase();
+  if (spec.type === 'boolean') {
+    return text in BOOLEAN_STRINGS ? BOOLEAN_STRINGS[text] : raw;
+  }
+  return text !== '' && Number.isFinite(Number(text)) ? Number(text) : raw;
+}
+
+/**
+ * Problem message for one setting; custom checks already describe the value
+ */
+function describeProblem(spec, name, problem, value) {
+  return spec.check ? `${name} ${problem}` : `${name} ${problem} (got ${JSON.stringify(value)})`;
+}
+
+/**
+ * Validate settings from one source
+ * @param {object} values - Settings by key
+ * @param {string} source - Where they came from, for error messages
+ * @param {object} schema - Config schema
+ * @returns {string[]} Problems, empty when valid
+ */
+function validateConfig(values, source, schema = CONFIG_SCHEMA) {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    return [`${source}: must be a JSON object`];
+  }
+  return Object.entries(values).flatMap(([key, value]) => {
+    if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+      return [`${source}: unknown setting "${key}"`];
+    }
+    const problem = checkValue(schema[key], value);
+    return problem ? [`${source}: ${describeProblem(schema[key], key, problem, value)}`] : [];
+  });
+}
+
+/**
+ * Settings from the config file with environment overrides. Emits 'change' with
+ * the changed keys whenever a reload or an update changes effective values, and
+ * 'restartRequired' with the keys of changed settings that are not live.
+ */
+class Config extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {string} options.filePath - JSON config file (may not exist yet)
+   * @param {object} options.env - Environment variables
+   * @param {object} options.schema - Settings schema
+   */
+  constructor({ filePath = null, env = process.env, schema = CONFIG_SCHEMA } = {}) {
+    super();
+    this.filePath = filePath;
+    this.env = env;
+    this.schema = schema;
+    this.fileValues = {};
+    this.envValues = {};
+    this.values = {};
+    // Settings changed in the file that only apply after a restart: key -> new value
+    this.pending = {};
+  }
+
+  readFile() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return {};
+    const text = fs.readFileSync(this.filePath, 'utf8');
+    if (!text.trim()) return {};
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      throw configError(`Invalid configuration: ${this.filePath} is not valid JSON (${err.message})`, 400);
+    }
+  }
+
+  readEnv() {
+    const values = {};
+    Object.entries(this.schema).forEach(([key, spec]) => {
+      const raw = this.env[spec.env];
+      if (spec.env && raw !== undefined && raw !== '') {
+        values[key] = parseEnvValue(spec, raw);
+      }
+    });
+    return values;
+  }
+
+  /**
+   * Resolve settings from defaults, the file and the environment
+   * @throws {Error} With every validation problem listed, before anything changes
+   */
+  resolve(fileValues, envValues) {
+    const envErrors = Object.entries(envValues).flatMap(([key, value]) => {
+      const spec = this.schema[key];
+      const problem = checkValue(spec, value);
+      return problem ? [describeProblem(spec, spec.env, problem, this.env[spec.env])] : [];
+    });
+    const errors = [...validateConfig(fileValues, this.filePath || 'config', this.schema), ...envErrors];
+    if (errors.length > 0) {
+      throw configError(`Invalid configuration:\n  - ${errors.join('\n  - ')}`, 400, errors);
+    }
+    const values = {};
+    Object.entries(this.schema).forEach(([key, spec]) => {
+      values[key] = key in envValues ? envValues[key] : key in fileValues ? fileValues[key] : spec.default;
+    });
+    return values;
+  }
+
+  /**
+   * Load the settings at startup
+   * @throws {Error} When the file or an environment override is invalid
+   */
+  load() {
+    const fileValues = this.readFile();
+    const envValues = this.readEnv();
+    this.values = this.resolve(fileValues, envValues);
+    this.fileValues = fileValues;
+    this.envValues = envValues;
+    this.pending = {};
+    return this.values;
+  }
+
+  /**
+   * Re-read the file. Live settings change immediately, the others are kept
+   * until restart. An invalid file leaves the current settings untouched.
+   * @returns {string[]} Keys whose effective value changed
+   */
+  reload() {
+    return this.apply(this.readFile());
+  }
+
+  apply(fileValues) {
+    const next = this.resolve(fileValues, this.envValues);
+    this.fileValues = fileValues;
+    const changed = [];
+    this.pending = {};
+    Object.entries(this.schema).forEach(([key, spec]) => {
+      if (JSON.stringify(next[key]) === JSON.stringify(this.values[key])) return;
+      if (spec.live) {
+        this.values[key] = next[key];
+        changed.push(key);
+      } else {
+        this.pending[key] = next[key];
+      }
+    });
+    if (changed.length > 0) {
+      this.emit('change', changed);
+    }
+    if (Object.keys(this.pending).length > 0) {
+      this.emit('restartRequired', Object.keys(this.pending));
+    }
+    return changed;
+  }
+
+  /**
+   * Change settings and write them to the config file
+   * @param {object} patch - Settings by key; null removes a setting from the file
+   * @returns {string[]} Keys whose effective value changed
+   */
+  update(patch) {
+    if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+      throw configError('Expected a JSON object of settings', 400);
+    }
+    if (!this.filePath) {
+      throw configError('No config file to write to', 409);
+    }
+    const overridden = Object.keys(patch).filter((key) => key in this.envValues);
+    if (overridden.length > 0) {
+      const names = overridden.map((key) => `${key} (${this.schema[key].env})`).join(', ');
+      throw configError(`Set by environment variable, change it there: ${names}`, 409);
+    }
+    const fileValues = { ...this.fileValues };
+    Object.entries(patch).forEach(([key, value]) => {
+      if (value === null) {
+        delete fileValues[key];
+      } else {
+        fileValues[key] = value;
+      }
+    });
+    // Validate before writing so a bad update never reaches the file
+    this.resolve(fileValues, this.envValues);
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, `${JSON.stringify(fileValues, null, 2)}\n`);
+    fs.renameSync(tempPath, this.filePath);
+    return this.apply(fileValues);
+  }
+
+  /**
+   * Reload whenever the file changes. Invalid edits are reported with 'invalid'.
+   * @param {number} interval - Polling interval (ms); polling survives editors that replace the file
+   */
+  watch(interval = 2000) {
+    if (!this.filePath || this.watching) return;
+    this.watching = true;
+    fs.watchFile(this.filePath, { interval, persistent: false }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) return;
+      try {
+        this.reload();
+      } catch (err) {
+        this.emit('invalid', err);
+      }
+    });
+  }
+
+  unwatch() {
+    if (!this.watching) return;
+    fs.unwatchFile(this.filePath);
+    this.watching = false;
+  }
+
+  get(key) {
+    if (!(key in this.values)) {
+      throw new Error(`Unknown setting: ${key}`);
+    }
+    return this.values[key];
+  }
+
+  /**
+   * Settings for the admin API
+   */
+  describe() {
+    const settings = {};
+    Object.entries(this.schema).forEach(([key, spec]) => {
+      settings[key] = {
+        value: this.values[key],
+        source: key in this.envValues ? 'env' : key in this.fileValues ? 'file' : 'default',
+        ...(key in this.pending ? { pendingRestart: this.pending[key] } : {}),
+        type: spec.type,
+        default: spec.default,
+        ...(spec.min === undefined ? {} : { min: spec.min, max: spec.max }),
+        env: spec.env,
+        live: spec.live,
+        description: spec.description
+      };
+    });
+    return { filePath: this.filePath, settings };
+  }
+}
+
+module.exports = Config;
+module.exports.CONFIG_SCHEMA = CONFIG_SCHEMA;
+module.exports.validateConfig = validateConfig;
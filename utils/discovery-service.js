@@ -0,0 +1,141 @@
+const EventEmitter = require('events');
+const PrinterDiscovery = require('utils/printer-discovery');
+const { resolvePrinterId } = require('utils/printer-registry');
+
+// Address changes remembered per printer
+const ADDRESS_HISTORY_LIMIT = 10;
+
+/**
+ * Keeps scanning for printers in the background and remembers every printer that
+ * answered. Emits 'scan' with the raw responses after each scan, 'found' with the
+ * entry of a printer seen for the first time and 'addressChanged' with the entry
+ * and the previous address when a known printer answers from a new one.
+ */
+class DiscoveryService extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {object} options.discovery - PrinterDiscovery used for each scan
+   * @param {number} options.interval - Milliseconds between background scans
+   * @param {number} options.timeout - Milliseconds to wait for answers per scan
+   */
+  constructor({ discovery = new PrinterDiscovery(), interval = 30000, timeout = 5000 } = {}) {
+    super();
+    this.discovery = discovery;
+    this.interval = interval;
+    this.timeout = timeout;
+    this.cache = new Map();
+    this.pendingScan = null;
+    this.lastScan = null;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Scan now. Joins a scan that is already running instead of starting another.
+   * @returns {Promise<Array>} Discovery responses
+   */
+  scan() {
+    if (this.pendingScan) return this.pendingScan;
+    const startedAt = Date.now();
+    this.pendingScan = this.discovery.discover(this.timeout)
+      .then((found) => {
+        this.record(found);
+        this.lastScan = { at: new Date(startedAt).toISOString(), found: found.length, error: null };
+        this.emit('scan', found);
+        return found;
+      })
+      .catch((err) => {
+        this.lastScan = { at: new Date(startedAt).toISOString(), found: 0, error: err.message };
+        throw err;
+      })
+      .finally(() => {
+        this.pendingScan = null;
+      });
+    return this.pendingScan;
+  }
+
+  /**
+   * Add discovery responses to the cache
+   * @param {Array} found - Responses ({ ...response, address })
+   * @param {number} now - Time they were received (ms)
+   */
+  record(found, now = Date.now()) {
+    const seenAt = new Date(now).toISOString();
+    found.forEach((response) => {
+      const id = resolvePrinterId(response);
+      if (!id) return;
+      const attributes = response.Data || response;
+      const name = attributes.Name || attributes.MachineName || response.Name || null;
+      const proxy = Boolean(response.Data?.Attributes?.Proxy || response.Attributes?.Proxy);
+      let entry = this.cache.get(id);
+      if (!entry) {
+        entry = { id, name, address: response.address, firstSeen: seenAt, lastSeen: seenAt, seenCount: 0, addressChanges: [], proxy, attributes };
+        this.cache.set(id, entry);
+        console.log(`[Discovery] Found ${name || 'printer'} ${id} at ${response.address}`);
+        this.emit('found', entry);
+      } else if (entry.address !== response.address) {
+        const previous = entry.address;
+        entry.addressChanges.push({ from: previous, to: response.address, at: seenAt });
+        entry.addressChanges = entry.addressChanges.slice(-ADDRESS_HISTORY_LIMIT);
+        entry.address = response.address;
+        console.log(`[Discovery] ${id} moved from ${previous} to ${response.address}`);
+        this.emit('addressChanged', entry, previous);
+      }
+      entry.name = name || entry.name;
+      entry.proxy = proxy;
+      entry.attributes = attributes;
+      entry.lastSeen = seenAt;
+      entry.seenCount += 1;
+    });
+  }
+
+  /**
+   * Cached printers, most recently seen first. A printer counts as online while it
+   * answered one of the last three scan intervals.
+   * @param {number} now - Current time (ms)
+   */
+  list(now = Date.now()) {
+    return Array.from(this.cache.values())
+      .map((entry) => ({ ...entry, online: now - Date.parse(entry.lastSeen) <= this.interval * 3 }))
+      .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+  }
+
+  /**
+   * Scan now and then every interval
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.runScheduled();
+  }
+
+  async runScheduled() {
+    this.timer = null;
+    try {
+      await this.scan();
+    } catch (err) {
+      console.error('[Discovery] Scan failed:', err.message);
+    }
+    if (this.running && !this.timer) {
+      this.timer = setTimeout(() => this.runScheduled(), this.interval);
+    }
+  }
+
+  /**
+   * Run the next background scan after a delay instead of the regular interval
+   * @param {number} delay - Milliseconds
+   */
+  scanIn(delay) {
+    if (!this.running) return;
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.runScheduled(), delay);
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = DiscoveryService;
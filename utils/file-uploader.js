@@ -0,0 +1,123 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Upload files to the printer's HTTP upload service (port 3030, /uploadFile/upload).
+ * The file is sent in chunks; every chunk carries the MD5 of the whole file so the
+ * printer can verify the assembled file (Check=1).
+ */
+
+const UPLOAD_CHUNK_SIZE = 1024 * 1024;
+const UPLOAD_PATH = '/uploadFile/upload';
+const UPLOAD_SUCCESS_CODE = '000000';
+
+/**
+ * Compute the MD5 of a file on disk
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} Hex digest
+ */
+function computeFileMD5(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('md5');
+    fs.createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Check that an upload filename is a plain G-code file name (no path components)
+ */
+function isValidUploadFilename(filename) {
+  if (typeof filename !== 'string' || !filename) return false;
+  if (/[\\/]/.test(filename) || filename.startsWith('.')) return false;
+  return /\.gcode$/i.test(filename);
+}
+
+/**
+ * Read one chunk of a file
+ */
+async function readChunk(handle, offset, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, offset);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Upload a file to the printer in chunks
+ * @param {string} printerAddress - Printer IP
+ * @param {string} filePath - Local file to send
+ * @param {object} options
+ * @param {string} options.filename - Name to store the file under on the printer
+ * @param {string} [options.md5] - MD5 of the file (computed when omitted)
+ * @param {number} [options.chunkSize] - Bytes per request
+ * @param {number} [options.port] - Printer HTTP port
+ * @param {function} [options.onProgress] - Called with { bytesSent, totalSize, percent }
+ * @param {function} [options.fetchImpl] - fetch implementation (for tests)
+ * @returns {Promise<object>} { filename, md5, totalSize, uuid }
+ */
+async function uploadFileToPrinter(printerAddress, filePath, options = {}) {
+  const {
+    filename,
+    chunkSize = UPLOAD_CHUNK_SIZE,
+    port = 3030,
+    onProgress = () => {},
+    fetchImpl = fetch
+  } = options;
+
+  if (!isValidUploadFilename(filename)) {
+    throw new Error(`Invalid upload filename: ${filename}`);
+  }
+
+  const md5 = options.md5 || await computeFileMD5(filePath);
+  const { size: totalSize } = await fs.promises.stat(filePath);
+  const uuid = uuidv4().replace(/-/g, '');
+  const url = `http://${printerAddress}:${port}${UPLOAD_PATH}`;
+
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    let offset = 0;
+    onProgress({ bytesSent: 0, totalSize, percent: 0 });
+
+    do {
+      const chunk = await readChunk(handle, offset, Math.min(chunkSize, totalSize - offset));
+      const form = new FormData();
+      form.append('S-File-MD5', md5);
+      form.append('Check', '1');
+      form.append('Offset', String(offset));
+      form.append('Uuid', uuid);
+      form.append('TotalSize', String(totalSize));
+      form.append('File', new Blob([chunk]), filename);
+
+      const response = await fetchImpl(url, { method: 'POST', body: form });
+      if (!response.ok) {
+        throw new Error(`Printer upload failed at offset ${offset}: HTTP ${response.status}`);
+      }
+      const result = await response.json().catch(() => ({}));
+      if (result.success === false || (result.code && result.code !== UPLOAD_SUCCESS_CODE)) {
+        const reason = result.messages ? JSON.stringify(result.messages) : result.code;
+        throw new Error(`Printer rejected upload at offset ${offset}: ${reason}`);
+      }
+
+      offset += chunk.length;
+      onProgress({
+        bytesSent: offset,
+        totalSize,
+        percent: totalSize > 0 ? Math.round((offset / totalSize) * 100) : 100
+      });
+    } while (offset < totalSize);
+  } finally {
+    await handle.close();
+  }
+
+  return { filename, md5, totalSize, uuid };
+}
+
+module.exports = {
+  UPLOAD_CHUNK_SIZE,
+  computeFileMD5,
+  isValidUploadFilename,
+  uploadFileToPrinter
+};
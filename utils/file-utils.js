@@ -0,0 +1,83 @@
+// Helpers for the printer's on-board file storage (SDCP Cmd 258/259/128)
+
+// Storage roots as used in SDCP file paths
+const STORAGE_ROOTS = {
+  local: '/local/',
+  usb: '/usb/'
+};
+
+// SDCP storageType values
+const STORAGE_TYPES = {
+  0: 'local',
+  1: 'usb'
+};
+
+/**
+ * Check that a path points inside one of the printer's storage roots
+ * @param {string} path - SDCP file path, e.g. /local/model.gcode
+ * @returns {boolean}
+ */
+function isValidPrinterPath(path) {
+  if (typeof path !== 'string' || !path) return false;
+  if (path.split('/').includes('..')) return false;
+  return Object.values(STORAGE_ROOTS).some((root) => path.startsWith(root));
+}
+
+/**
+ * Resolve the storage root for a storage name, falling back to internal storage
+ */
+function getStorageRoot(storage) {
+  return STORAGE_ROOTS[storage] || STORAGE_ROOTS.local;
+}
+
+/**
+ * Normalize one FileList entry from Cmd 258 into the shape served to clients
+ * @param {object} item - Raw FileList entry
+ * @param {string|null} printerAddress - Printer IP, used to absolutize thumbnail URLs
+ * @returns {object} { name, path, type, storage, size, thumbnail }
+ */
+function normalizeFileEntry(item, printerAddress = null) {
+  const path = item.name || item.Name || '';
+  const name = path.split('/').filter(Boolean).pop() || path;
+  const type = item.type === 0 || item.Type === 0 ? 'folder' : 'file';
+  const storage =
+    STORAGE_TYPES[item.storageType] ||
+    Object.keys(STORAGE_ROOTS).find((key) => path.startsWith(STORAGE_ROOTS[key])) ||
+    null;
+  const size = item.FileSize ?? item.fileSize ?? item.size ?? item.usedSize ?? null;
+
+  let thumbnail = item.Thumbnail || item.thumbnail || null;
+  if (thumbnail && !/^https?:\/\//.test(thumbnail) && printerAddress) {
+    thumbnail = `http://${printerAddress}${thumbnail.startsWith('/') ? '' : '/'}${thumbnail}`;
+  }
+
+  return {
+    name,
+    path,
+    type,
+    storage,
+    size: type === 'file' ? size : null,
+    thumbnail
+  };
+}
+
+/**
+ * Normalize and sort a Cmd 258 FileList: folders first, then files by name
+ */
+function normalizeFileList(fileList, printerAddress = null) {
+  if (!Array.isArray(fileList)) return [];
+  return fileList
+    .map((item) => normalizeFileEntry(item, printerAddress))
+    .sort((a, b) => {
+      if (a.type !== b.type) return a.type === 'folder' ? -1 : 1;
+      return a.name.localeCompare(b.name);
+    });
+}
+
+module.exports = {
+  STORAGE_ROOTS,
+  isValidPrinterPath,
+  getStorageRoot,
+  normalizeFileEntry,
+  normalizeFileList
+};
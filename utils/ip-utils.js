@@ -45,11 +45,108 @@ function getClientIP(req, socket, disableLocalFilter = false) {
 
 const isValidIP = (ip) => ip && ip !== 'unknown';
 
+const FORWARDING_HEADERS = ['x-forwarded-for', 'cf-connecting-ip', 'cf-connecting-ipv6'];
+
+/**
+ * Client address for access decisions. Unlike getClientIP, forwarding headers are
+ * only believed when the direct peer is one of `trustedProxies`; anyone can send them.
+ * @param {object} req - HTTP request (or WebSocket upgrade request)
+ * @param {object} socket - Connection socket
+ * @param {string[]} trustedProxies - Addresses of reverse proxies in front of the server
+ * @returns {string|null} Address, or null when an untrusted peer forwarded the request
+ *   (the real client is unknown, so it must not count as local)
+ */
+function accessClientIP(req, socket, trustedProxies = []) {
+  const remote = normalizeIP(socket?.remoteAddress || req?.socket?.remoteAddress);
+  const headers = req?.headers || {};
+  if (!trustedProxies.includes(remote)) {
+    return FORWARDING_HEADERS.some((name) => headers[name]) ? null : remote;
+  }
+  const hops = String(headers['x-forwarded-for'] || '')
+    .split(',')
+    .map((part) => normalizeIP(part.trim()))
+    .filter(isValidIP);
+  // Nearest hop first: the first address that is not one of our proxies is the client
+  for (let i = hops.length - 1; i >= 0; i--) {
+    if (!trustedProxies.includes(hops[i])) return hops[i];
+  }
+  const cfip = headers['cf-connecting-ip'] || headers['cf-connecting-ipv6'];
+  return cfip ? normalizeIP(String(cfip).trim()) : remote;
+}
+
+const IPV4_PATTERN = /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/;
+
+function ipv4ToInt(ip) {
+  return ip.split('.').reduce((value, part) => value * 256 + Number(part), 0);
+}
+
+function intToIPv4(value) {
+  return [24, 16, 8, 0].map((shift) => Math.floor(value / 2 ** shift) % 256).join('.');
+}
+
+/**
+ * Directed broadcast address of an IPv4 interface (e.g. 192.168.1.255 for 192.168.1.20/24)
+ * @param {string} address - Interface address
+ * @param {string} netmask - Interface netmask
+ * @returns {string} Broadcast address
+ */
+function broadcastAddress(address, netmask) {
+  return intToIPv4((ipv4ToInt(address) | ~ipv4ToInt(netmask)) >>> 0);
+}
+
+/**
+ * Parse an IPv4 CIDR range such as 10.0.5.0/24
+ * @param {string} cidr - Range
+ * @returns {{ first: number, last: number, prefix: number }|null} Range as integers, or null when invalid
+ */
+function parseCidr(cidr) {
+  const match = typeof cidr === 'string' && cidr.trim().match(/^([\d.]+)\/(\d{1,2})$/);
+  if (!match || !IPV4_PATTERN.test(match[1]) || Number(match[2]) > 32) return null;
+  const prefix = Number(match[2]);
+  const size = 2 ** (32 - prefix);
+  const first = Math.floor(ipv4ToInt(match[1]) / size) * size;
+  return { first, last: first + size - 1, prefix };
+}
+
+/**
+ * Number of addresses cidrHosts() returns for a range, without building them
+ * @param {string} cidr - Range
+ * @returns {number} Host count (0 when the range is invalid)
+ */
+function cidrHostCount(cidr) {
+  const range = parseCidr(cidr);
+  if (!range) return 0;
+  const size = 2 ** (32 - range.prefix);
+  return range.prefix < 31 ? size - 2 : size;
+}
+
+/**
+ * Host addresses of an IPv4 CIDR range, without the network and broadcast
+ * addresses of ranges larger than /31
+ * @param {string} cidr - Range
+ * @returns {string[]} Addresses (empty when the range is invalid)
+ */
+function cidrHosts(cidr) {
+  const range = parseCidr(cidr);
+  if (!range) return [];
+  const hosts = [];
+  const skipEnds = range.prefix < 31;
+  for (let value = range.first + (skipEnds ? 1 : 0); value <= range.last - (skipEnds ? 1 : 0); value++) {
+    hosts.push(intToIPv4(value));
+  }
+  return hosts;
+}
+
 module.exports = {
   isValidIP,
   normalizeIP,
   isLocal192,
   isLocalIP,
   pickForwardedIP,
-  getClientIP
+  getClientIP,
+  accessClientIP,
+  broadcastAddress,
+  parseCidr,
+  cidrHostCount,
+  cidrHosts
 };
@@ -0,0 +1,57 @@
+// Job control actions and the job states each one may be issued from
+
+// Job states in which a print is actively running and can be paused
+const RUNNING_JOB_STATES = ['PRINTING', 'HOMING', 'DROPPING', 'LIFTING', 'PREHEATING', 'LEVELING'];
+
+const JOB_ACTIONS = {
+  pause: {
+    method: 'pausePrint',
+    allowedStates: RUNNING_JOB_STATES
+  },
+  resume: {
+    method: 'resumePrint',
+    allowedStates: ['PAUSED']
+  },
+  stop: {
+    method: 'stopPrint',
+    allowedStates: [...RUNNING_JOB_STATES, 'PAUSING', 'PAUSED']
+  },
+  start: {
+    method: 'startPrint',
+    allowedStates: ['IDLE', 'STOPPED', 'COMPLETE'],
+    allowedMachineStates: ['IDLE']
+  }
+};
+
+/**
+ * Check whether a job action makes sense for the current printer status
+ * @param {string} action - 'pause' | 'resume' | 'stop' | 'start'
+ * @param {object} printerStatus - Printer status (as kept on the registry entry)
+ * @returns {string|null} Reason the action is rejected, or null if allowed
+ */
+function validateJobAction(action, printerStatus) {
+  const definition = JOB_ACTIONS[action];
+  if (!definition) {
+    return `Unknown job action: ${action}`;
+  }
+  if (!printerStatus || !printerStatus.connected) {
+    return 'Printer is not connected';
+  }
+
+  const jobState = printerStatus.status?.job?.state || 'UNKNOWN';
+  if (!definition.allowedStates.includes(jobState)) {
+    return `Cannot ${action} a job in state ${jobState}`;
+  }
+
+  const machineState = printerStatus.status?.machine?.state || 'UNKNOWN';
+  if (definition.allowedMachineStates && !definition.allowedMachineStates.includes(machineState)) {
+    return `Cannot ${action} a job while the printer is ${machineState}`;
+  }
+  return null;
+}
+
+module.exports = {
+  JOB_ACTIONS,
+  RUNNING_JOB_STATES,
+  validateJobAction
+};
@@ -0,0 +1,342 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+// Job states that mean a job is underway (running, paused or winding down)
+const ACTIVE_JOB_STATES = [
+  'PRINTING',
+  'HOMING',
+  'DROPPING',
+  'LIFTING',
+  'PREHEATING',
+  'LEVELING',
+  'LOADING',
+  'FILE_CHECKING',
+  'PAUSING',
+  'PAUSED',
+  'STOPPING'
+];
+
+// Job states that end a job, mapped to the recorded final state
+const FINAL_JOB_STATES = {
+  COMPLETE: 'complete',
+  STOPPED: 'stopped',
+  // The job disappeared without completing or being stopped
+  IDLE: 'failed'
+};
+
+// SDCP TaskStatus values (Cmd 321) of finished tasks mapped to record states. Other
+// values (0 while the task is running) are not final, so such tasks wait for a later sync.
+const PRINTER_TASK_STATES = {
+  1: 'complete',
+  2: 'failed',
+  3: 'stopped'
+};
+
+// Monitor records and printer tasks this close together (ms) are the same job
+const TASK_MATCH_TOLERANCE = 10 * 60 * 1000;
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Persistent print job history, built from the status updates of every printer.
+ * Records and in-progress jobs are kept in one JSON file so both survive restarts.
+ *
+ * Events: 'jobStarted' (record), 'jobStateChanged' (record, prevState, newState), 'jobEnded' (record)
+ */
+class JobHistory extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {string} options.filePath - JSON file to persist to (null keeps history in memory only)
+   */
+  constructor({ filePath = null } = {}) {
+    super();
+    this.filePath = filePath;
+    this.records = [];
+    this.active = new Map(); // printerId -> in-progress record
+    this.load();
+  }
+
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.records = Array.isArray(data.records) ? data.records : [];
+      Object.entries(data.active || {}).forEach(([printerId, record]) => {
+        this.active.set(printerId, record);
+      });
+    } catch (err) {
+      console.error(`Failed to load job history from ${this.filePath}:`, err.message);
+    }
+  }
+
+  save() {
+    if (!this.filePath) return;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      const data = { records: this.records, active: Object.fromEntries(this.active) };
+      fs.writeFileSync(tempPath, JSON.stringify(data));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (err) {
+      console.error(`Failed to save job history to ${this.filePath}:`, err.message);
+    }
+  }
+
+  /**
+   * Feed the latest status of a printer; starts, updates and ends job records.
+   * @param {string} printerId - Registry ID
+   * @param {object} printerStatus - Printer status (as kept on the registry entry)
+   * @param {Date} now - Observation time
+   */
+  observe(printerId, printerStatus, now = new Date()) {
+    const jobState = printerStatus?.status?.job?.state;
+    if (!jobState || jobState === 'UNKNOWN') return;
+
+    let record = this.active.get(printerId);
+    const file = printerStatus.currentFile || '';
+
+    // A different file showing up means the previous job ended while we weren't looking
+    if (record && file && record.file !== file && ACTIVE_JOB_STATES.includes(jobState)) {
+      this.endJob(printerId, 'failed', now);
+      record = null;
+    }
+
+    if (!record) {
+      if (ACTIVE_JOB_STATES.includes(jobState) && file) {
+        record = this.startJob(printerId, printerStatus, now);
+      } else {
+        return;
+      }
+    }
+
+    this.updateJob(record, printerStatus);
+
+    if (record.lastJobState !== jobState) {
+      const prevState = record.lastJobState;
+      record.lastJobState = jobState;
+      if (!FINAL_JOB_STATES[jobState]) {
+        this.save();
+        this.emit('jobStateChanged', record, prevState, jobState);
+      }
+    }
+
+    if (FINAL_JOB_STATES[jobState]) {
+      this.endJob(printerId, FINAL_JOB_STATES[jobState], now);
+    }
+  }
+
+  startJob(printerId, printerStatus, now) {
+    const record = {
+      id: uuidv4(),
+      printerId,
+      printerName: null,
+      file: printerStatus.currentFile,
+      source: 'monitor',
+      startTime: now.toISOString(),
+      endTime: null,
+      state: 'printing',
+      lastJobState: null,
+      totalLayers: 0,
+      layersCompleted: 0,
+      peakTemperatures: { nozzle: 0, bed: 0, enclosure: 0 },
+      estimatedDuration: null,
+      actualDuration: null,
+      printTime: 0
+    };
+    this.active.set(printerId, record);
+    this.save();
+    this.emit('jobStarted', record);
+    return record;
+  }
+
+  updateJob(record, printerStatus) {
+    if (printerStatus.printerName && printerStatus.printerName !== 'Unknown') {
+      record.printerName = printerStatus.printerName;
+    }
+    const layers = printerStatus.layers || {};
+    if (layers.total) record.totalLayers = layers.total;
+    if (layers.current) record.layersCompleted = Math.max(record.layersCompleted, layers.current);
+
+    const temps = printerStatus.temperatures || {};
+    Object.keys(record.peakTemperatures).forEach((key) => {
+      const current = temps[key]?.current;
+      if (Number.isFinite(current) && current > record.peakTemperatures[key]) {
+        record.peakTemperatures[key] = current;
+      }
+    });
+
+    // Printer-reported estimate: elapsed + remaining ticks (seconds), first non-zero value
+    const estimate = (printerStatus.printTime || 0) + (printerStatus.remainingTime || 0);
+    if (!record.estimatedDuration && estimate > 0) {
+      record.estimatedDuration = estimate;
+    }
+    if (printerStatus.printTime) record.printTime = printerStatus.printTime;
+  }
+
+  endJob(printerId, finalState, now = new Date()) {
+    const record = this.active.get(printerId);
+    if (!record) return null;
+
+    this.active.delete(printerId);
+    delete record.lastJobState;
+
+    // The printer's own history may already hold this job if it was imported mid-print
+    const importedIndex = this.records.findIndex((other) =>
+      other.printerId === printerId &&
+      other.source === 'printer' &&
+      other.file === record.file &&
+      Math.abs(new Date(other.startTime) - new Date(record.startTime)) <= TASK_MATCH_TOLERANCE
+    );
+    if (importedIndex !== -1) {
+      const [imported] = this.records.splice(importedIndex, 1);
+      record.taskId = imported.taskId;
+      record.errorReason = imported.errorReason;
+    }
+
+    record.state = finalState;
+    record.endTime = now.toISOString();
+    record.actualDuration = Math.round((now - new Date(record.startTime)) / 1000);
+    this.records.push(record);
+    this.save();
+    this.emit('jobEnded', record);
+    return record;
+  }
+
+  /**
+   * Check whether a printer task has already been imported or matched
+   */
+  hasTask(printerId, taskId) {
+    return this.records.some((record) => record.printerId === printerId && record.taskId === taskId);
+  }
+
+  /**
+   * Merge tasks from the printer's own history (Cmd 321 HistoryDetailList) into the records.
+   * Tasks already imported are skipped; tasks matching a job the monitor recorded itself
+   * (same file, start time within tolerance) are attached to that record instead of duplicated,
+   * taking the printer's final state and end time.
+   * Other tasks are only added once they have finished (see PRINTER_TASK_STATES).
+   * @param {string} printerId - Registry ID
+   * @param {Array} tasks - HistoryDetailList entries
+   * @param {string|null} printerName - Printer name for new records
+   * @returns {number} Number of new records added
+   */
+  importPrinterTasks(printerId, tasks, printerName = null) {
+    let added = 0;
+    let changed = false;
+
+    (tasks || []).forEach((task) => {
+      if (!task || !task.TaskId || this.hasTask(printerId, task.TaskId)) return;
+
+      const startTime = task.BeginTime ? new Date(task.BeginTime * 1000) : null;
+      const endTime = task.EndTime ? new Date(task.EndTime * 1000) : null;
+      const file = (task.TaskName || '').split('/').pop();
+      const state = PRINTER_TASK_STATES[task.TaskStatus] || null;
+
+      const match = startTime && this.records.find((record) =>
+        record.printerId === printerId &&
+        !record.taskId &&
+        record.file === file &&
+        Math.abs(new Date(record.startTime) - startTime) <= TASK_MATCH_TOLERANCE
+      );
+
+      if (match) {
+        match.taskId = task.TaskId;
+        match.errorReason = task.ErrorStatusReason || null;
+        // The printer knows how the job ended; the monitor only guesses when it
+        // missed the end (e.g. 'failed' for a job that was gone after a disconnect)
+        if (state) {
+          match.state = state;
+          if (endTime) {
+            match.endTime = endTime.toISOString();
+            match.actualDuration = Math.round((endTime - startTime) / 1000);
+          }
+        }
+        changed = true;
+        return;
+      }
+
+      // Imported records are never updated, so only finished tasks become one
+      if (!startTime || !state) return;
+      this.records.push({
+        id: uuidv4(),
+        taskId: task.TaskId,
+        printerId,
+        printerName,
+        file,
+        source: 'printer',
+        startTime: startTime.toISOString(),
+        endTime: endTime ? endTime.toISOString() : null,
+        state,
+        totalLayers: task.SliceInformation?.TotalLayers || task.SliceInformation?.layers || 0,
+        layersCompleted: task.AlreadyPrintLayer || 0,
+        peakTemperatures: null,
+        estimatedDuration: task.SliceInformation?.EstimatedTime || null,
+        actualDuration: endTime ? Math.round((endTime - startTime) / 1000) : null,
+        printTime: null,
+        errorReason: task.ErrorStatusReason || null
+      });
+      added += 1;
+      changed = true;
+    });
+
+    if (changed) this.save();
+    return added;
+  }
+
+  /**
+   * Look up one record (finished or in progress)
+   */
+  get(id) {
+    return (
+      this.records.find((record) => record.id === id) ||
+      Array.from(this.active.values()).find((record) => record.id === id) ||
+      null
+    );
+  }
+
+  /**
+   * Page through finished records, newest first
+   * @param {object} filters - { page, pageSize, printerId, state, file, from, to }
+   * @returns {object} { page, pageSize, total, records }
+   */
+  query(filters = {}) {
+    const page = Math.max(1, Number.parseInt(filters.page, 10) || 1);
+    const pageSize = Math.min(
+      MAX_PAGE_SIZE,
+      Math.max(1, Number.parseInt(filters.pageSize, 10) || DEFAULT_PAGE_SIZE)
+    );
+    const from = filters.from ? new Date(filters.from) : null;
+    const to = filters.to ? new Date(filters.to) : null;
+    const fileFilter = filters.file ? String(filters.file).toLowerCase() : null;
+
+    const matches = this.records
+      .filter((record) => !filters.printerId || record.printerId === filters.printerId)
+      .filter((record) => !filters.state || record.state === filters.state)
+      .filter((record) => !fileFilter || (record.file || '').toLowerCase().includes(fileFilter))
+      .filter((record) => !from || isNaN(from) || new Date(record.startTime) >= from)
+      .filter((record) => !to || isNaN(to) || new Date(record.startTime) <= to)
+      .sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+
+    return {
+      page,
+      pageSize,
+      total: matches.length,
+      records: matches.slice((page - 1) * pageSize, page * pageSize)
+    };
+  }
+
+  /**
+   * In-progress jobs, one per printer
+   */
+  getActive() {
+    return Array.from(this.active.values());
+  }
+}
+
+module.exports = JobHistory;
+module.exports.ACTIVE_JOB_STATES = ACTIVE_JOB_STATES;
+module.exports.FINAL_JOB_STATES = FINAL_JOB_STATES;
+module.exports.PRINTER_TASK_STATES = PRINTER_TASK_STATES;
@@ -0,0 +1,229 @@
+// Minimal baseline JPEG encoder for 8-bit grayscale images (generated camera frames)
+
+// Coefficient order in the entropy-coded data
+const ZIGZAG = [
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+];
+
+// Standard luminance quantization table (JPEG Annex K), natural order
+const LUMA_QUANT = [
+  16, 11, 10, 16, 24, 40, 51, 61,
+  12, 12, 14, 19, 26, 58, 60, 55,
+  14, 13, 16, 24, 40, 57, 69, 56,
+  14, 17, 22, 29, 51, 87, 80, 62,
+  18, 22, 37, 56, 68, 109, 103, 77,
+  24, 35, 55, 64, 81, 104, 113, 92,
+  49, 64, 78, 87, 103, 121, 120, 101,
+  72, 92, 95, 98, 112, 100, 103, 99
+];
+
+// Standard luminance Huffman tables (JPEG Annex K): code counts per length, then symbols
+const DC_BITS = [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0];
+const DC_VALUES = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11];
+const AC_BITS = [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7d];
+const AC_VALUES = [
+  0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06, 0x13, 0x51, 0x61, 0x07,
+  0x22, 0x71, 0x14, 0x32, 0x81, 0x91, 0xa1, 0x08, 0x23, 0x42, 0xb1, 0xc1, 0x15, 0x52, 0xd1, 0xf0,
+  0x24, 0x33, 0x62, 0x72, 0x82, 0x09, 0x0a, 0x16, 0x17, 0x18, 0x19, 0x1a, 0x25, 0x26, 0x27, 0x28,
+  0x29, 0x2a, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49,
+  0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69,
+  0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89,
+  0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5, 0xa6, 0xa7,
+  0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3, 0xc4, 0xc5,
+  0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda, 0xe1, 0xe2,
+  0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf1, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+  0xf9, 0xfa
+];
+
+// cos((2x + 1) * u * PI / 16), scaled by C(u) / 2, indexed [u * 8 + x]
+const DCT_TABLE = new Float64Array(64);
+for (let u = 0; u < 8; u += 1) {
+  for (let x = 0; x < 8; x += 1) {
+    DCT_TABLE[u * 8 + x] = (u === 0 ? Math.SQRT1_2 : 1) / 2 * Math.cos(((2 * x + 1) * u * Math.PI) / 16);
+  }
+}
+
+/**
+ * Canonical Huffman codes from a code-count list
+ * @returns {Array<{code: number, length: number}>} Codes by symbol
+ */
+function buildHuffmanCodes(bits, values) {
+  const codes = [];
+  let code = 0;
+  let index = 0;
+  bits.forEach((count, i) => {
+    for (let n = 0; n < count; n += 1) {
+      codes[values[index]] = { code, length: i + 1 };
+      code += 1;
+      index += 1;
+    }
+    code <<= 1;
+  });
+  return codes;
+}
+
+const DC_CODES = buildHuffmanCodes(DC_BITS, DC_VALUES);
+const AC_CODES = buildHuffmanCodes(AC_BITS, AC_VALUES);
+
+/**
+ * Quantization table for a quality setting (IJG scaling), natural order
+ */
+function quantTable(quality) {
+  const q = Math.min(100, Math.max(1, Math.round(quality)));
+  const scale = q < 50 ? 5000 / q : 200 - q * 2;
+  return LUMA_QUANT.map((value) => Math.min(255, Math.max(1, Math.floor((value * scale + 50) / 100))));
+}
+
+class BitWriter {
+  constructor() {
+    this.bytes = [];
+    this.current = 0;
+    this.count = 0;
+  }
+
+  write(code, length) {
+    for (let i = length - 1; i >= 0; i -= 1) {
+      this.current = (this.current << 1) | ((code >> i) & 1);
+      this.count += 1;
+      if (this.count === 8) {
+        this.bytes.push(this.current);
+        // A 0xFF data byte is followed by a stuffed zero so it is not read as a marker
+        if (this.current === 0xFF) this.bytes.push(0);
+        this.current = 0;
+        this.count = 0;
+      }
+    }
+  }
+
+  /**
+   * Pad the last byte with one bits
+   */
+  flush() {
+    if (this.count > 0) {
+      this.write((1 << (8 - this.count)) - 1, 8 - this.count);
+    }
+    return Buffer.from(this.bytes);
+  }
+}
+
+// Number of bits needed for a coefficient, and the bits themselves (ones' complement when negative)
+function magnitude(value) {
+  const abs = Math.abs(value);
+  const size = abs === 0 ? 0 : Math.floor(Math.log2(abs)) + 1;
+  return { size, bits: value < 0 ? value + (1 << size) - 1 : value };
+}
+
+/**
+ * Forward DCT and quantization of one 8x8 block
+ * @param {Float64Array} block - Level-shifted samples, natural order
+ * @param {number[]} quant - Quantization table, natural order
+ * @returns {Int32Array} Quantized coefficients, natural order
+ */
+function transformBlock(block, quant) {
+  const rows = new Float64Array(64);
+  for (let y = 0; y < 8; y += 1) {
+    for (let u = 0; u < 8; u += 1) {
+      let sum = 0;
+      for (let x = 0; x < 8; x += 1) sum += block[y * 8 + x] * DCT_TABLE[u * 8 + x];
+      rows[y * 8 + u] = sum;
+    }
+  }
+  const out = new Int32Array(64);
+  for (let u = 0; u < 8; u += 1) {
+    for (let v = 0; v < 8; v += 1) {
+      let sum = 0;
+      for (let y = 0; y < 8; y += 1) sum += rows[y * 8 + u] * DCT_TABLE[v * 8 + y];
+      out[v * 8 + u] = Math.round(sum / quant[v * 8 + u]);
+    }
+  }
+  return out;
+}
+
+function encodeBlock(writer, coefficients, previousDc) {
+  const dc = magnitude(coefficients[0] - previousDc);
+  writer.write(DC_CODES[dc.size].code, DC_CODES[dc.size].length);
+  if (dc.size > 0) writer.write(dc.bits, dc.size);
+
+  let run = 0;
+  for (let k = 1; k < 64; k += 1) {
+    const value = coefficients[ZIGZAG[k]];
+    if (value === 0) {
+      run += 1;
+      continue;
+    }
+    while (run > 15) {
+      writer.write(AC_CODES[0xF0].code, AC_CODES[0xF0].length);
+      run -= 16;
+    }
+    const ac = magnitude(value);
+    const symbol = AC_CODES[(run << 4) | ac.size];
+    writer.write(symbol.code, symbol.length);
+    writer.write(ac.bits, ac.size);
+    run = 0;
+  }
+  if (run > 0) {
+    writer.write(AC_CODES[0x00].code, AC_CODES[0x00].length);
+  }
+  return coefficients[0];
+}
+
+function segment(marker, payload) {
+  const header = Buffer.alloc(4);
+  header.writeUInt16BE(marker, 0);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([header, Buffer.from(payload)]);
+}
+
+/**
+ * Encode a grayscale image as a baseline JPEG
+ * @param {Uint8Array} pixels - One byte per pixel, row by row
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} quality - 1 to 100 (default: 75)
+ * @returns {Buffer} JPEG data
+ */
+function encodeGrayscaleJpeg(pixels, width, height, quality = 75) {
+  if (pixels.length < width * height) {
+    throw new Error(`Expected ${width * height} pixels, got ${pixels.length}`);
+  }
+  const quant = quantTable(quality);
+  const writer = new BitWriter();
+  const block = new Float64Array(64);
+  let previousDc = 0;
+
+  for (let by = 0; by < height; by += 8) {
+    for (let bx = 0; bx < width; bx += 8) {
+      for (let y = 0; y < 8; y += 1) {
+        // Partial edge blocks repeat the last row and column
+        const row = Math.min(by + y, height - 1) * width;
+        for (let x = 0; x < 8; x += 1) {
+          block[y * 8 + x] = pixels[row + Math.min(bx + x, width - 1)] - 128;
+        }
+      }
+      previousDc = encodeBlock(writer, transformBlock(block, quant), previousDc);
+    }
+  }
+
+  const jfif = [0x4A, 0x46, 0x49, 0x46, 0, 1, 1, 0, 0, 1, 0, 1, 0, 0];
+  const frame = [8, height >> 8, height & 0xFF, width >> 8, width & 0xFF, 1, 1, 0x11, 0];
+  const huffman = [0x00, ...DC_BITS, ...DC_VALUES, 0x10, ...AC_BITS, ...AC_VALUES];
+  const scan = [1, 1, 0x00, 0, 63, 0];
+
+  return Buffer.concat([
+    Buffer.from([0xFF, 0xD8]),
+    segment(0xFFE0, jfif),
+    segment(0xFFDB, [0, ...ZIGZAG.map((index) => quant[index])]),
+    segment(0xFFC0, frame),
+    segment(0xFFC4, huffman),
+    segment(0xFFDA, scan),
+    writer.flush(),
+    Buffer.from([0xFF, 0xD9])
+  ]);
+}
+
+module.exports = {
+  encodeGrayscaleJpeg
+};
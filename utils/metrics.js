@@ -0,0 +1,56 @@
+/**
+ * Minimal Prometheus text exposition format (version 0.0.4) writer.
+ * A metric family is { name, help, type, samples: [{ labels, value, suffix }] }.
+ */
+
+const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const METRIC_PREFIX = 'elegoo_';
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function escapeHelp(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+  if (value === true) return '1';
+  if (value === false) return '0';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (typeof value !== 'number' || Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels || {}).filter(([, value]) => value !== undefined && value !== null);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Render metric families as exposition text. Samples with a null/undefined value are skipped.
+ * @param {Array} families - Metric families
+ * @returns {string} Exposition text
+ */
+function formatMetrics(families) {
+  const lines = [];
+  families.forEach((family) => {
+    const name = `${METRIC_PREFIX}${family.name}`;
+    lines.push(`# HELP ${name} ${escapeHelp(family.help)}`);
+    lines.push(`# TYPE ${name} ${family.type || 'gauge'}`);
+    (family.samples || []).forEach((sample) => {
+      if (sample.value === undefined || sample.value === null) return;
+      lines.push(`${name}${sample.suffix || ''}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+    });
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  METRICS_CONTENT_TYPE,
+  METRIC_PREFIX,
+  escapeLabelValue,
+  formatMetrics
+};
@@ -0,0 +1,154 @@
+const fs = require('fs');
+
+// AVI header flags
+const AVIF_HASINDEX = 0x10;
+const AVIIF_KEYFRAME = 0x10;
+// Bytes of the header LISTs ('hdrl' with 'avih' and one 'strl'), including their own headers
+const HDRL_SIZE = 200;
+
+/**
+ * Read the pixel size of a JPEG from its start-of-frame marker
+ * @param {Buffer} buffer - JPEG data
+ * @returns {{width: number, height: number}|null} Size, or null when no SOF marker is found
+ */
+function jpegDimensions(buffer) {
+  if (!buffer || buffer.length < 4 || buffer[0] !== 0xFF || buffer[1] !== 0xD8) return null;
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xFF) {
+      offset += 1;
+      continue;
+    }
+    const marker = buffer[offset + 1];
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    if (marker === 0xD8 || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+      offset += 2;
+      continue;
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function chunkHeader(fourcc, size) {
+  const header = Buffer.alloc(8);
+  header.write(fourcc, 0, 'ascii');
+  header.writeUInt32LE(size, 4);
+  return header;
+}
+
+function listHeader(type, size) {
+  return Buffer.concat([chunkHeader('LIST', size), Buffer.from(type, 'ascii')]);
+}
+
+/**
+ * Build the RIFF/hdrl header of an MJPEG AVI
+ */
+function buildHeader({ frameCount, fps, width, height, moviSize, indexSize, maxFrameSize }) {
+  const riffSize = 4 + HDRL_SIZE + (8 + moviSize) + (8 + indexSize);
+
+  const avih = Buffer.alloc(56);
+  avih.writeUInt32LE(Math.round(1000000 / fps), 0); // dwMicroSecPerFrame
+  avih.writeUInt32LE(maxFrameSize * Math.ceil(fps), 4); // dwMaxBytesPerSec
+  avih.writeUInt32LE(AVIF_HASINDEX, 12);
+  avih.writeUInt32LE(frameCount, 16);
+  avih.writeUInt32LE(1, 24); // dwStreams
+  avih.writeUInt32LE(maxFrameSize, 28);
+  avih.writeUInt32LE(width, 32);
+  avih.writeUInt32LE(height, 36);
+
+  const strh = Buffer.alloc(56);
+  strh.write('vids', 0, 'ascii');
+  strh.write('MJPG', 4, 'ascii');
+  strh.writeUInt32LE(1, 20); // dwScale
+  strh.writeUInt32LE(fps, 24); // dwRate
+  strh.writeUInt32LE(frameCount, 32); // dwLength
+  strh.writeUInt32LE(maxFrameSize, 36);
+  strh.writeInt32LE(-1, 40); // dwQuality: default
+  strh.writeUInt16LE(width, 52);
+  strh.writeUInt16LE(height, 54);
+
+  const strf = Buffer.alloc(40); // BITMAPINFOHEADER
+  strf.writeUInt32LE(40, 0);
+  strf.writeInt32LE(width, 4);
+  strf.writeInt32LE(height, 8);
+  strf.writeUInt16LE(1, 12); // biPlanes
+  strf.writeUInt16LE(24, 14); // biBitCount
+  strf.write('MJPG', 16, 'ascii');
+  strf.writeUInt32LE(width * height * 3, 20);
+
+  const strl = Buffer.concat([
+    listHeader('strl', 4 + 8 + 56 + 8 + 40),
+    chunkHeader('strh', 56), strh,
+    chunkHeader('strf', 40), strf
+  ]);
+  const hdrl = Buffer.concat([listHeader('hdrl', HDRL_SIZE - 8), chunkHeader('avih', 56), avih, strl]);
+
+  return Buffer.concat([chunkHeader('RIFF', riffSize), Buffer.from('AVI ', 'ascii'), hdrl, listHeader('movi', moviSize)]);
+}
+
+/**
+ * Write JPEG files as the frames of an MJPEG AVI, one file at a time
+ * @param {string} outPath - AVI file to create
+ * @param {string[]} framePaths - JPEG files in playback order
+ * @param {object} options
+ * @param {number} options.fps - Playback frame rate
+ * @returns {Promise<object>} { frames, width, height, size }
+ */
+async function writeMjpegAvi(outPath, framePaths, { fps = 24 } = {}) {
+  if (framePaths.length === 0) {
+    throw new Error('No frames to write');
+  }
+  const sizes = [];
+  for (const framePath of framePaths) {
+    sizes.push((await fs.promises.stat(framePath)).size);
+  }
+  const dimensions = jpegDimensions(await fs.promises.readFile(framePaths[0]));
+  if (!dimensions) {
+    throw new Error(`Not a JPEG frame: ${framePaths[0]}`);
+  }
+
+  const moviSize = 4 + sizes.reduce((total, size) => total + 8 + size + (size % 2), 0);
+  const indexSize = 16 * sizes.length;
+  const header = buildHeader({
+    frameCount: sizes.length,
+    fps,
+    ...dimensions,
+    moviSize,
+    indexSize,
+    maxFrameSize: Math.max(...sizes)
+  });
+
+  const index = Buffer.alloc(indexSize);
+  const handle = await fs.promises.open(outPath, 'w');
+  try {
+    await handle.write(header);
+    // idx1 offsets are relative to the 'movi' fourcc
+    let offset = 4;
+    for (let i = 0; i < framePaths.length; i++) {
+      const frame = await fs.promises.readFile(framePaths[i]);
+      const padding = frame.length % 2 ? Buffer.alloc(1) : Buffer.alloc(0);
+      await handle.write(Buffer.concat([chunkHeader('00dc', frame.length), frame, padding]));
+
+      index.write('00dc', i * 16, 'ascii');
+      index.writeUInt32LE(AVIIF_KEYFRAME, i * 16 + 4);
+      index.writeUInt32LE(offset, i * 16 + 8);
+      index.writeUInt32LE(frame.length, i * 16 + 12);
+      offset += 8 + frame.length + padding.length;
+    }
+    await handle.write(Buffer.concat([chunkHeader('idx1', indexSize), index]));
+  } finally {
+    await handle.close();
+  }
+
+  const { size } = await fs.promises.stat(outPath);
+  return { frames: sizes.length, ...dimensions, size };
+}
+
+module.exports = {
+  jpegDimensions,
+  writeMjpegAvi
+};
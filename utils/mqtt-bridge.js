@@ -0,0 +1,390 @@
+const EventEmitter = require('events');
+
+const DEFAULT_TOPIC_PREFIX = 'elegoo';
+const DEFAULT_DISCOVERY_PREFIX = 'homeassistant';
+// Minimum time (ms) between state publishes per printer; the latest state is sent at the end
+const DEFAULT_PUBLISH_INTERVAL = 5000;
+// Minimum time (ms) between camera snapshots per printer (0 disables the camera topic)
+const DEFAULT_CAMERA_INTERVAL = 10000;
+
+// Job states during which the remaining time is meaningful for an ETA
+const ETA_JOB_STATES = ['PRINTING', 'PREHEATING', 'HOMING', 'DROPPING', 'LIFTING', 'LEVELING', 'LOADING'];
+
+// Home Assistant sensors published via MQTT discovery, read from the state topic
+const HA_SENSORS = [
+  { key: 'state', name: 'Status', icon: 'mdi:printer-3d' },
+  { key: 'machine_state', name: 'Machine state', icon: 'mdi:printer-3d-nozzle' },
+  { key: 'job_state', name: 'Job state', icon: 'mdi:progress-clock' },
+  { key: 'progress', name: 'Progress', unit: '%', stateClass: 'measurement', icon: 'mdi:percent' },
+  { key: 'layer', name: 'Layer', stateClass: 'measurement', icon: 'mdi:layers' },
+  { key: 'total_layers', name: 'Total layers', icon: 'mdi:layers-triple' },
+  { key: 'current_file', name: 'Current file', icon: 'mdi:file' },
+  { key: 'nozzle_temperature', name: 'Nozzle temperature', unit: '°C', deviceClass: 'temperature', stateClass: 'measurement' },
+  { key: 'nozzle_target', name: 'Nozzle target', unit: '°C', deviceClass: 'temperature' },
+  { key: 'bed_temperature', name: 'Bed temperature', unit: '°C', deviceClass: 'temperature', stateClass: 'measurement' },
+  { key: 'bed_target', name: 'Bed target', unit: '°C', deviceClass: 'temperature' },
+  { key: 'enclosure_temperature', name: 'Enclosure temperature', unit: '°C', deviceClass: 'temperature', stateClass: 'measurement' },
+  { key: 'remaining_time', name: 'Remaining time', unit: 's', deviceClass: 'duration' },
+  // Left out of the state when there is no ETA: Home Assistant cannot parse a null timestamp
+  { key: 'eta', name: 'ETA', deviceClass: 'timestamp', icon: 'mdi:clock-end', optional: true }
+];
+
+/**
+ * Make a printer ID safe for use as an MQTT topic level and Home Assistant object ID
+ */
+function toTopicId(id) {
+  return String(id).replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+/**
+ * Flatten a printer status into the JSON published on the state topic
+ * @param {object} status - Printer status (as kept on the registry entry)
+ * @param {number} now - Current time (ms since epoch), used for the ETA
+ * @returns {object} State payload
+ */
+function buildStatePayload(status, now = Date.now()) {
+  const jobState = status.status?.job?.state || 'UNKNOWN';
+  const remaining = status.remainingTime || 0;
+  const eta = status.connected && remaining > 0 && ETA_JOB_STATES.includes(jobState)
+    ? new Date(now + remaining * 1000).toISOString()
+    : null;
+
+  return {
+    connected: Boolean(status.connected),
+    state: status.status?.consolidated || 'UNKNOWN',
+    machine_state: status.status?.machine?.state || 'UNKNOWN',
+    job_state: jobState,
+    progress: status.progress || 0,
+    layer: status.layers?.current || 0,
+    total_layers: status.layers?.total || 0,
+    current_file: status.currentFile || null,
+    nozzle_temperature: status.temperatures?.nozzle?.current ?? null,
+    nozzle_target: status.temperatures?.nozzle?.target ?? null,
+    bed_temperature: status.temperatures?.bed?.current ?? null,
+    bed_target: status.temperatures?.bed?.target ?? null,
+    enclosure_temperature: status.temperatures?.enclosure?.current ?? null,
+    print_time: status.printTime || 0,
+    remaining_time: remaining,
+    ...(eta ? { eta } : {}),
+    camera_available: Boolean(status.cameraAvailable)
+  };
+}
+
+/**
+ * Publishes printer state to an MQTT broker with Home Assistant discovery.
+ *
+ * Topics (prefix defaults to "elegoo"):
+ *   <prefix>/bridge/availability     online/offline (retained, offline is the last will)
+ *   <prefix>/<printer>/availability  online/offline (retained)
+ *   <prefix>/<printer>/state         JSON state (retained)
+ *   <prefix>/<printer>/camera        JPEG snapshot
+ *
+ * Events: 'connect'
+ */
+class MqttBridge extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {string} options.url - Broker URL, e.g. mqtt://localhost:1883
+   * @param {string} options.username - Broker username
+   * @param {string} options.password - Broker password
+   * @param {string} options.topicPrefix - Prefix for state topics
+   * @param {string} options.discoveryPrefix - Home Assistant discovery prefix
+   * @param {number} options.publishInterval - Minimum ms between state publishes per printer
+   * @param {number} options.cameraInterval - Minimum ms between camera snapshots (0 disables)
+   * @param {Function} options.connectImpl - mqtt.connect replacement (tests)
+   */
+  constructor({
+    url,
+    username,
+    password,
+    clientId = `elegoo-print-monitor-${process.pid}`,
+    topicPrefix = DEFAULT_TOPIC_PREFIX,
+    discoveryPrefix = DEFAULT_DISCOVERY_PREFIX,
+    publishInterval = DEFAULT_PUBLISH_INTERVAL,
+    cameraInterval = DEFAULT_CAMERA_INTERVAL,
+    connectImpl = null
+  } = {}) {
+    super();
+    this.url = url;
+    this.username = username;
+    this.password = password;
+    this.clientId = clientId;
+    this.topicPrefix = topicPrefix.replace(/\/+$/, '');
+    this.discoveryPrefix = discoveryPrefix.replace(/\/+$/, '');
+    this.publishInterval = publishInterval;
+    this.cameraInterval = cameraInterval;
+    this.connectImpl = connectImpl;
+    this.client = null;
+    // printerId -> { info, lastPayload, lastPublish, timer, discovered, lastCamera }
+    this.printers = new Map();
+  }
+
+  get bridgeAvailabilityTopic() {
+    return `${this.topicPrefix}/bridge/availability`;
+  }
+
+  topicFor(printerId, suffix) {
+    return `${this.topicPrefix}/${toTopicId(printerId)}/${suffix}`;
+  }
+
+  getEntry(printerId) {
+    let entry = this.printers.get(printerId);
+    if (!entry) {
+      entry = {
+        info: { id: printerId, name: null },
+        pending: null,
+        lastPayload: null,
+        lastPublish: 0,
+        timer: null,
+        discovered: false,
+        available: null,
+        lastCamera: null
+      };
+      this.printers.set(printerId, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Connect to the broker. Discovery and retained state are (re)published on every connect.
+   */
+  start() {
+    const connect = this.connectImpl || require('mqtt').connect;
+    this.client = connect(this.url, {
+      clientId: this.clientId,
+      username: this.username || undefined,
+      password: this.password || undefined,
+      reconnectPeriod: 5000,
+      will: { topic: this.bridgeAvailabilityTopic, payload: 'offline', retain: true, qos: 1 }
+    });
+
+    this.client.on('connect', () => {
+      console.log(`[MQTT] Connected to ${this.url}`);
+      this.publish(this.bridgeAvailabilityTopic, 'online');
+      // Home Assistant announces itself on <discovery prefix>/status after a restart
+      this.client.subscribe(`${this.discoveryPrefix}/status`);
+      this.printers.forEach((entry, printerId) => this.republish(printerId));
+      this.emit('connect');
+    });
+
+    this.client.on('message', (topic, message) => {
+      if (topic === `${this.discoveryPrefix}/status` && message.toString() === 'online') {
+        this.printers.forEach((entry, printerId) => {
+          entry.discovered = false;
+          this.publishDiscovery(printerId);
+        });
+      }
+    });
+
+    // mqtt.js keeps reconnecting on its own; errors are only logged
+    this.client.on('error', (err) => {
+      console.error('[MQTT] Error:', err.message);
+    });
+  }
+
+  /**
+   * Publish offline availability and disconnect
+   */
+  stop() {
+    this.printers.forEach((entry) => clearTimeout(entry.timer));
+    if (!this.client) return Promise.resolve();
+    const client = this.client;
+    this.client = null;
+    if (!client.connected) {
+      return new Promise((resolve) => client.end(true, {}, () => resolve()));
+    }
+    return new Promise((resolve) => {
+      client.publish(this.bridgeAvailabilityTopic, 'offline', { retain: true, qos: 1 }, () => {
+        client.end(false, {}, () => resolve());
+      });
+    });
+  }
+
+  publish(topic, payload, options = {}) {
+    if (!this.client || !this.client.connected) return false;
+    this.client.publish(topic, payload, { retain: true, qos: 0, ...options });
+    return true;
+  }
+
+  /**
+   * Mark a printer online/offline (driven by the SDCP client's stateChange events)
+   */
+  setAvailability(printerId, online) {
+    const entry = this.getEntry(printerId);
+    entry.available = Boolean(online);
+    this.publish(this.topicFor(printerId, 'availability'), online ? 'online' : 'offline');
+  }
+
+  /**
+   * Queue a state update for a printer. Identical states are skipped and publishes are
+   * rate-limited per printer; the most recent state is always sent eventually.
+   * @param {object} printer - { id, name, status }
+   */
+  updatePrinter(printer, now = Date.now()) {
+    const entry = this.getEntry(printer.id);
+    const name = printer.name || printer.status?.printerName || printer.id;
+    // Re-announce the device when its name becomes known or changes
+    if (entry.info.name !== name) {
+      entry.info = { id: printer.id, name };
+      entry.discovered = false;
+    }
+    entry.pending = buildStatePayload(printer.status || {}, now);
+
+    if (!entry.discovered) this.publishDiscovery(printer.id);
+    if (entry.timer) return;
+
+    const wait = entry.lastPublish + this.publishInterval - now;
+    if (wait <= 0) {
+      this.flushState(printer.id, now);
+    } else {
+      entry.timer = setTimeout(() => {
+        entry.timer = null;
+        this.flushState(printer.id);
+      }, wait);
+    }
+  }
+
+  flushState(printerId, now = Date.now()) {
+    const entry = this.getEntry(printerId);
+    if (!entry.pending) return;
+    // The ETA moves with the clock, so compare without it
+    const comparable = JSON.stringify({ ...entry.pending, eta: null });
+    if (comparable === entry.lastPayload) return;
+    if (this.publish(this.topicFor(printerId, 'state'), JSON.stringify(entry.pending))) {
+      entry.lastPayload = comparable;
+      entry.lastPublish = now;
+    }
+  }
+
+  /**
+   * Publish a camera snapshot (rate-limited to cameraInterval)
+   */
+  publishCameraFrame(printerId, frame, now = Date.now()) {
+    if (!this.cameraInterval || !frame) return;
+    const entry = this.getEntry(printerId);
+    if (entry.lastCamera !== null && now - entry.lastCamera < this.cameraInterval) return;
+    if (this.publish(this.topicFor(printerId, 'camera'), frame, { retain: false })) {
+      entry.lastCamera = now;
+    }
+  }
+
+  /**
+   * Re-send everything retained for a printer after (re)connecting to the broker
+   */
+  republish(printerId) {
+    const entry = this.getEntry(printerId);
+    entry.discovered = false;
+    entry.lastPayload = null;
+    this.publishDiscovery(printerId);
+    if (entry.available !== null) this.setAvailability(printerId, entry.available);
+    this.flushState(printerId);
+  }
+
+  /**
+   * Build the Home Assistant discovery configs for a printer
+   * @returns {Array} [{ topic, config }]
+   */
+  buildDiscoveryConfigs(printerId) {
+    const { info } = this.getEntry(printerId);
+    const topicId = toTopicId(printerId);
+    const nodeId = `elegoo_${topicId}`;
+    const device = {
+      identifiers: [nodeId],
+      name: info.name || printerId,
+      manufacturer: 'Elegoo'
+    };
+    const availability = [
+      { topic: this.bridgeAvailabilityTopic },
+      { topic: this.topicFor(printerId, 'availability') }
+    ];
+
+    const sensors = HA_SENSORS.map((sensor) => ({
+      topic: `${this.discoveryPrefix}/sensor/${nodeId}/${sensor.key}/config`,
+      config: {
+        name: sensor.name,
+        unique_id: `${nodeId}_${sensor.key}`,
+        state_topic: this.topicFor(printerId, 'state'),
+        value_template: `{{ value_json.${sensor.key} }}`,
+        // Optional values make their sensor unavailable while they are missing
+        availability: sensor.optional
+          ? [...availability, {
+            topic: this.topicFor(printerId, 'state'),
+            value_template: `{{ 'online' if value_json.${sensor.key} is defined else 'offline' }}`
+          }]
+          : availability,
+        availability_mode: 'all',
+        device,
+        ...(sensor.unit ? { unit_of_measurement: sensor.unit } : {}),
+        ...(sensor.deviceClass ? { device_class: sensor.deviceClass } : {}),
+        ...(sensor.stateClass ? { state_class: sensor.stateClass } : {}),
+        ...(sensor.icon ? { icon: sensor.icon } : {})
+      }
+    }));
+
+    const connectivity = {
+      topic: `${this.discoveryPrefix}/binary_sensor/${nodeId}/connected/config`,
+      config: {
+        name: 'Connected',
+        unique_id: `${nodeId}_connected`,
+        state_topic: this.topicFor(printerId, 'availability'),
+        payload_on: 'online',
+        payload_off: 'offline',
+        device_class: 'connectivity',
+        availability: [{ topic: this.bridgeAvailabilityTopic }],
+        device
+      }
+    };
+
+    const configs = sensors.concat(connectivity);
+    if (this.cameraInterval) {
+      configs.push({
+        topic: `${this.discoveryPrefix}/camera/${nodeId}/camera/config`,
+        config: {
+          name: 'Camera',
+          unique_id: `${nodeId}_camera`,
+          topic: this.topicFor(printerId, 'camera'),
+          availability,
+          availability_mode: 'all',
+          device
+        }
+      });
+    }
+    return configs;
+  }
+
+  publishDiscovery(printerId) {
+    const entry = this.getEntry(printerId);
+    if (!this.client || !this.client.connected) return;
+    this.buildDiscoveryConfigs(printerId).forEach(({ topic, config }) => {
+      this.publish(topic, JSON.stringify(config));
+    });
+    entry.discovered = true;
+  }
+}
+
+/**
+ * Build a bridge from MQTT_* environment variables, or null when MQTT_URL is not set
+ */
+function createMqttBridgeFromEnv(env = process.env) {
+  if (!env.MQTT_URL) return null;
+  const intervalMs = (value, fallback) => {
+    const seconds = Number.parseFloat(value);
+    return Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : fallback;
+  };
+  return new MqttBridge({
+    url: env.MQTT_URL,
+    username: env.MQTT_USERNAME,
+    password: env.MQTT_PASSWORD,
+    clientId: env.MQTT_CLIENT_ID || undefined,
+    topicPrefix: env.MQTT_TOPIC_PREFIX || DEFAULT_TOPIC_PREFIX,
+    discoveryPrefix: env.MQTT_DISCOVERY_PREFIX || DEFAULT_DISCOVERY_PREFIX,
+    publishInterval: intervalMs(env.MQTT_PUBLISH_INTERVAL, DEFAULT_PUBLISH_INTERVAL),
+    cameraInterval: intervalMs(env.MQTT_CAMERA_INTERVAL, DEFAULT_CAMERA_INTERVAL)
+  });
+}
+
+module.exports = MqttBridge;
+module.exports.buildStatePayload = buildStatePayload;
+module.exports.createMqttBridgeFromEnv = createMqttBridgeFromEnv;
+module.exports.toTopicId = toTopicId;
+module.exports.HA_SENSORS = HA_SENSORS;
@@ -0,0 +1,389 @@
+const fs = require('fs');
+const { PRINTER_EVENTS, EVENT_TYPES } = require('utils/printer-events');
+
+const DEFAULT_LOG_SIZE = 50;
+const DEFAULT_TIMEOUT = 10000;
+
+// Events that carry a camera snapshot by default (the print finished or failed)
+const SNAPSHOT_EVENTS = [PRINTER_EVENTS.JOB_COMPLETED, PRINTER_EVENTS.JOB_STOPPED, PRINTER_EVENTS.JOB_FAILED];
+
+// Default message templates; {{path}} placeholders are filled from the event
+const DEFAULT_TEMPLATES = {
+  [PRINTER_EVENTS.JOB_STARTED]: {
+    title: '{{printer.name}}: print started',
+    message: 'Started {{job.file}}'
+  },
+  [PRINTER_EVENTS.JOB_PAUSED]: {
+    title: '{{printer.name}}: print paused',
+    message: '{{job.file}} paused at {{job.progress}}% (layer {{job.layer}}/{{job.totalLayers}})'
+  },
+  [PRINTER_EVENTS.JOB_RESUMED]: {
+    title: '{{printer.name}}: print resumed',
+    message: '{{job.file}} resumed at {{job.progress}}%'
+  },
+  [PRINTER_EVENTS.JOB_COMPLETED]: {
+    title: '{{printer.name}}: print finished',
+    message: '{{job.file}} finished after {{job.printTimeText}}'
+  },
+  [PRINTER_EVENTS.JOB_STOPPED]: {
+    title: '{{printer.name}}: print stopped',
+    message: '{{job.file}} was stopped at {{job.progress}}% (layer {{job.layer}}/{{job.totalLayers}})'
+  },
+  [PRINTER_EVENTS.JOB_FAILED]: {
+    title: '{{printer.name}}: print failed',
+    message: '{{job.file}} ended without completing at {{job.progress}}%'
+  },
+  [PRINTER_EVENTS.PRINTER_DISCONNECTED]: {
+    title: '{{printer.name}}: printer offline',
+    message: 'Lost the connection to {{printer.name}} ({{printer.address}})'
+  },
+  [PRINTER_EVENTS.CAMERA_FAILED]: {
+    title: '{{printer.name}}: camera failed',
+    message: 'The camera stream could not be started: {{details.error}}'
+  }
+};
+
+/**
+ * Format a duration in seconds as "1h 05m" / "12m 30s"
+ */
+function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  return `${minutes}m ${String(total % 60).padStart(2, '0')}s`;
+}
+
+/**
+ * Replace {{dotted.path}} placeholders with values from the context (missing values become '')
+ */
+function renderTemplate(template, context) {
+  return String(template || '').replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+    const value = key.split('.').reduce((obj, part) => (obj == null ? undefined : obj[part]), context);
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || ''));
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Check whether a time falls inside a quiet-hours window (server local time).
+ * Windows may wrap around midnight, e.g. { start: '22:00', end: '07:00' }.
+ */
+function isQuietTime(quietHours, date = new Date()) {
+  if (!quietHours) return false;
+  const start = parseClock(quietHours.start);
+  const end = parseClock(quietHours.end);
+  if (start === null || end === null || start === end) return false;
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+/**
+ * Encode a header value that may contain non-ASCII characters (RFC 2047, understood by ntfy)
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+function imageBlob(image) {
+  return new Blob([image], { type: 'image/jpeg' });
+}
+
+/**
+ * Channel types. Each validates its config (throwing on errors) and sends one message:
+ * send({ config, title, message, image, event }, post) where post(url, init) wraps fetch.
+ * supportsImages: false keeps snapshots away from channels that cannot show them.
+ * Every endpoint is configurable so a local stand-in server can be used.
+ */
+const CHANNEL_TYPES = {
+  discord: {
+    validate(config) {
+      if (!config.url) throw new Error('discord channel needs the webhook url');
+    },
+    send({ config, title, message, image }, post) {
+      const payload = { content: `**${title}**\n${message}`, username: config.username || undefined };
+      if (!image) {
+        return post(config.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload)
+        });
+      }
+      const form = new FormData();
+      form.append('payload_json', JSON.stringify({ ...payload, attachments: [{ id: 0, filename: 'snapshot.jpg' }] }));
+      form.append('files[0]', imageBlob(image), 'snapshot.jpg');
+      return post(config.url, { method: 'POST', body: form });
+    }
+  },
+
+  telegram: {
+    validate(config) {
+      if (!config.botToken || !config.chatId) throw new Error('telegram channel needs botToken and chatId');
+    },
+    send({ config, title, message, image }, post) {
+      const baseUrl = (config.baseUrl || 'https://api.telegram.org').replace(/\/+$/, '');
+      const text = `${title}\n${message}`;
+      if (!image) {
+        return post(`${baseUrl}/bot${config.botToken}/sendMessage`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ chat_id: config.chatId, text })
+        });
+      }
+      const form = new FormData();
+      form.append('chat_id', String(config.chatId));
+      form.append('caption', text);
+      form.append('photo', imageBlob(image), 'snapshot.jpg');
+      return post(`${baseUrl}/bot${config.botToken}/sendPhoto`, { method: 'POST', body: form });
+    }
+  },
+
+  ntfy: {
+    validate(config) {
+      if (!config.topic) throw new Error('ntfy channel needs a topic');
+    },
+    send({ config, title, message, image }, post) {
+      const baseUrl = (config.baseUrl || 'https://ntfy.sh').replace(/\/+$/, '');
+      const headers = { Title: encodeHeader(title) };
+      if (config.token) headers.Authorization = `Bearer ${config.token}`;
+      if (config.priority) headers.Priority = String(config.priority);
+      if (config.tags) headers.Tags = [].concat(config.tags).join(',');
+      if (!image) {
+        return post(`${baseUrl}/${encodeURIComponent(config.topic)}`, { method: 'POST', headers, body: message });
+      }
+      // With an attachment the body is the image and the text moves into a header
+      headers.Message = encodeHeader(message);
+      headers.Filename = 'snapshot.jpg';
+      return post(`${baseUrl}/${encodeURIComponent(config.topic)}`, { method: 'PUT', headers, body: image });
+    }
+  },
+
+  gotify: {
+    // Gotify has no attachments, so snapshots are not sent
+    supportsImages: false,
+    validate(config) {
+      if (!config.baseUrl || !config.token) throw new Error('gotify channel needs baseUrl and token');
+    },
+    send({ config, title, message }, post) {
+      const baseUrl = config.baseUrl.replace(/\/+$/, '');
+      return post(`${baseUrl}/message`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Gotify-Key': config.token },
+        body: JSON.stringify({ title, message, priority: config.priority ?? 5 })
+      });
+    }
+  },
+
+  http: {
+    validate(config) {
+      if (!config.url) throw new Error('http channel needs a url');
+    },
+    send({ config, title, message, image, event }, post) {
+      return post(config.url, {
+        method: config.method || 'POST',
+        headers: { 'Content-Type': 'application/json', ...(config.headers || {}) },
+        body: JSON.stringify({
+          title,
+          message,
+          event,
+          image: image ? { contentType: 'image/jpeg', data: image.toString('base64') } : null
+        })
+      });
+    }
+  }
+};
+
+/**
+ * Add or replace a channel type ({ validate(config), send(context, post) })
+ */
+function registerChannelType(type, implementation) {
+  CHANNEL_TYPES[type] = implementation;
+}
+
+/**
+ * Validate and normalise channel configs
+ * @param {Array} channels - [{ id, type, events, quietHours, snapshot, templates, ...type options }]
+ * @returns {Array} Normalised channels
+ */
+function normalizeChannels(channels) {
+  if (!Array.isArray(channels)) {
+    throw new Error('Notification channels must be an array');
+  }
+  return channels.map((channel, index) => {
+    const type = CHANNEL_TYPES[channel?.type];
+    if (!type) {
+      throw new Error(`Notification channel ${index} has unknown type ${channel?.type} (valid: ${Object.keys(CHANNEL_TYPES).join(', ')})`);
+    }
+    type.validate(channel);
+    const events = channel.events === undefined ? ['*'] : channel.events;
+    if (!Array.isArray(events) || events.some((event) => event !== '*' && !EVENT_TYPES.includes(event))) {
+      throw new Error(`Notification channel ${index} has unknown events (valid: *, ${EVENT_TYPES.join(', ')})`);
+    }
+    if (channel.quietHours && (parseClock(channel.quietHours.start) === null || parseClock(channel.quietHours.end) === null)) {
+      throw new Error(`Notification channel ${index} quietHours need start and end as HH:MM`);
+    }
+    return {
+      ...channel,
+      id: channel.id || `${channel.type}-${index + 1}`,
+      events,
+      snapshot: channel.snapshot !== false
+    };
+  });
+}
+
+/**
+ * Load { channels, templates } from a JSON file; a missing file means no notifications
+ */
+function loadNotificationConfig(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return { channels: [], templates: {} };
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return { channels: normalizeChannels(config.channels || []), templates: config.templates || {} };
+}
+
+/**
+ * Sends templated chat/push notifications for printer events to the configured channels
+ */
+class Notifier {
+  /**
+   * @param {object} options
+   * @param {Array} options.channels - Channel configs (see normalizeChannels)
+   * @param {object} options.templates - { [eventType]: { title, message } } overriding the defaults
+   * @param {Function} options.getSnapshot - (printerId) => JPEG Buffer or null (or a Promise of one)
+   * @param {Function} options.fetchImpl - fetch replacement (tests)
+   */
+  constructor({ channels = [], templates = {}, getSnapshot = () => null, fetchImpl = null, timeout = DEFAULT_TIMEOUT } = {}) {
+    this.channels = normalizeChannels(channels);
+    this.templates = templates;
+    this.getSnapshot = getSnapshot;
+    this.fetchImpl = fetchImpl;
+    this.timeout = timeout;
+    this.log = [];
+  }
+
+  /**
+   * Title and message for an event, with channel templates taking precedence over global ones
+   */
+  renderMessage(event, channel = {}) {
+    const template = {
+      ...DEFAULT_TEMPLATES[event.type],
+      ...this.templates[event.type],
+      ...(channel.templates || {})[event.type]
+    };
+    const context = {
+      ...event,
+      job: {
+        ...event.job,
+        printTimeText: formatDuration(event.job?.printTime),
+        remainingTimeText: formatDuration(event.job?.remainingTime)
+      }
+    };
+    return {
+      title: renderTemplate(template.title || '{{printer.name}}: {{type}}', context),
+      message: renderTemplate(template.message || '', context)
+    };
+  }
+
+  /**
+   * Notify every channel subscribed to the event (skipping channels in quiet hours)
+   * @param {object} event - Event from buildPrinterEvent
+   * @returns {Promise<Array>} Log entries, one per subscribed channel
+   */
+  notify(event, now = new Date()) {
+    const channels = this.channels.filter((channel) => channel.events.includes('*') || channel.events.includes(event.type));
+    let snapshot;
+    const getImage = () => {
+      // Captured once per event and shared by all channels
+      if (snapshot === undefined) snapshot = Promise.resolve(this.getSnapshot(event.printer?.id)).catch(() => null);
+      return snapshot;
+    };
+
+    return Promise.all(channels.map(async (channel) => {
+      const entry = {
+        channel: channel.id,
+        type: channel.type,
+        event: event.type,
+        printerId: event.printer?.id || null,
+        time: now.toISOString(),
+        status: 'sent',
+        error: null
+      };
+      this.addToLog(entry);
+
+      if (isQuietTime(channel.quietHours, now)) {
+        entry.status = 'quiet';
+        return entry;
+      }
+
+      const { title, message } = this.renderMessage(event, channel);
+      const type = CHANNEL_TYPES[channel.type];
+      const wantsImage = channel.snapshot && type.supportsImages !== false && SNAPSHOT_EVENTS.includes(event.type);
+      const image = wantsImage ? (await getImage()) || null : null;
+      try {
+        const response = await type.send({ config: channel, title, message, image, event }, (url, init) => this.post(url, init));
+        if (response && response.ok === false) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        entry.snapshot = Boolean(image);
+      } catch (err) {
+        entry.status = 'failed';
+        entry.error = err.name === 'AbortError' ? 'Request timed out' : err.message;
+        console.warn(`[Notify] ${channel.id} failed for ${event.type}: ${entry.error}`);
+      }
+      return entry;
+    }));
+  }
+
+  async post(url, init) {
+    const fetchFn = this.fetchImpl || fetch;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+    try {
+      return await fetchFn(url, { ...init, signal: controller.signal });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  addToLog(entry) {
+    this.log.push(entry);
+    if (this.log.length > DEFAULT_LOG_SIZE) {
+      this.log.splice(0, this.log.length - DEFAULT_LOG_SIZE);
+    }
+  }
+
+  /**
+   * Channels without credentials, for the admin endpoint
+   */
+  describeChannels() {
+    return this.channels.map(({ id, type, events, quietHours, snapshot }) => ({
+      id,
+      type,
+      events,
+      quietHours: quietHours || null,
+      snapshot
+    }));
+  }
+
+  /**
+   * Recent notifications, newest first
+   */
+  getLog() {
+    return this.log.slice().reverse();
+  }
+}
+
+module.exports = Notifier;
+module.exports.CHANNEL_TYPES = CHANNEL_TYPES;
+module.exports.DEFAULT_TEMPLATES = DEFAULT_TEMPLATES;
+module.exports.SNAPSHOT_EVENTS = SNAPSHOT_EVENTS;
+module.exports.formatDuration = formatDuration;
+module.exports.renderTemplate = renderTemplate;
+module.exports.isQuietTime = isQuietTime;
+module.exports.registerChannelType = registerChannelType;
+module.exports.normalizeChannels = normalizeChannels;
+module.exports.loadNotificationConfig = loadNotificationConfig;
@@ -1,22 +1,77 @@
 const dgram = require('dgram');
+const os = require('os');
+const { broadcastAddress, parseCidr, cidrHostCount, cidrHosts } = require('utils/ip-utils');
+
+// Unicast probes per scan, over all ranges together
+const MAX_PROBE_HOSTS = 4096;
 
 /**
- * Discover Elegoo printers on the local network using UDP broadcast
+ * Validate the ranges probed by unicast (the discoveryProbeRanges setting)
+ * @param {*} ranges - List of IPv4 CIDR ranges
+ * @returns {string|null} Problem description, or null when valid
+ */
+function checkProbeRanges(ranges) {
+  if (!Array.isArray(ranges)) {
+    return 'must be a list of CIDR ranges';
+  }
+  const invalid = ranges.find((range) => !parseCidr(range));
+  if (invalid !== undefined) {
+    return `has an invalid CIDR range (${JSON.stringify(invalid)})`;
+  }
+  // Counted from the prefix: listing the addresses of a /8 alone would stall the server
+  const hosts = ranges.reduce((total, range) => total + cidrHostCount(range), 0);
+  if (hosts > MAX_PROBE_HOSTS) {
+    return `covers ${hosts} addresses, at most ${MAX_PROBE_HOSTS} can be probed`;
+  }
+  return null;
+}
+
+/**
+ * Discover Elegoo printers on the local network using UDP broadcast, plus unicast
+ * probes for networks broadcasts do not reach
  */
 class PrinterDiscovery {
-  constructor() {
+  /**
+   * @param {object} options
+   * @param {string[]} options.probeRanges - CIDR ranges to probe host by host
+   * @param {Function} options.networkInterfaces - Interface lookup (os.networkInterfaces)
+   */
+  constructor({ probeRanges = [], networkInterfaces = os.networkInterfaces } = {}) {
     this.discoveryPort = 3000;
     this.discoveryMessage = 'M99999';
+    this.probeRanges = probeRanges;
+    this.networkInterfaces = networkInterfaces;
+  }
+
+  /**
+   * Addresses the discovery message goes to: the limited broadcast address, the
+   * directed broadcast address of every external IPv4 interface (reaches subnets the
+   * default route does not) and every host of the probe ranges
+   * @returns {string[]} Addresses
+   */
+  getTargets() {
+    const targets = new Set(['255.255.255.255']);
+    Object.values(this.networkInterfaces()).flat().forEach((iface) => {
+      if (iface && (iface.family === 'IPv4' || iface.family === 4) && !iface.internal && iface.netmask) {
+        targets.add(broadcastAddress(iface.address, iface.netmask));
+      }
+    });
+    this.probeRanges.forEach((range) => {
+      cidrHosts(range).forEach((host) => targets.add(host));
+    });
+    return Array.from(targets);
   }
 
   /**
    * Discover printers on the network
    * @param {number} timeout - Discovery timeout in milliseconds (default: 3000)
-   * @returns {Promise<Array>} Array of discovered printers
+   * @returns {Promise<Array>} Array of discovered printers, one per printer
    */
   discover(timeout = 3000) {
     return new Promise((resolve, reject) => {
-      const printers = [];
+      // A printer reached by several targets answers each of them, possibly from
+      // different addresses; the first answer wins
+      const printers = new Map();
       const socket = dgram.createSocket('udp4');
       let closed = false;
 
@@ -31,32 +86,33 @@ class PrinterDiscovery {
       socket.on('message', (msg, rinfo) => {
         try {
           const data = JSON.parse(msg.toString());
-          printers.push({
+          const key = data.Data?.MainboardID || data.MainboardID || rinfo.address;
+          if (printers.has(key)) return;
+          printers.set(key, {
             ...data,
             address: rinfo.address,
             port: rinfo.port
           });
-          console.log(`Discovered printer at ${rinfo.address}:`, data);
         } catch (err) {
-          console.error('Failed to parse discovery response:', err);
+          console.error(`Failed to parse discovery response from ${rinfo.address}:`, err.message);
         }
       });
 
       socket.bind(() => {
         socket.setBroadcast(true);
-        
-        // Send discovery broadcast
+
         const message = Buffer.from(this.discoveryMessage);
-        socket.send(message, 0, message.length, this.discoveryPort, '255.255.255.255', (err) => {
-          if (err) {
-            if (!closed) {
-              closed = true;
-              socket.close();
+        const targets = this.getTargets();
+        let failures = 0;
+        targets.forEach((address) => {
+          socket.send(message, 0, message.length, this.discoveryPort, address, (err) => {
+            if (!err) return;
+            failures += 1;
+            // Unreachable networks are expected; report once per scan
+            if (failures === 1) {
+              console.warn(`Discovery message to ${address} failed:`, err.message);
             }
-            reject(err);
-            return;
-          }
-          console.log('Discovery broadcast sent');
+          });
         });
 
         // Wait for responses
@@ -65,7 +121,11 @@ class PrinterDiscovery {
             closed = true;
             socket.close();
           }
-          resolve(printers);
+          if (failures === targets.length) {
+            reject(new Error('Discovery message could not be sent to any address'));
+            return;
+          }
+          resolve(Array.from(printers.values()));
         }, timeout);
       });
     });
@@ -73,3 +133,5 @@ class PrinterDiscovery {
 }
 
 module.exports = PrinterDiscovery;
+module.exports.checkProbeRanges = checkProbeRanges;
+module.exports.MAX_PROBE_HOSTS = MAX_PROBE_HOSTS;
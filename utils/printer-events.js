@@ -0,0 +1,123 @@
+const { RUNNING_JOB_STATES } = require('utils/job-control');
+const { ACTIVE_JOB_STATES } = require('utils/job-history');
+
+// Printer and job events delivered to webhooks and other integrations
+const PRINTER_EVENTS = {
+  JOB_STARTED: 'job.started',
+  JOB_PAUSED: 'job.paused',
+  JOB_RESUMED: 'job.resumed',
+  JOB_COMPLETED: 'job.completed',
+  JOB_STOPPED: 'job.stopped',
+  // The job went back to idle without completing or being stopped
+  JOB_FAILED: 'job.failed',
+  PRINTER_DISCONNECTED: 'printer.disconnected',
+  CAMERA_FAILED: 'camera.failed'
+};
+
+const EVENT_TYPES = Object.values(PRINTER_EVENTS);
+
+// Job events that a job control request (utils/job-control) leads to
+const JOB_ACTION_EVENTS = {
+  pause: PRINTER_EVENTS.JOB_PAUSED,
+  resume: PRINTER_EVENTS.JOB_RESUMED,
+  stop: PRINTER_EVENTS.JOB_STOPPED
+};
+// How long after a job control request the matching event counts as requested (ms)
+const REQUESTED_EVENT_WINDOW = 60 * 1000;
+
+// Job states we have no information about (e.g. right after the server starts)
+const UNKNOWN_JOB_STATES = [undefined, null, 'UNKNOWN'];
+
+/**
+ * Derive job events from a job state transition
+ * @param {string} prevState - Job state before the status update
+ * @param {string} nextState - Job state after the status update
+ * @returns {string[]} Event types (empty when nothing notable happened)
+ */
+function detectJobEvents(prevState, nextState) {
+  if (prevState === nextState) return [];
+  // Without a known previous state we cannot tell a new job from one already underway
+  if (UNKNOWN_JOB_STATES.includes(prevState) || UNKNOWN_JOB_STATES.includes(nextState)) return [];
+
+  const events = [];
+  const wasActive = ACTIVE_JOB_STATES.includes(prevState);
+
+  if (!wasActive && ACTIVE_JOB_STATES.includes(nextState)) {
+    events.push(PRINTER_EVENTS.JOB_STARTED);
+  }
+  if (nextState === 'PAUSED') {
+    events.push(PRINTER_EVENTS.JOB_PAUSED);
+  }
+  if (['PAUSED', 'PAUSING'].includes(prevState) && RUNNING_JOB_STATES.includes(nextState)) {
+    events.push(PRINTER_EVENTS.JOB_RESUMED);
+  }
+  if (nextState === 'COMPLETE') {
+    events.push(PRINTER_EVENTS.JOB_COMPLETED);
+  }
+  if (nextState === 'STOPPED' || (prevState === 'STOPPING' && nextState === 'IDLE')) {
+    events.push(PRINTER_EVENTS.JOB_STOPPED);
+  } else if (wasActive && nextState === 'IDLE') {
+    events.push(PRINTER_EVENTS.JOB_FAILED);
+  }
+  return events;
+}
+
+/**
+ * Details for a job event
+ * @param {string} type - Event type
+ * @param {string} prevState - Job state before the transition
+ * @param {object} lastJobAction - Last job control request on the printer ({ action, at }) or null
+ * @param {number} now - Current time (ms)
+ * @returns {object} { previousState, requested? } - `requested` is set for events a job control can cause
+ */
+function jobEventDetails(type, prevState, lastJobAction, now = Date.now()) {
+  const details = { previousState: prevState };
+  if (Object.values(JOB_ACTION_EVENTS).includes(type)) {
+    details.requested = Boolean(
+      lastJobAction &&
+      JOB_ACTION_EVENTS[lastJobAction.action] === type &&
+      now - lastJobAction.at <= REQUESTED_EVENT_WINDOW
+    );
+  }
+  return details;
+}
+
+/**
+ * Build the payload shared by every event consumer
+ * @param {string} type - Event type (see PRINTER_EVENTS)
+ * @param {object} printer - Registry entry
+ * @param {object} details - Event-specific fields
+ * @param {Date} now - Event time
+ * @returns {object} Event
+ */
+function buildPrinterEvent(type, printer, details = {}, now = new Date()) {
+  const status = printer.status || {};
+  return {
+    type,
+    timestamp: now.toISOString(),
+    printer: {
+      id: printer.id,
+      name: status.printerName || printer.name || printer.id,
+      address: printer.address
+    },
+    job: {
+      file: status.currentFile || null,
+      state: status.status?.job?.state || 'UNKNOWN',
+      progress: status.progress || 0,
+      layer: status.layers?.current || 0,
+      totalLayers: status.layers?.total || 0,
+      printTime: status.printTime || 0,
+      remainingTime: status.remainingTime || 0
+    },
+    details
+  };
+}
+
+module.exports = {
+  PRINTER_EVENTS,
+  EVENT_TYPES,
+  JOB_ACTION_EVENTS,
+  detectJobEvents,
+  jobEventDetails,
+  buildPrinterEvent
+};
@@ -0,0 +1,97 @@
+const net = require('net');
+
+// Current firmware reports 32 hex characters; any plain token is accepted
+const MAINBOARD_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Parse the PRINTER_IPS variable: comma-separated `ip`, `mainboardId@ip` or `mainboardId`.
+ * Entries are returned as written; checkPrinterPins reports the invalid ones.
+ * @param {string} value - Variable value
+ * @returns {Array<object>} Pins ({ address, mainboardId })
+ */
+function parsePrinterPins(value) {
+  return value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const at = entry.lastIndexOf('@');
+      if (at !== -1) {
+        return { mainboardId: entry.slice(0, at), address: entry.slice(at + 1) };
+      }
+      return net.isIP(entry) ? { address: entry } : { mainboardId: entry };
+    });
+}
+
+/**
+ * Validate a list of pinned printers ({ address, mainboardId, name }, at least
+ * one of address and mainboardId)
+ * @param {*} pins - Value from the config file or PRINTER_IPS
+ * @returns {string|null} Problem description, or null when valid
+ */
+function checkPrinterPins(pins) {
+  if (!Array.isArray(pins)) {
+    return 'must be a list of printers';
+  }
+  const seen = new Set();
+  for (const [index, pin] of pins.entries()) {
+    const label = `entry ${index + 1}`;
+    if (!pin || typeof pin !== 'object' || Array.isArray(pin)) {
+      return `${label} must be an object with address and/or mainboardId`;
+    }
+    const unknown = Object.keys(pin).find((key) => !['address', 'mainboardId', 'name'].includes(key));
+    if (unknown) {
+      return `${label} has an unknown field "${unknown}"`;
+    }
+    if (!pin.address && !pin.mainboardId) {
+      return `${label} needs an address or a mainboardId`;
+    }
+    if (pin.address !== undefined && !net.isIP(String(pin.address))) {
+      return `${label} address is not an IP address (${JSON.stringify(pin.address)})`;
+    }
+    if (pin.mainboardId !== undefined && !MAINBOARD_ID_PATTERN.test(String(pin.mainboardId))) {
+      return `${label} mainboardId is not a MainboardID (${JSON.stringify(pin.mainboardId)})`;
+    }
+    if (pin.name !== undefined && typeof pin.name !== 'string') {
+      return `${label} name must be a string`;
+    }
+    for (const key of [pin.address, pin.mainboardId].filter(Boolean)) {
+      if (seen.has(key)) {
+        return `${label} repeats ${key}`;
+      }
+      seen.add(key);
+    }
+  }
+  return null;
+}
+
+/**
+ * Registry ID of a pinned printer: its MainboardID, else its address
+ */
+function pinnedPrinterId(pin) {
+  return pin.mainboardId || pin.address;
+}
+
+/**
+ * Check the Attributes a printer reported against the MainboardID it is pinned to
+ * @param {object} attributes - Attributes (Cmd 1) from the printer
+ * @param {string} expectedId - Pinned MainboardID
+ * @param {string} address - Address the printer was reached at, for the message
+ * @throws {Error} With statusCode 409 when the printer is a different one
+ */
+function checkPrinterIdentity(attributes, expectedId, address) {
+  const mainboardId = attributes?.MainboardID || null;
+  if (mainboardId !== expectedId) {
+    throw Object.assign(
+      new Error(`Printer at ${address} reports MainboardID ${mainboardId || '(none)'}, expected ${expectedId}`),
+      { statusCode: 409 }
+    );
+  }
+}
+
+module.exports = {
+  parsePrinterPins,
+  checkPrinterPins,
+  pinnedPrinterId,
+  checkPrinterIdentity
+};
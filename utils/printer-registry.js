@@ -0,0 +1,179 @@
+const EventEmitter = require('events');
+
+/**
+ * Build a fresh printer status object (nested objects are never shared between printers)
+ * @param {object} overrides - Fields to set on top of the disconnected baseline
+ * @returns {object} Printer status
+ */
+function createDefaultPrinterStatus(overrides = {}) {
+  return {
+    connected: false,
+    printerName: 'Unknown',
+    state: 'Disconnected',
+    progress: 0,
+    layerProgress: 0,
+    temperatures: {
+      bed: { current: 0, target: 0 },
+      nozzle: { current: 0, target: 0 },
+      enclosure: { current: 0, target: 0 }
+    },
+    currentFile: '',
+    printTime: 0,
+    remainingTime: 0,
+    calculatedTime: null,
+    cameraAvailable: false,
+    cameraError: null,
+    // Why the last connection attempt failed (unreachable, wrong printer at a pinned address)
+    connectionError: null,
+    lastUpdate: null,
+    customState: 0,
+    layers: {
+      total: 0,
+      finished: 0
+    },
+    // Status object containing machine and job states
+    status: {
+      consolidated: 'UNKNOWN',
+      machine: { state: 'UNKNOWN', code: null },
+      job: { state: 'UNKNOWN', code: null }
+    },
+    status_code: null,
+    prev_status: null,
+    ...overrides
+  };
+}
+
+/**
+ * Derive a stable printer ID from a discovery response or a bare address.
+ * Prefers the mainboard ID so the ID survives DHCP address changes.
+ * @param {object|string} printer - Discovery response or IP address
+ * @returns {string|null} Printer ID
+ */
+function resolvePrinterId(printer) {
+  if (!printer) return null;
+  if (typeof printer === 'string') return printer;
+  return (
+    printer.Data?.MainboardID ||
+    printer.MainboardID ||
+    printer.Id ||
+    printer.address ||
+    null
+  );
+}
+
+/**
+ * Keeps one entry (SDCP client, status and camera relay state) per printer
+ */
+class PrinterRegistry extends EventEmitter {
+  constructor() {
+    super();
+    this.printers = new Map();
+    this.defaultId = null;
+  }
+
+  /**
+   * Register a printer, or return the existing entry for that ID
+   * @param {string} id - Printer ID
+   * @param {object} info - { address, name }
+   * @returns {object} Printer entry
+   */
+  add(id, { address = null, name = null } = {}) {
+    const existing = this.printers.get(id);
+    if (existing) {
+      if (address) existing.address = address;
+      if (name) existing.name = name;
+      return existing;
+    }
+
+    const entry = {
+      id,
+      address,
+      name,
+      client: null,
+      status: createDefaultPrinterStatus({ printerName: name || 'Unknown' }),
+      camera: {
+        streamURL: null,
+        stream: null,
+        // Pending on-demand start of the stream (snapshot requests)
+        wake: null,
+        subscribers: new Set(),
+        // /api/camera clients (CameraViewer), for per-viewer stats
+        viewers: new Set(),
+        latestFrame: null,
+        // Relayed frame counters for /metrics (frameRate is averaged over a few seconds)
+        framesTotal: 0,
+        frameRate: 0,
+        lastFrameAt: null,
+        frameWindow: { start: 0, frames: 0 },
+        startFailure: { lastError: null, count: 0 }
+      },
+      // Active G-code upload to this printer, if any
+      upload: null,
+      // Last job control request sent through the API ({ action, at })
+      lastJobAction: null,
+      isFirstUpdate: true
+    };
+
+    this.printers.set(id, entry);
+    if (!this.defaultId) {
+      this.defaultId = id;
+    }
+    this.emit('added', entry);
+    return entry;
+  }
+
+  get(id) {
+    return this.printers.get(id) || null;
+  }
+
+  has(id) {
+    return this.printers.has(id);
+  }
+
+  /**
+   * Find a printer entry by its current IP address
+   */
+  findByAddress(address) {
+    for (const entry of this.printers.values()) {
+      if (entry.address === address) return entry;
+    }
+    return null;
+  }
+
+  /**
+   * Return the default printer (used by the legacy single-printer endpoints)
+   */
+  getDefault() {
+    return this.defaultId ? this.get(this.defaultId) : null;
+  }
+
+  setDefault(id) {
+    if (!this.printers.has(id)) return false;
+    this.defaultId = id;
+    return true;
+  }
+
+  list() {
+    return Array.from(this.printers.values());
+  }
+
+  remove(id) {
+    const entry = this.printers.get(id);
+    if (!entry) return false;
+    this.printers.delete(id);
+    if (this.defaultId === id) {
+      const next = this.printers.keys().next();
+      this.defaultId = next.done ? null : next.value;
+    }
+    this.emit('removed', entry);
+    return true;
+  }
+
+  get size() {
+    return this.printers.size;
+  }
+}
+
+module.exports = PrinterRegistry;
+module.exports.createDefaultPrinterStatus = createDefaultPrinterStatus;
+module.exports.resolvePrinterId = resolvePrinterId;
@@ -0,0 +1,596 @@
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { MACHINE_STATUS, JOB_STATUS } = require('utils/status-codes');
+
+// Room temperature the heaters cool down to
+const AMBIENT_TEMP = 25;
+// Seconds spent in PAUSING and STOPPING before PAUSED and STOPPED
+const TRANSITION_SECONDS = 2;
+// Cmd 128/129/130/131 Ack codes
+const ACK = { OK: 0, BUSY: 1, NOT_FOUND: 2 };
+// Finished jobs kept for Cmd 320/321
+const HISTORY_LIMIT = 100;
+
+/**
+ * Script steps. A job starts with `start` and ends with `complete`, `fail` or `stop`;
+ * the steps between run in order, each for its number of simulated seconds.
+ * - start: { file, layers, nozzle, bed, seconds } homes the printer for a new job
+ * - heat: { seconds } brings nozzle and bed to the job temperatures
+ * - level: { seconds } auto bed leveling
+ * - print: { seconds, toLayer } prints up to toLayer (default: the last layer)
+ * - pause: { seconds } pauses; without seconds it waits for a resume command
+ * - complete | stop | fail: { reason, error } end the job
+ * - idle: { seconds } waits between jobs
+ */
+const JOB_ACTIONS = ['heat', 'level', 'print', 'pause', 'complete', 'stop', 'fail'];
+const SCRIPT_ACTIONS = ['start', 'idle', ...JOB_ACTIONS];
+// Steps that belong to the running job, including the homing step a start adds
+const JOB_STEPS = ['home', ...JOB_ACTIONS];
+
+const printJob = (file, layers, printSeconds) => [
+  { action: 'start', file, layers, nozzle: 220, bed: 60 },
+  { action: 'heat', seconds: 20 },
+  { action: 'level', seconds: 15 }
+].concat(printSeconds ? [{ action: 'print', seconds: printSeconds }] : []);
+
+// Built-in scripts, selected by name
+const SIMULATOR_SCRIPTS = {
+  print: [
+    ...printJob('calibration-cube.gcode', 50, 120),
+    { action: 'complete' },
+    { action: 'idle', seconds: 30 }
+  ],
+  pause: [
+    ...printJob('benchy.gcode', 120),
+    { action: 'print', seconds: 60, toLayer: 40 },
+    { action: 'pause', seconds: 20 },
+    { action: 'print', seconds: 120 },
+    { action: 'complete' },
+    { action: 'idle', seconds: 30 }
+  ],
+  error: [
+    ...printJob('phone-stand.gcode', 80),
+    { action: 'print', seconds: 45, toLayer: 25 },
+    { action: 'fail', reason: 'Filament runout', error: 3 },
+    { action: 'idle', seconds: 30 }
+  ]
+};
+SIMULATOR_SCRIPTS.demo = [...SIMULATOR_SCRIPTS.print, ...SIMULATOR_SCRIPTS.pause, ...SIMULATOR_SCRIPTS.error];
+
+/**
+ * Validate a simulator script
+ * @param {*} steps - List of steps
+ * @returns {string|null} Problem description, or null when valid
+ */
+function checkScript(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return 'must be a non-empty list of steps';
+  }
+  let inJob = false;
+  for (const [index, step] of steps.entries()) {
+    const label = `step ${index + 1}`;
+    if (!step || typeof step !== 'object' || !SCRIPT_ACTIONS.includes(step.action)) {
+      return `${label} needs an action (${SCRIPT_ACTIONS.join(', ')})`;
+    }
+    if (step.seconds !== undefined && !(typeof step.seconds === 'number' && step.seconds > 0)) {
+      return `${label} seconds must be a positive number`;
+    }
+    if (['heat', 'level', 'print', 'idle'].includes(step.action) && step.seconds === undefined) {
+      return `${label} (${step.action}) needs seconds`;
+    }
+    if (step.action === 'start') {
+      if (typeof step.file !== 'string' || !/^[^/\\]+\.gcode$/i.test(step.file)) {
+        return `${label} file must be a .gcode file name`;
+      }
+      if (!Number.isInteger(step.layers) || step.layers < 1) {
+        return `${label} layers must be a positive integer`;
+      }
+    }
+    if (JOB_ACTIONS.includes(step.action) && !inJob) {
+      return `${label} (${step.action}) is outside a job; start one first`;
+    }
+    if (step.action === 'idle' && inJob) {
+      return `${label} (idle) is inside a job; end it first`;
+    }
+    inJob = step.action === 'start' || (inJob && !['complete', 'stop', 'fail'].includes(step.action));
+  }
+  return inJob ? 'the last job never ends (complete, stop or fail)' : null;
+}
+
+/**
+ * A simulated Centauri Carbon: plays a script of print jobs and answers SDCP commands.
+ * Time only moves through tick(), so the simulator can be driven by a timer or a test.
+ * Emits 'change' whenever the machine or job status code changes.
+ */
+class PrinterSimulator extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {Array} options.script - Script steps (see SIMULATOR_SCRIPTS)
+   * @param {boolean} options.loop - Start the script over when it ends
+   * @param {string} options.name - Printer name
+   * @param {string} options.mainboardId - MainboardID
+   * @param {string} options.address - Address reported in discovery and the camera URL
+   * @param {number} options.cameraPort - Port of the MJPEG stream
+   * @param {boolean} options.camera - Whether the printer has a camera
+   * @param {number} options.maxVideoStreams - Simultaneous camera streams allowed
+   * @param {Function} options.now - Wall clock (ms), for timestamps
+   */
+  constructor({
+    script = SIMULATOR_SCRIPTS.demo,
+    loop = true,
+    name = 'Simulated Carbon',
+    mainboardId = 'SIM000000000000000000000000000001',
+    address = '127.0.0.1',
+    cameraPort = 3031,
+    camera = true,
+    maxVideoStreams = 4,
+    now = Date.now
+  } = {}) {
+    super();
+    const problem = checkScript(script);
+    if (problem) {
+      throw new Error(`Invalid simulator script: ${problem}`);
+    }
+    this.script = script;
+    this.loop = loop;
+    this.name = name;
+    this.mainboardId = mainboardId;
+    this.address = address;
+    this.cameraPort = cameraPort;
+    this.camera = camera;
+    this.maxVideoStreams = maxVideoStreams;
+    this.videoStreams = 0;
+    this.now = now;
+
+    this.machineStatus = MACHINE_STATUS.IDLE;
+    this.temperatures = {
+      nozzle: { current: AMBIENT_TEMP, target: 0 },
+      bed: { current: AMBIENT_TEMP, target: 0 },
+      box: { current: AMBIENT_TEMP, target: 0 }
+    };
+    this.job = this.emptyJob();
+    // Files in /local/, by name: size in bytes
+    this.files = new Map();
+    script.filter((step) => step.action === 'start').forEach((step) => this.files.set(step.file, step.layers * 20000));
+    // Finished jobs as Cmd 321 HistoryDetailList entries, oldest first
+    this.history = [];
+
+    this.queue = [...script];
+    this.step = null;
+    this.stepElapsed = 0;
+    // Layer the current print step started from
+    this.stepFromLayer = 0;
+    this.nextStep();
+  }
+
+  emptyJob() {
+    return {
+      status: JOB_STATUS.IDLE, file: '', taskId: '', layer: 0, totalLayers: 0,
+      ticks: 0, totalTicks: 0, errorNumber: 0, beginTime: null, nozzle: 0, bed: 0
+    };
+  }
+
+  /**
+   * Advance the simulation
+   * @param {number} seconds - Simulated seconds
+   */
+  tick(seconds) {
+    let remaining = seconds;
+    // Every script has timed steps (checkScript), so this always advances
+    while (remaining > 0 && this.step) {
+      const used = this.runStep(remaining);
+      this.updateTemperatures(used);
+      remaining -= used;
+    }
+    if (remaining > 0) {
+      this.updateTemperatures(remaining);
+    }
+  }
+
+  /**
+   * Run the current step for up to `seconds`
+   * @returns {number} Seconds used; the step is finished when it used less than given
+   */
+  runStep(seconds) {
+    const { step } = this;
+    const duration = this.stepDuration(step);
+    const used = Math.min(seconds, Math.max(0, duration - this.stepElapsed));
+    this.stepElapsed += used;
+    const done = this.stepElapsed >= duration;
+    const job = this.job;
+
+    switch (step.action) {
+      case 'home':
+      case 'heat':
+      case 'level':
+        job.ticks += used;
+        if (step.action === 'heat') this.heatToward(job, duration, used);
+        break;
+      case 'print': {
+        job.ticks += used;
+        const target = step.toLayer || job.totalLayers;
+        job.layer = done
+          ? target
+          : Math.floor(this.stepFromLayer + ((target - this.stepFromLayer) * this.stepElapsed) / duration);
+        break;
+      }
+      case 'pause':
+        if (this.stepElapsed >= TRANSITION_SECONDS) this.setStatus(MACHINE_STATUS.PRINTING, JOB_STATUS.PAUSED);
+        break;
+      case 'stop':
+        if (done) this.endJob(JOB_STATUS.STOPPED, 3);
+        break;
+      default:
+        break;
+    }
+    if (done) this.nextStep();
+    return used;
+  }
+
+  stepDuration(step) {
+    if (step.action === 'pause') return step.seconds ?? Infinity;
+    if (step.action === 'stop') return TRANSITION_SECONDS;
+    // A start only sets up the job; its seconds are spent homing
+    if (step.action === 'start') return 0;
+    return step.seconds || 0;
+  }
+
+  /**
+   * Move to the next script step and apply what it does on entry
+   */
+  nextStep() {
+    if (this.queue.length === 0 && this.loop) {
+      this.queue = [...this.script];
+    }
+    this.step = this.queue.shift() || null;
+    this.stepElapsed = 0;
+    const { step, job } = this;
+    if (!step) return;
+
+    switch (step.action) {
+      case 'start':
+        this.startJob(step);
+        this.queue.unshift({ action: 'home', seconds: step.seconds ?? 5 });
+        break;
+      case 'home':
+        this.setStatus(MACHINE_STATUS.PRINTING, JOB_STATUS.HOMING);
+        break;
+      case 'heat':
+        this.temperatures.nozzle.target = job.nozzle;
+        this.temperatures.bed.target = job.bed;
+        this.setStatus(MACHINE_STATUS.PRINTING, JOB_STATUS.PREHEATING);
+        break;
+      case 'level':
+        this.setStatus(MACHINE_STATUS.PRINTING, JOB_STATUS.LEVELING);
+        break;
+      case 'print':
+        this.stepFromLayer = job.layer;
+        this.setStatus(MACHINE_STATUS.PRINTING, JOB_STATUS.PRINTING);
+        break;
+      case 'pause':
+        this.setStatus(MACHINE_STATUS.PRINTING, JOB_STATUS.PAUSING);
+        break;
+      case 'stop':
+        this.setStatus(MACHINE_STATUS.STOPPING, JOB_STATUS.STOPPING);
+        break;
+      case 'complete':
+        job.layer = job.totalLayers;
+        this.endJob(JOB_STATUS.COMPLETE, 1);
+        break;
+      case 'fail':
+        job.errorNumber = step.error || 1;
+        this.endJob(JOB_STATUS.IDLE, 2, step.reason || 'Print failed');
+        break;
+      default:
+        break;
+    }
+  }
+
+  startJob(step) {
+    // Ticks count everything but pauses: homing, heating, leveling and printing
+    const jobSteps = [];
+    for (const next of this.queue) {
+      if (!JOB_ACTIONS.includes(next.action)) break;
+      jobSteps.push(next);
+    }
+    const totalTicks = jobSteps
+      .filter((next) => next.action !== 'pause')
+      .reduce((sum, next) => sum + (next.seconds || 0), step.seconds ?? 5);
+
+    this.job = {
+      ...this.emptyJob(),
+      status: JOB_STATUS.HOMING,
+      file: step.file,
+      taskId: uuidv4().replace(/-/g, ''),
+      totalLayers: step.layers,
+      totalTicks,
+      beginTime: Math.floor(this.now() / 1000),
+      nozzle: step.nozzle ?? 220,
+      bed: step.bed ?? 60
+    };
+    if (!this.files.has(step.file)) this.files.set(step.file, step.layers * 20000);
+    this.setStatus(MACHINE_STATUS.PRINTING, JOB_STATUS.HOMING);
+  }
+
+  /**
+   * Finish the job and add it to the printer's history
+   * @param {number} jobStatus - Final job status
+   * @param {number} taskStatus - Cmd 321 TaskStatus (1 complete, 2 failed, 3 stopped)
+   * @param {string} reason - Error reason for failed jobs
+   */
+  endJob(jobStatus, taskStatus, reason = null) {
+    const { job } = this;
+    this.history.push({
+      TaskId: job.taskId,
+      TaskName: `/local/${job.file}`,
+      BeginTime: job.beginTime,
+      EndTime: Math.floor(this.now() / 1000),
+      TaskStatus: taskStatus,
+      AlreadyPrintLayer: job.layer,
+      ErrorStatusReason: reason,
+      SliceInformation: { TotalLayers: job.totalLayers, EstimatedTime: Math.round(job.totalTicks) }
+    });
+    this.history = this.history.slice(-HISTORY_LIMIT);
+    this.temperatures.nozzle.target = 0;
+    this.temperatures.bed.target = 0;
+    this.setStatus(MACHINE_STATUS.IDLE, jobStatus);
+  }
+
+  setStatus(machineStatus, jobStatus) {
+    if (this.machineStatus === machineStatus && this.job.status === jobStatus) return;
+    this.machineStatus = machineStatus;
+    this.job.status = jobStatus;
+    this.emit('change');
+  }
+
+  /**
+   * Heating step: close the remaining gap evenly so the targets are reached when the step ends
+   */
+  heatToward(job, duration, used) {
+    const left = duration - this.stepElapsed + used;
+    const share = left > 0 ? Math.min(1, used / left) : 1;
+    ['nozzle', 'bed'].forEach((key) => {
+      const sensor = this.temperatures[key];
+      sensor.current += (sensor.target - sensor.current) * share;
+    });
+  }
+
+  /**
+   * Outside heating steps, heaters settle on their target (or cool to room temperature)
+   * and the enclosure follows the bed
+   */
+  updateTemperatures(seconds) {
+    if (seconds <= 0) return;
+    const heating = this.step?.action === 'heat';
+    [['nozzle', 20], ['bed', 60]].forEach(([key, timeConstant]) => {
+      if (heating) return;
+      const sensor = this.temperatures[key];
+      const goal = sensor.target || AMBIENT_TEMP;
+      sensor.current += (goal - sensor.current) * (1 - Math.exp(-seconds / timeConstant));
+    });
+    const box = this.temperatures.box;
+    const boxGoal = AMBIENT_TEMP + (this.temperatures.bed.current - AMBIENT_TEMP) * 0.2;
+    box.current += (boxGoal - box.current) * (1 - Math.exp(-seconds / 300));
+  }
+
+  isRunning() {
+    return [JOB_STATUS.HOMING, JOB_STATUS.PREHEATING, JOB_STATUS.LEVELING, JOB_STATUS.PRINTING].includes(this.job.status);
+  }
+
+  isPaused() {
+    return [JOB_STATUS.PAUSING, JOB_STATUS.PAUSED].includes(this.job.status);
+  }
+
+  /**
+   * Put the rest of the current step back in the queue and run `step` first
+   */
+  interrupt(step) {
+    const current = this.step;
+    const rest = { ...current, seconds: this.stepDuration(current) - this.stepElapsed };
+    if (current.action === 'print') rest.toLayer = current.toLayer || this.job.totalLayers;
+    if (rest.seconds > 0) {
+      this.queue.unshift(rest);
+    }
+    this.queue.unshift(step);
+    this.nextStep();
+  }
+
+  pause() {
+    if (!this.isRunning()) return ACK.BUSY;
+    this.interrupt({ action: 'pause' });
+    return ACK.OK;
+  }
+
+  resume() {
+    if (!this.isPaused()) return ACK.BUSY;
+    this.nextStep();
+    return ACK.OK;
+  }
+
+  stop() {
+    if (!this.isRunning() && !this.isPaused()) return ACK.BUSY;
+    // Drop what is left of the job
+    while (this.queue.length > 0 && JOB_STEPS.includes(this.queue[0].action)) {
+      this.queue.shift();
+    }
+    this.queue.unshift({ action: 'stop' });
+    this.nextStep();
+    return ACK.OK;
+  }
+
+  /**
+   * Start a stored file; the job runs instead of the rest of the script
+   * @param {string} filename - SDCP path, e.g. /local/model.gcode
+   */
+  startPrint(filename) {
+    if (this.isRunning() || this.isPaused() || this.job.status === JOB_STATUS.STOPPING) return ACK.BUSY;
+    const file = String(filename || '').replace(/^\/local\//, '');
+    if (!this.files.has(file)) return ACK.NOT_FOUND;
+    this.queue = [...printJob(file, 100, 240), { action: 'complete' }];
+    this.nextStep();
+    return ACK.OK;
+  }
+
+  /**
+   * Record an uploaded file in /local/
+   */
+  addFile(name, size) {
+    this.files.set(name, size);
+  }
+
+  /**
+   * Answer an SDCP command
+   * @param {number} cmd - Command number
+   * @param {object} data - Command data
+   * @returns {object} Response Data (Ack and command results)
+   */
+  handleCommand(cmd, data = {}) {
+    switch (cmd) {
+      case 0:
+      case 1:
+        return { Ack: 0 };
+      case 128:
+        return { Ack: this.startPrint(data.Filename) };
+      case 129:
+        return { Ack: this.pause() };
+      case 130:
+        return { Ack: this.stop() };
+      case 131:
+        return { Ack: this.resume() };
+      case 258:
+        return { Ack: 0, FileList: data.Url && !data.Url.startsWith('/local') ? [] : this.listFiles() };
+      case 259:
+        (data.FileList || []).forEach((path) => this.files.delete(String(path).replace(/^\/local\//, '')));
+        return { Ack: 0 };
+      case 320:
+        return { Ack: 0, HistoryData: this.history.map((task) => task.TaskId) };
+      case 321:
+        return { Ack: 0, HistoryDetailList: this.history.filter((task) => (data.Id || []).includes(task.TaskId)) };
+      case 386:
+        if (!this.camera) return { Ack: 2 };
+        if (this.videoStreams >= this.maxVideoStreams) return { Ack: 1 };
+        return { Ack: 0, VideoUrl: `${this.address}:${this.cameraPort}/video` };
+      default:
+        return { Ack: 0 };
+    }
+  }
+
+  listFiles() {
+    return Array.from(this.files, ([name, size]) => ({
+      name: `/local/${name}`, usedSize: size, totalSize: size, storageType: 0, type: 1
+    }));
+  }
+
+  /**
+   * Status message as pushed on sdcp/status
+   */
+  statusMessage() {
+    const { job, temperatures } = this;
+    const round = (value) => Math.round(value * 100) / 100;
+    return {
+      Status: {
+        CurrentStatus: [this.machineStatus],
+        TempOfNozzle: round(temperatures.nozzle.current),
+        TempTargetNozzle: temperatures.nozzle.target,
+        TempOfHotbed: round(temperatures.bed.current),
+        TempTargetHotbed: temperatures.bed.target,
+        TempOfBox: round(temperatures.box.current),
+        TempTargetBox: temperatures.box.target,
+        CurrentFanSpeed: { ModelFan: this.isRunning() ? 100 : 0, AuxiliaryFan: 0, BoxFan: 0 },
+        ZOffset: 0,
+        PrintSpeed: 100,
+        PrintInfo: {
+          Status: job.status,
+          CurrentLayer: job.layer,
+          TotalLayer: job.totalLayers,
+          CurrentTicks: Math.floor(job.ticks),
+          TotalTicks: Math.round(job.totalTicks),
+          Filename: job.file,
+          ErrorNumber: job.errorNumber,
+          TaskId: job.taskId,
+          PrintSpeedPct: 100,
+          Progress: job.totalLayers ? Math.floor((job.layer / job.totalLayers) * 100) : 0
+        }
+      },
+      MainboardID: this.mainboardId,
+      TimeStamp: Math.floor(this.now() / 1000),
+      Topic: `sdcp/status/${this.mainboardId}`
+    };
+  }
+
+  attributes() {
+    return {
+      Name: this.name,
+      MachineName: 'Centauri Carbon',
+      BrandName: 'ELEGOO',
+      ProtocolVersion: 'V3.0.0',
+      FirmwareVersion: 'V1.0.0-sim',
+      MainboardIP: this.address,
+      MainboardID: this.mainboardId,
+      NumberOfVideoStreamConnected: this.videoStreams,
+      MaximumVideoStreamAllowed: this.maxVideoStreams,
+      Capabilities: ['FILE_TRANSFER', 'PRINT_CONTROL', ...(this.camera ? ['VIDEO_STREAM'] : [])]
+    };
+  }
+
+  /**
+   * Attributes message as pushed on sdcp/attributes
+   */
+  attributesMessage() {
+    return {
+      Attributes: this.attributes(),
+      MainboardID: this.mainboardId,
+      TimeStamp: Math.floor(this.now() / 1000),
+      Topic: `sdcp/attributes/${this.mainboardId}`
+    };
+  }
+
+  /**
+   * UDP discovery (M99999) answer
+   */
+  discoveryResponse() {
+    const { Name, MachineName, BrandName, MainboardIP, MainboardID, ProtocolVersion, FirmwareVersion } = this.attributes();
+    return {
+      Id: uuidv4(),
+      Data: { Name, MachineName, BrandName, MainboardIP, MainboardID, ProtocolVersion, FirmwareVersion }
+    };
+  }
+
+  /**
+   * Response to an SDCP request message
+   * @param {object} request - Request as received ({ Id, Data: { Cmd, Data, RequestID } })
+   */
+  responseMessage(request) {
+    const { Cmd: cmd, Data: data, RequestID: requestId } = request.Data || {};
+    return {
+      Id: request.Id,
+      Data: {
+        Cmd: cmd,
+        Data: this.handleCommand(cmd, data || {}),
+        RequestID: requestId,
+        MainboardID: this.mainboardId,
+        TimeStamp: Math.floor(this.now() / 1000)
+      },
+      Topic: `sdcp/response/${this.mainboardId}`
+    };
+  }
+
+  /**
+   * What the camera would see, for generated frames
+   */
+  view() {
+    const { job } = this;
+    return {
+      jobStatus: job.status,
+      layer: job.layer,
+      totalLayers: job.totalLayers,
+      progress: job.totalLayers ? job.layer / job.totalLayers : 0,
+      printing: job.status === JOB_STATUS.PRINTING,
+      nozzleTemp: this.temperatures.nozzle.current
+    };
+  }
+}
+
+module.exports = PrinterSimulator;
+module.exports.SIMULATOR_SCRIPTS = SIMULATOR_SCRIPTS;
+module.exports.checkScript = checkScript;
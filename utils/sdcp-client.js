@@ -1,93 +1,300 @@
 require('utils/logger');
+const fs = require('fs');
+const path = require('path');
 const WebSocket = require('ws');
 const { v4: uuidv4 } = require('uuid');
 const EventEmitter = require('events');
 
 /**
- * SDCP (Smart Device Communication Protocol) client for Elegoo printers
+ * Connection states. Only disconnect() leads to offline; a lost connection is
+ * retried until it comes back.
+ */
+const CONNECTION_STATES = Object.freeze({
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  // Connected, but status requests are failing
+  DEGRADED: 'degraded',
+  RECONNECTING: 'reconnecting',
+  OFFLINE: 'offline'
+});
+
+// Failed status requests in a row before the connection is treated as lost
+const STATUS_FAILURE_LIMIT = 3;
+// State changes kept for getConnectionInfo()
+const TRANSITION_HISTORY_LIMIT = 20;
+
+/**
+ * Delay before a reconnect attempt: doubles with each attempt up to maxDelay, with
+ * jitter so printers lost together do not all retry at the same moment
+ * @param {number} attempt - Attempt number, from 1
+ * @param {number} baseDelay - Delay of the first attempt (ms)
+ * @param {number} maxDelay - Cap (ms)
+ * @param {number} random - Random number in [0, 1)
+ * @returns {number} Milliseconds, between half and all of the capped exponential delay
+ */
+function reconnectDelay(attempt, baseDelay, maxDelay, random = Math.random()) {
+  const delay = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + (delay / 2) * random);
+}
+
+/**
+ * SDCP (Smart Device Communication Protocol) client for Elegoo printers.
+ * Emits 'stateChange' with { state, previous, error } on every connection state change.
  */
 
 class SDCPClient extends EventEmitter {
-  constructor(printerIP) {
+  /**
+   * @param {string} printerIP - Printer address
+   * @param {object} options
+   * @param {number} options.reconnectBaseDelay - Delay before the first reconnect attempt (ms)
+   * @param {number} options.reconnectMaxDelay - Longest delay between reconnect attempts (ms)
+   */
+  constructor(printerIP, { reconnectBaseDelay = 1000, reconnectMaxDelay = 60000 } = {}) {
     super();
     this.printerIP = printerIP;
     this.wsPort = 3030;
     this.wsPath = '/websocket';
     this.ws = null;
     this.mainboardID = null;
-    this.connected = false;
+    this.state = CONNECTION_STATES.OFFLINE;
     this.messageHandlers = new Map();
     this.statusCallback = null;
-    this.reconnectInterval = null;
+    this.reconnectBaseDelay = reconnectBaseDelay;
+    this.reconnectMaxDelay = reconnectMaxDelay;
+    this.reconnectTimer = null;
     this.statusFailureCount = 0;
+    // Connection history for getConnectionInfo(); attempts counts reconnect attempts since the connection was lost
+    this.connection = {
+      since: new Date().toISOString(),
+      connectedAt: null,
+      lastError: null,
+      lastErrorAt: null,
+      attempts: 0,
+      nextAttemptAt: null,
+      transitions: []
+    };
+    // Kept so polling resumes at the same rate after a reconnect
+    this.statusPollInterval = 2000;
+    // Counters for /metrics; commands are keyed by Cmd number
+    this.stats = {
+      commands: new Map(),
+      reconnectAttempts: 0,
+      reconnects: 0
+    };
+    // JSONL stream of raw messages while capturing (see startCapture)
+    this.capture = null;
+  }
+
+  /**
+   * Record every raw message to and from the printer, one JSON line each:
+   * { at, direction: 'in' | 'out', message }. Messages that are not JSON are kept as text.
+   * Capturing continues across reconnects until stopCapture().
+   * @param {string} filePath - Capture file; appended to when it exists
+   */
+  startCapture(filePath) {
+    this.stopCapture();
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const stream = fs.createWriteStream(filePath, { flags: 'a' });
+    stream.on('error', (err) => {
+      console.error(`SDCP capture to ${filePath} failed:`, err.message);
+      if (this.capture?.stream === stream) this.capture = null;
+    });
+    this.capture = { filePath, stream };
+    console.log(`Capturing SDCP messages to ${filePath}`);
+  }
+
+  /**
+   * Stop capturing
+   * @returns {Promise<string|null>} Path of the finished capture, or null when not capturing
+   */
+  stopCapture() {
+    const { capture } = this;
+    if (!capture) return Promise.resolve(null);
+    this.capture = null;
+    return new Promise((resolve) => {
+      capture.stream.end(() => resolve(capture.filePath));
+    });
+  }
+
+  captureMessage(direction, raw) {
+    if (!this.capture) return;
+    const text = raw.toString();
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (err) {
+      message = text;
+    }
+    this.capture.stream.write(`${JSON.stringify({ at: new Date().toISOString(), direction, message })}\n`);
+  }
+
+  /**
+   * Per-command counters ({ sent, timeouts, failures, latencySum, latencyCount }, latency in seconds)
+   */
+  getCommandStats(cmd) {
+    let stats = this.stats.commands.get(cmd);
+    if (!stats) {
+      stats = { sent: 0, timeouts: 0, failures: 0, latencySum: 0, latencyCount: 0 };
+      this.stats.commands.set(cmd, stats);
+    }
+    return stats;
   }
 
   /**
-   * Connect to the printer via WebSocket
+   * Whether commands can be sent (connected or degraded)
+   */
+  get connected() {
+    return this.state === CONNECTION_STATES.CONNECTED || this.state === CONNECTION_STATES.DEGRADED;
+  }
+
+  /**
+   * Move to a connection state and emit 'stateChange'
+   * @param {string} state - One of CONNECTION_STATES
+   * @param {Error|null} error - Cause, kept as the last error even when the state does not change
+   */
+  setState(state, error = null) {
+    const at = new Date().toISOString();
+    if (error) {
+      this.connection.lastError = error.message;
+      this.connection.lastErrorAt = at;
+    }
+    if (state === this.state) return;
+    const previous = this.state;
+    this.state = state;
+    this.connection.since = at;
+    if (state === CONNECTION_STATES.CONNECTED && previous !== CONNECTION_STATES.DEGRADED) {
+      this.connection.connectedAt = at;
+      this.connection.attempts = 0;
+    } else if (!this.connected) {
+      this.connection.connectedAt = null;
+    }
+    this.connection.transitions.push({ state, at, ...(error ? { error: error.message } : {}) });
+    if (this.connection.transitions.length > TRANSITION_HISTORY_LIMIT) {
+      this.connection.transitions.shift();
+    }
+    this.emit('stateChange', { state, previous, error });
+  }
+
+  /**
+   * Connection state and history for the API
+   */
+  getConnectionInfo() {
+    const { connectedAt } = this.connection;
+    return {
+      state: this.state,
+      since: this.connection.since,
+      connectedAt,
+      uptime: connectedAt ? Math.round((Date.now() - Date.parse(connectedAt)) / 1000) : null,
+      lastError: this.connection.lastError,
+      lastErrorAt: this.connection.lastErrorAt,
+      attempts: this.connection.attempts,
+      nextAttemptAt: this.connection.nextAttemptAt,
+      reconnects: this.stats.reconnects,
+      transitions: [...this.connection.transitions]
+    };
+  }
+
+  /**
+   * Connect to the printer via WebSocket. When this fails, reconnect attempts
+   * continue in the background.
    */
   connect() {
+    this.cancelReconnect();
+    this.setState(CONNECTION_STATES.CONNECTING);
+    return this.openSocket();
+  }
+
+  openSocket() {
     return new Promise((resolve, reject) => {
       const wsUrl = `ws://${this.printerIP}:${this.wsPort}${this.wsPath}`;
       console.log(`Connecting to printer at ${wsUrl}`);
 
-      this.ws = new WebSocket(wsUrl);
+      const ws = new WebSocket(wsUrl);
+      this.ws = ws;
+      let lastError = null;
 
-      this.ws.on('open', () => {
+      ws.on('open', () => {
+        if (this.ws !== ws) return;
         console.log('WebSocket connected');
-        this.connected = true;
+        this.statusFailureCount = 0;
+        if (this.state === CONNECTION_STATES.RECONNECTING) {
+          this.stats.reconnects += 1;
+        }
         // Start keepalive when connected
         this.startKeepAlive();
+        this.setState(CONNECTION_STATES.CONNECTED);
+        // Polling keeps running while the connection is down; refresh everything now
+        if (this.pollingInterval) {
+          this.requestStatus();
+          this.requestAttributes();
+        }
         resolve();
       });
 
-      this.ws.on('message', (data) => {
+      ws.on('message', (data) => {
+        this.captureMessage('in', data);
         this.handleMessage(data);
       });
 
-      this.ws.on('error', (err) => {
-        console.error('WebSocket error:', err);
-        this.connected = false;
-        this.stopStatusPolling();
-        this.stopKeepAlive();
-        this.emit('error', err);
-        if (!this.connected) {
-          reject(err);
-        }
+      ws.on('error', (err) => {
+        console.error('WebSocket error:', err.message);
+        lastError = err;
+        reject(err);
       });
 
-      this.ws.on('close', () => {
-        console.log('WebSocket disconnected');
-        this.connected = false;
-        this.stopStatusPolling();
-        this.stopKeepAlive();
-        this.emit('disconnect');
-        this.scheduleReconnect();
+      ws.on('close', () => {
+        // Closed by disconnect() or replaced: leave the state alone
+        if (this.ws !== ws) return;
+        this.ws = null;
+        const err = lastError || new Error('Connection closed');
+        reject(err);
+        this.connectionLost(err);
       });
 
-      this.ws.on('ping', () => {
-        this.ws.pong();
+      ws.on('ping', () => {
+        ws.pong();
       });
     });
   }
 
   /**
-   * Schedule reconnection attempt
+   * Retry a connection that was lost or could not be opened
+   */
+  connectionLost(err) {
+    console.log(`Connection to ${this.printerIP} lost: ${err.message}`);
+    this.stopKeepAlive();
+    this.setState(CONNECTION_STATES.RECONNECTING, err);
+    this.scheduleReconnect();
+  }
+
+  /**
+   * Schedule the next reconnect attempt with exponential backoff
    */
   scheduleReconnect() {
-    if (this.reconnectInterval) return;
-    this.reconnectInterval = setInterval(async () => {
-      console.log('Attempting to reconnect...');
-      try {
-        await this.connect();
-        clearInterval(this.reconnectInterval);
-        this.reconnectInterval = null;
-        // Only start polling after successful reconnect
-        this.startStatusPolling();
-        this.emit('reconnected');
-      } catch (err) {
-        console.error('Reconnection failed:', err.message);
-      }
-    }, 5000);
+    if (this.reconnectTimer) return;
+    const delay = reconnectDelay(this.connection.attempts + 1, this.reconnectBaseDelay, this.reconnectMaxDelay);
+    this.connection.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    this.reconnectTimer = setTimeout(() => this.attemptReconnect(), delay);
+  }
+
+  async attemptReconnect() {
+    this.reconnectTimer = null;
+    this.connection.nextAttemptAt = null;
+    this.connection.attempts += 1;
+    this.stats.reconnectAttempts += 1;
+    console.log(`Reconnecting to ${this.printerIP} (attempt ${this.connection.attempts})...`);
+    try {
+      await this.openSocket();
+    } catch (err) {
+      // The socket's close handler schedules the next attempt
+      console.error('Reconnection failed:', err.message);
+    }
+  }
+
+  cancelReconnect() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.connection.nextAttemptAt = null;
   }
 
   /**
@@ -107,8 +314,9 @@ class SDCPClient extends EventEmitter {
       if (message.Topic) {
         if (message.Topic.includes('status') && this.statusCallback) {
           this.statusCallback(message);
-        } else if (message.Topic.includes('attributes') && this.statusCallback) {
-          this.statusCallback(message);
+        } else if (message.Topic.includes('attributes')) {
+          if (message.Attributes) this.emit('attributes', message.Attributes);
+          if (this.statusCallback) this.statusCallback(message);
         }
       }
 
@@ -151,15 +359,24 @@ class SDCPClient extends EventEmitter {
         Topic: `sdcp/request/${this.mainboardID || ''}`
       };
 
+      const stats = this.getCommandStats(cmd);
+      const sentAt = process.hrtime.bigint();
+      stats.sent += 1;
+
       // Register handler for response
       this.messageHandlers.set(requestID, (response) => {
+        stats.latencySum += Number(process.hrtime.bigint() - sentAt) / 1e9;
+        stats.latencyCount += 1;
         resolve(response);
       });
 
       // Send message
-      this.ws.send(JSON.stringify(message), (err) => {
+      const raw = JSON.stringify(message);
+      this.captureMessage('out', raw);
+      this.ws.send(raw, (err) => {
         if (err) {
           this.messageHandlers.delete(requestID);
+          stats.failures += 1;
           reject(err);
         }
       });
@@ -168,6 +385,7 @@ class SDCPClient extends EventEmitter {
       setTimeout(() => {
         if (this.messageHandlers.has(requestID)) {
           this.messageHandlers.delete(requestID);
+          stats.timeouts += 1;
           reject(new Error('Command timeout'));
         }
       }, 10000);
@@ -184,21 +402,34 @@ class SDCPClient extends EventEmitter {
         this.statusCallback(response);
       }
       this.statusFailureCount = 0;
+      if (this.state === CONNECTION_STATES.DEGRADED) {
+        this.setState(CONNECTION_STATES.CONNECTED);
+      }
       return response;
     } catch (err) {
       console.error('Failed to request status:', err.message);
+      if (!this.connected) return null;
       this.statusFailureCount += 1;
-      if (this.statusFailureCount >= 3) {
+      if (this.statusFailureCount >= STATUS_FAILURE_LIMIT) {
         this.statusFailureCount = 0;
-        // Treat repeated failures as lost connection
-        this.disconnect();
-        this.emit('disconnect');
-        this.scheduleReconnect();
+        this.dropConnection(err);
+      } else {
+        this.setState(CONNECTION_STATES.DEGRADED, err);
       }
       return null;
     }
   }
 
+  /**
+   * Close a connection that stopped answering and reconnect
+   */
+  dropConnection(err) {
+    const { ws } = this;
+    this.ws = null;
+    if (ws) ws.terminate();
+    this.connectionLost(err);
+  }
+
   /**
    * Request printer attributes (Cmd: 1)
    */
@@ -215,6 +446,31 @@ class SDCPClient extends EventEmitter {
     }
   }
 
+  /**
+   * Request the printer's attributes (Cmd: 1) and wait for them to arrive on the
+   * attributes topic
+   * @param {number} timeout - Milliseconds to wait
+   * @returns {Promise<object>} Attributes, including MainboardID
+   */
+  identify(timeout = 10000) {
+    return new Promise((resolve, reject) => {
+      const onAttributes = (attributes) => {
+        clearTimeout(timer);
+        resolve(attributes);
+      };
+      const timer = setTimeout(() => {
+        this.off('attributes', onAttributes);
+        reject(new Error('Printer did not report its attributes'));
+      }, timeout);
+      this.once('attributes', onAttributes);
+      this.sendCommand(1).catch((err) => {
+        clearTimeout(timer);
+        this.off('attributes', onAttributes);
+        reject(err);
+      });
+    });
+  }
+
   /**
    * Request camera stream URL (Cmd: 386)
    */
@@ -233,6 +489,86 @@ class SDCPClient extends EventEmitter {
     }
   }
 
+  /**
+   * Send a command whose response carries an Ack code and fail unless it is 0
+   */
+  async sendControlCommand(cmd, data = {}) {
+    const response = await this.sendCommand(cmd, data);
+    const ack = response?.Data?.Data?.Ack;
+    if (ack !== undefined && ack !== 0) {
+      throw new Error(`Printer rejected command ${cmd} (Ack ${ack})`);
+    }
+    return response;
+  }
+
+  /**
+   * Pause the current print job (Cmd: 129)
+   */
+  pausePrint() {
+    return this.sendControlCommand(129);
+  }
+
+  /**
+   * Stop the current print job (Cmd: 130)
+   */
+  stopPrint() {
+    return this.sendControlCommand(130);
+  }
+
+  /**
+   * Resume a paused print job (Cmd: 131)
+   */
+  resumePrint() {
+    return this.sendControlCommand(131);
+  }
+
+  /**
+   * Start printing a file stored on the printer (Cmd: 128)
+   * @param {string} filename - SDCP path, e.g. /local/model.gcode
+   * @param {number} startLayer - Layer to start from
+   */
+  startPrint(filename, startLayer = 0) {
+    return this.sendControlCommand(128, { Filename: filename, StartLayer: startLayer });
+  }
+
+  /**
+   * List files in a folder on the printer (Cmd: 258)
+   * @param {string} url - Folder path, e.g. /local/ or /usb/
+   * @returns {Promise<Array>} Raw FileList entries
+   */
+  async listFiles(url = '/local/') {
+    const response = await this.sendControlCommand(258, { Url: url });
+    return response?.Data?.Data?.FileList || [];
+  }
+
+  /**
+   * Delete files and folders on the printer (Cmd: 259)
+   * @param {string[]} files - File paths
+   * @param {string[]} folders - Folder paths
+   */
+  deleteFiles(files = [], folders = []) {
+    return this.sendControlCommand(259, { FileList: files, FolderList: folders });
+  }
+
+  /**
+   * Request the IDs of the printer's stored print tasks (Cmd: 320)
+   * @returns {Promise<string[]>} Task IDs
+   */
+  async requestHistoryList() {
+    const response = await this.sendControlCommand(320);
+    return response?.Data?.Data?.HistoryData || [];
+  }
+
+  /**
+   * Request details for stored print tasks (Cmd: 321)
+   * @param {string[]} taskIds - Task IDs from requestHistoryList
+   * @returns {Promise<Array>} HistoryDetailList entries
+   */
+  async requestTaskDetails(taskIds) {
+    const response = await this.sendControlCommand(321, { Id: taskIds });
+    return response?.Data?.Data?.HistoryDetailList || [];
+  }
+
   /**
    * Set callback for status updates
    */
@@ -241,10 +577,13 @@ class SDCPClient extends EventEmitter {
   }
 
   /**
-   * Start periodic status polling
+   * Start periodic status polling. Polling pauses while the connection is down and
+   * resumes on its own after a reconnect.
+   * @param {number} interval - Milliseconds between status requests (default: the last one used)
    */
-  startStatusPolling(interval = 2000) {
+  startStatusPolling(interval = this.statusPollInterval) {
     this.stopStatusPolling();
+    this.statusPollInterval = interval;
     // Only poll if connected
     this.pollingInterval = setInterval(() => {
       if (this.connected) {
@@ -292,21 +631,20 @@ class SDCPClient extends EventEmitter {
   }
 
   /**
-   * Disconnect from printer
+   * Disconnect from printer and stop reconnecting
    */
   disconnect() {
     this.stopStatusPolling();
     this.stopKeepAlive();
-    if (this.reconnectInterval) {
-      clearInterval(this.reconnectInterval);
-      this.reconnectInterval = null;
-    }
+    this.cancelReconnect();
     if (this.ws) {
       this.ws.close();
       this.ws = null;
     }
-    this.connected = false;
+    this.setState(CONNECTION_STATES.OFFLINE);
   }
 }
 
 module.exports = SDCPClient;
+module.exports.CONNECTION_STATES = CONNECTION_STATES;
+module.exports.reconnectDelay = reconnectDelay;
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const EventEmitter = require('events');
+
+/**
+ * Parse a capture written by SDCPClient.startCapture
+ * @param {string} text - JSONL capture
+ * @param {string} source - File name, for error messages
+ * @returns {Array<object>} Entries ({ at, direction, message }) in file order
+ * @throws {Error} Naming the first line that is not a capture entry
+ */
+function parseCapture(text, source = 'capture') {
+  return text.split('\n').flatMap((line, index) => {
+    if (!line.trim()) return [];
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`${source} line ${index + 1} is not valid JSON (${err.message})`);
+    }
+    if (!entry || !['in', 'out'].includes(entry.direction) || Number.isNaN(Date.parse(entry.at))) {
+      throw new Error(`${source} line ${index + 1} is not a capture entry ({ at, direction, message })`);
+    }
+    return [entry];
+  });
+}
+
+/**
+ * Read a capture file
+ * @param {string} filePath - JSONL capture
+ */
+function readCapture(filePath) {
+  return parseCapture(fs.readFileSync(filePath, 'utf8'), filePath);
+}
+
+/**
+ * Whether a message from the printer is one SDCPClient hands to its status callback
+ */
+function isStateMessage(message) {
+  return Boolean(message && typeof message.Topic === 'string' && /status|attributes/.test(message.Topic));
+}
+
+/**
+ * Status and attributes messages the printer sent, in order
+ * @param {Array<object>} entries - Capture entries
+ */
+function stateMessages(entries) {
+  return entries
+    .filter((entry) => entry.direction === 'in' && isStateMessage(entry.message))
+    .map((entry) => entry.message);
+}
+
+/**
+ * Plays the status and attributes messages of a capture with their original
+ * spacing, divided by `speed`. Emits 'message' with each message and 'end' when done.
+ */
+class CaptureReplay extends EventEmitter {
+  /**
+   * @param {Array<object>} entries - Capture entries
+   * @param {object} options
+   * @param {number} options.speed - Playback speed; Infinity plays without waiting
+   */
+  constructor(entries, { speed = 1 } = {}) {
+    super();
+    if (!(typeof speed === 'number' && speed > 0)) {
+      throw new Error(`Replay speed must be a positive number (got ${JSON.stringify(speed)})`);
+    }
+    this.entries = entries.filter((entry) => entry.direction === 'in' && isStateMessage(entry.message));
+    this.speed = speed;
+    this.index = 0;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.entries.length === 0) {
+      this.emit('end');
+      return;
+    }
+    this.scheduleNext(0);
+  }
+
+  scheduleNext(delay) {
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      const entry = this.entries[this.index];
+      this.index += 1;
+      this.emit('message', entry.message);
+      const next = this.entries[this.index];
+      if (!next) {
+        this.emit('end');
+        return;
+      }
+      const gap = Math.max(0, Date.parse(next.at) - Date.parse(entry.at));
+      this.scheduleNext(Number.isFinite(this.speed) ? gap / this.speed : 0);
+    }, delay);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  parseCapture,
+  readCapture,
+  isStateMessage,
+  stateMessages,
+  CaptureReplay
+};
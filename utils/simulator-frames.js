@@ -0,0 +1,88 @@
+const { encodeGrayscaleJpeg } = require('utils/jpeg-encoder');
+
+// 3x5 pixel glyphs, one string per row
+const GLYPHS = {
+  0: ['111', '101', '101', '101', '111'],
+  1: ['010', '110', '010', '010', '111'],
+  2: ['111', '001', '111', '100', '111'],
+  3: ['111', '001', '111', '001', '111'],
+  4: ['101', '101', '111', '001', '001'],
+  5: ['111', '100', '111', '001', '111'],
+  6: ['111', '100', '111', '101', '111'],
+  7: ['111', '001', '010', '010', '010'],
+  8: ['111', '101', '111', '101', '111'],
+  9: ['111', '101', '111', '001', '111'],
+  ':': ['000', '010', '000', '010', '000'],
+  '/': ['001', '001', '010', '100', '100'],
+  '%': ['101', '001', '010', '100', '101'],
+  ' ': ['000', '000', '000', '000', '000']
+};
+
+function fillRect(pixels, width, height, x, y, w, h, value) {
+  for (let row = Math.max(0, y); row < Math.min(height, y + h); row += 1) {
+    pixels.fill(value, row * width + Math.max(0, x), row * width + Math.min(width, x + w));
+  }
+}
+
+function drawText(pixels, width, height, text, x, y, scale, value) {
+  [...text].forEach((char, index) => {
+    const glyph = GLYPHS[char] || GLYPHS[' '];
+    glyph.forEach((row, gy) => {
+      [...row].forEach((bit, gx) => {
+        if (bit === '1') {
+          fillRect(pixels, width, height, x + (index * 4 + gx) * scale, y + gy * scale, scale, scale, value);
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Draw a camera frame of the simulated printer: the part growing on the bed, the
+ * nozzle moving while printing, the wall clock and the layer counter
+ * @param {object} view - PrinterSimulator.view()
+ * @param {object} options
+ * @param {number} options.width - Frame width
+ * @param {number} options.height - Frame height
+ * @param {Date} options.time - Clock shown on the frame
+ * @returns {Buffer} JPEG frame
+ */
+function renderFrame(view, { width = 320, height = 240, time = new Date() } = {}) {
+  const pixels = new Uint8Array(width * height);
+  for (let y = 0; y < height; y += 1) {
+    pixels.fill(30 + Math.round((y / height) * 30), y * width, (y + 1) * width);
+  }
+
+  // Bed and the printed part, one shade band every few layers
+  const bedTop = height - 40;
+  fillRect(pixels, width, height, 20, bedTop, width - 40, 8, 140);
+  const partWidth = Math.round(width / 3);
+  const partLeft = Math.round((width - partWidth) / 2);
+  const partHeight = Math.round(view.progress * (height - 100));
+  for (let row = 0; row < partHeight; row += 1) {
+    const shade = Math.floor(row / 4) % 2 ? 190 : 175;
+    fillRect(pixels, width, height, partLeft, bedTop - 1 - row, partWidth, 1, shade);
+  }
+
+  // Nozzle sweeps across the part while printing, otherwise it is parked
+  const sweep = view.printing ? (Math.sin(time.getTime() / 400) + 1) / 2 : 0;
+  const nozzleX = view.printing ? partLeft + Math.round(sweep * (partWidth - 12)) : 24;
+  const nozzleY = bedTop - partHeight - 22;
+  fillRect(pixels, width, height, nozzleX, nozzleY, 12, 16, view.nozzleTemp > 150 ? 240 : 110);
+  fillRect(pixels, width, height, nozzleX + 4, nozzleY + 16, 4, 4, 220);
+
+  const clock = [time.getHours(), time.getMinutes(), time.getSeconds()]
+    .map((part) => String(part).padStart(2, '0'))
+    .join(':');
+  drawText(pixels, width, height, clock, 8, 8, 3, 235);
+  if (view.totalLayers) {
+    const counter = `${view.layer}/${view.totalLayers} ${Math.floor(view.progress * 100)}%`;
+    drawText(pixels, width, height, counter, width - 8 - counter.length * 12, 8, 3, 235);
+  }
+
+  return encodeGrayscaleJpeg(pixels, width, height, 70);
+}
+
+module.exports = {
+  renderFrame
+};
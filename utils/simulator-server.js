@@ -0,0 +1,331 @@
+require('module-alias/register');
+
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const dgram = require('dgram');
+const WebSocket = require('ws');
+const PrinterSimulator = require('utils/printer-simulator');
+const { renderFrame } = require('utils/simulator-frames');
+
+const { SIMULATOR_SCRIPTS } = PrinterSimulator;
+const MJPEG_BOUNDARY = 'frame';
+
+/**
+ * First external IPv4 address of this machine, else loopback
+ */
+function defaultAddress() {
+  const iface = Object.values(os.networkInterfaces())
+    .flat()
+    .find((entry) => entry && (entry.family === 'IPv4' || entry.family === 4) && !entry.internal);
+  return iface ? iface.address : '127.0.0.1';
+}
+
+/**
+ * Read a form field from a multipart upload chunk (the file part is binary, the
+ * fields around it are plain text)
+ */
+function formField(body, name) {
+  const match = body.match(new RegExp(`name="${name}"\\r\\n\\r\\n([^\\r]*)`));
+  return match ? match[1] : null;
+}
+
+/**
+ * Network side of the printer simulator: answers UDP discovery, serves the SDCP
+ * WebSocket and file upload like the printer's port 3030, and streams generated
+ * camera frames as MJPEG
+ */
+class SimulatorServer {
+  /**
+   * @param {object} options
+   * @param {PrinterSimulator} options.simulator - Simulated printer
+   * @param {string} options.host - Address to listen on
+   * @param {number} options.port - SDCP WebSocket and upload port (0 picks a free one)
+   * @param {number} options.cameraPort - MJPEG port (0 picks a free one)
+   * @param {number|null} options.discoveryPort - UDP discovery port, null to not answer discovery
+   * @param {number} options.speed - Simulated seconds per real second
+   * @param {number} options.tickInterval - Milliseconds between simulation steps
+   * @param {number} options.fps - Camera frames per second
+   */
+  constructor({
+    simulator,
+    host = '0.0.0.0',
+    port = 3030,
+    cameraPort = 3031,
+    discoveryPort = 3000,
+    speed = 1,
+    tickInterval = 500,
+    fps = 5
+  }) {
+    this.simulator = simulator;
+    this.host = host;
+    this.port = port;
+    this.cameraPort = cameraPort;
+    this.discoveryPort = discoveryPort;
+    this.speed = speed;
+    this.tickInterval = tickInterval;
+    this.fps = fps;
+    this.viewers = new Set();
+    this.latestFrame = null;
+    this.tickTimer = null;
+    this.frameTimer = null;
+    this.onChange = () => this.broadcast(this.simulator.statusMessage());
+  }
+
+  async start() {
+    this.sdcpServer = http.createServer((req, res) => this.handleHttp(req, res));
+    this.wss = new WebSocket.Server({ server: this.sdcpServer, path: '/websocket' });
+    // The server's listen errors are repeated here; listen() already rejects with them
+    this.wss.on('error', () => {});
+    this.wss.on('connection', (ws) => {
+      ws.on('message', (data) => this.handleMessage(ws, data));
+      ws.on('error', (err) => console.warn('[Simulator] WebSocket error:', err.message));
+    });
+    this.cameraServer = http.createServer((req, res) => this.handleCamera(req, res));
+
+    this.port = await this.listen(this.sdcpServer, this.port);
+    this.cameraPort = await this.listen(this.cameraServer, this.cameraPort);
+    this.simulator.cameraPort = this.cameraPort;
+    if (this.discoveryPort !== null) {
+      await this.startDiscovery();
+    }
+
+    this.simulator.on('change', this.onChange);
+    this.tickTimer = setInterval(() => {
+      this.simulator.tick((this.tickInterval / 1000) * this.speed);
+    }, this.tickInterval);
+  }
+
+  listen(server, port) {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, this.host, () => {
+        server.off('error', reject);
+        resolve(server.address().port);
+      });
+    });
+  }
+
+  startDiscovery() {
+    return new Promise((resolve) => {
+      this.udp = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+      this.udp.on('message', (msg, rinfo) => {
+        if (msg.toString().trim() !== 'M99999') return;
+        this.udp.send(JSON.stringify(this.simulator.discoveryResponse()), rinfo.port, rinfo.address);
+      });
+      // Discovery is optional: the printer can still be added by address
+      this.udp.on('error', (err) => {
+        console.warn(`[Simulator] Not answering discovery on UDP ${this.discoveryPort}:`, err.message);
+        this.udp.close();
+        this.udp = null;
+        resolve();
+      });
+      this.udp.bind(this.discoveryPort, () => {
+        this.discoveryPort = this.udp.address().port;
+        resolve();
+      });
+    });
+  }
+
+  handleMessage(ws, data) {
+    let request;
+    try {
+      request = JSON.parse(data.toString());
+    } catch (err) {
+      console.warn('[Simulator] Ignoring message that is not JSON');
+      return;
+    }
+    const cmd = request?.Data?.Cmd;
+    if (typeof cmd !== 'number') return;
+    this.send(ws, this.simulator.responseMessage(request));
+    if (cmd === 0) this.send(ws, this.simulator.statusMessage());
+    if (cmd === 1) this.send(ws, this.simulator.attributesMessage());
+  }
+
+  send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+
+  broadcast(message) {
+    this.wss?.clients.forEach((ws) => this.send(ws, message));
+  }
+
+  /**
+   * Port 3030 HTTP: chunked file upload (see utils/file-uploader)
+   */
+  handleHttp(req, res) {
+    if (req.method !== 'POST' || req.url !== '/uploadFile/upload') {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('latin1');
+      const filenameMatch = body.match(/filename="([^"]+)"/);
+      const totalSize = Number(formField(body, 'TotalSize'));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      if (!filenameMatch || !Number.isFinite(totalSize)) {
+        res.end(JSON.stringify({ code: '000001', messages: ['Missing file or TotalSize'], data: {}, success: false }));
+        return;
+      }
+      this.simulator.addFile(filenameMatch[1], totalSize);
+      res.end(JSON.stringify({ code: '000000', messages: null, data: {}, success: true }));
+    });
+  }
+
+  /**
+   * Camera port: MJPEG stream at /video, like the printer's camera
+   */
+  handleCamera(req, res) {
+    if (req.url !== '/video') {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    if (!this.simulator.camera || this.viewers.size >= this.simulator.maxVideoStreams) {
+      res.writeHead(503);
+      res.end();
+      return;
+    }
+    res.writeHead(200, {
+      'Content-Type': `multipart/x-mixed-replace; boundary=${MJPEG_BOUNDARY}`,
+      'Cache-Control': 'no-cache'
+    });
+    this.viewers.add(res);
+    this.simulator.videoStreams = this.viewers.size;
+    if (!this.frameTimer) {
+      this.frameTimer = setInterval(() => this.sendFrame(), Math.round(1000 / this.fps));
+      this.sendFrame();
+    }
+    req.on('close', () => {
+      this.viewers.delete(res);
+      this.simulator.videoStreams = this.viewers.size;
+      if (this.viewers.size === 0) {
+        clearInterval(this.frameTimer);
+        this.frameTimer = null;
+      }
+    });
+  }
+
+  sendFrame() {
+    this.latestFrame = renderFrame(this.simulator.view());
+    const header = `--${MJPEG_BOUNDARY}\r\nContent-Type: image/jpeg\r\nContent-Length: ${this.latestFrame.length}\r\n\r\n`;
+    this.viewers.forEach((res) => {
+      res.write(header);
+      res.write(this.latestFrame);
+      res.write('\r\n');
+    });
+  }
+
+  async stop() {
+    clearInterval(this.tickTimer);
+    clearInterval(this.frameTimer);
+    this.tickTimer = null;
+    this.frameTimer = null;
+    this.simulator.off('change', this.onChange);
+    this.viewers.forEach((res) => res.end());
+    this.viewers.clear();
+    this.wss?.clients.forEach((ws) => ws.terminate());
+    this.udp?.close();
+    this.udp = null;
+    await Promise.all([this.sdcpServer, this.cameraServer].filter(Boolean).map((server) => (
+      new Promise((resolve) => server.close(() => resolve()))
+    )));
+  }
+}
+
+/**
+ * Load a script by built-in name or from a JSON file
+ */
+function loadScript(nameOrPath) {
+  if (SIMULATOR_SCRIPTS[nameOrPath]) return SIMULATOR_SCRIPTS[nameOrPath];
+  if (!fs.existsSync(nameOrPath)) {
+    throw new Error(`Unknown script "${nameOrPath}" (built in: ${Object.keys(SIMULATOR_SCRIPTS).join(', ')}, or a JSON file)`);
+  }
+  return JSON.parse(fs.readFileSync(nameOrPath, 'utf8'));
+}
+
+/**
+ * Parse command-line options (--name value, --flag)
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const key = argv[i].replace(/^--/, '');
+    if (['no-camera', 'no-discovery', 'no-loop', 'help'].includes(key)) {
+      options[key] = true;
+    } else {
+      options[key] = argv[i + 1];
+      i += 1;
+    }
+  }
+  return options;
+}
+
+const USAGE = `Usage: node utils/simulator-server.js [options]
+  --script <name|file>   demo (default), print, pause, error, or a JSON script file
+  --speed <n>            Simulated seconds per real second (default: 1)
+  --name <name>          Printer name (default: Simulated Carbon)
+  --id <mainboardId>     MainboardID
+  --host <address>       Address to listen on (default: 0.0.0.0)
+  --address <address>    Address reported in discovery and the camera URL
+  --port <port>          SDCP WebSocket port (default: 3030)
+  --camera-port <port>   MJPEG port (default: 3031)
+  --no-camera            Report that the printer has no camera
+  --no-discovery         Do not answer UDP discovery
+  --no-loop              Stay idle when the script ends`;
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+  const numbers = { port: args.port, 'camera-port': args['camera-port'], speed: args.speed };
+  const invalid = Object.entries(numbers).find(([, value]) => value !== undefined && !(Number(value) >= 0));
+  if (invalid) {
+    throw new Error(`--${invalid[0]} must be a number (got ${JSON.stringify(invalid[1])})`);
+  }
+  const address = args.address || (args.host && args.host !== '0.0.0.0' ? args.host : defaultAddress());
+  const simulator = new PrinterSimulator({
+    script: loadScript(args.script || 'demo'),
+    loop: !args['no-loop'],
+    name: args.name,
+    mainboardId: args.id,
+    address,
+    camera: !args['no-camera']
+  });
+  const server = new SimulatorServer({
+    simulator,
+    host: args.host,
+    port: args.port === undefined ? undefined : Number(args.port),
+    cameraPort: args['camera-port'] === undefined ? undefined : Number(args['camera-port']),
+    discoveryPort: args['no-discovery'] ? null : undefined,
+    speed: args.speed === undefined ? undefined : Number(args.speed)
+  });
+  await server.start();
+  console.log(`[Simulator] ${simulator.name} (${simulator.mainboardId}) at ws://${address}:${server.port}/websocket`);
+  console.log(`[Simulator] Camera at http://${address}:${server.cameraPort}/video`);
+
+  simulator.on('change', () => {
+    const { Status } = simulator.statusMessage();
+    console.log(`[Simulator] Machine ${Status.CurrentStatus[0]}, job ${Status.PrintInfo.Status} (${Status.PrintInfo.Filename || 'no file'}, layer ${Status.PrintInfo.CurrentLayer}/${Status.PrintInfo.TotalLayer})`);
+  });
+  process.on('SIGINT', () => {
+    server.stop().then(() => process.exit(0));
+  });
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('[Simulator]', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = SimulatorServer;
+module.exports.loadScript = loadScript;
@@ -0,0 +1,239 @@
+// Values tracked per sample; temperatures are stored exactly as the printer reports them
+const TELEMETRY_CHANNELS = [
+  'bed',
+  'bedTarget',
+  'nozzle',
+  'nozzleTarget',
+  'enclosure',
+  'enclosureTarget',
+  'progress',
+  'layer'
+];
+
+// Storage tiers, finest first: bucket width and how long buckets are kept (ms)
+const DEFAULT_TIERS = [
+  { interval: 5 * 1000, retention: 2 * 60 * 60 * 1000 },
+  { interval: 60 * 1000, retention: 48 * 60 * 60 * 1000 }
+];
+
+// Default number of points returned when no resolution is given
+const DEFAULT_MAX_POINTS = 500;
+const DEFAULT_RANGE = 60 * 60 * 1000;
+
+/**
+ * Parse a query time: ISO date or milliseconds since epoch; empty means "not given"
+ */
+function parseTime(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  if (typeof value === 'number' || /^\d+$/.test(value)) return Number(value);
+  return new Date(value).getTime();
+}
+
+function createBucket(start) {
+  return { start, count: 0, values: {} };
+}
+
+/**
+ * Fold one value into a channel's running stats
+ */
+function addToChannel(bucket, channel, value) {
+  const stats = bucket.values[channel];
+  if (!stats) {
+    bucket.values[channel] = { sum: value, count: 1, min: value, max: value, last: value };
+    return;
+  }
+  stats.sum += value;
+  stats.count += 1;
+  stats.min = Math.min(stats.min, value);
+  stats.max = Math.max(stats.max, value);
+  stats.last = value;
+}
+
+/**
+ * Fold a whole bucket into another (used when serving coarser resolutions)
+ */
+function mergeBucket(target, source) {
+  target.count += source.count;
+  Object.entries(source.values).forEach(([channel, stats]) => {
+    const existing = target.values[channel];
+    if (!existing) {
+      target.values[channel] = { ...stats };
+      return;
+    }
+    existing.sum += stats.sum;
+    existing.count += stats.count;
+    existing.min = Math.min(existing.min, stats.min);
+    existing.max = Math.max(existing.max, stats.max);
+    existing.last = stats.last;
+  });
+}
+
+function temperaturePoint(bucket, channel) {
+  const current = bucket.values[channel];
+  const target = bucket.values[`${channel}Target`];
+  return {
+    // Skip the division when the value held steady so the printer's reading is returned as-is
+    current: current ? (current.min === current.max ? current.min : current.sum / current.count) : null,
+    min: current ? current.min : null,
+    max: current ? current.max : null,
+    target: target ? target.last : null
+  };
+}
+
+function toPoint(bucket) {
+  return {
+    time: new Date(bucket.start).toISOString(),
+    samples: bucket.count,
+    bed: temperaturePoint(bucket, 'bed'),
+    nozzle: temperaturePoint(bucket, 'nozzle'),
+    enclosure: temperaturePoint(bucket, 'enclosure'),
+    progress: bucket.values.progress ? bucket.values.progress.last : null,
+    layer: bucket.values.layer ? bucket.values.layer.last : null
+  };
+}
+
+/**
+ * Rolling, downsampled time series of printer temperatures, progress and layer.
+ * Samples are folded into fixed-width buckets per tier (mean/min/max/last per channel),
+ * so memory stays bounded no matter how often the printer reports.
+ */
+class TelemetryBuffer {
+  /**
+   * @param {object} options
+   * @param {Array} options.tiers - [{ interval, retention }] in ms, finest first
+   */
+  constructor({ tiers = DEFAULT_TIERS } = {}) {
+    this.tiers = tiers.slice().sort((a, b) => a.interval - b.interval);
+    this.series = new Map(); // printerId -> { last, tiers: [{ buckets, current }] }
+  }
+
+  getSeries(printerId) {
+    let series = this.series.get(printerId);
+    if (!series) {
+      series = {
+        last: {},
+        tiers: this.tiers.map(() => ({ buckets: [], current: null }))
+      };
+      this.series.set(printerId, series);
+    }
+    return series;
+  }
+
+  /**
+   * Add a sample. Channels missing from the sample keep their last known value.
+   * @param {string} printerId - Registry ID
+   * @param {object} sample - Channel values (see TELEMETRY_CHANNELS)
+   * @param {number} now - Sample time (ms since epoch)
+   */
+  record(printerId, sample, now = Date.now()) {
+    const series = this.getSeries(printerId);
+    TELEMETRY_CHANNELS.forEach((channel) => {
+      const value = sample?.[channel];
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        series.last[channel] = value;
+      }
+    });
+    if (Object.keys(series.last).length === 0) return;
+
+    this.tiers.forEach((tier, index) => {
+      const store = series.tiers[index];
+      const start = Math.floor(now / tier.interval) * tier.interval;
+      if (!store.current || store.current.start !== start) {
+        if (store.current) store.buckets.push(store.current);
+        store.current = createBucket(start);
+      }
+      store.current.count += 1;
+      Object.entries(series.last).forEach(([channel, value]) => {
+        addToChannel(store.current, channel, value);
+      });
+
+      const cutoff = now - tier.retention;
+      let expired = 0;
+      while (expired < store.buckets.length && store.buckets[expired].start < cutoff) {
+        expired += 1;
+      }
+      if (expired) store.buckets.splice(0, expired);
+    });
+  }
+
+  /**
+   * Return the time series for a printer
+   * @param {string} printerId - Registry ID
+   * @param {object} options - { from, to, resolution } (ISO dates or epoch ms, resolution in seconds)
+   * @param {number} now - Current time (ms since epoch)
+   * @returns {object} { from, to, resolution, points }
+   */
+  query(printerId, { from, to, resolution } = {}, now = Date.now()) {
+    const toMs = parseTime(to, now);
+    const fromMs = parseTime(from, toMs - DEFAULT_RANGE);
+    if (Number.isNaN(fromMs) || Number.isNaN(toMs)) {
+      throw new Error('Invalid from/to date');
+    }
+    if (fromMs > toMs) {
+      throw new Error('from must be before to');
+    }
+
+    let resolutionMs;
+    if (resolution !== undefined && resolution !== null && resolution !== '') {
+      resolutionMs = Number(resolution) * 1000;
+      if (!Number.isFinite(resolutionMs) || resolutionMs <= 0) {
+        throw new Error('resolution must be a positive number of seconds');
+      }
+    } else {
+      resolutionMs = Math.ceil((toMs - fromMs) / DEFAULT_MAX_POINTS / 1000) * 1000;
+    }
+
+    // Finest tier that still reaches back to `from`, never finer than needed
+    let tierIndex = this.tiers.findIndex((tier) => now - tier.retention <= fromMs);
+    if (tierIndex === -1) tierIndex = this.tiers.length - 1;
+    while (tierIndex < this.tiers.length - 1 && this.tiers[tierIndex + 1].interval <= resolutionMs) {
+      tierIndex += 1;
+    }
+    resolutionMs = Math.max(resolutionMs, this.tiers[tierIndex].interval);
+
+    const points = [];
+    const series = this.series.get(printerId);
+    if (series) {
+      const store = series.tiers[tierIndex];
+      const buckets = store.current ? store.buckets.concat(store.current) : store.buckets;
+      let output = null;
+      buckets.forEach((bucket) => {
+        if (bucket.start < fromMs || bucket.start > toMs) return;
+        const start = Math.floor(bucket.start / resolutionMs) * resolutionMs;
+        if (!output || output.start !== start) {
+          if (output) points.push(toPoint(output));
+          output = createBucket(start);
+        }
+        mergeBucket(output, bucket);
+      });
+      if (output) points.push(toPoint(output));
+    }
+
+    return {
+      from: new Date(fromMs).toISOString(),
+      to: new Date(toMs).toISOString(),
+      resolution: resolutionMs / 1000,
+      points
+    };
+  }
+
+  /**
+   * Latest raw value of every channel reported so far
+   * @returns {object} Channel values (empty if the printer has not reported yet)
+   */
+  latest(printerId) {
+    const series = this.series.get(printerId);
+    return series ? { ...series.last } : {};
+  }
+
+  /**
+   * Drop all data for a printer
+   */
+  clear(printerId) {
+    this.series.delete(printerId);
+  }
+}
+
+module.exports = TelemetryBuffer;
+module.exports.TELEMETRY_CHANNELS = TELEMETRY_CHANNELS;
+module.exports.DEFAULT_TIERS = DEFAULT_TIERS;
@@ -0,0 +1,324 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { writeMjpegAvi } = require('utils/mjpeg-avi');
+
+const CAPTURE_MODES = ['layer', 'interval'];
+const META_FILE = 'timelapse.json';
+const FRAMES_DIR = 'frames';
+const VIDEO_FILE = 'timelapse.avi';
+const THUMBNAIL_FILE = 'thumbnail.jpg';
+const DEFAULT_INTERVAL = 30 * 1000;
+const DEFAULT_FPS = 24;
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_MAX_BYTES = 2 * 1024 * 1024 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Records one camera frame per layer (or per interval) of every print job and
+ * assembles the frames into an MJPEG AVI when the job ends.
+ *
+ * Each job gets a folder named after its job history ID holding timelapse.json,
+ * the frames while recording, and the video and a thumbnail once assembled.
+ * Finished timelapses are pruned by age and total size.
+ *
+ * Events: 'ready' (timelapse), 'failed' (timelapse, error)
+ */
+class TimelapseRecorder extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {string} options.dir - Directory holding one folder per timelapse
+   * @param {string} options.mode - 'layer' (one frame per layer change) or 'interval'
+   * @param {number} options.interval - Capture interval in interval mode (ms)
+   * @param {number} options.fps - Playback frame rate of the assembled video
+   * @param {number} options.retentionDays - Delete finished timelapses older than this (0 keeps them)
+   * @param {number} options.maxBytes - Delete the oldest finished timelapses above this total size (0 disables)
+   */
+  constructor({
+    dir,
+    mode = 'layer',
+    interval = DEFAULT_INTERVAL,
+    fps = DEFAULT_FPS,
+    retentionDays = DEFAULT_RETENTION_DAYS,
+    maxBytes = DEFAULT_MAX_BYTES
+  } = {}) {
+    super();
+    if (!CAPTURE_MODES.includes(mode)) {
+      throw new Error(`Unknown timelapse mode "${mode}" (valid: ${CAPTURE_MODES.join(', ')})`);
+    }
+    this.dir = dir;
+    this.mode = mode;
+    this.interval = interval;
+    this.fps = fps;
+    this.retentionDays = retentionDays;
+    this.maxBytes = maxBytes;
+    this.recording = new Map(); // printerId -> timelapse being recorded
+    this.pending = new Set(); // timelapse IDs being assembled
+  }
+
+  /**
+   * Pick up timelapses left behind by a previous run: recordings continue,
+   * interrupted assemblies are retried, then retention is applied.
+   */
+  async init(now = new Date()) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    for (const timelapse of this.list()) {
+      if (timelapse.status === 'recording' && !this.recording.has(timelapse.printerId)) {
+        this.recording.set(timelapse.printerId, timelapse);
+      } else if (timelapse.status === 'recording' || timelapse.status === 'assembling') {
+        await this.assemble(timelapse);
+      }
+    }
+    this.prune(now);
+  }
+
+  folder(id) {
+    return path.join(this.dir, id);
+  }
+
+  readMeta(id) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.folder(id), META_FILE), 'utf8'));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  writeMeta(timelapse) {
+    const metaPath = path.join(this.folder(timelapse.id), META_FILE);
+    const tempPath = `${metaPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(timelapse, null, 2));
+    fs.renameSync(tempPath, metaPath);
+  }
+
+  /**
+   * Begin recording a job
+   * @param {object} job - Job history record ({ id, printerId, printerName, file, startTime })
+   * @returns {object} Timelapse
+   */
+  start(job, now = new Date()) {
+    const previous = this.recording.get(job.printerId);
+    if (previous && previous.id === job.id) return previous;
+    if (previous) {
+      this.finish(job.printerId, 'unknown').catch(() => {});
+    }
+
+    const timelapse = {
+      id: job.id,
+      jobId: job.id,
+      printerId: job.printerId,
+      printerName: job.printerName || null,
+      file: job.file || null,
+      mode: this.mode,
+      status: 'recording',
+      jobState: null,
+      startedAt: job.startTime || now.toISOString(),
+      endedAt: null,
+      frames: 0,
+      lastLayer: null,
+      lastCaptureAt: null,
+      fps: this.fps,
+      width: null,
+      height: null,
+      size: 0,
+      error: null
+    };
+    fs.mkdirSync(path.join(this.folder(timelapse.id), FRAMES_DIR), { recursive: true });
+    this.writeMeta(timelapse);
+    this.recording.set(job.printerId, timelapse);
+    return timelapse;
+  }
+
+  /**
+   * Offer the current camera frame for a printer; it is kept when the layer
+   * changed (layer mode) or the interval has passed (interval mode).
+   * @param {string} printerId - Printer ID
+   * @param {object} sample
+   * @param {Buffer} sample.frame - Latest JPEG frame, or null when the camera has none
+   * @param {number} sample.layer - Current layer
+   * @param {boolean} sample.running - Whether the job is actually printing (not paused)
+   * @returns {boolean} Whether a frame was captured
+   */
+  capture(printerId, { frame, layer, running = true }, now = Date.now()) {
+    const timelapse = this.recording.get(printerId);
+    if (!timelapse || !frame || !running) return false;
+
+    if (this.mode === 'layer') {
+      if (!Number.isFinite(layer) || layer <= 0 || layer === timelapse.lastLayer) return false;
+    } else if (timelapse.lastCaptureAt !== null && now - timelapse.lastCaptureAt < this.interval) {
+      return false;
+    }
+
+    timelapse.frames += 1;
+    const name = `${String(timelapse.frames).padStart(6, '0')}.jpg`;
+    try {
+      fs.writeFileSync(path.join(this.folder(timelapse.id), FRAMES_DIR, name), frame);
+    } catch (err) {
+      timelapse.frames -= 1;
+      console.error(`[Timelapse] Failed to save frame for ${printerId}:`, err.message);
+      return false;
+    }
+    timelapse.lastLayer = layer;
+    timelapse.lastCaptureAt = now;
+    this.writeMeta(timelapse);
+    return true;
+  }
+
+  /**
+   * Stop recording a printer's job and assemble the video
+   * @param {string} printerId - Printer ID
+   * @param {string} jobState - Final job state (complete, stopped, failed)
+   * @returns {Promise<object|null>} Finished timelapse, or null when nothing was recorded
+   */
+  async finish(printerId, jobState, now = new Date()) {
+    const timelapse = this.recording.get(printerId);
+    if (!timelapse) return null;
+    this.recording.delete(printerId);
+    timelapse.jobState = jobState;
+    timelapse.endedAt = now.toISOString();
+    const result = await this.assemble(timelapse);
+    this.prune(now);
+    return result;
+  }
+
+  async assemble(timelapse) {
+    const folder = this.folder(timelapse.id);
+    const framesDir = path.join(folder, FRAMES_DIR);
+    const frames = fs.existsSync(framesDir)
+      ? fs.readdirSync(framesDir).filter((name) => name.endsWith('.jpg')).sort()
+      : [];
+    if (frames.length === 0) {
+      fs.rmSync(folder, { recursive: true, force: true });
+      return null;
+    }
+
+    this.pending.add(timelapse.id);
+    timelapse.status = 'assembling';
+    this.writeMeta(timelapse);
+    try {
+      const framePaths = frames.map((name) => path.join(framesDir, name));
+      const video = await writeMjpegAvi(path.join(folder, VIDEO_FILE), framePaths, { fps: timelapse.fps });
+      fs.copyFileSync(framePaths[framePaths.length - 1], path.join(folder, THUMBNAIL_FILE));
+      fs.rmSync(framesDir, { recursive: true, force: true });
+      Object.assign(timelapse, { status: 'ready', frames: video.frames, width: video.width, height: video.height, size: video.size });
+      this.writeMeta(timelapse);
+      console.log(`[Timelapse] ${timelapse.id} ready: ${video.frames} frames, ${video.size} bytes`);
+      this.emit('ready', timelapse);
+    } catch (err) {
+      // Frames are kept; retention removes failed timelapses like finished ones
+      timelapse.status = 'failed';
+      timelapse.error = err.message;
+      this.writeMeta(timelapse);
+      console.error(`[Timelapse] Assembling ${timelapse.id} failed:`, err.message);
+      this.emit('failed', timelapse, err);
+    } finally {
+      this.pending.delete(timelapse.id);
+    }
+    return timelapse;
+  }
+
+  /**
+   * All timelapses, newest first
+   * @param {object} filters - { printerId }
+   */
+  list(filters = {}) {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => this.get(entry.name))
+      .filter((timelapse) => timelapse && (!filters.printerId || timelapse.printerId === filters.printerId))
+      .sort((a, b) => Date.parse(b.startedAt) - Date.parse(a.startedAt));
+  }
+
+  /**
+   * One timelapse; recordings reflect the in-memory frame count
+   */
+  get(id) {
+    if (!/^[\w-]+$/.test(String(id))) return null;
+    const recording = Array.from(this.recording.values()).find((timelapse) => timelapse.id === id);
+    return recording || this.readMeta(id);
+  }
+
+  videoPath(id) {
+    const timelapse = this.get(id);
+    return timelapse && timelapse.status === 'ready' ? path.join(this.folder(id), VIDEO_FILE) : null;
+  }
+
+  thumbnailPath(id) {
+    const timelapse = this.get(id);
+    return timelapse && timelapse.status === 'ready' ? path.join(this.folder(id), THUMBNAIL_FILE) : null;
+  }
+
+  /**
+   * Delete a finished timelapse
+   * @returns {boolean} Whether it existed; recordings and assemblies in progress are not deleted
+   */
+  remove(id) {
+    const timelapse = this.get(id);
+    if (!timelapse || timelapse.status === 'recording' || this.pending.has(id)) return false;
+    fs.rmSync(this.folder(id), { recursive: true, force: true });
+    return true;
+  }
+
+  /**
+   * Apply the retention policy to finished timelapses
+   * @returns {string[]} IDs of deleted timelapses
+   */
+  prune(now = new Date()) {
+    const finished = this.list()
+      .filter((timelapse) => ['ready', 'failed'].includes(timelapse.status) && !this.pending.has(timelapse.id));
+    const removed = [];
+
+    if (this.retentionDays > 0) {
+      const cutoff = now.getTime() - this.retentionDays * DAY_MS;
+      finished
+        .filter((timelapse) => Date.parse(timelapse.endedAt || timelapse.startedAt) < cutoff)
+        .forEach((timelapse) => removed.push(timelapse.id));
+    }
+
+    if (this.maxBytes > 0) {
+      let total = finished
+        .filter((timelapse) => !removed.includes(timelapse.id))
+        .reduce((sum, timelapse) => sum + (timelapse.size || 0), 0);
+      // Oldest first
+      for (const timelapse of finished.slice().reverse()) {
+        if (total <= this.maxBytes) break;
+        if (removed.includes(timelapse.id)) continue;
+        removed.push(timelapse.id);
+        total -= timelapse.size || 0;
+      }
+    }
+
+    removed.forEach((id) => {
+      fs.rmSync(this.folder(id), { recursive: true, force: true });
+    });
+    if (removed.length) {
+      console.log(`[Timelapse] Retention removed ${removed.length} timelapse(s)`);
+    }
+    return removed;
+  }
+}
+
+/**
+ * Recorder options from the environment; null when timelapses are turned off
+ * (TIMELAPSE_MODE=off)
+ */
+function timelapseOptionsFromEnv(env = process.env) {
+  const mode = (env.TIMELAPSE_MODE || 'layer').toLowerCase();
+  if (mode === 'off') return null;
+  const number = (value, fallback) => {
+    const parsed = Number.parseFloat(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+  };
+  return {
+    mode,
+    interval: number(env.TIMELAPSE_INTERVAL, DEFAULT_INTERVAL / 1000) * 1000,
+    fps: number(env.TIMELAPSE_FPS, DEFAULT_FPS) || DEFAULT_FPS,
+    retentionDays: number(env.TIMELAPSE_RETENTION_DAYS, DEFAULT_RETENTION_DAYS),
+    maxBytes: number(env.TIMELAPSE_MAX_MB, DEFAULT_MAX_BYTES / (1024 * 1024)) * 1024 * 1024
+  };
+}
+
+module.exports = TimelapseRecorder;
+module.exports.CAPTURE_MODES = CAPTURE_MODES;
+module.exports.timelapseOptionsFromEnv = timelapseOptionsFromEnv;
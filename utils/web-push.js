@@ -0,0 +1,260 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PRINTER_EVENTS } = require('utils/printer-events');
+
+// Event choices offered to users, mapped to the printer events they cover
+const PUSH_EVENT_GROUPS = {
+  complete: [PRINTER_EVENTS.JOB_COMPLETED],
+  paused: [PRINTER_EVENTS.JOB_PAUSED],
+  error: [PRINTER_EVENTS.JOB_FAILED, PRINTER_EVENTS.CAMERA_FAILED],
+  disconnected: [PRINTER_EVENTS.PRINTER_DISCONNECTED]
+};
+const DEFAULT_PUSH_EVENTS = ['complete'];
+const DEFAULT_VAPID_SUBJECT = 'mailto:admin@localhost';
+// How long the push service keeps an undelivered message (seconds)
+const PUSH_TTL = 60 * 60;
+// Browsers one user can subscribe
+const MAX_SUBSCRIPTIONS_PER_USER = 10;
+
+/**
+ * Check a PushSubscription (as produced by subscription.toJSON() in the browser)
+ */
+function isValidSubscription(subscription) {
+  return Boolean(
+    subscription &&
+    typeof subscription.endpoint === 'string' &&
+    /^https:\/\//.test(subscription.endpoint) &&
+    subscription.keys &&
+    typeof subscription.keys.p256dh === 'string' &&
+    typeof subscription.keys.auth === 'string'
+  );
+}
+
+/**
+ * Filter an event choice list down to known groups
+ */
+function normalizePushEvents(events) {
+  if (!Array.isArray(events)) return DEFAULT_PUSH_EVENTS.slice();
+  return Array.from(new Set(events.filter((event) => PUSH_EVENT_GROUPS[event])));
+}
+
+/**
+ * Web Push (VAPID) sender. Keys are generated on first start and kept, with the
+ * browser subscriptions, in one JSON file so subscriptions survive restarts.
+ */
+class WebPushService {
+  /**
+   * @param {object} options
+   * @param {string} options.filePath - JSON file for keys and subscriptions (null keeps them in memory)
+   * @param {string} options.subject - VAPID subject (mailto: or https: URL)
+   * @param {object} options.vapidKeys - { publicKey, privateKey } to use instead of generated keys
+   * @param {Function} options.renderMessage - (event) => { title, message }
+   * @param {object} options.webPushImpl - web-push module replacement (tests)
+   */
+  constructor({
+    filePath = null,
+    subject = DEFAULT_VAPID_SUBJECT,
+    vapidKeys = null,
+    renderMessage = (event) => ({ title: event.printer?.name || 'Printer', message: event.type }),
+    webPushImpl = null
+  } = {}) {
+    this.filePath = filePath;
+    this.subject = subject;
+    this.renderMessage = renderMessage;
+    this.webPush = webPushImpl || require('web-push');
+    this.vapidKeys = null;
+    this.subscriptions = new Map(); // id -> { id, endpoint, keys, events, owner, createdAt, userAgent }
+    this.load();
+
+    if (vapidKeys && vapidKeys.publicKey && vapidKeys.privateKey) {
+      this.vapidKeys = { publicKey: vapidKeys.publicKey, privateKey: vapidKeys.privateKey };
+    } else if (!this.vapidKeys) {
+      this.vapidKeys = this.webPush.generateVAPIDKeys();
+      console.log('[Push] Generated new VAPID keys');
+      this.save();
+    }
+  }
+
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (data.vapidKeys?.publicKey && data.vapidKeys?.privateKey) {
+        this.vapidKeys = data.vapidKeys;
+      }
+      (data.subscriptions || []).forEach((subscription) => {
+        this.subscriptions.set(subscription.id, subscription);
+      });
+    } catch (err) {
+      console.error(`Failed to load push subscriptions from ${this.filePath}:`, err.message);
+    }
+  }
+
+  save() {
+    if (!this.filePath) return;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      const data = { vapidKeys: this.vapidKeys, subscriptions: Array.from(this.subscriptions.values()) };
+      // Holds the VAPID private key
+      fs.writeFileSync(tempPath, JSON.stringify(data), { mode: 0o600 });
+      fs.renameSync(tempPath, this.filePath);
+    } catch (err) {
+      console.error(`Failed to save push subscriptions to ${this.filePath}:`, err.message);
+    }
+  }
+
+  get publicKey() {
+    return this.vapidKeys.publicKey;
+  }
+
+  static subscriptionId(endpoint) {
+    return crypto.createHash('sha256').update(endpoint).digest('hex').slice(0, 32);
+  }
+
+  /**
+   * Add or update a browser subscription. Re-subscribing a browser under another user
+   * moves it to that user.
+   * @param {object} subscription - PushSubscription JSON ({ endpoint, keys: { p256dh, auth } })
+   * @param {string[]} events - Event choices (keys of PUSH_EVENT_GROUPS)
+   * @param {object} options
+   * @param {string} options.owner - Username of the subscriber
+   * @param {string} options.userAgent - Browser, for display
+   * @returns {object} Stored subscription
+   */
+  subscribe(subscription, events, { owner = null, userAgent = null } = {}) {
+    if (!isValidSubscription(subscription)) {
+      throw Object.assign(new Error('Invalid push subscription'), { statusCode: 400 });
+    }
+    const id = WebPushService.subscriptionId(subscription.endpoint);
+    const existing = this.subscriptions.get(id);
+    const owned = Array.from(this.subscriptions.values())
+      .filter((other) => other.owner === owner && other.id !== id).length;
+    if (owned >= MAX_SUBSCRIPTIONS_PER_USER) {
+      throw Object.assign(new Error(`At most ${MAX_SUBSCRIPTIONS_PER_USER} browsers can be subscribed per user`), { statusCode: 409 });
+    }
+    const record = {
+      id,
+      endpoint: subscription.endpoint,
+      keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+      events: normalizePushEvents(events),
+      owner,
+      createdAt: existing ? existing.createdAt : new Date().toISOString(),
+      userAgent: userAgent || existing?.userAgent || null
+    };
+    this.subscriptions.set(id, record);
+    this.save();
+    return record;
+  }
+
+  /**
+   * Remove one of the owner's subscriptions by endpoint
+   * @returns {boolean} Whether the owner had it
+   */
+  unsubscribe(endpoint, owner = null) {
+    const subscription = this.getSubscription(endpoint, owner);
+    if (!subscription) return false;
+    this.subscriptions.delete(subscription.id);
+    this.save();
+    return true;
+  }
+
+  /**
+   * Remove every subscription of a user (the account was deleted)
+   * @returns {number} Subscriptions removed
+   */
+  removeOwner(owner) {
+    const removed = Array.from(this.subscriptions.values()).filter((subscription) => subscription.owner === owner);
+    removed.forEach((subscription) => this.subscriptions.delete(subscription.id));
+    if (removed.length > 0) this.save();
+    return removed.length;
+  }
+
+  /**
+   * Subscription by endpoint, if it belongs to the owner
+   */
+  getSubscription(endpoint, owner = null) {
+    const subscription = this.subscriptions.get(WebPushService.subscriptionId(String(endpoint || '')));
+    return subscription && (subscription.owner || null) === owner ? subscription : null;
+  }
+
+  /**
+   * Push an event to every subscription that opted into it. Subscriptions the push
+   * service reports as gone (404/410) are removed.
+   * @param {object} event - Event from buildPrinterEvent
+   * @returns {Promise<object>} { sent, failed, removed }
+   */
+  async notify(event) {
+    const groups = Object.keys(PUSH_EVENT_GROUPS).filter((group) => PUSH_EVENT_GROUPS[group].includes(event.type));
+    const targets = Array.from(this.subscriptions.values())
+      .filter((subscription) => subscription.events.some((group) => groups.includes(group)));
+    const result = { sent: 0, failed: 0, removed: 0 };
+    if (targets.length === 0) return result;
+
+    const { title, message } = this.renderMessage(event);
+    const payload = JSON.stringify({
+      title,
+      body: message,
+      type: event.type,
+      printerId: event.printer?.id || null,
+      // Replace an older notification for the same printer and event
+      tag: `${event.printer?.id || 'printer'}:${event.type}`,
+      timestamp: event.timestamp
+    });
+
+    let changed = false;
+    await Promise.all(targets.map(async (subscription) => {
+      try {
+        await this.send(subscription, payload);
+        result.sent += 1;
+      } catch (err) {
+        if (err.statusCode === 404 || err.statusCode === 410) {
+          this.subscriptions.delete(subscription.id);
+          changed = true;
+          result.removed += 1;
+        } else {
+          result.failed += 1;
+          console.warn(`[Push] Sending ${event.type} failed: ${err.statusCode || ''} ${err.message}`);
+        }
+      }
+    }));
+    if (changed) this.save();
+    return result;
+  }
+
+  send(subscription, payload) {
+    return this.webPush.sendNotification(
+      { endpoint: subscription.endpoint, keys: subscription.keys },
+      payload,
+      { TTL: PUSH_TTL, vapidDetails: { subject: this.subject, ...this.vapidKeys } }
+    );
+  }
+
+  /**
+   * Send a test notification to one of the owner's subscriptions
+   */
+  async sendTest(endpoint, owner = null) {
+    const subscription = this.getSubscription(endpoint, owner);
+    if (!subscription) {
+      throw new Error('Unknown push subscription');
+    }
+    await this.send(subscription, JSON.stringify({
+      title: 'Test notification',
+      body: 'Push notifications from the print monitor are working',
+      type: 'test',
+      tag: 'test'
+    }));
+  }
+
+  get size() {
+    return this.subscriptions.size;
+  }
+}
+
+module.exports = WebPushService;
+module.exports.PUSH_EVENT_GROUPS = PUSH_EVENT_GROUPS;
+module.exports.DEFAULT_PUSH_EVENTS = DEFAULT_PUSH_EVENTS;
+module.exports.MAX_SUBSCRIPTIONS_PER_USER = MAX_SUBSCRIPTIONS_PER_USER;
+module.exports.isValidSubscription = isValidSubscription;
+module.exports.normalizePushEvents = normalizePushEvents;
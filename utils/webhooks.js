@@ -0,0 +1,197 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { EVENT_TYPES } = require('utils/printer-events');
+
+const SIGNATURE_HEADER = 'X-Elegoo-Signature';
+const DEFAULT_MAX_ATTEMPTS = 5;
+// First retry delay (ms); doubles on every further attempt
+const DEFAULT_RETRY_DELAY = 2000;
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_LOG_SIZE = 100;
+
+/**
+ * Sign a request body with a target's secret
+ * @returns {string} Header value, e.g. "sha256=ab12…"
+ */
+function signPayload(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Validate and normalise webhook targets from the config file
+ * @param {Array} targets - [{ id, url, secret, events, headers }]
+ * @returns {Array} Normalised targets
+ */
+function normalizeTargets(targets) {
+  if (!Array.isArray(targets)) {
+    throw new Error('Webhook config must be an array of targets');
+  }
+  return targets.map((target, index) => {
+    if (!target || typeof target.url !== 'string' || !/^https?:\/\//.test(target.url)) {
+      throw new Error(`Webhook target ${index} needs an http(s) url`);
+    }
+    const events = target.events === undefined ? ['*'] : target.events;
+    if (!Array.isArray(events) || events.some((event) => event !== '*' && !EVENT_TYPES.includes(event))) {
+      throw new Error(`Webhook target ${index} has unknown events (valid: *, ${EVENT_TYPES.join(', ')})`);
+    }
+    return {
+      id: target.id || `webhook-${index + 1}`,
+      url: target.url,
+      secret: target.secret || null,
+      events,
+      headers: target.headers || {}
+    };
+  });
+}
+
+/**
+ * Load targets from a JSON file; a missing file means no webhooks
+ */
+function loadWebhookTargets(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return [];
+  return normalizeTargets(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+/**
+ * Delivers printer events as signed JSON POSTs to the configured targets,
+ * retrying failed deliveries with exponential backoff and keeping a log of recent deliveries.
+ */
+class WebhookDispatcher {
+  /**
+   * @param {object} options
+   * @param {Array} options.targets - Webhook targets (see normalizeTargets)
+   * @param {number} options.maxAttempts - Attempts per delivery, including the first
+   * @param {number} options.retryDelay - Delay before the first retry (ms), doubled each time
+   * @param {number} options.timeout - Per-request timeout (ms)
+   * @param {number} options.logSize - Deliveries kept in the log
+   * @param {Function} options.fetchImpl - fetch replacement (tests)
+   */
+  constructor({
+    targets = [],
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    retryDelay = DEFAULT_RETRY_DELAY,
+    timeout = DEFAULT_TIMEOUT,
+    logSize = DEFAULT_LOG_SIZE,
+    fetchImpl = null
+  } = {}) {
+    this.targets = normalizeTargets(targets);
+    this.maxAttempts = maxAttempts;
+    this.retryDelay = retryDelay;
+    this.timeout = timeout;
+    this.logSize = logSize;
+    this.fetchImpl = fetchImpl;
+    this.deliveries = [];
+  }
+
+  /**
+   * Targets subscribed to an event type
+   */
+  targetsFor(type) {
+    return this.targets.filter((target) => target.events.includes('*') || target.events.includes(type));
+  }
+
+  /**
+   * Send an event to every subscribed target
+   * @param {object} event - Event from buildPrinterEvent
+   * @returns {Promise<Array>} Resolves with the delivery log entries once all are settled
+   */
+  dispatch(event) {
+    const eventId = uuidv4();
+    const body = JSON.stringify({ id: eventId, ...event });
+    return Promise.all(this.targetsFor(event.type).map((target) => this.deliver(target, event.type, eventId, body)));
+  }
+
+  async deliver(target, type, eventId, body) {
+    const delivery = {
+      id: uuidv4(),
+      eventId,
+      event: type,
+      target: target.id,
+      url: target.url,
+      status: 'pending',
+      attempts: 0,
+      responseStatus: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      lastAttemptAt: null,
+      nextAttemptAt: null
+    };
+    this.deliveries.push(delivery);
+    if (this.deliveries.length > this.logSize) {
+      this.deliveries.splice(0, this.deliveries.length - this.logSize);
+    }
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'elegoo-print-monitor',
+      'X-Elegoo-Event': type,
+      'X-Elegoo-Delivery': delivery.id,
+      ...target.headers
+    };
+    if (target.secret) {
+      headers[SIGNATURE_HEADER] = signPayload(target.secret, body);
+    }
+
+    while (delivery.attempts < this.maxAttempts) {
+      delivery.attempts += 1;
+      delivery.lastAttemptAt = new Date().toISOString();
+      delivery.nextAttemptAt = null;
+      let retryable = true;
+      try {
+        const response = await this.post(target.url, headers, body);
+        delivery.responseStatus = response.status;
+        if (response.ok) {
+          delivery.status = 'delivered';
+          delivery.error = null;
+          return delivery;
+        }
+        delivery.error = `HTTP ${response.status}`;
+        // Client errors other than rate limiting will not succeed on retry
+        retryable = response.status >= 500 || response.status === 429;
+      } catch (err) {
+        delivery.error = err.name === 'AbortError' ? 'Request timed out' : err.message;
+      }
+
+      if (!retryable || delivery.attempts >= this.maxAttempts) break;
+      const delay = this.retryDelay * 2 ** (delivery.attempts - 1);
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+
+    delivery.status = 'failed';
+    console.warn(`[Webhook] Delivery of ${type} to ${target.id} failed after ${delivery.attempts} attempt(s): ${delivery.error}`);
+    return delivery;
+  }
+
+  async post(url, headers, body) {
+    const fetchFn = this.fetchImpl || fetch;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+    try {
+      return await fetchFn(url, { method: 'POST', headers, body, signal: controller.signal });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Targets without their secrets, for the admin endpoint
+   */
+  describeTargets() {
+    return this.targets.map(({ id, url, events, secret }) => ({ id, url, events, signed: Boolean(secret) }));
+  }
+
+  /**
+   * Recent deliveries, newest first
+   */
+  getDeliveries() {
+    return this.deliveries.slice().reverse();
+  }
+}
+
+module.exports = WebhookDispatcher;
+module.exports.SIGNATURE_HEADER = SIGNATURE_HEADER;
+module.exports.signPayload = signPayload;
+module.exports.normalizeTargets = normalizeTargets;
+module.exports.loadWebhookTargets = loadWebhookTargets;
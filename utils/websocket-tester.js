@@ -1,6 +1,8 @@
 
 // --- Simplified: One-shot status monitor matching server logic ---
 
+require('module-alias/register');
+
 const SDCPClient = require('utils/sdcp-client');
 const PrinterDiscovery = require('utils/printer-discovery');
 const readline = require('readline');
@@ -30,7 +32,11 @@ function parseStatusPayload(data) {
 
 
 async function main() {
-    let printerIP = process.argv[2];
+    // Usage: node utils/websocket-tester.js [printerIP] [--capture capture.jsonl]
+    const args = process.argv.slice(2);
+    const captureIndex = args.indexOf('--capture');
+    const capturePath = captureIndex === -1 ? null : args.splice(captureIndex, 2)[1];
+    let printerIP = args[0];
     if (!printerIP) {
         // Auto-discover printers on the LAN
         const discovery = new PrinterDiscovery();
@@ -69,6 +75,15 @@ async function main() {
         rl.close();
     }
     const wsClient = new SDCPClient(printerIP);
+    wsClient.on('stateChange', ({ state, previous, error }) => {
+        console.log(`[${new Date().toLocaleTimeString()}] Connection: ${previous} -> ${state}${error ? ` (${error.message})` : ''}`);
+    });
+    if (capturePath) {
+        wsClient.startCapture(capturePath);
+        process.on('SIGINT', () => {
+            wsClient.stopCapture().then(() => process.exit(0));
+        });
+    }
     try {
         await wsClient.connect();
         console.log('Connected to printer at', printerIP);
@@ -80,7 +95,12 @@ async function main() {
     let lastRaw = null;
     wsClient.onStatus((msg) => {
         const rawStr = JSON.stringify(msg, null, 2);
-        const parsed = parseStatusPayload(msg.Data);
+        // Attributes arrive through the same callback and carry no state
+        if (!msg.Status) {
+            console.log(rawStr);
+            return;
+        }
+        const parsed = parseStatusPayload(msg);
         const now = new Date().toLocaleTimeString();
         let changed = false;
         if (parsed.machine_status !== lastMachine) {